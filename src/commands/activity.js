@@ -0,0 +1,189 @@
+/**
+ * Activity Commands
+ *
+ * Commands for seeing what changed: the tenant activity feed,
+ * with filters and a follow mode that polls for new events.
+ */
+
+import api from '../lib/api.js';
+import output from '../lib/output.js';
+import { exitWithError, fail } from '../lib/errors.js';
+import { parseTimeBound } from '../lib/time.js';
+import { resolveProject } from '../lib/resolve.js';
+
+const DEFAULT_INTERVAL = 15; // seconds
+
+/**
+ * Register activity commands
+ * @param {Command} program - Commander program
+ */
+export function registerActivityCommands(program) {
+  program
+    .command('activity')
+    .description('Show recent activity')
+    .option('-p, --project <id>', 'Filter by project')
+    .option('-u, --user <user>', 'Filter by user (ID or email)')
+    .option('-t, --type <type>', 'Filter by entity type (task, project, knowledge, ...)')
+    .option('--since <time>', 'Only events after this time (e.g. 2d, 12h, yesterday, 2024-05-01)')
+    .option('--until <time>', 'Only events before this time')
+    .option('-l, --limit <n>', 'Limit results', '50')
+    .option('-f, --follow', 'Keep running and print new events as they arrive (JSON lines with --json)')
+    .option('--interval <seconds>', 'Polling interval for --follow', String(DEFAULT_INTERVAL))
+    .action(async (options) => {
+      await showActivity(options);
+    });
+}
+
+/**
+ * Resolve filters from command options
+ */
+function getFilters(options) {
+  const since = parseTimeBound(options.since);
+  if (options.since && !since) {
+    fail(`Invalid --since value: ${options.since}`, 'VALIDATION_ERROR', {
+      hint: 'Use a duration like 2d or 12h, "yesterday", or a date like 2024-05-01',
+    });
+  }
+
+  const until = parseTimeBound(options.until);
+  if (options.until && !until) {
+    fail(`Invalid --until value: ${options.until}`, 'VALIDATION_ERROR');
+  }
+
+  if (options.follow && until) {
+    fail('--until cannot be combined with --follow', 'USAGE_ERROR');
+  }
+
+  return {
+    projectId: options.project,
+    user: options.user,
+    entityType: options.type,
+    since,
+    until,
+  };
+}
+
+/**
+ * Build API query parameters from filters
+ */
+function toParams(filters, limit) {
+  return {
+    projectId: filters.projectId,
+    userId: filters.user,
+    entityType: filters.entityType,
+    since: filters.since?.toISOString(),
+    until: filters.until?.toISOString(),
+    limit,
+  };
+}
+
+/**
+ * Check an event against the filters
+ * Applied client-side too, in case the API ignores a parameter.
+ */
+function matches(event, filters) {
+  const at = new Date(event.createdAt);
+
+  if (filters.since && at < filters.since) return false;
+  if (filters.until && at > filters.until) return false;
+  if (filters.entityType && event.entityType && event.entityType !== filters.entityType) return false;
+  if (filters.projectId && event.projectId && event.projectId !== filters.projectId) return false;
+
+  if (filters.user) {
+    const actors = [event.actorId, event.actorEmail, event.userId].filter(Boolean);
+    if (actors.length > 0 && !actors.includes(filters.user)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Show the activity feed
+ */
+async function showActivity(options) {
+  const filters = getFilters(options);
+  if (filters.projectId) filters.projectId = await resolveProject(filters.projectId);
+  const limit = parseInt(options.limit, 10);
+
+  output.startSpinner('Fetching activity...');
+
+  let events;
+  try {
+    events = (await api.activity.list(toParams(filters, limit)) || [])
+      .filter(event => matches(event, filters))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    output.stopSpinner(true);
+  } catch (err) {
+    output.stopSpinner(false);
+    exitWithError(err);
+  }
+
+  if (options.follow) {
+    events.forEach(event => output.emitLine(event));
+  } else if (output.emit(events)) {
+    return;
+  }
+
+  if (!output.isMachine()) {
+    if (events.length === 0) {
+      output.info('No activity found');
+    } else {
+      output.print(output.timeline(events));
+    }
+  }
+
+  if (options.follow) {
+    await followActivity(filters, events, options);
+  }
+}
+
+/**
+ * Poll for new events until interrupted
+ */
+async function followActivity(filters, initial, options) {
+  const interval = Math.max(1, parseInt(options.interval, 10) || DEFAULT_INTERVAL) * 1000;
+  const seen = new Set(initial.map(event => event.id));
+  let last = initial[initial.length - 1] || null;
+  let since = last ? new Date(last.createdAt) : new Date();
+
+  process.on('SIGINT', () => {
+    output.print('');
+    process.exit(0);
+  });
+
+  output.muted(`\nFollowing activity (every ${interval / 1000}s). Press Ctrl+C to stop.`);
+
+  while (true) {
+    await new Promise(resolve => setTimeout(resolve, interval));
+
+    let fresh;
+    try {
+      const events = await api.activity.list(toParams({ ...filters, since }, undefined));
+      fresh = (events || [])
+        .filter(event => !seen.has(event.id) && matches(event, filters))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    } catch (err) {
+      // Keep following through transient failures, stop on auth errors
+      if (err.statusCode === 401 || err.statusCode === 403) {
+        exitWithError(err);
+      }
+      output.warning(`Polling failed: ${err.message}`);
+      continue;
+    }
+
+    if (fresh.length === 0) continue;
+
+    fresh.forEach((event) => {
+      seen.add(event.id);
+      output.emitLine(event);
+    });
+
+    output.print(output.timeline(fresh, { after: last?.createdAt }));
+
+    last = fresh[fresh.length - 1];
+    since = new Date(last.createdAt);
+  }
+}
+
+export default { registerActivityCommands };
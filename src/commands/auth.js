@@ -1,14 +1,34 @@
 /**
  * Auth Commands
  *
- * Commands for authentication and user management.
+ * Commands for authentication and user management, and for choosing
+ * where credentials are stored.
  */
 
 import inquirer from 'inquirer';
 import open from 'open';
 import config from '../lib/config.js';
+import credentials from '../lib/credentials.js';
 import api from '../lib/api.js';
+import cache from '../lib/cache.js';
 import output from '../lib/output.js';
+import { CliError, exitWithError, fail } from '../lib/errors.js';
+
+// Labels for where a key is stored
+const STORE_LABELS = {
+  keyring: 'system keyring',
+  file: 'encrypted file',
+  plaintext: 'config.json (plain text)',
+};
+
+// Labels for the kind of credential a profile uses
+const TYPE_LABELS = {
+  apiKey: 'API key',
+  token: 'Browser login',
+};
+
+// Scope requested by login --web
+const WEB_SCOPE = 'read write';
 
 /**
  * Register auth commands
@@ -21,6 +41,8 @@ export function registerAuthCommands(program) {
     .description('Authenticate with Erold')
     .option('-k, --key <apiKey>', 'API key (or set EROLD_API_KEY env var)')
     .option('-t, --tenant <tenant>', 'Tenant ID or slug')
+    .option('-w, --web', 'Log in through the browser instead of pasting an API key')
+    .option('--no-browser', 'With --web, print the link instead of opening a browser')
     .action(async (options) => {
       await loginCommand(options);
     });
@@ -48,18 +70,46 @@ export function registerAuthCommands(program) {
     .action(async (tenant) => {
       await switchCommand(tenant);
     });
+
+  const auth = program.command('auth').description('Manage how credentials are stored');
+
+  // Where keys are stored
+  auth
+    .command('status')
+    .description('Show each profile\'s credential and where it is stored')
+    .action(async () => {
+      await authStatusCommand();
+    });
+
+  // Move plain text keys into the credential store
+  auth
+    .command('migrate')
+    .description('Move credentials out of config.json into the keyring or an encrypted file')
+    .option('--to <store>', 'Store to move credentials to (auto, keyring, file)', 'auto')
+    .action(async (options) => {
+      await migrateCommand(options);
+    });
 }
 
 /**
  * Login command handler
  */
 async function loginCommand(options) {
-  let { key, tenant } = options;
+  if (options.web) {
+    if (options.key) {
+      fail('Use either --key or --web, not both', 'USAGE_ERROR');
+    }
+    await webLogin(options);
+    return;
+  }
+
+  let { key } = options;
 
   // If no key provided, prompt for it
   if (!key) {
     output.info('Enter your API key. You can generate one at:');
-    output.muted('  https://your-app.com/settings/api-keys\n');
+    output.muted('  https://your-app.com/settings/api-keys');
+    output.muted('  (or run `erold login --web` to log in through the browser)\n');
 
     const answers = await inquirer.prompt([
       {
@@ -79,18 +129,114 @@ async function loginCommand(options) {
 
   // Validate API key format
   if (!key.startsWith('erold_')) {
-    output.error('Invalid API key format. Keys should start with "erold_"');
-    process.exit(1);
+    fail('Invalid API key format. Keys should start with "erold_"', 'VALIDATION_ERROR');
+  }
+
+  // Use the key for this process only until it is verified
+  credentials.remember(config.getActiveProfile(), key);
+
+  await finishLogin(options.tenant, 'apiKey', tenant => config.saveCredentials(key, tenant));
+}
+
+/**
+ * Browser login (OAuth device authorization)
+ * Shows a code, opens the verification page and waits for approval.
+ */
+async function webLogin(options) {
+  const envName = config.getEnvName('apiKey');
+  if (process.env[envName]) {
+    fail(`${envName} is set and would be used instead of the browser login`, 'USAGE_ERROR', {
+      hint: `Unset ${envName} first`,
+    });
+  }
+
+  let token;
+
+  try {
+    const device = await api.auth.deviceCode(WEB_SCOPE);
+    const url = device.verification_uri_complete || device.verification_uri;
+
+    if (!output.isMachine()) {
+      output.print(output.box(
+        `Code: ${output.colors.bold(device.user_code)}\n\n${device.verification_uri}`,
+        'Confirm this code in your browser'
+      ));
+    } else {
+      // Keep stdout for the result; the code still has to reach the user
+      process.stderr.write(`Open ${url} and confirm the code ${device.user_code}\n`);
+    }
+
+    if (options.browser) {
+      try {
+        await open(url);
+      } catch {
+        output.muted(`Could not open a browser. Open this link instead: ${url}`);
+      }
+    }
+
+    output.startSpinner('Waiting for approval in the browser...');
+    token = api.parseToken(await waitForApproval(device));
+    output.stopSpinner(true, 'Approved');
+  } catch (err) {
+    output.stopSpinner(false, 'Browser login failed');
+    exitWithError(err);
   }
 
-  // Save credentials temporarily to test
-  config.saveCredentials(key, tenant || '');
+  // Use the token for this process only until it is verified
+  config.useToken(config.getActiveProfile(), token);
+
+  await finishLogin(options.tenant, 'token', tenant => config.saveToken(token, tenant));
+}
+
+function codeExpired() {
+  return new CliError('The login code expired', 'TIMEOUT', { hint: 'Run `erold login --web` again' });
+}
+
+/**
+ * Poll for the device code to be approved
+ * @param {object} device - Device code response
+ * @returns {Promise<object>} Token response
+ */
+async function waitForApproval(device) {
+  let interval = (device.interval || 5) * 1000;
+  const expiresAt = Date.now() + (device.expires_in || 900) * 1000;
+
+  while (Date.now() < expiresAt) {
+    await new Promise(resolve => setTimeout(resolve, interval));
 
-  // Test the connection
+    try {
+      return await api.auth.deviceToken(device.device_code);
+    } catch (err) {
+      switch (err.details?.error) {
+        case 'authorization_pending':
+          break;
+        case 'slow_down':
+          interval += 5000;
+          break;
+        case 'access_denied':
+          throw new CliError('Login was denied in the browser', 'AUTH_REQUIRED');
+        case 'expired_token':
+          throw codeExpired();
+        default:
+          throw err;
+      }
+    }
+  }
+
+  throw codeExpired();
+}
+
+/**
+ * Verify the credential in use, pick a tenant and save both
+ * @param {string} tenant - Tenant from --tenant, if any
+ * @param {string} type - apiKey or token
+ * @param {Function} save - Saves the credential and tenant, returns the store
+ */
+async function finishLogin(tenant, type, save) {
   output.startSpinner('Verifying credentials...');
 
   try {
-    // Get user info to verify key works
+    // Get user info to verify the credential works
     const user = await api.user.me();
 
     // Get available tenants
@@ -120,18 +266,19 @@ async function loginCommand(options) {
     }
 
     // Save final credentials
-    config.saveCredentials(key, tenant);
+    const store = await save(tenant);
+
+    if (output.emit({ ...user, tenant, profile: config.getActiveProfile(), credential: type, credentialStore: store })) return;
 
     output.success(`Logged in as ${user.name || user.email}`);
     if (tenant) {
       const selectedTenant = tenants.find(t => t.id === tenant);
       output.muted(`Tenant: ${selectedTenant?.name || tenant}`);
     }
+    output.muted(`${type === 'token' ? 'Login token' : 'API key'} stored in: ${STORE_LABELS[store]}`);
   } catch (err) {
     output.stopSpinner(false, 'Authentication failed');
-    config.clearCredentials();
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -150,6 +297,9 @@ async function logoutCommand() {
 
   if (confirm.logout) {
     config.clearCredentials();
+    // Cached responses belong to the account that just logged out
+    cache.clear();
+    if (output.emit({ loggedOut: true, profile: config.getActiveProfile() })) return;
     output.success('Logged out successfully');
   }
 }
@@ -159,8 +309,7 @@ async function logoutCommand() {
  */
 async function whoamiCommand() {
   if (!config.isConfigured()) {
-    output.error('Not logged in. Run `erold login` first.');
-    process.exit(1);
+    fail('Not logged in. Run `erold login` first.', 'AUTH_REQUIRED');
   }
 
   output.startSpinner('Fetching user info...');
@@ -171,20 +320,101 @@ async function whoamiCommand() {
 
     output.stopSpinner(true);
 
-    console.log('');
-    console.log(output.colors.bold('User:'));
-    console.log(`  Name:  ${user.name || '-'}`);
-    console.log(`  Email: ${user.email}`);
-    console.log(`  ID:    ${user.id}`);
-    console.log('');
-    console.log(output.colors.bold('Tenant:'));
-    console.log(`  ID:    ${tenant || 'Not set'}`);
-    console.log('');
-    console.log(output.colors.muted(`Config: ${config.getConfigPath()}`));
+    if (output.emit({ ...user, tenant, profile: config.getActiveProfile() })) return;
+
+    output.print('');
+    output.print(output.colors.bold('User:'));
+    output.print(`  Name:  ${user.name || '-'}`);
+    output.print(`  Email: ${user.email}`);
+    output.print(`  ID:    ${user.id}`);
+    output.print('');
+    output.print(output.colors.bold('Tenant:'));
+    output.print(`  ID:    ${tenant || 'Not set'}`);
+    output.print('');
+    output.print(output.colors.muted(`Profile: ${config.getActiveProfile()}`));
+    output.print(output.colors.muted(`Config: ${config.getConfigPath()}`));
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
+  }
+}
+
+/**
+ * Auth status command handler
+ */
+async function authStatusCommand() {
+  const setting = config.get('credentialStore');
+  const profiles = config.listProfiles().map((p) => {
+    const location = config.getCredentialLocation(p.name);
+    return {
+      name: p.name,
+      active: p.active,
+      type: location?.type || null,
+      store: location?.store || null,
+    };
+  });
+
+  const data = {
+    credentialStore: setting,
+    keyringAvailable: credentials.isKeyringAvailable(),
+    envKey: Boolean(process.env[config.getEnvName('apiKey')]),
+    profiles,
+  };
+
+  if (output.emit(data, { idKey: 'credentialStore' })) return;
+
+  output.print('');
+  output.print(`${output.colors.bold('Credential store:')} ${setting}`);
+  output.print(`${output.colors.bold('System keyring:')}   ${data.keyringAvailable ? output.colors.success('available') : output.colors.muted('not available')}`);
+  if (data.envKey) {
+    output.print(output.colors.muted(`${config.getEnvName('apiKey')} is set and takes precedence`));
+  }
+  output.print('');
+
+  output.print(output.table(profiles, [
+    { key: 'active', header: '', format: (v) => (v ? output.colors.success('*') : '') },
+    { key: 'name', header: 'Profile', format: (v) => output.colors.highlight(v) },
+    { key: 'type', header: 'Credential', format: (v) => (v ? TYPE_LABELS[v] : '-') },
+    {
+      key: 'store',
+      header: 'Stored In',
+      format: (v) => {
+        if (!v) return output.colors.muted('not set');
+        return v === 'plaintext' ? output.colors.warning(STORE_LABELS[v]) : STORE_LABELS[v];
+      },
+    },
+  ]));
+
+  if (profiles.some(p => p.store === 'plaintext') && setting !== 'plaintext') {
+    output.print('');
+    output.warning('Some credentials are stored in plain text. Move them with: erold auth migrate');
+  }
+}
+
+/**
+ * Migrate command handler
+ */
+async function migrateCommand(options) {
+  if (!['auto', 'keyring', 'file'].includes(options.to)) {
+    fail('Invalid store. Must be one of: auto, keyring, file', 'VALIDATION_ERROR');
+  }
+
+  try {
+    const moved = await config.migrateApiKeys(options.to);
+
+    if (output.emit(moved, { idKey: 'profile' })) return;
+
+    if (moved.length === 0) {
+      output.success('No plain text credentials found in config.json');
+      return;
+    }
+
+    moved.forEach(({ profile, type, store }) => {
+      output.success(`${profile}: ${TYPE_LABELS[type]} moved to the ${STORE_LABELS[store]}`);
+    });
+    output.muted(`\nconfig.json no longer contains credentials: ${config.getConfigPath()}`);
+  } catch (err) {
+    exitWithError(err);
   }
 }
 
@@ -193,8 +423,7 @@ async function whoamiCommand() {
  */
 async function switchCommand(tenant) {
   if (!config.isConfigured()) {
-    output.error('Not logged in. Run `erold login` first.');
-    process.exit(1);
+    fail('Not logged in. Run `erold login` first.', 'AUTH_REQUIRED');
   }
 
   output.startSpinner('Verifying tenant access...');
@@ -205,10 +434,11 @@ async function switchCommand(tenant) {
 
     config.set('tenant', tenant);
     output.stopSpinner(true, `Switched to tenant: ${tenantInfo.name}`);
+    output.emit(tenantInfo);
   } catch (err) {
     output.stopSpinner(false);
-    output.error(`Cannot access tenant: ${err.message}`);
-    process.exit(1);
+    err.message = `Cannot access tenant: ${err.message}`;
+    exitWithError(err);
   }
 }
 
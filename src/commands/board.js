@@ -0,0 +1,227 @@
+/**
+ * Board Command
+ *
+ * `erold board` opens a full-screen kanban of tasks by status. Tasks are
+ * moved between columns with `tasks.update`, so moves made offline land in
+ * the outbox like any other update.
+ */
+
+import { emitKeypressEvents } from 'readline';
+import api from '../lib/api.js';
+import board from '../lib/board.js';
+import config from '../lib/config.js';
+import output from '../lib/output.js';
+import { exitWithError, fail } from '../lib/errors.js';
+import { resolveProject } from '../lib/resolve.js';
+
+const PAGE_SIZE = 100;
+
+// Alternate screen, cursor visibility and clearing
+const SCREEN = {
+  enter: '\x1b[?1049h\x1b[?25l',
+  leave: '\x1b[?25h\x1b[?1049l',
+  clear: '\x1b[H\x1b[2J',
+};
+
+/**
+ * Register board commands
+ * @param {Command} program - Commander program
+ */
+export function registerBoardCommands(program) {
+  program
+    .command('board')
+    .description('Full-screen task board: move tasks between status columns')
+    .option('-p, --project <id>', 'Only tasks in a project (defaults to defaultProject)')
+    .option('-a, --assignee <email>', 'Only tasks assigned to someone')
+    .option('-m, --mine', 'Only my tasks')
+    .addHelpText('after', `
+Keys:
+${board.KEYS.map(([keys, action]) => `  ${keys.padEnd(12)} ${action}`).join('\n')}
+
+With --json, prints the columns instead of opening the board; with --quiet,
+the task IDs in board order.`)
+    .action(async (options) => {
+      await showBoard(options);
+    });
+}
+
+/**
+ * Fetch every task for the board
+ */
+async function loadTasks(options) {
+  const params = {};
+  if (options.projectId) params.projectId = options.projectId;
+  if (options.assignee) params.assignee = options.assignee;
+
+  const pages = options.mine
+    ? api.tasks.minePages(params, { pageSize: PAGE_SIZE })
+    : api.tasks.listPages(params, { pageSize: PAGE_SIZE });
+
+  const tasks = [];
+  for await (const page of pages) {
+    tasks.push(...page.items);
+  }
+  return tasks;
+}
+
+/**
+ * Fetch project names for the detail pane and project filter
+ * @returns {Promise<object>} Project ID to name
+ */
+async function loadProjectNames() {
+  try {
+    const projects = await api.projects.list();
+    return Object.fromEntries((projects || []).map(p => [p.id, p.name || p.slug || p.id]));
+  } catch {
+    // Names are cosmetic; fall back to IDs
+    return {};
+  }
+}
+
+/**
+ * Show the board
+ */
+async function showBoard(options) {
+  const project = options.project || config.get('defaultProject');
+  const loadOptions = {
+    ...options,
+    projectId: project ? await resolveProject(project) : null,
+  };
+
+  if (!output.isMachine() && !(process.stdin.isTTY && process.stdout.isTTY)) {
+    fail('The board needs an interactive terminal', 'USAGE_ERROR', {
+      hint: 'Use `erold tasks list`, or `erold board --json` for the columns',
+    });
+  }
+
+  output.startSpinner('Fetching tasks...');
+
+  let state;
+  try {
+    const [tasks, projects] = await Promise.all([loadTasks(loadOptions), loadProjectNames()]);
+    output.stopSpinner(true);
+    state = board.createBoard(tasks, { projects });
+  } catch (err) {
+    output.stopSpinner(false);
+    exitWithError(err);
+  }
+
+  if (output.isMachine()) {
+    // --json groups tasks by column; --quiet lists their IDs in board order
+    const columns = board.getColumns(state);
+    output.emit(output.isJson()
+      ? Object.fromEntries(columns.map(({ status, tasks }) => [status, tasks]))
+      : columns.flatMap(({ tasks }) => tasks));
+    return;
+  }
+
+  await runBoard(state, () => loadTasks(loadOptions));
+}
+
+/**
+ * Run the interactive board until the user quits
+ * @param {object} state - Board state
+ * @param {function} reload - Fetches the tasks again
+ * @returns {Promise<void>}
+ */
+function runBoard(state, reload) {
+  const { stdin, stdout } = process;
+
+  const draw = () => {
+    stdout.write(SCREEN.clear + board.render(state, { width: stdout.columns, height: stdout.rows }));
+  };
+
+  const restore = () => {
+    stdout.write(SCREEN.leave);
+    if (stdin.isTTY) stdin.setRawMode(false);
+  };
+
+  const move = async (task, status) => {
+    const previous = board.moveTask(state, task.id, status);
+    draw();
+
+    try {
+      const result = await api.tasks.update(task.id, { status });
+      if (result?.queued) {
+        state.message = 'Saved to the outbox. Run `erold sync` when back online.';
+      } else {
+        Object.assign(task, result, { status: result?.status || status });
+        state.message = `Moved to ${status}`;
+      }
+    } catch (err) {
+      board.moveTask(state, task.id, previous);
+      state.message = `Could not move task: ${err.message}`;
+    }
+    draw();
+  };
+
+  const open = async (task) => {
+    try {
+      state.details[task.id] = await api.tasks.get(task.id);
+    } catch (err) {
+      state.details[task.id] = {};
+      state.message = `Could not load task: ${err.message}`;
+    }
+    draw();
+  };
+
+  const refresh = async () => {
+    state.message = 'Refreshing...';
+    draw();
+    try {
+      board.setTasks(state, await reload());
+      state.message = 'Refreshed';
+    } catch (err) {
+      state.message = `Could not refresh: ${err.message}`;
+    }
+    draw();
+  };
+
+  return new Promise((resolve) => {
+    const quit = () => {
+      stdin.off('keypress', onKeypress);
+      stdout.off('resize', draw);
+      process.off('exit', restore);
+      restore();
+      stdin.pause();
+      resolve();
+    };
+
+    const onKeypress = (str, key) => {
+      const effect = board.handleKey(state, key || { sequence: str });
+
+      switch (effect?.type) {
+        case 'quit':
+          quit();
+          return;
+        case 'move':
+          move(effect.task, effect.status);
+          return;
+        case 'open':
+          draw();
+          open(effect.task);
+          return;
+        case 'refresh':
+          refresh();
+          return;
+        default:
+          draw();
+      }
+    };
+
+    emitKeypressEvents(stdin);
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('keypress', onKeypress);
+    stdout.on('resize', draw);
+    // Leave the terminal usable if something exits the process
+    process.on('exit', restore);
+
+    stdout.write(SCREEN.enter);
+    draw();
+  });
+}
+
+export default {
+  registerBoardCommands,
+};
@@ -0,0 +1,146 @@
+/**
+ * Cache Commands
+ *
+ * Inspect, clear and pre-fill the local response cache used for
+ * offline reads (see lib/cache.js).
+ */
+
+import api from '../lib/api.js';
+import cache from '../lib/cache.js';
+import config from '../lib/config.js';
+import git from '../lib/git.js';
+import output from '../lib/output.js';
+import { exitWithError, fail } from '../lib/errors.js';
+import { findTask } from '../lib/resolve.js';
+
+/**
+ * Register cache commands
+ * @param {Command} program - Commander program
+ */
+export function registerCacheCommands(program) {
+  const cacheCmd = program.command('cache').description('Manage the local offline cache');
+
+  cacheCmd
+    .command('status')
+    .description('Show cache location, size and settings')
+    .action(() => {
+      showStatus();
+    });
+
+  cacheCmd
+    .command('clear')
+    .description('Remove all cached responses')
+    .action(() => {
+      clearCache();
+    });
+
+  cacheCmd
+    .command('warm')
+    .description('Fetch your tasks, dashboard and current branch task into the cache')
+    .action(async () => {
+      await warmCache();
+    });
+}
+
+/**
+ * Format a byte count
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Show cache status
+ */
+function showStatus() {
+  const stats = cache.stats();
+  const data = {
+    ...stats,
+    ttl: config.get('cacheTtl'),
+    maxStale: config.get('cacheMaxStale'),
+    offline: cache.isOffline(),
+  };
+
+  if (output.emit(data, { idKey: 'dir' })) return;
+
+  output.print('');
+  output.print(output.colors.bold('Cache'));
+  output.print(`  Location:  ${stats.dir}`);
+  output.print(`  Entries:   ${stats.entries} (${formatBytes(stats.bytes)})`);
+  Object.entries(stats.scopes).forEach(([scope, count]) => {
+    output.print(`    ${output.colors.muted(scope)}: ${count}`);
+  });
+  output.print(`  TTL:       ${data.ttl}s (stale reads for up to ${data.maxStale}s more)`);
+  output.print('');
+  output.muted('Change with: erold config set cacheTtl <seconds>');
+}
+
+/**
+ * Clear the cache
+ */
+function clearCache() {
+  const { entries } = cache.stats();
+
+  try {
+    cache.clear();
+  } catch (err) {
+    exitWithError(err);
+  }
+
+  if (output.emit({ cleared: entries }, { idKey: 'cleared' })) return;
+  output.success(`Cleared ${entries} cached response(s)`);
+}
+
+/**
+ * Fetch commonly used responses into the cache
+ * Runs detached from the post-checkout hook, so it must never prompt.
+ */
+async function warmCache() {
+  if (!config.isConfigured()) {
+    fail('Not logged in. Run `erold login` first.', 'AUTH_REQUIRED');
+  }
+  if (cache.isOffline()) {
+    fail('Cannot warm the cache while offline', 'USAGE_ERROR');
+  }
+
+  // Always go to the network, whatever is cached already
+  cache.configure({ enabled: false });
+
+  // Same calls (and params) as `erold status` and `erold current`
+  const requests = {
+    me: () => api.user.me(),
+    mine: () => api.tasks.mine({ limit: 10 }),
+    blocked: () => api.tasks.blocked(),
+    dashboard: () => api.context.dashboard(),
+    notifications: () => api.user.notifications({ unread: true }),
+  };
+
+  const taskId = git.isGitRepo() ? git.getTaskIdFromBranch() : null;
+  if (taskId) {
+    requests.currentTask = () => findTask(taskId, { pick: false }).then(id => api.tasks.get(id));
+  }
+
+  output.startSpinner('Warming cache...');
+
+  const names = Object.keys(requests);
+  const results = await Promise.allSettled(names.map(name => requests[name]()));
+  const failed = names.filter((name, i) => results[i].status === 'rejected');
+  const warmed = names.length - failed.length;
+
+  if (warmed === 0) {
+    output.stopSpinner(false);
+    exitWithError(results[0].reason);
+  }
+
+  output.stopSpinner(true, `Cached ${warmed} of ${names.length} response(s)`);
+
+  if (output.emit({ cached: warmed, total: names.length, failed }, { idKey: 'cached' })) return;
+
+  if (failed.length > 0) {
+    output.warning(`Could not fetch: ${failed.join(', ')}`);
+  }
+}
+
+export default { registerCacheCommands };
@@ -0,0 +1,157 @@
+/**
+ * Completion Commands
+ *
+ * `erold completion <shell>` prints a completion script. The script calls
+ * back into `erold __complete <shell> <words...>` on each TAB, which lists
+ * commands and options from the command definitions, plus task, project
+ * and vault values fetched from the API and cached for a short while.
+ */
+
+import api from '../lib/api.js';
+import cache from '../lib/cache.js';
+import config from '../lib/config.js';
+import completion from '../lib/completion.js';
+import { fail } from '../lib/errors.js';
+import { CATEGORIES as KNOWLEDGE_CATEGORIES } from './knowledge.js';
+import { CATEGORIES as VAULT_CATEGORIES } from './vault.js';
+
+// Completion has to answer quickly: one short attempt, no retries
+const FETCH_TIMEOUT = 3;
+
+/**
+ * Register completion commands
+ * @param {Command} program - Commander program
+ */
+export function registerCompletionCommands(program) {
+  program
+    .command('completion <shell>')
+    .description(`Print a shell completion script (${completion.SHELLS.join(', ')})`)
+    .addHelpText('after', `
+Install:
+  bash  erold completion bash >> ~/.bashrc
+  zsh   erold completion zsh > "\${fpath[1]}/_erold"   (then restart the shell)
+  fish  erold completion fish > ~/.config/fish/completions/erold.fish
+
+Task IDs, projects and vault entries are completed from the API and
+cached for two minutes.`)
+    .action(printScript);
+}
+
+/**
+ * Print the completion script
+ */
+function printScript(shell) {
+  if (!completion.SHELLS.includes(shell)) {
+    fail(`Unsupported shell: ${shell}. Use one of: ${completion.SHELLS.join(', ')}`, 'USAGE_ERROR');
+  }
+  process.stdout.write(completion.getScript(shell, 'erold'));
+}
+
+// ============================================
+// Dynamic values
+// ============================================
+
+// Task references that work anywhere a task ID does (see resolve.js)
+const TASK_SHORTCUTS = [
+  { value: '@current', description: 'Task linked to the current git branch' },
+  { value: '@last', description: 'Task used most recently' },
+];
+
+const FETCHERS = {
+  task: async () => {
+    const tasks = await api.tasks.mine({ limit: 50 });
+    return (tasks || []).map(t => ({ value: t.id, description: t.title }));
+  },
+  project: async () => {
+    const projects = await api.projects.list();
+    return (projects || []).flatMap(p => [
+      { value: p.id, description: p.name },
+      ...(p.slug ? [{ value: p.slug, description: p.name }] : []),
+    ]);
+  },
+  vaultEntry: async (project) => {
+    if (!project) return [];
+    const entries = await api.vault.list(project);
+    return (entries || []).map(e => ({ value: e.id, description: e.key }));
+  },
+};
+
+/**
+ * Get task, project or vault values, from the completion cache when fresh
+ * @param {string} kind - Value kind (see completion.getValueKind)
+ * @param {string[]} words - Words on the command line
+ * @returns {Promise<object[]>} { value, description }
+ */
+async function getDynamicCandidates(kind, words) {
+  if (kind === 'knowledgeCategory') {
+    return KNOWLEDGE_CATEGORIES.map(value => ({ value, description: '' }));
+  }
+  if (kind === 'vaultCategory') {
+    return VAULT_CATEGORIES.map(value => ({ value, description: '' }));
+  }
+
+  const fetcher = FETCHERS[kind];
+  if (!fetcher) return [];
+
+  const project = kind === 'vaultEntry'
+    ? completion.getTypedOption(words, ['-p', '--project']) || config.get('defaultProject')
+    : null;
+  const key = [config.getActiveProfile(), config.get('tenant'), kind, project].filter(Boolean).join(':');
+
+  const cached = completion.getCached(key);
+  if (cached) return cached;
+
+  // Never prompt for a passphrase in the middle of a command line
+  if (config.credentialsLocked()) {
+    if (!process.env.EROLD_PASSPHRASE) return [];
+    await config.unlockCredentials();
+  }
+
+  const items = await fetcher(project);
+  completion.setCached(key, items);
+  return items;
+}
+
+/**
+ * Answer a completion request from a generated script
+ * Prints one candidate per line. Errors are swallowed: a failed lookup
+ * just means fewer suggestions.
+ * @param {Command} program - Root program
+ * @param {string} shell - bash, zsh or fish
+ * @param {string[]} words - Words after the program name, the last being
+ *   the word under the cursor
+ */
+export async function complete(program, shell, words) {
+  if (!completion.SHELLS.includes(shell)) return;
+
+  const line = words.length > 0 ? words : [''];
+  const context = completion.parseContext(program, line);
+  let candidates = completion.getStaticCandidates(program, context);
+
+  try {
+    const profile = completion.getTypedOption(line, ['--profile']);
+    if (profile && config.hasProfile(profile)) {
+      config.useProfile(profile);
+    }
+
+    const kind = completion.getValueKind(context);
+    if (kind === 'task') {
+      candidates = candidates.concat(TASK_SHORTCUTS);
+    }
+    if (kind) {
+      cache.configure({ enabled: false });
+      api.configure({ timeout: FETCH_TIMEOUT, retries: 0 });
+      candidates = candidates.concat(await getDynamicCandidates(kind, line));
+    }
+  } catch {
+    // Fall back to what the command definitions offer
+  }
+
+  const text = completion.formatCandidates(candidates, context.current, shell);
+  if (text) process.stdout.write(`${text}\n`);
+}
+
+export default {
+  registerCompletionCommands,
+  complete,
+};
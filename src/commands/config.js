@@ -5,8 +5,12 @@
  */
 
 import inquirer from 'inquirer';
+import { existsSync } from 'fs';
+import { resolve } from 'path';
 import config from '../lib/config.js';
+import network from '../lib/network.js';
 import output from '../lib/output.js';
+import { exitWithError, fail } from '../lib/errors.js';
 
 /**
  * Register config commands
@@ -20,9 +24,8 @@ export function registerConfigCommands(program) {
     .command('show')
     .alias('ls')
     .description('Show current configuration')
-    .option('--json', 'Output as JSON')
     .action(async (options) => {
-      await showConfig(options);
+      await showConfig();
     });
 
   // Get config value
@@ -55,7 +58,7 @@ export function registerConfigCommands(program) {
     .command('path')
     .description('Show configuration file path')
     .action(async () => {
-      console.log(config.getConfigPath());
+      await showPath();
     });
 
   // Edit config
@@ -67,10 +70,23 @@ export function registerConfigCommands(program) {
     });
 }
 
+/**
+ * Labels for the layer a value was resolved from
+ */
+const SOURCE_LABELS = {
+  env: 'env',
+  project: '.erold.json',
+  profile: 'profile',
+  user: 'user config',
+  keyring: 'keyring',
+  file: 'encrypted file',
+  default: 'default',
+};
+
 /**
  * Show current configuration
  */
-async function showConfig(options) {
+async function showConfig() {
   const allConfig = config.getAll();
 
   // Hide sensitive data
@@ -79,27 +95,52 @@ async function showConfig(options) {
     safeConfig.apiKey = safeConfig.apiKey.substring(0, 10) + '...[hidden]';
   }
 
-  if (options.json) {
-    output.json(safeConfig);
+  if (output.isJson()) {
+    const sources = {};
+    Object.keys(allConfig).filter((key) => key !== 'profile').forEach((key) => {
+      sources[key] = config.getSource(key);
+    });
+    output.json({ ...safeConfig, _sources: sources });
     return;
   }
 
-  console.log('\n' + output.colors.bold('Current Configuration:\n'));
+  output.print('\n' + output.colors.bold('Current Configuration:\n'));
 
   const configKeys = [
-    { key: 'apiKey', label: 'API Key', format: (v) => (v ? v.substring(0, 10) + '...' : output.colors.muted('Not set')) },
+    { key: 'profile', label: 'Profile', format: (v) => v },
+    {
+      key: 'apiKey',
+      label: 'API Key',
+      format: (v) => {
+        if (v) return v.substring(0, 10) + '...';
+        // Keys in the encrypted file stay locked for local commands
+        return output.colors.muted(config.getSource('apiKey') === 'file' ? 'Stored (locked)' : 'Not set');
+      },
+    },
     { key: 'apiUrl', label: 'API URL', format: (v) => v || output.colors.muted('Default') },
     { key: 'tenant', label: 'Tenant', format: (v) => v || output.colors.muted('Not set') },
+    { key: 'defaultProject', label: 'Default Project', format: (v) => v || output.colors.muted('Not set') },
     { key: 'outputFormat', label: 'Output Format', format: (v) => v || 'table' },
+    { key: 'cacheTtl', label: 'Cache TTL', format: (v) => `${v}s (serve stale up to ${allConfig.cacheMaxStale}s)` },
+    { key: 'timeout', label: 'Timeout', format: (v) => `${v}s per attempt, ${allConfig.retries} retries, ${allConfig.deadline}s overall` },
+    { key: 'proxy', label: 'Proxy', format: () => formatProxy() },
+    { key: 'caFile', label: 'CA File', format: (v) => v || output.colors.muted('System default') },
   ];
 
   configKeys.forEach(({ key, label, format }) => {
     const value = allConfig[key];
-    console.log(`  ${output.colors.bold(label)}: ${format(value)}`);
+    const source = key === 'profile' ? null : SOURCE_LABELS[config.getSource(key)];
+    const sourceLabel = source === 'profile' ? `profile: ${allConfig.profile}` : source;
+    output.print(`  ${output.colors.bold(label)}: ${format(value)}${sourceLabel ? ' ' + output.colors.muted(`(${sourceLabel})`) : ''}`);
   });
 
-  console.log('');
-  console.log(output.colors.muted(`Config file: ${config.getConfigPath()}`));
+  output.print('');
+  output.print(output.colors.muted(`Config file: ${config.getConfigPath()}`));
+
+  const projectConfigPath = config.getProjectConfigPath();
+  if (projectConfigPath) {
+    output.print(output.colors.muted(`Repo config: ${projectConfigPath}`));
+  }
 }
 
 /**
@@ -109,24 +150,50 @@ async function getConfig(key) {
   const value = config.get(key);
 
   // Don't show full API key
-  if (key === 'apiKey' && value) {
-    console.log(value.substring(0, 10) + '...[hidden]');
+  const display = key === 'apiKey' && value ? value.substring(0, 10) + '...[hidden]' : value;
+
+  if (output.isJson()) {
+    output.json({ key, value: display ?? null, source: config.getSource(key) });
     return;
   }
 
-  if (value === undefined || value === null) {
+  // The value is the whole output, so it is printed for --quiet too
+  if (display === undefined || display === null) {
     output.muted('(not set)');
   } else {
-    console.log(value);
+    console.log(display);
   }
 }
 
+/**
+ * Show config file path
+ */
+async function showPath() {
+  const path = config.getConfigPath();
+
+  if (output.isJson()) {
+    output.json({ path, projectPath: config.getProjectConfigPath() });
+    return;
+  }
+
+  console.log(path);
+}
+
+/**
+ * Describe the proxy in effect
+ */
+function formatProxy() {
+  const { proxy, proxySource } = network.getSettings();
+  if (!proxy) return output.colors.muted('None');
+  return proxySource === 'env' ? `${network.redactUrl(proxy)} ${output.colors.muted('(HTTPS_PROXY)')}` : network.redactUrl(proxy);
+}
+
 /**
  * Set a config value
  */
 async function setConfig(key, value) {
   // Validate known keys
-  const validKeys = ['apiKey', 'apiUrl', 'tenant', 'outputFormat'];
+  const validKeys = ['apiKey', 'apiUrl', 'tenant', 'defaultProject', 'outputFormat', 'cacheTtl', 'cacheMaxStale', 'timeout', 'retries', 'deadline', 'proxy', 'caFile', 'insecure', 'credentialStore'];
 
   if (!validKeys.includes(key)) {
     output.warning(`Unknown key: ${key}`);
@@ -150,17 +217,62 @@ async function setConfig(key, value) {
   if (key === 'outputFormat') {
     const validFormats = ['table', 'json', 'minimal'];
     if (!validFormats.includes(value)) {
-      output.error(`Invalid output format. Must be: ${validFormats.join(', ')}`);
-      process.exit(1);
+      fail(`Invalid output format. Must be: ${validFormats.join(', ')}`, 'VALIDATION_ERROR');
     }
   }
 
+  if (key === 'credentialStore' && !config.CREDENTIAL_STORES.includes(value)) {
+    fail(`Invalid credential store. Must be: ${config.CREDENTIAL_STORES.join(', ')}`, 'VALIDATION_ERROR');
+  }
+
   if (key === 'apiKey' && value && !value.startsWith('erold_')) {
     output.warning('API keys typically start with "erold_"');
   }
 
-  config.set(key, value);
+  value = config.coerceValue(key, value);
+  if (['cacheTtl', 'cacheMaxStale'].includes(key) && (typeof value !== 'number' || value < 0)) {
+    fail(`${key} must be a number of seconds (0 or more)`, 'VALIDATION_ERROR');
+  }
+  if (['timeout', 'deadline'].includes(key) && (typeof value !== 'number' || value <= 0)) {
+    fail(`${key} must be a number of seconds (more than 0)`, 'VALIDATION_ERROR');
+  }
+  if (key === 'retries' && (!Number.isInteger(value) || value < 0)) {
+    fail('retries must be a whole number (0 or more)', 'VALIDATION_ERROR');
+  }
+  if (key === 'proxy' && value && !/^https?:\/\//.test(value)) {
+    fail('proxy must be an http:// or https:// URL', 'VALIDATION_ERROR');
+  }
+  if (key === 'caFile' && value) {
+    value = resolve(value);
+    if (!existsSync(value)) {
+      fail(`File not found: ${value}`, 'NOT_FOUND');
+    }
+  }
+  if (key === 'insecure' && value === true) {
+    output.warning('TLS certificate checks are now disabled. Use this for local testing only.');
+  }
+
+  if (key === 'apiKey') {
+    // Keys go to the credential store, not config.json
+    try {
+      await config.storeApiKey(config.getActiveProfile(), value);
+    } catch (err) {
+      exitWithError(err);
+    }
+  } else {
+    config.set(key, value);
+  }
+
+  output.emit({ key, value: key === 'apiKey' ? value.substring(0, 10) + '...' : value });
   output.success(`Set ${key} = ${key === 'apiKey' ? value.substring(0, 10) + '...' : value}`);
+
+  // The user config is the lowest layer, so warn when something shadows it
+  const source = config.getSource(key);
+  if (source === 'env') {
+    output.warning(`${config.getEnvName(key)} is set and takes precedence`);
+  } else if (source === 'project') {
+    output.warning(`Overridden in this repository by ${config.getProjectConfigPath()}`);
+  }
 }
 
 /**
@@ -190,6 +302,8 @@ async function resetConfig(options) {
   // Reset other settings
   config.set('outputFormat', 'table');
 
+  if (output.emit({ reset: true })) return;
+
   output.success('Configuration reset to defaults');
   output.muted('Run `erold login` to authenticate again');
 }
@@ -203,8 +317,8 @@ async function editConfig() {
   output.info(`Config file: ${configPath}`);
   output.muted('Opening in default editor...');
 
-  // Use inquirer editor
-  const currentConfig = config.getAll();
+  // Use inquirer editor (user config only, repo overrides stay in .erold.json)
+  const currentConfig = config.getUserConfig();
 
   // Create editable version (hide API key)
   const editableConfig = {
@@ -215,8 +329,9 @@ async function editConfig() {
     outputFormat: currentConfig.outputFormat || 'table',
   };
 
-  // Don't include apiKey in editable config for safety
+  // Don't include credentials in editable config for safety
   delete editableConfig.apiKey;
+  delete editableConfig.profiles;
 
   const answers = await inquirer.prompt([
     {
@@ -239,7 +354,7 @@ async function editConfig() {
     const newConfig = JSON.parse(answers.config);
 
     // Apply changes (except apiKey and internal fields)
-    const safeKeys = ['apiUrl', 'tenant', 'outputFormat'];
+    const safeKeys = ['apiUrl', 'tenant', 'outputFormat', 'cacheTtl', 'cacheMaxStale', 'timeout', 'retries', 'deadline', 'proxy', 'caFile', 'insecure', 'credentialStore'];
     safeKeys.forEach((key) => {
       if (newConfig[key] !== undefined) {
         config.set(key, newConfig[key]);
@@ -248,8 +363,7 @@ async function editConfig() {
 
     output.success('Configuration updated');
   } catch (err) {
-    output.error(`Failed to update config: ${err.message}`);
-    process.exit(1);
+    fail(`Failed to update config: ${err.message}`);
   }
 }
 
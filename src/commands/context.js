@@ -6,6 +6,8 @@
 
 import api from '../lib/api.js';
 import output from '../lib/output.js';
+import { exitWithError } from '../lib/errors.js';
+import watch from '../lib/watch.js';
 
 /**
  * Register context commands
@@ -18,7 +20,6 @@ export function registerContextCommands(program) {
     .alias('ctx')
     .description('Get AI-ready project context')
     .option('-p, --project <id>', 'Specific project context')
-    .option('--json', 'Output as JSON')
     .action(async (options) => {
       await getContext(options);
     });
@@ -28,8 +29,9 @@ export function registerContextCommands(program) {
     .command('dashboard')
     .alias('dash')
     .description('Show dashboard overview')
-    .action(async () => {
-      await showDashboard();
+    .option('-w, --watch [seconds]', `Refresh in place every few seconds (default ${watch.DEFAULT_INTERVAL})`)
+    .action(async (options) => {
+      await showDashboard(options);
     });
 
   // Stats command
@@ -60,78 +62,84 @@ async function getContext(options) {
 
     output.stopSpinner(true);
 
-    if (options.json) {
-      output.json(context);
-      return;
-    }
+    if (output.emit(context)) return;
 
     // Format context for display
-    console.log('\n' + output.colors.bold('=== AI Context ===\n'));
+    output.print('\n' + output.colors.bold('=== AI Context ===\n'));
 
     // Active project info
     if (context.activeProject) {
-      console.log(output.colors.bold('Active Project:'));
-      console.log(`  ${context.activeProject.name}`);
-      console.log(`  Status: ${output.statusBadge(context.activeProject.status)}`);
-      console.log('');
+      output.print(output.colors.bold('Active Project:'));
+      output.print(`  ${context.activeProject.name}`);
+      output.print(`  Status: ${output.statusBadge(context.activeProject.status)}`);
+      output.print('');
     }
 
     // Current tasks
     if (context.currentTasks && context.currentTasks.length > 0) {
-      console.log(output.colors.bold('Current Tasks:'));
+      output.print(output.colors.bold('Current Tasks:'));
       context.currentTasks.forEach((task) => {
-        console.log(`  ${output.statusBadge(task.status)} ${task.title}`);
+        output.print(`  ${output.statusBadge(task.status)} ${task.title}`);
         if (task.priority === 'urgent' || task.priority === 'critical') {
-          console.log(`    ${output.priorityBadge(task.priority)}`);
+          output.print(`    ${output.priorityBadge(task.priority)}`);
         }
       });
-      console.log('');
+      output.print('');
     }
 
     // Blockers
     if (context.blockers && context.blockers.length > 0) {
-      console.log(output.colors.bold(output.colors.error('Blockers:')));
+      output.print(output.colors.bold(output.colors.error('Blockers:')));
       context.blockers.forEach((blocker) => {
-        console.log(`  ${output.icons.blocked} ${blocker.title}`);
+        output.print(`  ${output.icons.blocked} ${blocker.title}`);
         if (blocker.reason) {
-          console.log(`    ${output.colors.muted(blocker.reason)}`);
+          output.print(`    ${output.colors.muted(blocker.reason)}`);
         }
       });
-      console.log('');
+      output.print('');
     }
 
     // Recent activity
     if (context.recentActivity && context.recentActivity.length > 0) {
-      console.log(output.colors.bold('Recent Activity:'));
+      output.print(output.colors.bold('Recent Activity:'));
       context.recentActivity.slice(0, 5).forEach((activity) => {
-        console.log(
+        output.print(
           `  ${output.colors.muted(output.formatRelativeTime(activity.createdAt))} ${activity.description}`
         );
       });
-      console.log('');
+      output.print('');
     }
 
     // Knowledge snippets
     if (context.relevantKnowledge && context.relevantKnowledge.length > 0) {
-      console.log(output.colors.bold('Relevant Knowledge:'));
+      output.print(output.colors.bold('Relevant Knowledge:'));
       context.relevantKnowledge.forEach((kb) => {
-        console.log(`  ${output.colors.highlight('•')} ${kb.title} (${kb.category})`);
+        output.print(`  ${output.colors.highlight('•')} ${kb.title} (${kb.category})`);
       });
-      console.log('');
+      output.print('');
     }
 
     output.muted('Use --json for full context data');
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
 /**
  * Show dashboard
  */
-async function showDashboard() {
+async function showDashboard(options) {
+  if (options.watch) {
+    await watch.run({
+      interval: watch.parseInterval(options.watch),
+      load: () => api.context.dashboard(),
+      tasks: dashboard => dashboard.myTasks || [],
+      render: printDashboard,
+    });
+    return;
+  }
+
   output.startSpinner('Loading dashboard...');
 
   try {
@@ -139,47 +147,57 @@ async function showDashboard() {
 
     output.stopSpinner(true);
 
-    console.log('\n' + output.colors.bold('=== Dashboard ===\n'));
-
-    // Quick stats
-    console.log(output.colors.bold('Overview:'));
-    console.log(`  Total Projects: ${dashboard.projectCount || 0}`);
-    console.log(`  Total Tasks: ${dashboard.taskCount || 0}`);
-    console.log(`  Open Tasks: ${dashboard.openTasks || 0}`);
-    console.log(`  Blocked Tasks: ${dashboard.blockedTasks || 0}`);
-    console.log('');
-
-    // My tasks
-    if (dashboard.myTasks && dashboard.myTasks.length > 0) {
-      console.log(output.colors.bold('My Tasks:'));
-      dashboard.myTasks.forEach((task) => {
-        console.log(`  ${output.statusBadge(task.status)} ${output.truncate(task.title, 50)}`);
-      });
-      console.log('');
-    }
+    if (output.emit(dashboard)) return;
 
-    // Upcoming due dates
-    if (dashboard.upcomingDue && dashboard.upcomingDue.length > 0) {
-      console.log(output.colors.bold('Upcoming Due:'));
-      dashboard.upcomingDue.forEach((task) => {
-        const due = task.dueDate ? output.formatDate(task.dueDate) : 'No date';
-        console.log(`  ${output.icons.clock} ${due} - ${output.truncate(task.title, 40)}`);
-      });
-      console.log('');
-    }
-
-    // Recent completions
-    if (dashboard.recentCompleted && dashboard.recentCompleted.length > 0) {
-      console.log(output.colors.bold('Recently Completed:'));
-      dashboard.recentCompleted.forEach((task) => {
-        console.log(`  ${output.icons.check} ${output.truncate(task.title, 50)}`);
-      });
-      console.log('');
-    }
+    printDashboard(dashboard);
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
+  }
+}
+
+/**
+ * Print the dashboard
+ * @param {object} dashboard - Dashboard data
+ * @param {Map} changes - Tasks changed since the last refresh (watch mode)
+ */
+function printDashboard(dashboard, changes = new Map()) {
+  output.print('\n' + output.colors.bold('=== Dashboard ===\n'));
+
+  // Quick stats
+  output.print(output.colors.bold('Overview:'));
+  output.print(`  Total Projects: ${dashboard.projectCount || 0}`);
+  output.print(`  Total Tasks: ${dashboard.taskCount || 0}`);
+  output.print(`  Open Tasks: ${dashboard.openTasks || 0}`);
+  output.print(`  Blocked Tasks: ${dashboard.blockedTasks || 0}`);
+  output.print('');
+
+  // My tasks
+  if (dashboard.myTasks && dashboard.myTasks.length > 0) {
+    output.print(output.colors.bold('My Tasks:'));
+    dashboard.myTasks.forEach((task) => {
+      output.print(`  ${output.statusBadge(task.status)} ${watch.highlight(output.truncate(task.title, 50), changes.get(task.id))}`);
+    });
+    output.print('');
+  }
+
+  // Upcoming due dates
+  if (dashboard.upcomingDue && dashboard.upcomingDue.length > 0) {
+    output.print(output.colors.bold('Upcoming Due:'));
+    dashboard.upcomingDue.forEach((task) => {
+      const due = task.dueDate ? output.formatDate(task.dueDate) : 'No date';
+      output.print(`  ${output.icons.clock} ${due} - ${output.truncate(task.title, 40)}`);
+    });
+    output.print('');
+  }
+
+  // Recent completions
+  if (dashboard.recentCompleted && dashboard.recentCompleted.length > 0) {
+    output.print(output.colors.bold('Recently Completed:'));
+    dashboard.recentCompleted.forEach((task) => {
+      output.print(`  ${output.icons.check} ${output.truncate(task.title, 50)}`);
+    });
+    output.print('');
   }
 }
 
@@ -194,55 +212,56 @@ async function showStats() {
 
     output.stopSpinner(true);
 
-    console.log('\n' + output.colors.bold('=== Statistics ===\n'));
+    if (output.emit(stats)) return;
+
+    output.print('\n' + output.colors.bold('=== Statistics ===\n'));
 
     // Overall stats
-    console.log(output.colors.bold('Tasks:'));
-    console.log(`  Total: ${stats.totalTasks || 0}`);
-    console.log(`  Completed: ${stats.completedTasks || 0}`);
-    console.log(`  Open: ${stats.openTasks || 0}`);
-    console.log(`  Blocked: ${stats.blockedTasks || 0}`);
-    console.log('');
+    output.print(output.colors.bold('Tasks:'));
+    output.print(`  Total: ${stats.totalTasks || 0}`);
+    output.print(`  Completed: ${stats.completedTasks || 0}`);
+    output.print(`  Open: ${stats.openTasks || 0}`);
+    output.print(`  Blocked: ${stats.blockedTasks || 0}`);
+    output.print('');
 
     // By status
     if (stats.byStatus) {
-      console.log(output.colors.bold('Tasks by Status:'));
+      output.print(output.colors.bold('Tasks by Status:'));
       Object.entries(stats.byStatus).forEach(([status, count]) => {
-        console.log(`  ${output.statusBadge(status)}: ${count}`);
+        output.print(`  ${output.statusBadge(status)}: ${count}`);
       });
-      console.log('');
+      output.print('');
     }
 
     // By priority
     if (stats.byPriority) {
-      console.log(output.colors.bold('Tasks by Priority:'));
+      output.print(output.colors.bold('Tasks by Priority:'));
       Object.entries(stats.byPriority).forEach(([priority, count]) => {
         if (count > 0) {
-          console.log(`  ${output.priorityBadge(priority)}: ${count}`);
+          output.print(`  ${output.priorityBadge(priority)}: ${count}`);
         }
       });
-      console.log('');
+      output.print('');
     }
 
     // Projects
-    console.log(output.colors.bold('Projects:'));
-    console.log(`  Total: ${stats.totalProjects || 0}`);
-    console.log(`  Active: ${stats.activeProjects || 0}`);
-    console.log('');
+    output.print(output.colors.bold('Projects:'));
+    output.print(`  Total: ${stats.totalProjects || 0}`);
+    output.print(`  Active: ${stats.activeProjects || 0}`);
+    output.print('');
 
     // Time
     if (stats.totalTimeLogged) {
-      console.log(output.colors.bold('Time:'));
-      console.log(`  Total Logged: ${stats.totalTimeLogged}h`);
+      output.print(output.colors.bold('Time:'));
+      output.print(`  Total Logged: ${stats.totalTimeLogged}h`);
       if (stats.timeThisWeek) {
-        console.log(`  This Week: ${stats.timeThisWeek}h`);
+        output.print(`  This Week: ${stats.timeThisWeek}h`);
       }
-      console.log('');
+      output.print('');
     }
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -257,7 +276,9 @@ async function showWorkload() {
 
     output.stopSpinner(true);
 
-    console.log('\n' + output.colors.bold('=== Team Workload ===\n'));
+    if (output.emit(workload)) return;
+
+    output.print('\n' + output.colors.bold('=== Team Workload ===\n'));
 
     if (!workload.members || workload.members.length === 0) {
       output.info('No workload data available');
@@ -282,20 +303,19 @@ async function showWorkload() {
       },
     ]);
 
-    console.log(tableData);
+    output.print(tableData);
 
     // Summary
     if (workload.summary) {
-      console.log('');
-      console.log(output.colors.bold('Summary:'));
-      console.log(`  Total Tasks: ${workload.summary.totalTasks || 0}`);
-      console.log(`  Unassigned: ${workload.summary.unassigned || 0}`);
-      console.log(`  Average Load: ${workload.summary.averageLoad || 0}%`);
+      output.print('');
+      output.print(output.colors.bold('Summary:'));
+      output.print(`  Total Tasks: ${workload.summary.totalTasks || 0}`);
+      output.print(`  Unassigned: ${workload.summary.unassigned || 0}`);
+      output.print(`  Average Load: ${workload.summary.averageLoad || 0}%`);
     }
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
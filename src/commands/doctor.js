@@ -0,0 +1,379 @@
+/**
+ * Doctor Command
+ *
+ * Checks the CLI's setup and prints a pass/warn/fail report: config and
+ * credentials, network and API access, and the git integration that
+ * `erold init` installs. Most "the CLI is broken" reports come down to
+ * one of these.
+ */
+
+import { connect } from 'net';
+import { spawnSync } from 'child_process';
+import { existsSync, readFileSync } from 'fs';
+import { delimiter, join } from 'path';
+import api from '../lib/api.js';
+import cache from '../lib/cache.js';
+import config from '../lib/config.js';
+import git from '../lib/git.js';
+import network from '../lib/network.js';
+import output from '../lib/output.js';
+import { fail } from '../lib/errors.js';
+import { getHookStatus } from './init.js';
+
+const CHECK_TIMEOUT = 10000;
+
+// How each result is shown
+const STATUS_ICONS = {
+  pass: () => output.icons.success,
+  warn: () => output.icons.warning,
+  fail: () => output.icons.error,
+  skip: () => output.colors.muted('-'),
+};
+
+// Clipboard tools used by `vault show --copy`
+const CLIPBOARD_TOOLS = {
+  darwin: 'pbcopy',
+  linux: 'xclip',
+};
+
+/**
+ * Register doctor command
+ * @param {Command} program - Commander program
+ */
+export function registerDoctorCommands(program) {
+  program
+    .command('doctor')
+    .description('Check configuration and connectivity')
+    .action(async () => {
+      await doctorCommand();
+    });
+}
+
+/**
+ * Build a check result
+ */
+function result(name, status, message, hint = null) {
+  return { name, status, message, hint };
+}
+
+/**
+ * Open a TCP connection and measure how long it takes
+ * @returns {Promise<number>} Milliseconds
+ */
+function measureConnect(host, port) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const socket = connect({ host, port, timeout: CHECK_TIMEOUT });
+    socket.once('connect', () => {
+      socket.destroy();
+      resolve(Date.now() - started);
+    });
+    socket.once('timeout', () => {
+      socket.destroy();
+      reject(new Error('timed out'));
+    });
+    socket.once('error', reject);
+  });
+}
+
+function isValidUrl(url) {
+  try {
+    new URL(url);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find an executable on PATH
+ * @param {string} name - Command name
+ * @returns {string|null} Full path
+ */
+function findOnPath(name) {
+  const extensions = process.platform === 'win32'
+    ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')
+    : [''];
+
+  for (const dir of (process.env.PATH || '').split(delimiter).filter(Boolean)) {
+    for (const ext of extensions) {
+      const candidate = join(dir, name + ext);
+      if (existsSync(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+// ============================================
+// Checks
+// ============================================
+
+/**
+ * Config is valid and has credentials
+ */
+function checkConfig() {
+  const apiUrl = config.get('apiUrl');
+  if (!isValidUrl(apiUrl)) {
+    return result('Config', 'fail', `apiUrl is not a valid URL: ${apiUrl}`, 'Fix it with `erold config set apiUrl <url>`');
+  }
+
+  if (!config.isConfigured()) {
+    return result('Config', 'fail', `Not logged in (profile: ${config.getActiveProfile()})`, 'Run `erold login` or `erold login --web`');
+  }
+
+  const location = config.getCredentialLocation(config.getActiveProfile());
+  const credential = config.getSource('apiKey') === 'env'
+    ? config.getEnvName('apiKey')
+    : location?.type === 'token' ? 'browser login' : 'API key';
+  return result('Config', 'pass', `Profile ${config.getActiveProfile()}, ${credential}, ${apiUrl}`);
+}
+
+/**
+ * The credential is accepted by the API
+ */
+async function checkAuth() {
+  try {
+    const user = await api.user.me();
+    return result('Credentials', 'pass', `Authenticated as ${user.name ? `${user.name} <${user.email}>` : user.email}`);
+  } catch (err) {
+    if (err.statusCode === 401 || err.statusCode === 403) {
+      return result('Credentials', 'fail', `Rejected by the API: ${err.message}`, 'Log in again with `erold login`');
+    }
+    return result('Credentials', 'fail', `Could not verify: ${err.message}`, err.hint || null);
+  }
+}
+
+/**
+ * The configured tenant exists and is accessible
+ */
+async function checkTenant() {
+  const tenant = config.get('tenant');
+  if (!tenant) {
+    return result('Tenant', 'warn', 'No tenant selected', 'Pick one with `erold switch <tenant>`');
+  }
+
+  try {
+    const info = await api.tenants.get(tenant);
+    return result('Tenant', 'pass', info.name ? `${info.name} (${tenant})` : tenant);
+  } catch (err) {
+    return result('Tenant', 'fail', `Cannot access tenant ${tenant}: ${err.message}`, 'Run `erold switch <tenant>` to pick one you belong to');
+  }
+}
+
+/**
+ * git is installed
+ */
+function checkGit() {
+  const { status, stdout } = spawnSync('git', ['--version'], { encoding: 'utf-8', timeout: 5000 });
+  if (status !== 0) {
+    return result('Git', 'warn', 'git not found', 'Install git to use branch and commit integration');
+  }
+  return result('Git', 'pass', stdout.trim());
+}
+
+/**
+ * Hooks from `erold init` are current
+ */
+function checkHooks() {
+  if (!git.isGitRepo()) {
+    return result('Git hooks', 'skip', 'Not in a git repository');
+  }
+
+  const hooks = getHookStatus(join(git.getGitDir(), 'hooks'));
+  const named = state => hooks.filter(h => h.state === state).map(h => h.name);
+
+  if (named('outdated').length > 0) {
+    return result('Git hooks', 'warn', `Out of date: ${named('outdated').join(', ')}`, 'Update them with `erold init`');
+  }
+  if (named('installed').length === 0) {
+    return result('Git hooks', 'pass', 'Not installed in this repository (optional: `erold init`)');
+  }
+  if (named('missing').length > 0 || named('other').length > 0) {
+    const absent = [...named('missing'), ...named('other')];
+    return result('Git hooks', 'warn', `Installed: ${named('installed').join(', ')}; not installed: ${absent.join(', ')}`, 'Run `erold init` (with --force to replace other hooks)');
+  }
+  return result('Git hooks', 'pass', `Installed and up to date (${hooks.length})`);
+}
+
+/**
+ * Hooks call `erold`, and silently do nothing when it isn't on PATH
+ */
+function checkPath() {
+  const found = findOnPath('erold');
+  if (found) {
+    return result('PATH', 'pass', `erold found at ${found}`);
+  }
+  return result('PATH', 'warn', 'erold is not on PATH, so git hooks will do nothing', 'Install globally with `npm install -g @erold/cli`');
+}
+
+/**
+ * Clipboard tool for `vault show --copy`
+ */
+function checkClipboard() {
+  const tool = CLIPBOARD_TOOLS[process.platform];
+  if (!tool) {
+    return result('Clipboard', 'warn', `vault show --copy is not supported on ${process.platform}`);
+  }
+  if (!findOnPath(tool)) {
+    return result('Clipboard', 'warn', `${tool} not found, vault show --copy will not work`, `Install ${tool}`);
+  }
+  return result('Clipboard', 'pass', `${tool} available for vault show --copy`);
+}
+
+/**
+ * Proxy settings and whether the proxy accepts connections
+ */
+async function checkProxy() {
+  const apiUrl = config.get('apiUrl');
+  const { proxy, proxySource } = network.getSettings();
+
+  if (!proxy) {
+    return result('Proxy', 'pass', 'None (direct connection)');
+  }
+
+  const shown = `${network.redactUrl(proxy)} (${proxySource === 'env' ? 'HTTPS_PROXY' : 'config'})`;
+  if (!network.getProxyFor(apiUrl)) {
+    return result('Proxy', 'pass', `${shown}, bypassed for ${new URL(apiUrl).hostname} by NO_PROXY`);
+  }
+
+  let url;
+  try {
+    url = new URL(proxy);
+  } catch {
+    return result('Proxy', 'fail', `Invalid proxy URL: ${network.redactUrl(proxy)}`, 'Use a URL like http://proxy.example.com:8080');
+  }
+
+  try {
+    const ms = await measureConnect(url.hostname, Number(url.port) || (url.protocol === 'https:' ? 443 : 80));
+    return result('Proxy', 'pass', `${shown} reachable (${ms}ms)`);
+  } catch (err) {
+    return result('Proxy', 'fail', `Cannot reach ${shown}: ${err.message}`, 'Check HTTPS_PROXY, or run `erold config set proxy <url>`');
+  }
+}
+
+/**
+ * caFile and insecure settings
+ */
+function checkTls() {
+  const { caFile, insecure } = network.getSettings();
+
+  if (insecure) {
+    return result('TLS', 'warn', 'Certificate checks are disabled (insecure)', 'Turn them back on with `erold config set insecure false`');
+  }
+  if (!caFile) {
+    return result('TLS', 'pass', 'System root certificates');
+  }
+  if (!existsSync(caFile)) {
+    return result('TLS', 'fail', `caFile not found: ${caFile}`, 'Fix the path with `erold config set caFile <path>`');
+  }
+
+  let content;
+  try {
+    content = readFileSync(caFile, 'utf-8');
+  } catch (err) {
+    return result('TLS', 'fail', `Cannot read caFile ${caFile}: ${err.code || err.message}`, 'Point caFile at a readable PEM file with `erold config set caFile <path>`');
+  }
+  if (!content.includes('-----BEGIN CERTIFICATE-----')) {
+    return result('TLS', 'fail', `${caFile} has no PEM certificates`, 'caFile must be a PEM file (-----BEGIN CERTIFICATE-----)');
+  }
+  return result('TLS', 'pass', `System root certificates plus ${caFile}`);
+}
+
+/**
+ * Whether the API answers (through the proxy, if any)
+ */
+async function checkApi() {
+  const apiUrl = config.get('apiUrl');
+  const via = network.getProxyFor(apiUrl) ? ' via proxy' : '';
+  const started = Date.now();
+
+  try {
+    // Any HTTP response means the network path works
+    const response = await network.request(apiUrl, { signal: AbortSignal.timeout(CHECK_TIMEOUT) });
+    return result('API', 'pass', `${apiUrl} answered${via} in ${Date.now() - started}ms (HTTP ${response.status})`);
+  } catch (err) {
+    if (err.name === 'TimeoutError' || err.name === 'AbortError') {
+      return result('API', 'fail', `${apiUrl} did not answer${via} within ${CHECK_TIMEOUT / 1000}s`, 'Check your network, proxy and `erold config get apiUrl`');
+    }
+    const { message, hint } = network.describeFailure(err);
+    return result('API', 'fail', `Cannot reach ${apiUrl}${via}: ${message}`, hint);
+  }
+}
+
+// ============================================
+// Report
+// ============================================
+
+/**
+ * Doctor command handler
+ */
+async function doctorCommand() {
+  // Always ask the API, never the cache
+  cache.configure({ enabled: false });
+
+  output.startSpinner('Running checks...');
+
+  const checks = [];
+  const run = async (name, check) => {
+    output.updateSpinner(`Checking ${name.toLowerCase()}...`);
+    const outcome = await check();
+    checks.push(outcome);
+    return outcome;
+  };
+
+  const configCheck = await run('Config', checkConfig);
+  let apiCheck;
+  if (isValidUrl(config.get('apiUrl'))) {
+    await run('Proxy', checkProxy);
+    await run('TLS', checkTls);
+    apiCheck = await run('API', checkApi);
+  } else {
+    await run('TLS', checkTls);
+    apiCheck = result('API', 'skip', 'Skipped: apiUrl is not valid');
+    checks.push(apiCheck);
+  }
+
+  // Credentials and tenant need a login and a reachable API
+  const blocked = configCheck.status === 'fail' ? 'not logged in' : apiCheck.status !== 'pass' ? 'API not reachable' : null;
+  if (blocked) {
+    checks.push(result('Credentials', 'skip', `Skipped: ${blocked}`));
+    checks.push(result('Tenant', 'skip', `Skipped: ${blocked}`));
+  } else {
+    const authCheck = await run('Credentials', checkAuth);
+    if (authCheck.status === 'pass') {
+      await run('Tenant', checkTenant);
+    } else {
+      checks.push(result('Tenant', 'skip', 'Skipped: credentials not accepted'));
+    }
+  }
+
+  await run('Git', checkGit);
+  await run('Git hooks', checkHooks);
+  await run('PATH', checkPath);
+  await run('Clipboard', checkClipboard);
+
+  output.stopSpinner(true, 'Checks complete');
+
+  const count = status => checks.filter(c => c.status === status).length;
+  const summary = { pass: count('pass'), warn: count('warn'), fail: count('fail'), skip: count('skip') };
+  const status = summary.fail > 0 ? 'fail' : summary.warn > 0 ? 'warn' : 'pass';
+
+  if (!output.emit({ status, summary, checks }, { idKey: 'status' })) {
+    output.print('');
+    const width = Math.max(...checks.map(c => c.name.length));
+    checks.forEach((check) => {
+      output.print(`  ${STATUS_ICONS[check.status]()} ${output.colors.bold(check.name.padEnd(width))}  ${check.message}`);
+      if (check.hint && check.status !== 'pass') {
+        output.print(`    ${output.colors.muted(check.hint)}`);
+      }
+    });
+    output.print('');
+    output.muted(`${summary.pass} passed, ${summary.warn} warning(s), ${summary.fail} failed`);
+  }
+
+  if (summary.fail > 0) {
+    fail(`${summary.fail} check(s) failed`, 'GENERAL_ERROR');
+  }
+}
+
+export default { registerDoctorCommands };
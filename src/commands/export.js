@@ -0,0 +1,223 @@
+/**
+ * Export Commands
+ *
+ * Export tasks, projects or activity as JSON, CSV or NDJSON, to stdout or
+ * a file. Uses the server export endpoints, and falls back to building the
+ * export from paginated list results when they are not available.
+ */
+
+import { createWriteStream, renameSync, unlinkSync, existsSync } from 'fs';
+import api, { ApiError } from '../lib/api.js';
+import output from '../lib/output.js';
+import { exitWithError, fail } from '../lib/errors.js';
+import { toCell, toCsvRow } from '../lib/csv.js';
+import { parseTimeBound } from '../lib/time.js';
+import { resolveProject } from '../lib/resolve.js';
+
+const FORMATS = ['json', 'csv', 'ndjson'];
+
+// Server export is unavailable: build the export client-side instead
+const FALLBACK_STATUSES = [404, 405, 501];
+
+const RESOURCES = {
+  tasks: {
+    columns: ['id', 'title', 'status', 'priority', 'projectId', 'assignedTo', 'dueDate', 'progress', 'timeEstimate', 'timeLogged', 'tags', 'createdAt', 'updatedAt'],
+    serverExport: (format, params) => api.exportData.tasks(format, params),
+    pages: (params, options) => api.tasks.listPages(params, options),
+  },
+  projects: {
+    columns: ['id', 'name', 'slug', 'status', 'description', 'taskCount', 'createdAt', 'updatedAt'],
+    serverExport: (format, params) => api.exportData.projects(format, params),
+    pages: (params, options) => api.projects.listPages(params, options),
+  },
+  activity: {
+    columns: ['id', 'type', 'entityType', 'entityId', 'projectId', 'actorId', 'actorName', 'description', 'createdAt'],
+    serverExport: (format, params) => api.exportData.activity(format, params),
+    pages: (params, options) => api.activity.listPages(params, options),
+  },
+};
+
+/**
+ * Register export commands
+ * @param {Command} program - Commander program
+ */
+export function registerExportCommands(program) {
+  program
+    .command('export <resource>')
+    .description(`Export data (${Object.keys(RESOURCES).join(', ')})`)
+    .option('--format <format>', `Output format (${FORMATS.join(', ')})`, 'json')
+    .option('-o, --out <file>', 'Write to a file instead of stdout')
+    .option('-p, --project <id>', 'Filter by project')
+    .option('-s, --status <status>', 'Filter by status (tasks, projects)')
+    .option('-a, --assignee <email>', 'Filter by assignee (tasks)')
+    .option('-t, --type <type>', 'Filter by entity type (activity)')
+    .option('--since <time>', 'Only records changed after this time (e.g. 1d, 2024-05-01)')
+    .option('--until <time>', 'Only records changed before this time')
+    .option('--columns <keys>', 'Comma-separated fields for CSV (defaults to a fixed set per resource)')
+    .option('--client', 'Build the export from list results instead of the server export')
+    .option('--page-size <n>', 'Results per request when building the export client-side', '100')
+    .action(async (resource, options) => {
+      await exportResource(resource, options);
+    });
+}
+
+/**
+ * Create a writer for the chosen format
+ * Files are written to a temporary path and renamed when complete, so an
+ * interrupted export never leaves a partial file behind.
+ */
+function createWriter(format, out, columns) {
+  const tmpPath = out ? `${out}.${process.pid}.tmp` : null;
+  const stream = out ? createWriteStream(tmpPath) : process.stdout;
+  let count = 0;
+  let started = false;
+  let raw = false;
+
+  const start = () => {
+    if (started) return;
+    started = true;
+    if (format === 'csv') stream.write(columns.map(toCell).join(',') + '\r\n');
+    if (format === 'json') stream.write('[');
+  };
+
+  return {
+    get count() {
+      return raw ? null : count;
+    },
+
+    write(items) {
+      start();
+      items.forEach((item) => {
+        if (format === 'json') {
+          stream.write(`${count > 0 ? ',' : ''}\n  ${JSON.stringify(item)}`);
+        } else if (format === 'ndjson') {
+          stream.write(JSON.stringify(item) + '\n');
+        } else {
+          stream.write(toCsvRow(item, columns) + '\r\n');
+        }
+        count++;
+      });
+    },
+
+    // Server exports in the requested format are passed through untouched
+    writeRaw(text) {
+      raw = true;
+      started = true;
+      stream.write(text.endsWith('\n') ? text : text + '\n');
+    },
+
+    async end() {
+      start();
+      if (format === 'json' && !raw) {
+        stream.write(count > 0 ? '\n]\n' : ']\n');
+      }
+      if (out) {
+        await new Promise((resolve, reject) => {
+          stream.on('error', reject);
+          stream.end(resolve);
+        });
+        renameSync(tmpPath, out);
+      }
+    },
+
+    abort() {
+      if (out) {
+        stream.destroy();
+        if (existsSync(tmpPath)) unlinkSync(tmpPath);
+      }
+    },
+  };
+}
+
+/**
+ * Export a resource
+ */
+async function exportResource(resource, options) {
+  const def = RESOURCES[resource];
+  if (!def) {
+    fail(`Unknown resource: ${resource}. Must be one of: ${Object.keys(RESOURCES).join(', ')}`, 'USAGE_ERROR');
+  }
+
+  const format = options.format.toLowerCase();
+  if (!FORMATS.includes(format)) {
+    fail(`Invalid format. Must be one of: ${FORMATS.join(', ')}`, 'VALIDATION_ERROR');
+  }
+
+  const since = parseTimeBound(options.since);
+  const until = parseTimeBound(options.until);
+  if ((options.since && !since) || (options.until && !until)) {
+    fail('Invalid --since/--until value. Use a duration like 2d or a date like 2024-05-01', 'VALIDATION_ERROR');
+  }
+
+  const params = {
+    projectId: options.project ? await resolveProject(options.project) : undefined,
+    status: options.status,
+    assignee: options.assignee,
+    entityType: options.type,
+    since: since?.toISOString(),
+    until: until?.toISOString(),
+  };
+
+  const columns = options.columns
+    ? options.columns.split(',').map(c => c.trim()).filter(Boolean)
+    : def.columns;
+
+  // Filters are applied client-side too, in case the API ignores one
+  const inWindow = (item) => {
+    const at = new Date(item.updatedAt || item.createdAt);
+    if (isNaN(at.getTime())) return true;
+    return (!since || at >= since) && (!until || at <= until);
+  };
+
+  const writer = createWriter(format, options.out, columns);
+  let source = 'server';
+
+  output.startSpinner(`Exporting ${resource}...`);
+
+  try {
+    let exported = false;
+
+    if (!options.client) {
+      try {
+        const data = await def.serverExport(format, params);
+        if (typeof data === 'string') {
+          writer.writeRaw(data);
+        } else {
+          writer.write(api.parsePage(data).items.filter(inWindow));
+        }
+        exported = true;
+      } catch (err) {
+        if (!(err instanceof ApiError && FALLBACK_STATUSES.includes(err.statusCode))) {
+          throw err;
+        }
+        output.updateSpinner(`Server export unavailable, building ${resource} export from list results...`);
+      }
+    }
+
+    if (!exported) {
+      source = 'client';
+      const pageSize = parseInt(options.pageSize, 10) || 100;
+      for await (const page of def.pages(params, { pageSize })) {
+        writer.write(page.items.filter(inWindow));
+        output.updateSpinner(`Exporting ${resource}... ${writer.count}`);
+      }
+    }
+
+    await writer.end();
+
+    const count = writer.count;
+    const summary = `Exported ${count !== null ? `${count} ` : ''}${resource}${options.out ? ` to ${options.out}` : ''}`;
+    output.stopSpinner(true, summary);
+
+    // Without --out, stdout carries the export itself
+    if (options.out) {
+      output.emit({ resource, format, count, out: options.out, source }, { idKey: 'out' });
+    }
+  } catch (err) {
+    writer.abort();
+    output.stopSpinner(false);
+    exitWithError(err);
+  }
+}
+
+export default { registerExportCommands };
@@ -8,6 +8,8 @@ import inquirer from 'inquirer';
 import api from '../lib/api.js';
 import git from '../lib/git.js';
 import output from '../lib/output.js';
+import { exitWithError, fail } from '../lib/errors.js';
+import { findTask, resolveTask } from '../lib/resolve.js';
 
 /**
  * Register git commands
@@ -76,8 +78,7 @@ export function registerGitCommands(program) {
  */
 async function gitStatus() {
   if (!git.isGitRepo()) {
-    output.error('Not a git repository');
-    process.exit(1);
+    fail('Not a git repository');
   }
 
   const branch = git.getCurrentBranch();
@@ -85,54 +86,63 @@ async function gitStatus() {
   const changes = git.getChanges();
   const commit = git.getCurrentCommit();
 
-  console.log('\n' + output.colors.bold('Git Status\n'));
+  if (output.isMachine()) {
+    let task = null;
+    if (taskId) {
+      task = await findTask(taskId, { pick: false }).then(id => api.tasks.get(id)).catch(() => null);
+    }
+    output.emit({ id: taskId, branch, commit, task, changes });
+    return;
+  }
+
+  output.print('\n' + output.colors.bold('Git Status\n'));
 
   // Branch info
-  console.log(`Branch: ${output.colors.highlight(branch)}`);
-  console.log(`Commit: ${output.colors.muted(commit || 'No commits')}`);
+  output.print(`Branch: ${output.colors.highlight(branch)}`);
+  output.print(`Commit: ${output.colors.muted(commit || 'No commits')}`);
 
   // Task context
   if (taskId) {
-    console.log(`Task:   ${output.colors.primary(taskId)}`);
+    output.print(`Task:   ${output.colors.primary(taskId)}`);
 
     // Try to fetch task details
     output.startSpinner('Fetching task...');
     try {
-      const task = await api.tasks.get(taskId);
+      const task = await api.tasks.get(await findTask(taskId, { pick: false }));
       output.stopSpinner(true);
 
-      console.log('');
-      console.log(output.colors.bold('Linked Task:'));
-      console.log(`  ${task.title}`);
-      console.log(`  Status: ${output.statusBadge(task.status)}`);
-      console.log(`  Priority: ${output.priorityBadge(task.priority)}`);
+      output.print('');
+      output.print(output.colors.bold('Linked Task:'));
+      output.print(`  ${task.title}`);
+      output.print(`  Status: ${output.statusBadge(task.status)}`);
+      output.print(`  Priority: ${output.priorityBadge(task.priority)}`);
     } catch {
       output.stopSpinner(false);
       output.muted(`  (Could not fetch task ${taskId})`);
     }
   } else {
-    console.log(output.colors.muted('Task:   No task linked'));
+    output.print(output.colors.muted('Task:   No task linked'));
   }
 
-  console.log('');
+  output.print('');
 
   // Changes
-  console.log(output.colors.bold('Changes:'));
+  output.print(output.colors.bold('Changes:'));
   if (changes.total === 0) {
-    console.log(output.colors.success('  Working directory clean'));
+    output.print(output.colors.success('  Working directory clean'));
   } else {
     if (changes.staged > 0) {
-      console.log(output.colors.success(`  Staged:    ${changes.staged} file(s)`));
+      output.print(output.colors.success(`  Staged:    ${changes.staged} file(s)`));
     }
     if (changes.unstaged > 0) {
-      console.log(output.colors.warning(`  Unstaged:  ${changes.unstaged} file(s)`));
+      output.print(output.colors.warning(`  Unstaged:  ${changes.unstaged} file(s)`));
     }
     if (changes.untracked > 0) {
-      console.log(output.colors.muted(`  Untracked: ${changes.untracked} file(s)`));
+      output.print(output.colors.muted(`  Untracked: ${changes.untracked} file(s)`));
     }
   }
 
-  console.log('');
+  output.print('');
 }
 
 /**
@@ -140,10 +150,11 @@ async function gitStatus() {
  */
 async function createBranch(taskId, options) {
   if (!git.isGitRepo()) {
-    output.error('Not a git repository');
-    process.exit(1);
+    fail('Not a git repository');
   }
 
+  taskId = await resolveTask(taskId);
+
   // Check for uncommitted changes
   if (!git.isWorkingDirClean()) {
     output.warning('You have uncommitted changes. Commit or stash them first.');
@@ -172,6 +183,8 @@ async function createBranch(taskId, options) {
     const branchName = git.createTaskBranch(taskId, task.title, options.prefix);
 
     if (branchName) {
+      if (output.emit({ id: taskId, branch: branchName })) return;
+
       output.success(`Created branch: ${branchName}`);
 
       // Optionally start the task
@@ -187,21 +200,21 @@ async function createBranch(taskId, options) {
       if (startTask.start) {
         output.startSpinner('Starting task...');
         try {
-          await api.tasks.start(taskId);
-          output.stopSpinner(true, 'Task started');
+          const result = await api.tasks.start(taskId);
+          if (!output.queued(result)) {
+            output.stopSpinner(true, 'Task started');
+          }
         } catch (err) {
           output.stopSpinner(false);
           output.warning(`Could not start task: ${err.message}`);
         }
       }
     } else {
-      output.error('Failed to create branch');
-      process.exit(1);
+      fail('Failed to create branch');
     }
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -210,20 +223,20 @@ async function createBranch(taskId, options) {
  */
 async function commitWithTask(options) {
   if (!git.isGitRepo()) {
-    output.error('Not a git repository');
-    process.exit(1);
+    fail('Not a git repository');
   }
 
   const changes = git.getChanges();
   if (changes.staged === 0) {
-    output.error('No staged changes to commit. Use `git add` first.');
-    process.exit(1);
+    fail('No staged changes to commit. Use `git add` first.');
   }
 
   let { message, task } = options;
 
-  // Try to detect task from branch if not provided
-  if (!task) {
+  if (task) {
+    task = await resolveTask(task);
+  } else {
+    // Try to detect task from branch
     task = git.getTaskIdFromBranch();
     if (task) {
       output.info(`Detected task from branch: ${task}`);
@@ -259,6 +272,8 @@ async function commitWithTask(options) {
   const success = git.commitWithTask(message, task);
 
   if (success) {
+    if (output.emit({ id: task || null, commit: git.getCurrentCommit(), message })) return;
+
     output.success('Commit created');
 
     if (task) {
@@ -285,8 +300,10 @@ async function commitWithTask(options) {
 
         output.startSpinner('Updating progress...');
         try {
-          await api.tasks.progress(task, progress.percent, message);
-          output.stopSpinner(true, `Progress: ${progress.percent}%`);
+          const result = await api.tasks.progress(await findTask(task, { pick: false }), progress.percent, message);
+          if (!output.queued(result)) {
+            output.stopSpinner(true, `Progress: ${progress.percent}%`);
+          }
         } catch (err) {
           output.stopSpinner(false);
           output.warning(`Could not update progress: ${err.message}`);
@@ -294,8 +311,7 @@ async function commitWithTask(options) {
       }
     }
   } else {
-    output.error('Failed to create commit');
-    process.exit(1);
+    fail('Failed to create commit');
   }
 }
 
@@ -304,10 +320,11 @@ async function commitWithTask(options) {
  */
 async function linkBranch(taskId) {
   if (!git.isGitRepo()) {
-    output.error('Not a git repository');
-    process.exit(1);
+    fail('Not a git repository');
   }
 
+  taskId = await resolveTask(taskId);
+
   const branch = git.getCurrentBranch();
 
   output.startSpinner('Fetching task...');
@@ -316,15 +333,18 @@ async function linkBranch(taskId) {
     const task = await api.tasks.get(taskId);
     output.stopSpinner(true);
 
+    // The branch may hold a prefix or task number rather than the full ID
+    const detected = git.extractTaskIdFromBranch(branch);
+    const linked = detected ? await findTask(detected, { pick: false }).then(id => id === taskId, () => false) : false;
+    if (output.emit({ ...task, branch, linked })) return;
+
     output.info(`Linking branch "${branch}" to task:`);
-    console.log(`  ${task.title}`);
-    console.log(`  Status: ${output.statusBadge(task.status)}`);
+    output.print(`  ${task.title}`);
+    output.print(`  Status: ${output.statusBadge(task.status)}`);
 
     // In a real implementation, this would store the link in API or local config
     // For now, we suggest renaming the branch
-    const detected = git.extractTaskIdFromBranch(branch);
-
-    if (detected === taskId) {
+    if (linked) {
       output.success('Branch already linked to this task!');
     } else {
       output.muted(`\nTip: Rename branch to include task ID for auto-detection:`);
@@ -332,8 +352,7 @@ async function linkBranch(taskId) {
     }
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -342,36 +361,37 @@ async function linkBranch(taskId) {
  */
 async function repoInfo() {
   if (!git.isGitRepo()) {
-    output.error('Not a git repository');
-    process.exit(1);
+    fail('Not a git repository');
   }
 
-  console.log('\n' + output.colors.bold('Repository Info\n'));
-
   const root = git.getRepoRoot();
   const branch = git.getCurrentBranch();
   const commit = git.getCurrentCommit();
   const remoteUrl = git.getRemoteUrl();
   const repoInfo = git.parseRemoteUrl(remoteUrl);
 
-  console.log(`Root:     ${root}`);
-  console.log(`Branch:   ${branch}`);
-  console.log(`Commit:   ${commit || 'No commits'}`);
-  console.log(`Remote:   ${remoteUrl || 'No remote'}`);
+  if (output.emit({ id: git.getTaskIdFromBranch(), root, branch, commit, remoteUrl, remote: repoInfo })) return;
+
+  output.print('\n' + output.colors.bold('Repository Info\n'));
+
+  output.print(`Root:     ${root}`);
+  output.print(`Branch:   ${branch}`);
+  output.print(`Commit:   ${commit || 'No commits'}`);
+  output.print(`Remote:   ${remoteUrl || 'No remote'}`);
 
   if (repoInfo) {
-    console.log(`Provider: GitHub/GitLab/Bitbucket`);
-    console.log(`Owner:    ${repoInfo.owner}`);
-    console.log(`Repo:     ${repoInfo.repo}`);
+    output.print(`Provider: GitHub/GitLab/Bitbucket`);
+    output.print(`Owner:    ${repoInfo.owner}`);
+    output.print(`Repo:     ${repoInfo.repo}`);
   }
 
   // Task detection
   const taskId = git.getTaskIdFromBranch();
   if (taskId) {
-    console.log(`\nLinked Task: ${output.colors.primary(taskId)}`);
+    output.print(`\nLinked Task: ${output.colors.primary(taskId)}`);
   }
 
-  console.log('');
+  output.print('');
 }
 
 /**
@@ -379,23 +399,24 @@ async function repoInfo() {
  */
 async function showChanges() {
   if (!git.isGitRepo()) {
-    output.error('Not a git repository');
-    process.exit(1);
+    fail('Not a git repository');
   }
 
   const changes = git.getChanges();
 
-  console.log('\n' + output.colors.bold('Uncommitted Changes\n'));
+  if (output.emit(changes)) return;
+
+  output.print('\n' + output.colors.bold('Uncommitted Changes\n'));
 
   if (changes.total === 0) {
     output.success('Working directory clean');
     return;
   }
 
-  console.log(`Staged:    ${changes.staged > 0 ? output.colors.success(changes.staged) : 0} file(s)`);
-  console.log(`Unstaged:  ${changes.unstaged > 0 ? output.colors.warning(changes.unstaged) : 0} file(s)`);
-  console.log(`Untracked: ${changes.untracked > 0 ? output.colors.muted(changes.untracked) : 0} file(s)`);
-  console.log(`Total:     ${changes.total} file(s)\n`);
+  output.print(`Staged:    ${changes.staged > 0 ? output.colors.success(changes.staged) : 0} file(s)`);
+  output.print(`Unstaged:  ${changes.unstaged > 0 ? output.colors.warning(changes.unstaged) : 0} file(s)`);
+  output.print(`Untracked: ${changes.untracked > 0 ? output.colors.muted(changes.untracked) : 0} file(s)`);
+  output.print(`Total:     ${changes.total} file(s)\n`);
 
   // Suggestions
   if (changes.untracked > 0) {
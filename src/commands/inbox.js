@@ -0,0 +1,155 @@
+/**
+ * Inbox Commands
+ *
+ * Commands for notifications: mentions, assignments and other updates
+ * that otherwise only surface on the web.
+ */
+
+import inquirer from 'inquirer';
+import api from '../lib/api.js';
+import output from '../lib/output.js';
+import { exitWithError, fail } from '../lib/errors.js';
+
+/**
+ * Register inbox commands
+ * @param {Command} program - Commander program
+ */
+export function registerInboxCommands(program) {
+  const inbox = program
+    .command('inbox')
+    .description('Show notifications (unread by default)')
+    .option('-a, --all', 'Include read notifications')
+    .option('-l, --limit <n>', 'Limit results', '20')
+    .option('-i, --interactive', 'Pick a notification and open its task')
+    .action(async (options) => {
+      await listNotifications(options);
+    });
+
+  // Mark as read
+  inbox
+    .command('read [id]')
+    .description('Mark a notification as read')
+    .option('-a, --all', 'Mark all notifications as read')
+    .action(async (id, options, cmd) => {
+      // `inbox --all` shares the flag, so it may be parsed by the parent
+      await markRead(id, cmd.optsWithGlobals());
+    });
+}
+
+/**
+ * Get the task a notification points to, if any
+ */
+function getTaskId(notification) {
+  if (notification.taskId) return notification.taskId;
+  if (notification.entityType === 'task' && notification.entityId) return notification.entityId;
+  return notification.data?.taskId || null;
+}
+
+/**
+ * List notifications
+ */
+async function listNotifications(options) {
+  output.startSpinner('Fetching notifications...');
+
+  try {
+    const params = { limit: parseInt(options.limit, 10) };
+    if (!options.all) params.unread = true;
+
+    let notifications = await api.user.notifications(params) || [];
+    if (!options.all) {
+      notifications = notifications.filter(n => !n.read);
+    }
+
+    output.stopSpinner(true);
+
+    if (output.emit(notifications)) return;
+
+    if (notifications.length === 0) {
+      output.success(options.all ? 'No notifications' : 'Inbox zero - no unread notifications');
+      return;
+    }
+
+    if (options.interactive) {
+      await openNotification(notifications);
+      return;
+    }
+
+    const tableData = output.table(notifications, [
+      { key: 'read', header: '', format: (v) => (v ? ' ' : output.colors.primary('●')) },
+      { key: 'id', header: 'ID', format: (v) => output.colors.muted(v) },
+      { key: 'title', header: 'Notification', format: (v, n) => output.truncate(v || n.message || n.type, 50) },
+      { key: 'createdAt', header: 'When', format: (v) => output.formatRelativeTime(v) },
+    ]);
+
+    output.print(tableData);
+
+    const unread = notifications.filter(n => !n.read).length;
+    output.muted(`\n${unread} unread`);
+    output.muted('Mark as read: erold inbox read <id> (or --all)  Open: erold inbox -i');
+  } catch (err) {
+    output.stopSpinner(false);
+    exitWithError(err);
+  }
+}
+
+/**
+ * Pick a notification, mark it read and show its task
+ */
+async function openNotification(notifications) {
+  const { notification } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'notification',
+      message: 'Open notification:',
+      choices: notifications.map(n => ({
+        name: `${n.read ? ' ' : '●'} ${output.truncate(n.title || n.message || n.type, 50)} ${output.colors.muted(output.formatRelativeTime(n.createdAt))}`,
+        value: n,
+      })),
+    },
+  ]);
+
+  if (!notification.read) {
+    await api.user.markNotificationRead(notification.id);
+  }
+
+  const taskId = getTaskId(notification);
+  if (!taskId) {
+    output.print('');
+    output.print(output.colors.bold(notification.title || notification.type));
+    if (notification.message) output.print(notification.message);
+    return;
+  }
+
+  output.startSpinner('Fetching task...');
+  const task = await api.tasks.get(taskId);
+  output.stopSpinner(true);
+
+  output.print(output.taskDetails(task));
+}
+
+/**
+ * Mark one or all notifications as read
+ */
+async function markRead(id, options) {
+  if (!id && !options.all) {
+    fail('Specify a notification ID or --all', 'USAGE_ERROR');
+  }
+
+  output.startSpinner('Marking as read...');
+
+  try {
+    if (options.all) {
+      await api.user.markAllNotificationsRead();
+    } else {
+      await api.user.markNotificationRead(id);
+    }
+
+    output.stopSpinner(true, options.all ? 'All notifications marked as read' : 'Notification marked as read');
+    output.emit(options.all ? { all: true, read: true } : { id, read: true });
+  } catch (err) {
+    output.stopSpinner(false);
+    exitWithError(err);
+  }
+}
+
+export default { registerInboxCommands };
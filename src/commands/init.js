@@ -10,6 +10,7 @@
 import { existsSync, mkdirSync, writeFileSync, chmodSync, readFileSync } from 'fs';
 import { join } from 'path';
 import output from '../lib/output.js';
+import { fail } from '../lib/errors.js';
 import config from '../lib/config.js';
 import git from '../lib/git.js';
 
@@ -44,7 +45,10 @@ fi
 
 # Only run on branch checkout (not file checkout)
 if [ "$3" = "1" ]; then
-  erold current 2>/dev/null || true
+  # Answer from the local cache so checkout never waits on the network,
+  # then refresh the cache in the background
+  erold --offline current 2>/dev/null || true
+  (erold cache warm >/dev/null 2>&1 &)
 fi
 `,
 
@@ -99,6 +103,27 @@ fi
 `,
 };
 
+/**
+ * Check the Erold hooks in a repository
+ * @param {string} hooksDir - Git hooks directory
+ * @returns {object[]} { name, state }: installed, outdated, missing, or
+ *   other when a hook not written by Erold is in the way
+ */
+export function getHookStatus(hooksDir) {
+  return Object.entries(HOOKS).map(([name, content]) => {
+    const hookPath = join(hooksDir, name);
+    if (!existsSync(hookPath)) {
+      return { name, state: 'missing' };
+    }
+
+    const existing = readFileSync(hookPath, 'utf-8');
+    if (!existing.includes('Erold')) {
+      return { name, state: 'other' };
+    }
+    return { name, state: existing === content ? 'installed' : 'outdated' };
+  });
+}
+
 /**
  * Register init command
  */
@@ -126,8 +151,7 @@ export function registerInitCommands(program) {
 async function initProject(options) {
   // Check if in a git repo
   if (!git.isGitRepo()) {
-    output.error('Not in a git repository. Run `git init` first.');
-    process.exit(1);
+    fail('Not in a git repository. Run `git init` first.');
   }
 
   // Check if logged in
@@ -138,20 +162,21 @@ async function initProject(options) {
   const gitDir = git.getGitDir();
   const hooksDir = join(gitDir, 'hooks');
 
-  console.log('');
+  output.print('');
   output.info('Initializing Erold...');
-  console.log('');
+  output.print('');
 
   // Create hooks directory if needed
   if (!existsSync(hooksDir)) {
     mkdirSync(hooksDir, { recursive: true });
   }
 
+  let installedCount = 0;
+  let skippedCount = 0;
+  let createdConfig = null;
+
   if (options.hooks !== false) {
     // Install git hooks
-    let installedCount = 0;
-    let skippedCount = 0;
-
     for (const [hookName, hookContent] of Object.entries(HOOKS)) {
       const hookPath = join(hooksDir, hookName);
 
@@ -161,7 +186,14 @@ async function initProject(options) {
 
         // Check if it's our hook
         if (existing.includes('Erold')) {
-          output.muted(`  ${output.icons.success} ${hookName} (already installed)`);
+          if (existing !== hookContent) {
+            // Installed by an older version: replace it
+            writeFileSync(hookPath, hookContent);
+            chmodSync(hookPath, '755');
+            output.success(`  ${output.icons.success} ${hookName} (updated)`);
+          } else {
+            output.muted(`  ${output.icons.success} ${hookName} (already installed)`);
+          }
           installedCount++;
           continue;
         }
@@ -179,7 +211,7 @@ async function initProject(options) {
       installedCount++;
     }
 
-    console.log('');
+    output.print('');
 
     if (installedCount > 0) {
       output.success(`Installed ${installedCount} git hook(s)`);
@@ -202,30 +234,33 @@ async function initProject(options) {
         defaultProject: defaultProject || null,
       }, null, 2));
 
+      createdConfig = eroldConfigPath;
       output.success(`Created .erold.json config`);
       output.muted('  Add this to .gitignore if you want per-user config');
     }
   }
 
-  console.log('');
+  if (output.emit({ hooksInstalled: installedCount, hooksSkipped: skippedCount, configFile: createdConfig })) return;
+
+  output.print('');
   output.success('Erold initialized!');
-  console.log('');
+  output.print('');
 
   // Show next steps
-  console.log(output.colors.bold('Next steps:'));
-  console.log('');
-  console.log('  1. Create a task:');
-  console.log('     erold todo "Implement feature X"');
-  console.log('');
-  console.log('  2. Start working (creates branch):');
-  console.log('     erold start <taskId> --branch');
-  console.log('');
-  console.log('  3. Commit as usual - task updates automatically');
-  console.log('     git commit -m "Add feature"');
-  console.log('');
-  console.log('  4. Push to complete task');
-  console.log('     git push');
-  console.log('');
+  output.print(output.colors.bold('Next steps:'));
+  output.print('');
+  output.print('  1. Create a task:');
+  output.print('     erold todo "Implement feature X"');
+  output.print('');
+  output.print('  2. Start working (creates branch):');
+  output.print('     erold start <taskId> --branch');
+  output.print('');
+  output.print('  3. Commit as usual - task updates automatically');
+  output.print('     git commit -m "Add feature"');
+  output.print('');
+  output.print('  4. Push to complete task');
+  output.print('     git push');
+  output.print('');
 
   if (!config.isConfigured()) {
     output.muted('Run `erold login` to connect to your Erold account.');
@@ -237,8 +272,7 @@ async function initProject(options) {
  */
 async function uninstallHooks() {
   if (!git.isGitRepo()) {
-    output.error('Not in a git repository.');
-    process.exit(1);
+    fail('Not in a git repository.');
   }
 
   const gitDir = git.getGitDir();
@@ -270,6 +304,8 @@ async function uninstallHooks() {
     output.success('Removed .erold.json');
   }
 
+  if (output.emit({ hooksRemoved: removedCount })) return;
+
   if (removedCount > 0) {
     output.success(`\nRemoved ${removedCount} Erold hook(s)`);
   } else {
@@ -277,4 +313,4 @@ async function uninstallHooks() {
   }
 }
 
-export default { registerInitCommands };
+export default { registerInitCommands, getHookStatus };
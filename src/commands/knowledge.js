@@ -7,8 +7,11 @@
 import inquirer from 'inquirer';
 import api from '../lib/api.js';
 import output from '../lib/output.js';
+import { exitWithError, fail } from '../lib/errors.js';
+import paging from '../lib/paging.js';
+import { resolveProject } from '../lib/resolve.js';
 
-const CATEGORIES = [
+export const CATEGORIES = [
   'architecture',
   'api',
   'deployment',
@@ -21,6 +24,14 @@ const CATEGORIES = [
   'other',
 ];
 
+const KNOWLEDGE_COLUMNS = [
+  { key: 'id', header: 'ID', format: (v) => output.colors.muted(v.substring(0, 8)) },
+  { key: 'title', header: 'Title', format: (v) => output.truncate(v, 35) },
+  { key: 'category', header: 'Category', format: (v) => output.colors.highlight(v) },
+  { key: 'projectId', header: 'Scope', format: (v) => v ? output.colors.success('Project') : output.colors.primary('Global') },
+  { key: 'updatedAt', header: 'Updated', format: (v) => output.formatRelativeTime(v) },
+];
+
 /**
  * Register knowledge commands
  * @param {Command} program - Commander program
@@ -29,14 +40,15 @@ export function registerKnowledgeCommands(program) {
   const knowledge = program.command('knowledge').alias('kb').description('Manage knowledge base');
 
   // List knowledge entries
-  knowledge
+  const list = knowledge
     .command('list')
     .alias('ls')
     .description('List knowledge entries')
     .option('-c, --category <category>', `Filter by category (${CATEGORIES.join(', ')})`)
     .option('-p, --project <projectId>', 'Filter by project (shows global + project entries)')
     .option('--global', 'Show only global entries')
-    .option('-l, --limit <n>', 'Limit results', '20')
+    .option('-l, --limit <n>', 'Limit results', '20');
+  paging.addPagingOptions(list)
     .action(async (options) => {
       await listKnowledge(options);
     });
@@ -110,45 +122,47 @@ export function registerKnowledgeCommands(program) {
  * List knowledge entries
  */
 async function listKnowledge(options) {
-  output.startSpinner('Fetching knowledge entries...');
+  const pageOptions = paging.getPagingOptions(options);
+
+  const params = {};
+  if (options.category) params.category = options.category;
+
+  // Handle project/scope filtering
+  if (options.global) {
+    params.scope = 'global';
+  } else if (options.project) {
+    params.projectId = await resolveProject(options.project);
+    params.scope = 'combined'; // global + project
+  }
 
   try {
-    const params = {
-      limit: parseInt(options.limit, 10),
-    };
-    if (options.category) params.category = options.category;
-
-    // Handle project/scope filtering
-    if (options.global) {
-      params.scope = 'global';
-    } else if (options.project) {
-      params.projectId = options.project;
-      params.scope = 'combined'; // global + project
+    const pages = api.knowledge.listPages(params, pageOptions);
+
+    if (pageOptions.all) {
+      const count = await paging.streamPages(pages, KNOWLEDGE_COLUMNS, { spinnerText: 'Fetching knowledge entries...' });
+      if (count === 0) output.info('No knowledge entries found');
+      else output.muted(`\nShowing ${count} entry(ies)`);
+      return;
     }
 
-    const entries = await api.knowledge.list(params);
+    output.startSpinner('Fetching knowledge entries...');
+    const page = await paging.fetchPage(pages, pageOptions.page);
+    const entries = page.items;
 
     output.stopSpinner(true);
 
+    if (output.emit(entries)) return;
+
     if (!entries || entries.length === 0) {
       output.info('No knowledge entries found');
       return;
     }
 
-    const tableData = output.table(entries, [
-      { key: 'id', header: 'ID', format: (v) => output.colors.muted(v.substring(0, 8)) },
-      { key: 'title', header: 'Title', format: (v) => output.truncate(v, 35) },
-      { key: 'category', header: 'Category', format: (v) => output.colors.highlight(v) },
-      { key: 'projectId', header: 'Scope', format: (v) => v ? output.colors.success('Project') : output.colors.info('Global') },
-      { key: 'updatedAt', header: 'Updated', format: (v) => output.formatRelativeTime(v) },
-    ]);
-
-    console.log(tableData);
-    output.muted(`\nShowing ${entries.length} entry(ies)`);
+    output.print(output.table(entries, KNOWLEDGE_COLUMNS));
+    paging.printPageSummary(page, pageOptions, 'entry(ies)');
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -163,22 +177,23 @@ async function showKnowledge(id) {
 
     output.stopSpinner(true);
 
-    console.log('');
-    console.log(output.colors.bold(entry.title));
-    console.log(output.colors.muted(`Category: ${entry.category}`));
-    console.log(output.colors.muted(`Scope: ${entry.projectId ? `Project (${entry.projectId})` : 'Global'}`));
-    console.log(output.colors.muted(`Updated: ${output.formatDateTime(entry.updatedAt)}`));
-    console.log('');
-    console.log(entry.content);
-    console.log('');
+    if (output.emit(entry)) return;
+
+    output.print('');
+    output.print(output.colors.bold(entry.title));
+    output.print(output.colors.muted(`Category: ${entry.category}`));
+    output.print(output.colors.muted(`Scope: ${entry.projectId ? `Project (${entry.projectId})` : 'Global'}`));
+    output.print(output.colors.muted(`Updated: ${output.formatDateTime(entry.updatedAt)}`));
+    output.print('');
+    output.print(entry.content);
+    output.print('');
 
     if (entry.tags && entry.tags.length > 0) {
-      console.log(output.colors.muted(`Tags: ${entry.tags.join(', ')}`));
+      output.print(output.colors.muted(`Tags: ${entry.tags.join(', ')}`));
     }
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -187,6 +202,7 @@ async function showKnowledge(id) {
  */
 async function createKnowledge(options) {
   let { title, category, content, interactive, project } = options;
+  if (project) project = await resolveProject(project);
 
   // Interactive mode or missing required fields
   if (interactive || !title || !category || !content) {
@@ -227,8 +243,7 @@ async function createKnowledge(options) {
 
   // Validate category
   if (!CATEGORIES.includes(category)) {
-    output.error(`Invalid category. Must be one of: ${CATEGORIES.join(', ')}`);
-    process.exit(1);
+    fail(`Invalid category. Must be one of: ${CATEGORIES.join(', ')}`, 'VALIDATION_ERROR');
   }
 
   output.startSpinner('Creating entry...');
@@ -244,16 +259,17 @@ async function createKnowledge(options) {
     const entry = await api.knowledge.create(entryData);
 
     output.stopSpinner(true, 'Entry created');
+    if (output.emit(entry)) return;
+
     output.success(`Created: ${entry.id}`);
 
-    console.log('');
-    console.log(output.colors.bold(entry.title));
-    console.log(output.colors.muted(`Category: ${entry.category}`));
-    console.log(output.colors.muted(`Scope: ${entry.projectId ? 'Project' : 'Global'}`));
+    output.print('');
+    output.print(output.colors.bold(entry.title));
+    output.print(output.colors.muted(`Category: ${entry.category}`));
+    output.print(output.colors.muted(`Scope: ${entry.projectId ? 'Project' : 'Global'}`));
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -266,8 +282,7 @@ async function updateKnowledge(id, options) {
   if (options.title) updates.title = options.title;
   if (options.category) {
     if (!CATEGORIES.includes(options.category)) {
-      output.error(`Invalid category. Must be one of: ${CATEGORIES.join(', ')}`);
-      process.exit(1);
+      fail(`Invalid category. Must be one of: ${CATEGORIES.join(', ')}`, 'VALIDATION_ERROR');
     }
     updates.category = options.category;
   }
@@ -299,14 +314,14 @@ async function updateKnowledge(id, options) {
   try {
     const entry = await api.knowledge.update(id, updates);
     output.stopSpinner(true, 'Entry updated');
+    if (output.emit(entry)) return;
 
-    console.log('');
-    console.log(output.colors.bold(entry.title));
-    console.log(output.colors.muted(`Category: ${entry.category}`));
+    output.print('');
+    output.print(output.colors.bold(entry.title));
+    output.print(output.colors.muted(`Category: ${entry.category}`));
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -321,29 +336,30 @@ async function searchKnowledge(query) {
 
     output.stopSpinner(true);
 
+    if (output.emit(entries)) return;
+
     if (!entries || entries.length === 0) {
       output.info('No entries found matching your search');
       return;
     }
 
-    console.log('');
+    output.print('');
     entries.forEach((entry) => {
-      console.log(output.colors.bold(entry.title));
-      console.log(output.colors.muted(`  ${entry.category} | ${entry.id.substring(0, 8)}`));
+      output.print(output.colors.bold(entry.title));
+      output.print(output.colors.muted(`  ${entry.category} | ${entry.id.substring(0, 8)}`));
 
       // Show content preview
       if (entry.content) {
         const preview = entry.content.substring(0, 150).replace(/\n/g, ' ');
-        console.log(`  ${preview}${entry.content.length > 150 ? '...' : ''}`);
+        output.print(`  ${preview}${entry.content.length > 150 ? '...' : ''}`);
       }
-      console.log('');
+      output.print('');
     });
 
     output.muted(`Found ${entries.length} result(s)`);
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -372,10 +388,10 @@ async function deleteKnowledge(id, options) {
   try {
     await api.knowledge.delete(id);
     output.stopSpinner(true, 'Entry deleted');
+    output.emit({ id, deleted: true });
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -384,8 +400,7 @@ async function deleteKnowledge(id, options) {
  */
 async function listByCategory(category) {
   if (!CATEGORIES.includes(category)) {
-    output.error(`Invalid category. Must be one of: ${CATEGORIES.join(', ')}`);
-    process.exit(1);
+    fail(`Invalid category. Must be one of: ${CATEGORIES.join(', ')}`, 'VALIDATION_ERROR');
   }
 
   output.startSpinner(`Fetching ${category} entries...`);
@@ -395,24 +410,25 @@ async function listByCategory(category) {
 
     output.stopSpinner(true);
 
+    if (output.emit(entries)) return;
+
     if (!entries || entries.length === 0) {
       output.info(`No entries in category: ${category}`);
       return;
     }
 
-    console.log(`\n${output.colors.bold(`Category: ${category}`)}\n`);
+    output.print(`\n${output.colors.bold(`Category: ${category}`)}\n`);
 
     entries.forEach((entry) => {
-      console.log(`  ${output.colors.highlight('•')} ${entry.title}`);
-      console.log(`    ${output.colors.muted(entry.id.substring(0, 8))} | ${output.formatRelativeTime(entry.updatedAt)}`);
+      output.print(`  ${output.colors.highlight('•')} ${entry.title}`);
+      output.print(`    ${output.colors.muted(entry.id.substring(0, 8))} | ${output.formatRelativeTime(entry.updatedAt)}`);
     });
 
-    console.log('');
+    output.print('');
     output.muted(`${entries.length} entry(ies) in this category`);
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -0,0 +1,215 @@
+/**
+ * Profile Commands
+ *
+ * Commands for managing named profiles: separate credentials,
+ * API endpoints and defaults per account.
+ */
+
+import inquirer from 'inquirer';
+import config from '../lib/config.js';
+import output from '../lib/output.js';
+import { exitWithError, fail } from '../lib/errors.js';
+
+/**
+ * Register profile commands
+ * @param {Command} program - Commander program
+ */
+export function registerProfileCommands(program) {
+  const profile = program.command('profile').description('Manage named profiles for multiple accounts');
+
+  // List profiles
+  profile
+    .command('list')
+    .alias('ls')
+    .description('List profiles')
+    .action(async () => {
+      await listProfiles();
+    });
+
+  // Add or update a profile
+  profile
+    .command('add <name>')
+    .description('Add a profile (or update an existing one)')
+    .option('-k, --key <apiKey>', 'API key')
+    .option('-u, --api-url <url>', 'API URL')
+    .option('-t, --tenant <tenant>', 'Tenant ID or slug')
+    .option('-p, --default-project <id>', 'Default project')
+    .option('--use', 'Make this the active profile')
+    .action(async (name, options) => {
+      await addProfile(name, options);
+    });
+
+  // Switch active profile
+  profile
+    .command('use <name>')
+    .description('Set the active profile')
+    .action(async (name) => {
+      await useProfile(name);
+    });
+
+  // Show a profile
+  profile
+    .command('show [name]')
+    .description('Show profile details (defaults to the active profile)')
+    .action(async (name) => {
+      await showProfile(name);
+    });
+
+  // Remove a profile
+  profile
+    .command('remove <name>')
+    .alias('rm')
+    .description('Remove a profile and its credentials')
+    .option('-f, --force', 'Skip confirmation')
+    .action(async (name, options) => {
+      await removeProfile(name, options);
+    });
+}
+
+/**
+ * List profiles
+ */
+async function listProfiles() {
+  const profiles = config.listProfiles();
+
+  if (output.emit(profiles, { idKey: 'name' })) return;
+
+  const tableData = output.table(profiles, [
+    { key: 'active', header: '', format: (v) => (v ? output.colors.success('*') : '') },
+    { key: 'name', header: 'Profile', format: (v) => output.colors.highlight(v) },
+    { key: 'apiUrl', header: 'API URL' },
+    { key: 'tenant', header: 'Tenant', format: (v) => v || output.colors.muted('-') },
+    { key: 'hasKey', header: 'Key', format: (v) => (v ? output.colors.success('set') : output.colors.muted('not set')) },
+  ]);
+
+  output.print(tableData);
+}
+
+/**
+ * Add or update a profile
+ */
+async function addProfile(name, options) {
+  if (!config.isValidProfileName(name)) {
+    fail('Profile names may only contain letters, numbers, dashes and underscores', 'VALIDATION_ERROR');
+  }
+
+  if (options.key && !options.key.startsWith('erold_')) {
+    output.warning('API keys typically start with "erold_"');
+  }
+
+  const exists = config.hasProfile(name);
+
+  config.saveProfile(name, {
+    apiUrl: options.apiUrl,
+    tenant: options.tenant,
+    defaultProject: options.defaultProject,
+  });
+
+  if (options.key) {
+    try {
+      await config.storeApiKey(name, options.key);
+    } catch (err) {
+      exitWithError(err);
+    }
+  }
+
+  if (options.use) {
+    config.setActiveProfile(name);
+  }
+
+  if (output.emit({ name, created: !exists, active: Boolean(options.use) }, { idKey: 'name' })) return;
+
+  output.success(`${exists ? 'Updated' : 'Added'} profile: ${name}`);
+  if (options.use) {
+    output.success(`Switched to profile: ${name}`);
+  }
+
+  if (!options.key && !config.getProfile(name)?.apiKey) {
+    output.muted(`Authenticate with: erold --profile ${name} login`);
+  }
+}
+
+/**
+ * Set the active profile
+ */
+async function useProfile(name) {
+  if (!config.hasProfile(name)) {
+    fail(`Unknown profile: ${name}`, 'NOT_FOUND', {
+      hint: 'Run `erold profile list` to see available profiles',
+    });
+  }
+
+  config.setActiveProfile(name);
+  output.emit({ name, active: true }, { idKey: 'name' });
+  output.success(`Switched to profile: ${name}`);
+
+  if (process.env.EROLD_PROFILE && process.env.EROLD_PROFILE !== name) {
+    output.warning(`EROLD_PROFILE=${process.env.EROLD_PROFILE} is set and takes precedence`);
+  }
+}
+
+/**
+ * Show profile details
+ */
+async function showProfile(name) {
+  name = name || config.getActiveProfile();
+
+  if (!config.hasProfile(name)) {
+    fail(`Unknown profile: ${name}`, 'NOT_FOUND');
+  }
+
+  const profile = config.getProfile(name);
+  const active = name === config.getActiveProfile();
+
+  if (output.emit({
+    name,
+    active,
+    apiKey: profile.apiKey ? profile.apiKey.substring(0, 10) + '...[hidden]' : '',
+    apiUrl: profile.apiUrl || '',
+    tenant: profile.tenant || '',
+    defaultProject: profile.defaultProject || '',
+  }, { idKey: 'name' })) return;
+
+  output.print('');
+  output.print(output.colors.bold(`Profile: ${name}`) + (active ? output.colors.success(' (active)') : ''));
+  output.print(`  API Key:         ${profile.apiKey ? profile.apiKey.substring(0, 10) + '...' : output.colors.muted('Not set')}`);
+  output.print(`  API URL:         ${profile.apiUrl || output.colors.muted('Default')}`);
+  output.print(`  Tenant:          ${profile.tenant || output.colors.muted('Not set')}`);
+  output.print(`  Default Project: ${profile.defaultProject || output.colors.muted('Not set')}`);
+  output.print('');
+}
+
+/**
+ * Remove a profile
+ */
+async function removeProfile(name, options) {
+  if (name === config.DEFAULT_PROFILE) {
+    fail('The default profile cannot be removed. Use `erold logout` to clear its credentials.');
+  }
+
+  if (!config.hasProfile(name)) {
+    fail(`Unknown profile: ${name}`, 'NOT_FOUND');
+  }
+
+  if (!options.force) {
+    const confirm = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'remove',
+        message: `Remove profile ${name} and its credentials?`,
+        default: false,
+      },
+    ]);
+
+    if (!confirm.remove) {
+      output.info('Cancelled');
+      return;
+    }
+  }
+
+  config.removeProfile(name);
+  output.emit({ name, removed: true }, { idKey: 'name' });
+  output.success(`Removed profile: ${name}`);
+}
+
+export default { registerProfileCommands };
@@ -7,6 +7,25 @@
 import inquirer from 'inquirer';
 import api from '../lib/api.js';
 import output from '../lib/output.js';
+import { exitWithError, fail } from '../lib/errors.js';
+import paging from '../lib/paging.js';
+import { resolveProject } from '../lib/resolve.js';
+
+const PROJECT_COLUMNS = [
+  { key: 'id', header: 'ID', format: (v) => output.colors.muted(v.substring(0, 8)) },
+  { key: 'name', header: 'Name', format: (v) => output.truncate(v, 30) },
+  { key: 'slug', header: 'Slug', format: (v) => v || '-' },
+  { key: 'status', header: 'Status', format: (v) => output.statusBadge(v) },
+  { key: 'taskCount', header: 'Tasks', format: (v) => v ?? '-' },
+];
+
+const TASK_COLUMNS = [
+  { key: 'id', header: 'ID', format: (v) => output.colors.muted(v.substring(0, 8)) },
+  { key: 'title', header: 'Title', format: (v) => output.truncate(v, 40) },
+  { key: 'status', header: 'Status', format: (v) => output.statusBadge(v) },
+  { key: 'priority', header: 'Priority', format: (v) => output.priorityBadge(v) },
+  { key: 'assignedTo', header: 'Assignee', format: (v) => v || '-' },
+];
 
 /**
  * Register project commands
@@ -16,11 +35,12 @@ export function registerProjectCommands(program) {
   const projects = program.command('projects').description('Manage projects');
 
   // List projects
-  projects
+  const list = projects
     .command('list')
     .alias('ls')
     .description('List all projects')
-    .option('-s, --status <status>', 'Filter by status (planning, active, on_hold, completed, cancelled)')
+    .option('-s, --status <status>', 'Filter by status (planning, active, on_hold, completed, cancelled)');
+  paging.addPagingOptions(list)
     .action(async (options) => {
       await listProjects(options);
     });
@@ -68,11 +88,12 @@ export function registerProjectCommands(program) {
     });
 
   // List project tasks
-  projects
+  const tasks = projects
     .command('tasks <projectId>')
     .description('List tasks in a project')
     .option('-s, --status <status>', 'Filter by status')
-    .option('-l, --limit <n>', 'Limit results', '20')
+    .option('-l, --limit <n>', 'Limit results', '20');
+  paging.addPagingOptions(tasks)
     .action(async (projectId, options) => {
       await projectTasks(projectId, options);
     });
@@ -100,35 +121,39 @@ export function registerProjectCommands(program) {
  * List projects
  */
 async function listProjects(options) {
-  output.startSpinner('Fetching projects...');
+  const pageOptions = paging.getPagingOptions(options);
+
+  const params = {};
+  if (options.status) params.status = options.status;
 
   try {
-    const params = {};
-    if (options.status) params.status = options.status;
+    const pages = api.projects.listPages(params, pageOptions);
 
-    const projects = await api.projects.list(params);
+    if (pageOptions.all) {
+      const count = await paging.streamPages(pages, PROJECT_COLUMNS, { spinnerText: 'Fetching projects...' });
+      if (count === 0) output.info('No projects found');
+      else output.muted(`\nShowing ${count} project(s)`);
+      return;
+    }
+
+    output.startSpinner('Fetching projects...');
+    const page = await paging.fetchPage(pages, pageOptions.page);
+    const projects = page.items;
 
     output.stopSpinner(true);
 
+    if (output.emit(projects)) return;
+
     if (!projects || projects.length === 0) {
       output.info('No projects found');
       return;
     }
 
-    const tableData = output.table(projects, [
-      { key: 'id', header: 'ID', format: (v) => output.colors.muted(v.substring(0, 8)) },
-      { key: 'name', header: 'Name', format: (v) => output.truncate(v, 30) },
-      { key: 'slug', header: 'Slug', format: (v) => v || '-' },
-      { key: 'status', header: 'Status', format: (v) => output.statusBadge(v) },
-      { key: 'taskCount', header: 'Tasks', format: (v) => v ?? '-' },
-    ]);
-
-    console.log(tableData);
-    output.muted(`\nShowing ${projects.length} project(s)`);
+    output.print(output.table(projects, PROJECT_COLUMNS));
+    paging.printPageSummary(page, pageOptions, 'project(s)');
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -136,6 +161,8 @@ async function listProjects(options) {
  * Show project details
  */
 async function showProject(projectId) {
+  projectId = await resolveProject(projectId);
+
   output.startSpinner('Fetching project...');
 
   try {
@@ -143,6 +170,8 @@ async function showProject(projectId) {
 
     output.stopSpinner(true);
 
+    if (output.emit(project)) return;
+
     const content = [
       `${output.colors.bold(project.name)}`,
       '',
@@ -154,21 +183,20 @@ async function showProject(projectId) {
       .filter(Boolean)
       .join('\n');
 
-    console.log(output.box(content, `Project: ${project.id.substring(0, 8)}`, 'info'));
+    output.print(output.box(content, `Project: ${project.id.substring(0, 8)}`, 'info'));
 
     // Show quick stats if available
     if (project.taskCount !== undefined) {
-      console.log(`\nTasks: ${project.taskCount}`);
+      output.print(`\nTasks: ${project.taskCount}`);
     }
 
     if (project.completedTasks !== undefined && project.taskCount) {
       const percent = Math.round((project.completedTasks / project.taskCount) * 100);
-      console.log(`Progress: ${percent}% (${project.completedTasks}/${project.taskCount} done)`);
+      output.print(`Progress: ${percent}% (${project.completedTasks}/${project.taskCount} done)`);
     }
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -235,6 +263,8 @@ async function createProject(options) {
     const project = await api.projects.create(projectData);
 
     output.stopSpinner(true, 'Project created');
+    if (output.emit(project)) return;
+
     output.success(`Created project: ${project.id}`);
 
     const content = [
@@ -246,11 +276,10 @@ async function createProject(options) {
       .filter(Boolean)
       .join('\n');
 
-    console.log(output.box(content, `Project: ${project.id.substring(0, 8)}`, 'success'));
+    output.print(output.box(content, `Project: ${project.id.substring(0, 8)}`, 'success'));
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -265,15 +294,17 @@ async function updateProject(projectId, options) {
   if (options.status) updates.status = options.status;
 
   if (Object.keys(updates).length === 0) {
-    output.error('No updates specified. Use --name, --description, or --status.');
-    process.exit(1);
+    fail('No updates specified. Use --name, --description, or --status.', 'VALIDATION_ERROR');
   }
 
+  projectId = await resolveProject(projectId);
+
   output.startSpinner('Updating project...');
 
   try {
     const project = await api.projects.update(projectId, updates);
     output.stopSpinner(true, 'Project updated');
+    if (output.emit(project)) return;
 
     const content = [
       `${output.colors.bold(project.name)}`,
@@ -281,11 +312,10 @@ async function updateProject(projectId, options) {
       `Status: ${output.statusBadge(project.status)}`,
     ].join('\n');
 
-    console.log(output.box(content, `Project: ${project.id.substring(0, 8)}`, 'success'));
+    output.print(output.box(content, `Project: ${project.id.substring(0, 8)}`, 'success'));
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -293,6 +323,8 @@ async function updateProject(projectId, options) {
  * Show project statistics
  */
 async function projectStats(projectId) {
+  projectId = await resolveProject(projectId);
+
   output.startSpinner('Fetching project stats...');
 
   try {
@@ -303,50 +335,51 @@ async function projectStats(projectId) {
 
     output.stopSpinner(true);
 
-    console.log(`\n${output.colors.bold(project.name)} - Statistics\n`);
+    if (output.emit({ ...stats, id: project.id, name: project.name })) return;
+
+    output.print(`\n${output.colors.bold(project.name)} - Statistics\n`);
 
     // Task breakdown
-    console.log(output.colors.bold('Tasks by Status:'));
+    output.print(output.colors.bold('Tasks by Status:'));
     const statuses = ['todo', 'in_progress', 'in_review', 'blocked', 'done'];
     statuses.forEach((status) => {
       const count = stats.byStatus?.[status] || 0;
-      console.log(`  ${output.statusBadge(status)}: ${count}`);
+      output.print(`  ${output.statusBadge(status)}: ${count}`);
     });
 
-    console.log('');
+    output.print('');
 
     // Priority breakdown
     if (stats.byPriority) {
-      console.log(output.colors.bold('Tasks by Priority:'));
+      output.print(output.colors.bold('Tasks by Priority:'));
       const priorities = ['critical', 'urgent', 'high', 'medium', 'low'];
       priorities.forEach((priority) => {
         const count = stats.byPriority[priority] || 0;
         if (count > 0) {
-          console.log(`  ${output.priorityBadge(priority)}: ${count}`);
+          output.print(`  ${output.priorityBadge(priority)}: ${count}`);
         }
       });
-      console.log('');
+      output.print('');
     }
 
     // Overall stats
-    console.log(output.colors.bold('Overview:'));
-    console.log(`  Total Tasks: ${stats.totalTasks || 0}`);
-    console.log(`  Completed: ${stats.completedTasks || 0}`);
+    output.print(output.colors.bold('Overview:'));
+    output.print(`  Total Tasks: ${stats.totalTasks || 0}`);
+    output.print(`  Completed: ${stats.completedTasks || 0}`);
 
     if (stats.totalTasks > 0) {
       const percent = Math.round(((stats.completedTasks || 0) / stats.totalTasks) * 100);
-      console.log(`  Progress: ${percent}%`);
+      output.print(`  Progress: ${percent}%`);
     }
 
     if (stats.totalTimeLogged) {
-      console.log(`  Time Logged: ${stats.totalTimeLogged}h`);
+      output.print(`  Time Logged: ${stats.totalTimeLogged}h`);
     }
 
-    console.log('');
+    output.print('');
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -354,37 +387,41 @@ async function projectStats(projectId) {
  * List project tasks
  */
 async function projectTasks(projectId, options) {
-  output.startSpinner('Fetching tasks...');
+  projectId = await resolveProject(projectId);
+
+  const pageOptions = paging.getPagingOptions(options);
+
+  const params = {};
+  if (options.status) params.status = options.status;
 
   try {
-    const params = {
-      limit: parseInt(options.limit, 10),
-    };
-    if (options.status) params.status = options.status;
+    const pages = api.projects.tasksPages(projectId, params, pageOptions);
+
+    if (pageOptions.all) {
+      const count = await paging.streamPages(pages, TASK_COLUMNS, { spinnerText: 'Fetching tasks...' });
+      if (count === 0) output.info('No tasks in this project');
+      else output.muted(`\nShowing ${count} task(s)`);
+      return;
+    }
 
-    const tasks = await api.projects.tasks(projectId, params);
+    output.startSpinner('Fetching tasks...');
+    const page = await paging.fetchPage(pages, pageOptions.page);
+    const tasks = page.items;
 
     output.stopSpinner(true);
 
+    if (output.emit(tasks)) return;
+
     if (!tasks || tasks.length === 0) {
       output.info('No tasks in this project');
       return;
     }
 
-    const tableData = output.table(tasks, [
-      { key: 'id', header: 'ID', format: (v) => output.colors.muted(v.substring(0, 8)) },
-      { key: 'title', header: 'Title', format: (v) => output.truncate(v, 40) },
-      { key: 'status', header: 'Status', format: (v) => output.statusBadge(v) },
-      { key: 'priority', header: 'Priority', format: (v) => output.priorityBadge(v) },
-      { key: 'assignedTo', header: 'Assignee', format: (v) => v || '-' },
-    ]);
-
-    console.log(tableData);
-    output.muted(`\nShowing ${tasks.length} task(s)`);
+    output.print(output.table(tasks, TASK_COLUMNS));
+    paging.printPageSummary(page, pageOptions, 'task(s)');
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -392,6 +429,8 @@ async function projectTasks(projectId, options) {
  * Delete a project
  */
 async function deleteProject(projectId, options) {
+  projectId = await resolveProject(projectId);
+
   if (!options.force) {
     output.warning('This will delete the project and all its tasks!');
 
@@ -415,10 +454,10 @@ async function deleteProject(projectId, options) {
   try {
     await api.projects.delete(projectId);
     output.stopSpinner(true, 'Project deleted');
+    output.emit({ id: projectId, deleted: true });
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -1,15 +1,20 @@
 /**
  * Shortcut Commands
  *
- * Quick commands for common operations: status, todo, current, members, invite.
+ * Quick commands for common operations: status, todo, current, progress, log,
+ * comment, learn.
  * These are root-level shortcuts for faster workflows.
  */
 
 import inquirer from 'inquirer';
 import api from '../lib/api.js';
 import output from '../lib/output.js';
+import { exitWithError, fail } from '../lib/errors.js';
 import git from '../lib/git.js';
 import config from '../lib/config.js';
+import outbox from '../lib/outbox.js';
+import watch from '../lib/watch.js';
+import { findTask, resolveTask, resolveProject, rememberTask } from '../lib/resolve.js';
 
 /**
  * Register shortcut commands
@@ -21,7 +26,7 @@ export function registerShortcutCommands(program) {
     .command('status')
     .alias('st')
     .description('Quick overview: my tasks, blockers, and upcoming due dates')
-    .option('--json', 'Output as JSON')
+    .option('-w, --watch [seconds]', `Refresh in place every few seconds (default ${watch.DEFAULT_INTERVAL})`)
     .action(async (options) => {
       await statusCommand(options);
     });
@@ -46,23 +51,6 @@ export function registerShortcutCommands(program) {
       await showCurrentTask(options);
     });
 
-  // Members - list team members
-  program
-    .command('members')
-    .description('List team members')
-    .action(async () => {
-      await listMembers();
-    });
-
-  // Invite - invite a new member
-  program
-    .command('invite <email>')
-    .description('Invite a new team member')
-    .option('-r, --role <role>', 'Role (owner, admin, member, viewer, guest)', 'member')
-    .action(async (email, options) => {
-      await inviteMember(email, options);
-    });
-
   // Progress - update task progress (AI workflow)
   program
     .command('progress <percent> [message]')
@@ -110,96 +98,161 @@ export function registerShortcutCommands(program) {
  */
 async function statusCommand(options) {
   if (!config.isConfigured()) {
-    output.error('Not logged in. Run `erold login` first.');
-    process.exit(1);
+    fail('Not logged in. Run `erold login` first.', 'AUTH_REQUIRED');
+  }
+
+  if (options.watch) {
+    await watch.run({
+      interval: watch.parseInterval(options.watch),
+      load: loadStatus,
+      tasks: statusTasks,
+      render: printStatus,
+    });
+    return;
   }
 
   output.startSpinner('Loading status...');
 
   try {
-    // Fetch data in parallel
-    const [myTasks, blockedTasks, dashboard] = await Promise.all([
-      api.tasks.mine({ limit: 10 }),
-      api.tasks.blocked(),
-      api.context.dashboard(),
-    ]);
+    const status = await loadStatus();
 
     output.stopSpinner(true);
 
-    if (options.json) {
-      output.json({ myTasks, blockedTasks, dashboard });
+    if (output.isQuiet()) {
+      output.emit(status.myTasks);
       return;
     }
 
-    console.log('\n' + output.colors.bold('=== Erold Status ===\n'));
+    if (output.emit(status)) return;
 
-    // Git context (if in repo)
-    if (git.isGitRepo()) {
-      const branch = git.getCurrentBranch();
-      const taskId = git.getTaskIdFromBranch();
-      console.log(`Branch: ${output.colors.highlight(branch)}`);
-      if (taskId) {
-        console.log(`Task:   ${output.colors.primary(taskId)}`);
-      }
-      console.log('');
-    }
+    printStatus(status);
+  } catch (err) {
+    output.stopSpinner(false);
+    exitWithError(err);
+  }
+}
 
-    // My tasks in progress
-    const inProgress = myTasks.filter(t => t.status === 'in_progress');
-    if (inProgress.length > 0) {
-      console.log(output.colors.bold(`In Progress (${inProgress.length}):`));
-      inProgress.forEach(task => {
-        console.log(`  ${output.colors.blue('●')} ${output.truncate(task.title, 50)}`);
-        if (task.progress) {
-          console.log(`    ${output.colors.muted(`Progress: ${task.progress}%`)}`);
-        }
-      });
-      console.log('');
-    }
+/**
+ * Fetch everything the status overview shows
+ * @returns {Promise<object>}
+ */
+async function loadStatus() {
+  const [myTasks, blockedTasks, dashboard, notifications] = await Promise.all([
+    api.tasks.mine({ limit: 10 }),
+    api.tasks.blocked(),
+    api.context.dashboard(),
+    // The inbox is a nice-to-have here; don't fail the overview over it
+    api.user.notifications({ unread: true }).catch(() => null),
+  ]);
+  const unreadCount = notifications ? notifications.filter(n => !n.read).length : null;
+
+  return { myTasks, blockedTasks, dashboard, unreadNotifications: unreadCount, outbox: outbox.pendingCount() };
+}
 
-    // Blocked tasks
-    if (blockedTasks && blockedTasks.length > 0) {
-      console.log(output.colors.bold(output.colors.error(`Blocked (${blockedTasks.length}):`)));
-      blockedTasks.slice(0, 5).forEach(task => {
-        console.log(`  ${output.icons.blocked} ${output.truncate(task.title, 50)}`);
-        if (task.blockReason) {
-          console.log(`    ${output.colors.muted(task.blockReason)}`);
-        }
-      });
-      console.log('');
-    }
+/**
+ * Tasks compared between refreshes in watch mode
+ */
+function statusTasks({ myTasks, blockedTasks }) {
+  const mine = myTasks || [];
+  const ids = new Set(mine.map(t => t.id));
+  return mine.concat((blockedTasks || []).filter(t => !ids.has(t.id)));
+}
+
+/**
+ * Print the status overview
+ * @param {object} status - From loadStatus
+ * @param {Map} changes - Tasks changed since the last refresh (watch mode)
+ */
+function printStatus(status, changes = new Map()) {
+  const { myTasks, blockedTasks, dashboard, unreadNotifications: unreadCount, outbox: outboxCount } = status;
 
-    // Upcoming due dates
-    if (dashboard.upcomingDue && dashboard.upcomingDue.length > 0) {
-      console.log(output.colors.bold('Due Soon:'));
-      dashboard.upcomingDue.slice(0, 5).forEach(task => {
-        const dueDate = task.dueDate ? output.formatDate(task.dueDate) : 'No date';
-        const isOverdue = task.dueDate && new Date(task.dueDate) < new Date();
-        const dateStr = isOverdue
-          ? output.colors.error(dueDate + ' (overdue)')
-          : output.colors.warning(dueDate);
-        console.log(`  ${output.icons.clock} ${dateStr} - ${output.truncate(task.title, 40)}`);
-      });
-      console.log('');
+  output.print('\n' + output.colors.bold('=== Erold Status ===\n'));
+
+  // Git context (if in repo)
+  if (git.isGitRepo()) {
+    const branch = git.getCurrentBranch();
+    const taskId = git.getTaskIdFromBranch();
+    output.print(`Branch: ${output.colors.highlight(branch)}`);
+    if (taskId) {
+      output.print(`Task:   ${output.colors.primary(taskId)}`);
     }
+    output.print('');
+  }
 
-    // Quick stats
-    console.log(output.colors.bold('Summary:'));
-    console.log(`  My Tasks: ${myTasks.length}`);
-    console.log(`  Blocked:  ${blockedTasks?.length || 0}`);
-    console.log(`  Open:     ${dashboard.openTasks || 0}`);
-    console.log('');
+  // My tasks in progress
+  const inProgress = myTasks.filter(t => t.status === 'in_progress');
+  if (inProgress.length > 0) {
+    output.print(output.colors.bold(`In Progress (${inProgress.length}):`));
+    inProgress.forEach(task => {
+      output.print(`  ${output.colors.blue('●')} ${watch.highlight(output.truncate(task.title, 50), changes.get(task.id))}`);
+      if (task.progress) {
+        output.print(`    ${output.colors.muted(`Progress: ${task.progress}%`)}`);
+      }
+    });
+    output.print('');
+  }
 
-    // Quick tips
-    output.muted('Quick actions:');
-    output.muted('  erold tasks --mine     List all my tasks');
-    output.muted('  erold todo "Title"     Create a quick task');
-    output.muted('  erold done <id>        Complete a task');
+  // Blocked tasks
+  if (blockedTasks && blockedTasks.length > 0) {
+    output.print(output.colors.bold(output.colors.error(`Blocked (${blockedTasks.length}):`)));
+    blockedTasks.slice(0, 5).forEach(task => {
+      output.print(`  ${output.icons.blocked} ${watch.highlight(output.truncate(task.title, 50), changes.get(task.id))}`);
+      if (task.blockReason) {
+        output.print(`    ${output.colors.muted(task.blockReason)}`);
+      }
+    });
+    output.print('');
+  }
 
-  } catch (err) {
-    output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+  // Changes to my other tasks (watch mode)
+  const shown = new Set([...inProgress, ...(blockedTasks || []).slice(0, 5)].map(t => t.id));
+  const otherChanges = myTasks.filter(t => changes.has(t.id) && !shown.has(t.id));
+  if (otherChanges.length > 0) {
+    output.print(output.colors.bold('Changed:'));
+    otherChanges.forEach(task => {
+      output.print(`  ${output.statusBadge(task.status)} ${watch.highlight(output.truncate(task.title, 50), changes.get(task.id))}`);
+    });
+    output.print('');
+  }
+
+  // Upcoming due dates
+  if (dashboard.upcomingDue && dashboard.upcomingDue.length > 0) {
+    output.print(output.colors.bold('Due Soon:'));
+    dashboard.upcomingDue.slice(0, 5).forEach(task => {
+      const dueDate = task.dueDate ? output.formatDate(task.dueDate) : 'No date';
+      const isOverdue = task.dueDate && new Date(task.dueDate) < new Date();
+      const dateStr = isOverdue
+        ? output.colors.error(dueDate + ' (overdue)')
+        : output.colors.warning(dueDate);
+      output.print(`  ${output.icons.clock} ${dateStr} - ${output.truncate(task.title, 40)}`);
+    });
+    output.print('');
+  }
+
+  // Quick stats
+  output.print(output.colors.bold('Summary:'));
+  output.print(`  My Tasks: ${myTasks.length}`);
+  output.print(`  Blocked:  ${blockedTasks?.length || 0}`);
+  output.print(`  Open:     ${dashboard.openTasks || 0}`);
+  if (unreadCount !== null) {
+    const inbox = `${unreadCount} unread`;
+    output.print(`  Inbox:    ${unreadCount > 0 ? output.colors.warning(inbox) : inbox}`);
+  }
+  if (outboxCount > 0) {
+    output.print(`  Outbox:   ${output.colors.warning(`${outboxCount} change(s) not synced`)}`);
+  }
+  output.print('');
+
+  // Quick tips
+  output.muted('Quick actions:');
+  output.muted('  erold tasks --mine     List all my tasks');
+  output.muted('  erold todo "Title"     Create a quick task');
+  output.muted('  erold done <id>        Complete a task');
+  if (unreadCount > 0) {
+    output.muted('  erold inbox            Read notifications');
+  }
+  if (outboxCount > 0) {
+    output.muted('  erold sync             Send changes made offline');
   }
 }
 
@@ -208,8 +261,7 @@ async function statusCommand(options) {
  */
 async function quickTodo(title, options) {
   if (!config.isConfigured()) {
-    output.error('Not logged in. Run `erold login` first.');
-    process.exit(1);
+    fail('Not logged in. Run `erold login` first.', 'AUTH_REQUIRED');
   }
 
   let { project, priority } = options;
@@ -225,8 +277,7 @@ async function quickTodo(title, options) {
       output.stopSpinner(true);
 
       if (!projects || projects.length === 0) {
-        output.error('No projects found. Create a project first.');
-        process.exit(1);
+        fail('No projects found. Create a project first.');
       }
 
       if (projects.length === 1) {
@@ -261,6 +312,8 @@ async function quickTodo(title, options) {
     }
   }
 
+  project = await resolveProject(project);
+
   output.startSpinner('Creating task...');
 
   try {
@@ -269,21 +322,22 @@ async function quickTodo(title, options) {
       priority: priority || 'medium',
       status: 'todo',
     });
+    rememberTask(task.id);
 
     output.stopSpinner(true, 'Task created');
+    if (output.emit(task)) return;
 
-    console.log('');
-    console.log(`${output.icons.success} ${output.colors.success('Created:')} ${task.title}`);
-    console.log(`   ID: ${output.colors.muted(task.id)}`);
-    console.log(`   Priority: ${output.priorityBadge(task.priority)}`);
-    console.log('');
+    output.print('');
+    output.print(`${output.icons.success} ${output.colors.success('Created:')} ${task.title}`);
+    output.print(`   ID: ${output.colors.muted(task.id)}`);
+    output.print(`   Priority: ${output.priorityBadge(task.priority)}`);
+    output.print('');
 
     output.muted(`Start working: erold start ${task.id}`);
 
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -292,8 +346,8 @@ async function quickTodo(title, options) {
  */
 async function showCurrentTask(options = {}) {
   if (!git.isGitRepo()) {
-    if (!options.idOnly) output.error('Not in a git repository');
-    process.exit(1);
+    if (options.idOnly) process.exit(1);
+    fail('Not in a git repository');
   }
 
   const branch = git.getCurrentBranch();
@@ -308,12 +362,11 @@ async function showCurrentTask(options = {}) {
   }
 
   if (!config.isConfigured()) {
-    output.error('Not logged in. Run `erold login` first.');
-    process.exit(1);
+    fail('Not logged in. Run `erold login` first.', 'AUTH_REQUIRED');
   }
 
-  console.log('');
-  console.log(`Branch: ${output.colors.highlight(branch)}`);
+  output.print('');
+  output.print(`Branch: ${output.colors.highlight(branch)}`);
 
   if (!taskId) {
     output.warning('No task ID detected from branch name.');
@@ -327,14 +380,16 @@ async function showCurrentTask(options = {}) {
   output.startSpinner('Fetching task...');
 
   try {
-    const task = await api.tasks.get(taskId);
+    const task = await api.tasks.get(await findTask(taskId, { pick: false }));
     output.stopSpinner(true);
 
-    console.log('');
-    console.log(output.taskCard(task));
+    if (output.emit({ ...task, branch })) return;
+
+    output.print('');
+    output.print(output.taskCard(task));
 
     // Show suggestions based on status
-    console.log('');
+    output.print('');
     if (task.status === 'todo') {
       output.muted(`Start working: erold start ${task.id}`);
     } else if (task.status === 'in_progress') {
@@ -348,107 +403,10 @@ async function showCurrentTask(options = {}) {
     output.stopSpinner(false);
 
     if (err.statusCode === 404) {
-      output.warning(`Task ${taskId} not found`);
-      output.muted('The task may have been deleted or you may not have access.');
-    } else {
-      output.error(err.message);
+      err.message = `Task ${taskId} not found`;
+      err.hint = 'The task may have been deleted or you may not have access.';
     }
-    process.exit(1);
-  }
-}
-
-/**
- * List team members
- */
-async function listMembers() {
-  if (!config.isConfigured()) {
-    output.error('Not logged in. Run `erold login` first.');
-    process.exit(1);
-  }
-
-  output.startSpinner('Fetching members...');
-
-  try {
-    const members = await api.members.list();
-    output.stopSpinner(true);
-
-    if (!members || members.length === 0) {
-      output.info('No members found');
-      return;
-    }
-
-    console.log('\n' + output.colors.bold('Team Members\n'));
-
-    const tableData = output.table(members, [
-      { key: 'name', header: 'Name', format: v => v || '-' },
-      { key: 'email', header: 'Email', format: v => v || '-' },
-      { key: 'role', header: 'Role', format: v => output.colors.highlight(v) },
-      { key: 'status', header: 'Status', format: v => v === 'active' ? output.colors.success('active') : output.colors.muted(v || '-') },
-    ]);
-
-    console.log(tableData);
-    output.muted(`\n${members.length} member(s)`);
-
-  } catch (err) {
-    output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
-  }
-}
-
-/**
- * Invite a team member
- */
-async function inviteMember(email, options) {
-  if (!config.isConfigured()) {
-    output.error('Not logged in. Run `erold login` first.');
-    process.exit(1);
-  }
-
-  // Validate email
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(email)) {
-    output.error('Invalid email address');
-    process.exit(1);
-  }
-
-  // Validate role
-  const validRoles = ['owner', 'admin', 'member', 'viewer', 'guest'];
-  if (!validRoles.includes(options.role)) {
-    output.error(`Invalid role. Must be one of: ${validRoles.join(', ')}`);
-    process.exit(1);
-  }
-
-  // Confirm for sensitive roles
-  if (options.role === 'owner' || options.role === 'admin') {
-    const confirm = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'proceed',
-        message: `Are you sure you want to invite ${email} as ${options.role}?`,
-        default: false,
-      },
-    ]);
-
-    if (!confirm.proceed) {
-      output.info('Cancelled');
-      return;
-    }
-  }
-
-  output.startSpinner(`Inviting ${email}...`);
-
-  try {
-    await api.members.invite(email, options.role);
-    output.stopSpinner(true, 'Invite sent');
-
-    output.success(`Invited ${email} as ${options.role}`);
-    output.muted('They will receive an email with instructions to join.');
-
-  } catch (err) {
-    output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -458,26 +416,18 @@ async function inviteMember(email, options) {
  */
 async function updateProgress(percent, message, options) {
   if (!config.isConfigured()) {
-    output.error('Not logged in. Run `erold login` first.');
-    process.exit(1);
+    fail('Not logged in. Run `erold login` first.', 'AUTH_REQUIRED');
   }
 
   // Parse percent
   const percentNum = parseInt(percent, 10);
   if (isNaN(percentNum) || percentNum < 0 || percentNum > 100) {
-    output.error('Progress must be a number between 0 and 100');
-    process.exit(1);
+    fail('Progress must be a number between 0 and 100', 'VALIDATION_ERROR');
   }
 
   // Get task ID
-  let taskId = options.task;
-  if (!taskId) {
-    taskId = git.getTaskIdFromBranch();
-    if (!taskId) {
-      output.error('No task ID provided and could not detect from branch name.');
-      output.muted('Use --task <id> or work from a branch like feature/task-123-description');
-      process.exit(1);
-    }
+  const taskId = await resolveTask(options.task || '@current');
+  if (!options.task) {
     output.info(`Detected task from branch: ${taskId}`);
   }
 
@@ -485,15 +435,17 @@ async function updateProgress(percent, message, options) {
 
   try {
     const task = await api.tasks.progress(taskId, percentNum, message || '');
+    if (output.queued(task)) return;
     output.stopSpinner(true, 'Progress updated');
+    if (output.emit(task)) return;
 
-    console.log('');
-    console.log(`${output.icons.success} ${output.colors.success(task.title)}`);
-    console.log(`   Progress: ${output.colors.highlight(`${percentNum}%`)}`);
+    output.print('');
+    output.print(`${output.icons.success} ${output.colors.success(task.title)}`);
+    output.print(`   Progress: ${output.colors.highlight(`${percentNum}%`)}`);
     if (message) {
-      console.log(`   Note: ${output.colors.muted(message)}`);
+      output.print(`   Note: ${output.colors.muted(message)}`);
     }
-    console.log('');
+    output.print('');
 
     // Suggest next action
     if (percentNum === 100) {
@@ -501,8 +453,7 @@ async function updateProgress(percent, message, options) {
     }
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -512,44 +463,37 @@ async function updateProgress(percent, message, options) {
  */
 async function quickLogTime(time, options) {
   if (!config.isConfigured()) {
-    output.error('Not logged in. Run `erold login` first.');
-    process.exit(1);
+    fail('Not logged in. Run `erold login` first.', 'AUTH_REQUIRED');
   }
 
   // Parse time string
   const hours = parseTimeString(time);
   if (hours === null) {
-    output.error('Invalid time format. Use: 2h, 30m, 1.5h, 90m');
-    process.exit(1);
+    fail('Invalid time format. Use: 2h, 30m, 1.5h, 90m', 'VALIDATION_ERROR');
   }
 
   // Get task ID
-  let taskId = options.task;
-  if (!taskId) {
-    taskId = git.getTaskIdFromBranch();
-    if (!taskId) {
-      output.error('No task ID provided and could not detect from branch name.');
-      output.muted('Use --task <id> or work from a branch like feature/task-123-description');
-      process.exit(1);
-    }
+  const taskId = await resolveTask(options.task || '@current');
+  if (!options.task) {
     output.info(`Detected task from branch: ${taskId}`);
   }
 
   output.startSpinner(`Logging ${hours}h...`);
 
   try {
-    await api.tasks.logTime(taskId, hours, options.notes || '');
+    const result = await api.tasks.logTime(taskId, hours, options.notes || '');
+    if (output.queued(result)) return;
     output.stopSpinner(true, `Logged ${hours}h`);
+    if (output.emit({ id: taskId, hours, notes: options.notes || '' })) return;
 
-    console.log('');
-    console.log(`${output.icons.success} Logged ${output.colors.highlight(hours + 'h')} on task`);
+    output.print('');
+    output.print(`${output.icons.success} Logged ${output.colors.highlight(hours + 'h')} on task`);
     if (options.notes) {
-      console.log(`   Notes: ${output.colors.muted(options.notes)}`);
+      output.print(`   Notes: ${output.colors.muted(options.notes)}`);
     }
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -588,40 +532,33 @@ function parseTimeString(time) {
  */
 async function quickComment(message, options) {
   if (!config.isConfigured()) {
-    output.error('Not logged in. Run `erold login` first.');
-    process.exit(1);
+    fail('Not logged in. Run `erold login` first.', 'AUTH_REQUIRED');
   }
 
   if (!message || !message.trim()) {
-    output.error('Comment cannot be empty');
-    process.exit(1);
+    fail('Comment cannot be empty', 'VALIDATION_ERROR');
   }
 
   // Get task ID
-  let taskId = options.task;
-  if (!taskId) {
-    taskId = git.getTaskIdFromBranch();
-    if (!taskId) {
-      output.error('No task ID provided and could not detect from branch name.');
-      output.muted('Use --task <id> or work from a branch like feature/task-123-description');
-      process.exit(1);
-    }
+  const taskId = await resolveTask(options.task || '@current');
+  if (!options.task) {
     output.info(`Detected task from branch: ${taskId}`);
   }
 
   output.startSpinner('Adding comment...');
 
   try {
-    await api.tasks.addComment(taskId, message.trim());
+    const comment = await api.tasks.addComment(taskId, message.trim());
+    if (output.queued(comment)) return;
     output.stopSpinner(true, 'Comment added');
+    if (output.emit(comment)) return;
 
-    console.log('');
-    console.log(`${output.icons.success} ${output.colors.success('Comment added')}`);
-    console.log(`   ${output.colors.muted(output.truncate(message, 60))}`);
+    output.print('');
+    output.print(`${output.icons.success} ${output.colors.success('Comment added')}`);
+    output.print(`   ${output.colors.muted(output.truncate(message, 60))}`);
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -631,21 +568,18 @@ async function quickComment(message, options) {
  */
 async function addKnowledge(insight, options) {
   if (!config.isConfigured()) {
-    output.error('Not logged in. Run `erold login` first.');
-    process.exit(1);
+    fail('Not logged in. Run `erold login` first.', 'AUTH_REQUIRED');
   }
 
   if (!insight || !insight.trim()) {
-    output.error('Insight cannot be empty');
-    process.exit(1);
+    fail('Insight cannot be empty', 'VALIDATION_ERROR');
   }
 
   // Validate category
   const validCategories = ['architecture', 'decisions', 'patterns', 'issues', 'other'];
   const category = options.category || 'decisions';
   if (!validCategories.includes(category)) {
-    output.error(`Invalid category. Must be one of: ${validCategories.join(', ')}`);
-    process.exit(1);
+    fail(`Invalid category. Must be one of: ${validCategories.join(', ')}`, 'VALIDATION_ERROR');
   }
 
   // Parse tags
@@ -654,6 +588,8 @@ async function addKnowledge(insight, options) {
   // Generate title from insight (first 50 chars or first sentence)
   const title = insight.split('.')[0].substring(0, 50) + (insight.length > 50 ? '...' : '');
 
+  const projectId = options.project ? await resolveProject(options.project) : null;
+
   output.startSpinner('Adding to knowledge base...');
 
   try {
@@ -662,26 +598,26 @@ async function addKnowledge(insight, options) {
       content: insight,
       category,
       tags,
-      projectId: options.project || null,
+      projectId,
       source: 'cli',
     });
 
     output.stopSpinner(true, 'Knowledge added');
+    if (output.emit(entry)) return;
 
-    console.log('');
-    console.log(`${output.icons.success} ${output.colors.success('Added to knowledge base')}`);
-    console.log(`   Category: ${output.colors.highlight(category)}`);
+    output.print('');
+    output.print(`${output.icons.success} ${output.colors.success('Added to knowledge base')}`);
+    output.print(`   Category: ${output.colors.highlight(category)}`);
     if (tags.length > 0) {
-      console.log(`   Tags: ${tags.join(', ')}`);
+      output.print(`   Tags: ${tags.join(', ')}`);
     }
-    console.log(`   ID: ${output.colors.muted(entry.id)}`);
-    console.log('');
+    output.print(`   ID: ${output.colors.muted(entry.id)}`);
+    output.print('');
 
     output.muted(`View: erold kb show ${entry.id}`);
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
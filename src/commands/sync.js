@@ -0,0 +1,218 @@
+/**
+ * Sync Command
+ *
+ * Replays changes saved to the outbox while the API was unreachable
+ * (time logs, comments, progress and other task updates), in the order
+ * they were made.
+ */
+
+import api, { ApiError } from '../lib/api.js';
+import output from '../lib/output.js';
+import outbox from '../lib/outbox.js';
+import config from '../lib/config.js';
+import { exitWithError, fail } from '../lib/errors.js';
+
+// Stop syncing: the rest of the queue would fail the same way
+const STOP_STATUSES = [401, 408, 429];
+
+/**
+ * Register sync command
+ * @param {Command} program - Commander program
+ */
+export function registerSyncCommands(program) {
+  program
+    .command('sync')
+    .description('Send changes saved while offline')
+    .option('--status', 'Show pending changes without sending them')
+    .option('--retry', 'Also retry changes that previously conflicted')
+    .option('--discard <id>', 'Remove a change from the outbox without sending it')
+    .action(async (options) => {
+      if (options.status) {
+        showOutbox();
+      } else if (options.discard) {
+        discardChange(options.discard);
+      } else {
+        await syncOutbox(options);
+      }
+    });
+}
+
+/**
+ * Describe a queued change for humans
+ */
+function describeChange(entry) {
+  const match = entry.endpoint.match(/\/tasks\/([^/]+)(?:\/([^/?]+))?$/);
+  if (!match) {
+    return `${entry.method} ${entry.endpoint}`;
+  }
+
+  const [, taskId, action] = match;
+  const body = entry.body || {};
+
+  switch (action) {
+    case 'log':
+      return `Log ${body.hours}h on ${taskId}`;
+    case 'comments':
+      return `Comment on ${taskId}: ${output.truncate(body.content || '', 40)}`;
+    case 'progress':
+      return `Progress ${body.percent}% on ${taskId}`;
+    case 'start':
+      return `Start ${taskId}`;
+    case 'complete':
+      return `Complete ${taskId}`;
+    case 'block':
+      return `Block ${taskId}`;
+    default:
+      return entry.method === 'PATCH'
+        ? `Update ${taskId} (${Object.keys(body).join(', ')})`
+        : `${entry.method} ${entry.endpoint}`;
+  }
+}
+
+/**
+ * Whether an entry was queued for the current account
+ */
+function isForCurrentAccount(entry) {
+  const { profile, apiUrl } = config.getApiConfig();
+  return entry.profile === profile && entry.apiUrl === apiUrl;
+}
+
+/**
+ * Whether a failure means the API could not be used right now
+ * (as opposed to this particular change being rejected)
+ */
+function isTransient(err) {
+  return !(err instanceof ApiError)
+    || err.statusCode === null
+    || err.statusCode >= 500
+    || STOP_STATUSES.includes(err.statusCode);
+}
+
+/**
+ * Show pending changes
+ */
+function showOutbox() {
+  const entries = outbox.list().map(entry => ({ ...entry, description: describeChange(entry) }));
+
+  if (output.emit(entries)) return;
+
+  if (entries.length === 0) {
+    output.success('Outbox is empty - everything is synced');
+    return;
+  }
+
+  output.print(output.table(entries, [
+    { key: 'id', header: 'ID', format: v => output.colors.muted(v) },
+    { key: 'description', header: 'Change', format: v => output.truncate(v, 50) },
+    { key: 'queuedAt', header: 'Made', format: v => output.formatRelativeTime(v) },
+    {
+      key: 'status',
+      header: 'Status',
+      format: (v, e) => (v === outbox.STATUS.CONFLICT
+        ? output.colors.error(`conflict: ${output.truncate(e.lastError || '', 30)}`)
+        : output.colors.warning(v)),
+    },
+    { key: 'profile', header: 'Profile', format: v => v || '-' },
+  ]));
+
+  const conflicts = entries.filter(e => e.status === outbox.STATUS.CONFLICT).length;
+  output.muted(`\n${entries.length} change(s), ${conflicts} conflict(s)`);
+  output.muted('Send: erold sync  Retry conflicts: erold sync --retry  Drop one: erold sync --discard <id>');
+}
+
+/**
+ * Remove a change without sending it
+ */
+function discardChange(id) {
+  if (!outbox.remove(id)) {
+    fail(`No outbox entry ${id}`, 'NOT_FOUND', { hint: 'Run `erold sync --status` to see pending changes' });
+  }
+
+  if (output.emit({ id, discarded: true })) return;
+  output.success(`Discarded ${id}`);
+}
+
+/**
+ * Replay pending changes in order
+ */
+async function syncOutbox(options) {
+  const entries = outbox.list();
+  const mine = entries.filter(isForCurrentAccount);
+  const others = entries.length - mine.length;
+  const toSend = mine.filter(e => e.status === outbox.STATUS.PENDING || options.retry);
+
+  if (toSend.length === 0) {
+    if (!output.emit({ synced: 0, conflicts: 0, pending: mine.length, otherProfiles: others, results: [] }, { idKey: 'synced' })) {
+      output.success('Nothing to sync');
+      if (mine.length > 0) {
+        output.muted(`${mine.length} conflicting change(s) skipped. Retry with: erold sync --retry`);
+      }
+      if (others > 0) {
+        output.muted(`${others} change(s) belong to other profiles. Switch with --profile to sync them.`);
+      }
+    }
+    return;
+  }
+
+  const results = [];
+  let stopError = null;
+
+  output.startSpinner(`Syncing ${toSend.length} change(s)...`);
+
+  for (const entry of toSend) {
+    const description = describeChange(entry);
+    output.updateSpinner(`Syncing: ${description}`);
+
+    try {
+      await api.replay(entry);
+      outbox.remove(entry.id);
+      results.push({ id: entry.id, description, status: 'synced' });
+    } catch (err) {
+      if (isTransient(err)) {
+        // Keep this and everything after it, in order, for the next sync
+        outbox.update(entry.id, { attempts: entry.attempts + 1, lastError: err.message });
+        stopError = err;
+        break;
+      }
+
+      outbox.update(entry.id, {
+        status: outbox.STATUS.CONFLICT,
+        attempts: entry.attempts + 1,
+        lastError: err.message,
+        statusCode: err.statusCode,
+      });
+      results.push({ id: entry.id, description, status: 'conflict', error: err.message, statusCode: err.statusCode });
+    }
+  }
+
+  const synced = results.filter(r => r.status === 'synced').length;
+  const conflicts = results.filter(r => r.status === 'conflict');
+  const pending = outbox.list().filter(isForCurrentAccount).length;
+
+  output.stopSpinner(!stopError && conflicts.length === 0, `Synced ${synced} of ${toSend.length} change(s)`);
+
+  const summary = { synced, conflicts: conflicts.length, pending, otherProfiles: others, results };
+  if (!output.emit(summary, { idKey: 'synced' })) {
+    results.forEach((r) => {
+      if (r.status === 'synced') {
+        output.print(`  ${output.icons.success} ${r.description}`);
+      } else {
+        output.print(`  ${output.icons.error} ${r.description}`);
+        output.print(`    ${output.colors.error(r.error)}`);
+      }
+    });
+  }
+
+  if (stopError) {
+    stopError.hint = `${pending} change(s) still in the outbox. Run \`erold sync\` again later.`;
+    exitWithError(stopError);
+  }
+
+  if (conflicts.length > 0) {
+    fail(`${conflicts.length} change(s) could not be applied`, 'CONFLICT', {
+      hint: 'Inspect with `erold sync --status`, then retry with --retry or drop with --discard <id>',
+    });
+  }
+}
+
+export default { registerSyncCommands };
@@ -4,10 +4,124 @@
  * Commands for managing tasks: list, create, update, complete, etc.
  */
 
+import { openSync } from 'fs';
+import { ReadStream } from 'tty';
 import inquirer from 'inquirer';
 import api from '../lib/api.js';
 import output from '../lib/output.js';
+import { CliError, exitWithError, fail, getErrorCode } from '../lib/errors.js';
 import git from '../lib/git.js';
+import config from '../lib/config.js';
+import bulk from '../lib/bulk.js';
+import paging from '../lib/paging.js';
+import query from '../lib/query.js';
+import { findProject, findTask, isFullId, resolveTask, resolveProject, rememberTask } from '../lib/resolve.js';
+
+const TASK_COLUMNS = [
+  { key: 'id', header: 'ID', format: (v) => output.colors.muted(v.substring(0, 8)) },
+  { key: 'title', header: 'Title', format: (v) => output.truncate(v, 40) },
+  { key: 'status', header: 'Status', format: (v) => output.statusBadge(v) },
+  { key: 'priority', header: 'Priority', format: (v) => output.priorityBadge(v) },
+  { key: 'assignedTo', header: 'Assignee', format: (v) => v || '-' },
+];
+
+// Page size when tasks are filtered or sorted locally
+const QUERY_PAGE_SIZE = 100;
+
+const QUERY_HELP = `
+Queries (--where):
+  status:todo,in-progress     any of several values
+  -tag:wontfix                leading - negates a term
+  priority:>=high             <, <=, >, >= on priority, progress and dates
+  due:<7d  created:>-2w       dates: YYYY-MM-DD, today, now, or offsets (7d, -2w, 12h)
+  progress:20..80             ranges, inclusive
+  assignee:me  due:none       yourself, or no value
+Fields: status, priority, assignee, tag, due, created, updated, progress, project
+
+Sort (--sort): priority, status, due, created, updated, progress, title
+  Comma-separate fields; -field sorts that field descending.
+  The API cannot sort, so --sort and --reverse read every matching task
+  before showing the first --limit. Narrow with --where or -p on large tenants.`;
+
+const BULK_COLUMNS = [
+  { key: 'id', header: 'ID', format: (v) => output.colors.muted(v.substring(0, 8)) },
+  { key: 'title', header: 'Title', format: (v) => output.truncate(v, 40) },
+  { key: 'change', header: 'Change', format: (v) => v || output.colors.muted('no change') },
+];
+
+// Columns for --columns
+const COLUMN_CHOICES = {
+  id: TASK_COLUMNS[0],
+  title: TASK_COLUMNS[1],
+  status: TASK_COLUMNS[2],
+  priority: TASK_COLUMNS[3],
+  assignee: TASK_COLUMNS[4],
+  project: { key: 'projectId', header: 'Project', format: (v) => (v ? output.colors.muted(v.substring(0, 8)) : '-') },
+  due: { key: 'dueDate', header: 'Due', format: (v) => (v ? output.formatDate(v) : '-') },
+  progress: { key: 'progress', header: 'Progress', format: (v) => `${v || 0}%` },
+  tags: { key: 'tags', header: 'Tags', format: (v) => (v && v.length > 0 ? v.join(', ') : '-') },
+  created: { key: 'createdAt', header: 'Created', format: (v) => (v ? output.formatDate(v) : '-') },
+  updated: { key: 'updatedAt', header: 'Updated', format: (v) => (v ? output.formatRelativeTime(v) : '-') },
+};
+
+const SEARCH_COLUMNS = [
+  { key: 'id', header: 'ID', format: (v) => output.colors.muted(v.substring(0, 8)) },
+  { key: 'title', header: 'Title', format: (v) => output.truncate(v, 40) },
+  { key: 'status', header: 'Status', format: (v) => output.statusBadge(v) },
+  { key: 'projectName', header: 'Project', format: (v) => v || '-' },
+];
+
+/**
+ * Add the filter, sort and display options of `tasks list`
+ * Shared with `view save`, which stores them.
+ * @param {Command} command - Commander command
+ * @returns {Command} The command, for chaining
+ */
+export function addListOptions(command) {
+  return command
+    .option('-p, --project <id>', 'Filter by project (defaults to defaultProject)')
+    .option('-s, --status <status>', 'Filter by status (backlog, analysis, todo, in-progress, in-review, bug, blocked, done)')
+    .option('-a, --assignee <email>', 'Filter by assignee')
+    .option('--priority <priority>', 'Filter by priority (low, medium, high, urgent, critical)')
+    .option('-m, --mine', 'Show only my tasks')
+    .option('-w, --where <query>', 'Filter with a query, e.g. "status:todo,in-progress -tag:wontfix"')
+    .option('--sort <fields>', 'Sort by fields, e.g. priority,-due (reads every matching task)')
+    .option('--reverse', 'Reverse the order (reads every matching task)')
+    .option('-c, --columns <names>', `Table columns (${Object.keys(COLUMN_CHOICES).join(', ')})`)
+    .option('-l, --limit <n>', 'Limit results', '20')
+    .addHelpText('after', QUERY_HELP);
+}
+
+/**
+ * Get table columns from --columns
+ * @param {string} names - Comma-separated column names
+ * @returns {object[]} Column definitions
+ * @throws {CliError} On unknown columns
+ */
+function getTaskColumns(names) {
+  if (!names) return TASK_COLUMNS;
+
+  return names.split(',').filter(Boolean).map((name) => {
+    const column = COLUMN_CHOICES[name.trim().toLowerCase()];
+    if (!column) {
+      throw new CliError(`Unknown column: ${name}`, 'VALIDATION_ERROR', {
+        hint: `Columns: ${Object.keys(COLUMN_CHOICES).join(', ')}`,
+      });
+    }
+    return column;
+  });
+}
+
+/**
+ * Check the query, sort and columns of list options without running them
+ * @param {object} options - `tasks list` options
+ * @throws {CliError} On an invalid --where, --sort or --columns
+ */
+export function validateListOptions(options) {
+  query.parse(options.where);
+  if (options.sort) query.parseSort(options.sort);
+  getTaskColumns(options.columns);
+}
 
 /**
  * Register task commands
@@ -16,17 +130,20 @@ import git from '../lib/git.js';
 export function registerTaskCommands(program) {
   const tasks = program.command('tasks').description('Manage tasks');
 
+  tasks.addHelpText('after', `
+Task references (wherever a <taskId> is expected):
+  abc12345   ID prefix, as shown in lists
+  WEB-123    Task number in a project (plain 123 uses defaultProject)
+  @current   Task linked to the current git branch
+  @last      Task used most recently`);
+
   // List tasks
-  tasks
+  const list = tasks
     .command('list')
     .alias('ls')
-    .description('List tasks')
-    .option('-p, --project <id>', 'Filter by project')
-    .option('-s, --status <status>', 'Filter by status (backlog, analysis, todo, in-progress, in-review, bug, blocked, done)')
-    .option('-a, --assignee <email>', 'Filter by assignee')
-    .option('--priority <priority>', 'Filter by priority (low, medium, high, urgent, critical)')
-    .option('-m, --mine', 'Show only my tasks')
-    .option('-l, --limit <n>', 'Limit results', '20')
+    .description('List tasks');
+  addListOptions(list);
+  paging.addPagingOptions(list)
     .action(async (options) => {
       await listTasks(options);
     });
@@ -45,7 +162,7 @@ export function registerTaskCommands(program) {
     .command('create')
     .alias('new')
     .description('Create a new task')
-    .option('-p, --project <id>', 'Project ID (required)')
+    .option('-p, --project <id>', 'Project ID (defaults to defaultProject)')
     .option('-t, --title <title>', 'Task title')
     .option('-d, --description <desc>', 'Task description')
     .option('--priority <priority>', 'Priority (low, medium, high, urgent, critical)')
@@ -108,13 +225,17 @@ export function registerTaskCommands(program) {
     });
 
   // Search tasks
-  tasks
+  const search = tasks
     .command('search <query>')
     .alias('find')
     .description('Search tasks')
-    .option('-l, --limit <n>', 'Limit results', '20')
-    .action(async (query, options) => {
-      await searchTasks(query, options);
+    .option('-w, --where <query>', 'Filter results with a query (see `erold tasks list --help`)')
+    .option('--sort <fields>', 'Sort by fields, e.g. priority,-due (reads every matching task)')
+    .option('--reverse', 'Reverse the order (reads every matching task)')
+    .option('-l, --limit <n>', 'Limit results', '20');
+  paging.addPagingOptions(search)
+    .action(async (text, options) => {
+      await searchTasks(text, options);
     });
 
   // Show blocked tasks
@@ -134,6 +255,15 @@ export function registerTaskCommands(program) {
       await addComment(taskId, options);
     });
 
+  // Show task timeline
+  tasks
+    .command('history <taskId>')
+    .alias('timeline')
+    .description('Show a task\'s timeline of status changes, comments, progress and time logs')
+    .action(async (taskId) => {
+      await showTaskHistory(taskId);
+    });
+
   // Show comments
   tasks
     .command('comments <taskId>')
@@ -152,6 +282,34 @@ export function registerTaskCommands(program) {
       await deleteTask(taskId, options);
     });
 
+  // Bulk changes
+  tasks
+    .command('bulk')
+    .description('Change many tasks at once, selected by filters, --ids or IDs on stdin')
+    .option('--ids <ids>', 'Comma-separated task IDs, or - to read them from stdin')
+    .option('-p, --project <id>', 'Select tasks in a project (defaults to defaultProject)')
+    .option('--filter-status <status>', 'Select tasks with a status')
+    .option('--filter-assignee <email>', 'Select tasks assigned to someone')
+    .option('--filter-priority <priority>', 'Select tasks with a priority')
+    .option('-m, --mine', 'Select my tasks')
+    .option('-w, --where <query>', 'Select tasks with a query (see `erold tasks list --help`)')
+    .option('-s, --status <status>', 'Set status')
+    .option('--priority <priority>', 'Set priority')
+    .option('--assignee <uid>', 'Set assignee ("me" for yourself, "none" to unassign)')
+    .option('--tag <tag...>', 'Add tags')
+    .option('--untag <tag...>', 'Remove tags')
+    .option('--dry-run', 'Show what would change without changing anything')
+    .option('-y, --yes', 'Skip confirmation')
+    .addHelpText('after', `
+Examples:
+  erold tasks list -s blocked --quiet | erold tasks bulk --ids - --assignee me
+  erold tasks bulk --filter-status in-review --mine --status done --dry-run
+  erold tasks bulk --where "due:<0d -status:done" --priority urgent
+  erold tasks bulk --ids abc12345,def67890 --tag sprint-9 --untag sprint-8`)
+    .action(async (options) => {
+      await bulkUpdate(options);
+    });
+
   // Shortcut commands at root level
   program
     .command('task <taskId>')
@@ -177,50 +335,156 @@ export function registerTaskCommands(program) {
     });
 }
 
+/**
+ * Build a task query from --where and the single-value filters
+ * @param {object} filters - { where, project, status, assignee, priority }
+ * @param {object} options - { defaultProject } whether to fall back to defaultProject
+ * @returns {Promise<object>} { params, local, context }: API parameters,
+ *   terms to apply locally and what `me` stands for
+ */
+async function buildQuery(filters, { defaultProject = true } = {}) {
+  const parts = [filters.where];
+  if (filters.status) parts.push(`status:${filters.status}`);
+  if (filters.assignee) parts.push(`assignee:${filters.assignee}`);
+  if (filters.priority) parts.push(`priority:${filters.priority}`);
+
+  const terms = query.parse(parts.filter(Boolean).join(' '));
+
+  if (!terms.some(term => term.field === 'project')) {
+    const project = filters.project || (defaultProject ? config.get('defaultProject') : null);
+    if (project) terms.push({ field: 'project', negate: false, op: '=', values: [project] });
+  }
+
+  const context = {};
+  for (const term of terms) {
+    if (term.field === 'project') {
+      term.values = await Promise.all(term.values.map(ref => findProject(ref)));
+    }
+    if (term.field === 'assignee' && term.values.includes('me') && !context.me) {
+      const me = await api.user.me();
+      context.me = [me.id, me.email].filter(Boolean);
+    }
+  }
+
+  return { ...query.split(terms), context };
+}
+
+/**
+ * List tasks filtered or sorted locally
+ * Pages are fetched until --limit matches are found, or all of them when
+ * sorting or with --all.
+ * @param {function} fetchPages - Page options to a page iterator
+ * @param {object} taskQuery - From buildQuery()
+ * @param {object} options - Command options
+ * @param {object} display - { columns, spinnerText, empty, noun }
+ */
+async function listQueried(fetchPages, taskQuery, options, { columns, spinnerText, empty, noun }) {
+  if (options.page || options.cursor) {
+    fail('--page and --cursor cannot be combined with local filters, --sort or --reverse', 'USAGE_ERROR', {
+      hint: 'Use --limit, or --all for everything',
+    });
+  }
+
+  const pageOptions = paging.getPagingOptions(options);
+  const sorting = Boolean(options.sort || options.reverse);
+  const sort = options.sort ? query.parseSort(options.sort) : [];
+  const pages = query.filterPages(fetchPages({ pageSize: QUERY_PAGE_SIZE }), taskQuery.local, taskQuery.context);
+
+  if (pageOptions.all && !sorting) {
+    const count = await paging.streamPages(pages, columns, { spinnerText });
+    if (count === 0) output.info(empty);
+    else output.muted(`\nShowing ${count} ${noun}`);
+    return;
+  }
+
+  output.startSpinner(spinnerText);
+
+  let tasks = [];
+  for await (const page of pages) {
+    tasks.push(...page.items);
+    if (!sorting && !pageOptions.all && tasks.length >= pageOptions.pageSize) break;
+  }
+
+  if (sorting) tasks = query.sortTasks(tasks, sort, { reverse: Boolean(options.reverse) });
+  const shown = pageOptions.all ? tasks : tasks.slice(0, pageOptions.pageSize);
+
+  output.stopSpinner(true);
+
+  if (output.emit(shown)) return;
+
+  if (shown.length === 0) {
+    output.info(empty);
+    return;
+  }
+
+  // Sorting fetched every match, so the total is known
+  const more = sorting ? shown.length < tasks.length : shown.length === pageOptions.pageSize;
+  const of = sorting && more ? ` of ${tasks.length}` : '';
+
+  output.print(output.table(shown, columns));
+  output.muted(`\nShowing ${shown.length}${of} ${noun}`);
+  if (more && !pageOptions.all) {
+    output.muted(sorting ? 'Raise --limit or use --all to see more' : 'More may match: raise --limit or use --all');
+  }
+}
+
 /**
  * List tasks
+ * @param {object} options - `tasks list` options (also run by `erold view`)
  */
-async function listTasks(options) {
-  output.startSpinner('Fetching tasks...');
+export async function listTasks(options) {
+  const pageOptions = paging.getPagingOptions(options);
 
+  let taskQuery;
+  let columns;
   try {
-    const params = {
-      limit: parseInt(options.limit, 10),
-    };
+    validateListOptions(options);
+    columns = getTaskColumns(options.columns);
+    taskQuery = await buildQuery(options);
+  } catch (err) {
+    exitWithError(err);
+  }
+  const { params } = taskQuery;
+
+  const fetchPages = pagingOptions => (options.mine
+    ? api.tasks.minePages(params, pagingOptions)
+    : api.tasks.listPages(params, pagingOptions));
+
+  try {
+    if (taskQuery.local.length > 0 || options.sort || options.reverse) {
+      await listQueried(fetchPages, taskQuery, options, {
+        columns, spinnerText: 'Fetching tasks...', empty: 'No tasks found', noun: 'task(s)',
+      });
+      return;
+    }
 
-    if (options.project) params.projectId = options.project;
-    if (options.status) params.status = options.status;
-    if (options.assignee) params.assignee = options.assignee;
-    if (options.priority) params.priority = options.priority;
+    const pages = fetchPages(pageOptions);
 
-    let tasks;
-    if (options.mine) {
-      tasks = await api.tasks.mine(params);
-    } else {
-      tasks = await api.tasks.list(params);
+    if (pageOptions.all) {
+      const count = await paging.streamPages(pages, columns, { spinnerText: 'Fetching tasks...' });
+      if (count === 0) output.info('No tasks found');
+      else output.muted(`\nShowing ${count} task(s)`);
+      return;
     }
 
+    output.startSpinner('Fetching tasks...');
+    const page = await paging.fetchPage(pages, pageOptions.page);
+    const tasks = page.items;
+
     output.stopSpinner(true);
 
+    if (output.emit(tasks)) return;
+
     if (!tasks || tasks.length === 0) {
       output.info('No tasks found');
       return;
     }
 
-    const tableData = output.table(tasks, [
-      { key: 'id', header: 'ID', format: (v) => output.colors.muted(v.substring(0, 8)) },
-      { key: 'title', header: 'Title', format: (v) => output.truncate(v, 40) },
-      { key: 'status', header: 'Status', format: (v) => output.statusBadge(v) },
-      { key: 'priority', header: 'Priority', format: (v) => output.priorityBadge(v) },
-      { key: 'assignedTo', header: 'Assignee', format: (v) => v || '-' },
-    ]);
-
-    console.log(tableData);
-    output.muted(`\nShowing ${tasks.length} task(s)`);
+    output.print(output.table(tasks, columns));
+    paging.printPageSummary(page, pageOptions, 'task(s)');
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -228,34 +492,20 @@ async function listTasks(options) {
  * Show task details
  */
 async function showTask(taskId) {
+  taskId = await resolveTask(taskId);
+
   output.startSpinner('Fetching task...');
 
   try {
     const task = await api.tasks.get(taskId);
     output.stopSpinner(true);
 
-    console.log(output.taskCard(task));
-
-    // Show additional details
-    if (task.tags && task.tags.length > 0) {
-      console.log(`Tags: ${task.tags.join(', ')}`);
-    }
-
-    if (task.progress !== undefined) {
-      console.log(`Progress: ${task.progress}%`);
-    }
+    if (output.emit(task)) return;
 
-    if (task.timeEstimate) {
-      console.log(`Estimate: ${task.timeEstimate}h`);
-    }
-
-    if (task.timeLogged) {
-      console.log(`Logged: ${task.timeLogged}h`);
-    }
+    output.print(output.taskDetails(task));
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -264,6 +514,8 @@ async function showTask(taskId) {
  */
 async function createTask(options) {
   let { project, title, description, priority, assignee, interactive } = options;
+  project = project || config.get('defaultProject');
+  if (project) project = await resolveProject(project);
 
   // Interactive mode or missing required fields
   if (interactive || !project || !title) {
@@ -276,8 +528,7 @@ async function createTask(options) {
       output.stopSpinner(true);
 
       if (!projects || projects.length === 0) {
-        output.error('No projects found. Create a project first.');
-        process.exit(1);
+        fail('No projects found. Create a project first.');
       }
 
       questions.push({
@@ -337,14 +588,16 @@ async function createTask(options) {
     if (assignee) taskData.assignedTo = assignee;
 
     const task = await api.tasks.create(project, taskData);
+    rememberTask(task.id);
 
     output.stopSpinner(true, 'Task created');
+    if (output.emit(task)) return;
+
     output.success(`Created task: ${task.id}`);
-    console.log(output.taskCard(task));
+    output.print(output.taskCard(task));
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -361,20 +614,23 @@ async function updateTask(taskId, options) {
   if (options.assignee) updates.assignedTo = options.assignee;
 
   if (Object.keys(updates).length === 0) {
-    output.error('No updates specified. Use --title, --status, --priority, etc.');
-    process.exit(1);
+    fail('No updates specified. Use --title, --status, --priority, etc.', 'VALIDATION_ERROR');
   }
 
+  taskId = await resolveTask(taskId);
+
   output.startSpinner('Updating task...');
 
   try {
     const task = await api.tasks.update(taskId, updates);
+    if (output.queued(task)) return;
     output.stopSpinner(true, 'Task updated');
-    console.log(output.taskCard(task));
+    if (output.emit(task)) return;
+
+    output.print(output.taskCard(task));
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -382,14 +638,10 @@ async function updateTask(taskId, options) {
  * Start working on a task
  */
 async function startTask(taskId, options) {
-  // If no task ID, try to get from branch name
-  if (!taskId) {
-    taskId = git.getTaskIdFromBranch();
-    if (!taskId) {
-      output.error('No task ID provided and could not detect from branch name.');
-      output.muted('Usage: erold start <taskId> or create a branch like feature/task-123-description');
-      process.exit(1);
-    }
+  // Without a task ID, use the one in the branch name
+  const fromBranch = !taskId;
+  taskId = await resolveTask(taskId || '@current');
+  if (fromBranch) {
     output.info(`Detected task ID from branch: ${taskId}`);
   }
 
@@ -397,6 +649,7 @@ async function startTask(taskId, options) {
 
   try {
     const task = await api.tasks.start(taskId);
+    if (output.queued(task)) return;
     output.stopSpinner(true, 'Task started');
 
     output.success(`Started: ${task.title}`);
@@ -409,11 +662,12 @@ async function startTask(taskId, options) {
       }
     }
 
-    console.log(output.taskCard(task));
+    if (output.emit(task)) return;
+
+    output.print(output.taskCard(task));
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -421,13 +675,10 @@ async function startTask(taskId, options) {
  * Complete a task
  */
 async function completeTask(taskId, options) {
-  // If no task ID, try to get from branch name
-  if (!taskId) {
-    taskId = git.getTaskIdFromBranch();
-    if (!taskId) {
-      output.error('No task ID provided and could not detect from branch name.');
-      process.exit(1);
-    }
+  // Without a task ID, use the one in the branch name
+  const fromBranch = !taskId;
+  taskId = await resolveTask(taskId || '@current');
+  if (fromBranch) {
     output.info(`Detected task ID from branch: ${taskId}`);
   }
 
@@ -449,14 +700,16 @@ async function completeTask(taskId, options) {
 
   try {
     const task = await api.tasks.complete(taskId, summary);
+    if (output.queued(task)) return;
     output.stopSpinner(true, 'Task completed');
 
+    if (output.emit(task)) return;
+
     output.success(`Completed: ${task.title}`);
-    console.log(output.taskCard(task));
+    output.print(output.taskCard(task));
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -464,6 +717,8 @@ async function completeTask(taskId, options) {
  * Block a task
  */
 async function blockTask(taskId, options) {
+  taskId = await resolveTask(taskId);
+
   let { reason } = options;
 
   if (!reason) {
@@ -482,14 +737,15 @@ async function blockTask(taskId, options) {
 
   try {
     const task = await api.tasks.block(taskId, reason);
+    if (output.queued(task)) return;
     output.stopSpinner(true, 'Task blocked');
+    if (output.emit(task)) return;
 
     output.warning(`Blocked: ${task.title}`);
     output.muted(`Reason: ${reason}`);
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -497,6 +753,8 @@ async function blockTask(taskId, options) {
  * Log time on a task
  */
 async function logTime(taskId, options) {
+  taskId = await resolveTask(taskId);
+
   let { hours, notes } = options;
 
   if (!hours) {
@@ -520,46 +778,100 @@ async function logTime(taskId, options) {
   output.startSpinner('Logging time...');
 
   try {
-    await api.tasks.logTime(taskId, parseFloat(hours), notes);
+    const result = await api.tasks.logTime(taskId, parseFloat(hours), notes);
+    if (output.queued(result)) return;
     output.stopSpinner(true, `Logged ${hours}h`);
+    output.emit({ id: taskId, hours: parseFloat(hours), notes: notes || '' });
+  } catch (err) {
+    output.stopSpinner(false);
+    exitWithError(err);
+  }
+}
+
+/**
+ * Show task timeline
+ */
+async function showTaskHistory(taskId) {
+  taskId = await resolveTask(taskId);
+
+  output.startSpinner('Fetching task history...');
+
+  try {
+    const events = await api.activity.forTask(taskId);
+
+    output.stopSpinner(true);
+
+    if (output.emit(events)) return;
+
+    if (!events || events.length === 0) {
+      output.info('No activity on this task yet');
+      return;
+    }
+
+    output.print('');
+    output.print(output.colors.bold(`History of task ${taskId}`));
+    output.print(output.timeline(events, { entity: false }));
+    output.print('');
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
 /**
  * Search tasks
  */
-async function searchTasks(query, options) {
-  output.startSpinner(`Searching for "${query}"...`);
+async function searchTasks(text, options) {
+  const pageOptions = paging.getPagingOptions(options);
 
+  let taskQuery;
   try {
-    const tasks = await api.tasks.search(query, {
-      limit: parseInt(options.limit, 10),
-    });
+    taskQuery = await buildQuery({ where: options.where }, { defaultProject: false });
+    if (options.sort) query.parseSort(options.sort);
+  } catch (err) {
+    exitWithError(err);
+  }
+
+  const fetchPages = pagingOptions => api.tasks.searchPages(text, taskQuery.params, pagingOptions);
+
+  try {
+    if (taskQuery.local.length > 0 || options.sort || options.reverse) {
+      await listQueried(fetchPages, taskQuery, options, {
+        columns: SEARCH_COLUMNS,
+        spinnerText: `Searching for "${text}"...`,
+        empty: 'No tasks found matching your search',
+        noun: 'result(s)',
+      });
+      return;
+    }
+
+    const pages = fetchPages(pageOptions);
+
+    if (pageOptions.all) {
+      const count = await paging.streamPages(pages, SEARCH_COLUMNS, { spinnerText: `Searching for "${text}"...` });
+      if (count === 0) output.info('No tasks found matching your search');
+      else output.muted(`\nFound ${count} result(s)`);
+      return;
+    }
+
+    output.startSpinner(`Searching for "${text}"...`);
+    const page = await paging.fetchPage(pages, pageOptions.page);
+    const tasks = page.items;
 
     output.stopSpinner(true);
 
+    if (output.emit(tasks)) return;
+
     if (!tasks || tasks.length === 0) {
       output.info('No tasks found matching your search');
       return;
     }
 
-    const tableData = output.table(tasks, [
-      { key: 'id', header: 'ID', format: (v) => output.colors.muted(v.substring(0, 8)) },
-      { key: 'title', header: 'Title', format: (v) => output.truncate(v, 40) },
-      { key: 'status', header: 'Status', format: (v) => output.statusBadge(v) },
-      { key: 'projectName', header: 'Project', format: (v) => v || '-' },
-    ]);
-
-    console.log(tableData);
-    output.muted(`\nFound ${tasks.length} result(s)`);
+    output.print(output.table(tasks, SEARCH_COLUMNS));
+    paging.printPageSummary(page, pageOptions, 'result(s)');
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -574,6 +886,8 @@ async function showBlockedTasks() {
 
     output.stopSpinner(true);
 
+    if (output.emit(tasks)) return;
+
     if (!tasks || tasks.length === 0) {
       output.success('No blocked tasks!');
       return;
@@ -582,12 +896,11 @@ async function showBlockedTasks() {
     output.warning(`${tasks.length} blocked task(s):\n`);
 
     tasks.forEach((task) => {
-      console.log(output.taskCard(task));
+      output.print(output.taskCard(task));
     });
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -595,6 +908,8 @@ async function showBlockedTasks() {
  * Add comment to task
  */
 async function addComment(taskId, options) {
+  taskId = await resolveTask(taskId);
+
   let { message } = options;
 
   if (!message) {
@@ -609,19 +924,19 @@ async function addComment(taskId, options) {
   }
 
   if (!message || !message.trim()) {
-    output.error('Comment cannot be empty');
-    process.exit(1);
+    fail('Comment cannot be empty', 'VALIDATION_ERROR');
   }
 
   output.startSpinner('Adding comment...');
 
   try {
-    await api.tasks.addComment(taskId, message.trim());
+    const comment = await api.tasks.addComment(taskId, message.trim());
+    if (output.queued(comment)) return;
     output.stopSpinner(true, 'Comment added');
+    output.emit(comment);
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -629,6 +944,8 @@ async function addComment(taskId, options) {
  * Show task comments
  */
 async function showComments(taskId) {
+  taskId = await resolveTask(taskId);
+
   output.startSpinner('Fetching comments...');
 
   try {
@@ -636,22 +953,23 @@ async function showComments(taskId) {
 
     output.stopSpinner(true);
 
+    if (output.emit(comments)) return;
+
     if (!comments || comments.length === 0) {
       output.info('No comments on this task');
       return;
     }
 
-    console.log('');
+    output.print('');
     comments.forEach((comment) => {
-      console.log(output.colors.bold(`${comment.authorName || 'Unknown'}`));
-      console.log(output.colors.muted(output.formatRelativeTime(comment.createdAt)));
-      console.log(comment.content);
-      console.log('');
+      output.print(output.colors.bold(`${comment.authorName || 'Unknown'}`));
+      output.print(output.colors.muted(output.formatRelativeTime(comment.createdAt)));
+      output.print(comment.content);
+      output.print('');
     });
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -659,6 +977,8 @@ async function showComments(taskId) {
  * Delete a task
  */
 async function deleteTask(taskId, options) {
+  taskId = await resolveTask(taskId);
+
   if (!options.force) {
     const confirm = await inquirer.prompt([
       {
@@ -680,11 +1000,179 @@ async function deleteTask(taskId, options) {
   try {
     await api.tasks.delete(taskId);
     output.stopSpinner(true, 'Task deleted');
+    output.emit({ id: taskId, deleted: true });
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
+  }
+}
+
+/**
+ * Ask for confirmation, on the terminal even when stdin is a pipe
+ * @returns {Promise<boolean|null>} Answer, or null when there is no terminal
+ */
+async function confirmOnTerminal(message) {
+  const question = [{ type: 'confirm', name: 'ok', message, default: false }];
+
+  if (process.stdin.isTTY) {
+    return (await inquirer.prompt(question)).ok;
+  }
+
+  let input;
+  try {
+    input = new ReadStream(openSync('/dev/tty', 'r'));
+  } catch {
+    return null;
+  }
+
+  try {
+    const prompt = inquirer.createPromptModule({ input });
+    return (await prompt(question)).ok;
+  } finally {
+    input.destroy();
+  }
+}
+
+/**
+ * Collect the tasks selected by --ids, stdin or filters
+ * @returns {Promise<object[]>} Tasks
+ */
+async function selectTasks(options) {
+  const hasFilters = Boolean(options.where || options.project || options.filterStatus
+    || options.filterAssignee || options.filterPriority || options.mine);
+
+  let ids = null;
+  if (options.ids === '-') {
+    ids = await bulk.readIds(process.stdin);
+  } else if (options.ids) {
+    ids = bulk.parseIds(options.ids);
+  }
+
+  if (ids) {
+    let fetched = 0;
+    return bulk.mapLimit(ids, async (ref) => {
+      const id = isFullId(ref) ? ref : await findTask(ref, { pick: false });
+      const task = await api.tasks.get(id);
+      output.updateSpinner(`Fetching tasks (${++fetched}/${ids.length})...`);
+      return task;
+    });
+  }
+
+  if (!hasFilters) {
+    fail('No tasks selected', 'USAGE_ERROR', {
+      hint: 'Use filters (--where, --project, --filter-status, --mine, ...), --ids, or pipe IDs to --ids -',
+    });
+  }
+
+  const { params, local, context } = await buildQuery({
+    where: options.where,
+    project: options.project,
+    status: options.filterStatus,
+    assignee: options.filterAssignee,
+    priority: options.filterPriority,
+  });
+
+  const pages = query.filterPages(options.mine
+    ? api.tasks.minePages(params, { pageSize: bulk.BATCH_SIZE })
+    : api.tasks.listPages(params, { pageSize: bulk.BATCH_SIZE }), local, context);
+
+  const tasks = [];
+  for await (const page of pages) {
+    tasks.push(...page.items);
+  }
+  return tasks;
+}
+
+/**
+ * Change many tasks at once
+ */
+async function bulkUpdate(options) {
+  const changes = {};
+  if (options.status) changes.status = options.status;
+  if (options.priority) changes.priority = options.priority;
+  if (options.assignee) changes.assignedTo = options.assignee === 'none' ? null : options.assignee;
+  if (options.tag) changes.addTags = options.tag;
+  if (options.untag) changes.removeTags = options.untag;
+
+  if (Object.keys(changes).length === 0) {
+    fail('No changes specified. Use --status, --priority, --assignee, --tag or --untag.', 'VALIDATION_ERROR');
+  }
+
+  output.startSpinner('Fetching tasks...');
+
+  let plan;
+  try {
+    // Assignees are written as given, as with `tasks update --assignee`;
+    // `me` is your email, which the assignee filters match too
+    if (options.assignee === 'me') {
+      changes.assignedTo = (await api.user.me()).email;
+    }
+
+    const tasks = await selectTasks(options);
+    plan = tasks.map((task) => {
+      const update = bulk.planUpdate(task, changes);
+      return { id: task.id, title: task.title, update, change: bulk.describeUpdate(task, update) };
+    });
+    output.stopSpinner(true, `${plan.length} task(s) selected`);
+  } catch (err) {
+    output.stopSpinner(false);
+    exitWithError(err);
+  }
+
+  const requests = bulk.batch(plan);
+  const changing = plan.filter(item => item.change);
+
+  if (options.dryRun || requests.length === 0) {
+    if (output.emit(plan.map(({ id, title, update }) => ({ id, title, update })))) return;
+
+    if (plan.length === 0) {
+      output.info('No tasks selected');
+      return;
+    }
+    output.print(output.table(plan, BULK_COLUMNS));
+    output.muted(`\n${changing.length} of ${plan.length} task(s) would change`);
+    return;
+  }
+
+  if (!options.yes) {
+    if (!output.isMachine()) {
+      output.print(output.table(plan, BULK_COLUMNS));
+      output.print('');
+    }
+
+    const ok = await confirmOnTerminal(`Change ${changing.length} task(s)?`);
+    if (ok === null) {
+      fail('Cannot confirm without a terminal', 'USAGE_ERROR', { hint: 'Pass --yes to apply the changes' });
+    }
+    if (!ok) {
+      output.info('Cancelled');
+      return;
+    }
+  }
+
+  output.startSpinner(`Updating ${changing.length} task(s)...`);
+
+  const updated = [];
+  try {
+    for (const request of requests) {
+      await api.tasks.bulk(request.taskIds, request.updates);
+      updated.push(...request.taskIds);
+    }
+    output.stopSpinner(true, `Updated ${changing.length} task(s)`);
+    output.emit(changing.map(({ id, title, update }) => ({ id, title, update })));
+  } catch (err) {
+    output.stopSpinner(false);
+    if (updated.length === 0) exitWithError(err);
+
+    // Earlier batches went through: say which tasks already changed
+    exitWithError(new CliError(`${err.message} (${updated.length} of ${changing.length} task(s) were already updated)`, getErrorCode(err), {
+      details: {
+        updated,
+        notUpdated: changing.map(item => item.id).filter(id => !updated.includes(id)),
+      },
+      hint: 'Run the same command again to change the rest; tasks already changed are left alone',
+    }));
   }
 }
 
-export default { registerTaskCommands };
+export default { registerTaskCommands, addListOptions, validateListOptions, listTasks };
@@ -0,0 +1,399 @@
+/**
+ * Team Commands
+ *
+ * Commands for managing team members and invites: list, show, role
+ * changes, removal, pending invites, and accepting or declining invites.
+ */
+
+import inquirer from 'inquirer';
+import api from '../lib/api.js';
+import output from '../lib/output.js';
+import { exitWithError, fail } from '../lib/errors.js';
+import config from '../lib/config.js';
+
+const ROLES = ['owner', 'admin', 'member', 'viewer', 'guest'];
+
+const MEMBER_COLUMNS = [
+  { key: 'name', header: 'Name', format: v => v || '-' },
+  { key: 'email', header: 'Email', format: v => v || '-' },
+  { key: 'role', header: 'Role', format: v => output.colors.highlight(v) },
+  { key: 'status', header: 'Status', format: v => v === 'active' ? output.colors.success('active') : output.colors.muted(v || '-') },
+];
+
+/**
+ * Register team commands
+ * @param {Command} program - Commander program
+ */
+export function registerTeamCommands(program) {
+  const team = program.command('team').description('Manage team members and invites');
+
+  // List members
+  team
+    .command('list')
+    .alias('ls')
+    .description('List team members')
+    .action(async () => {
+      await listMembers();
+    });
+
+  // Show member
+  team
+    .command('show <member>')
+    .alias('get')
+    .description('Show member details (by user ID or email)')
+    .action(async (member) => {
+      await showMember(member);
+    });
+
+  // Change role
+  team
+    .command('role <member> <role>')
+    .description(`Change a member's role (${ROLES.join(', ')})`)
+    .option('-f, --force', 'Skip confirmation')
+    .action(async (member, role, options) => {
+      await changeRole(member, role, options);
+    });
+
+  // Remove member
+  team
+    .command('remove <member>')
+    .alias('rm')
+    .description('Remove a member from the team')
+    .option('-f, --force', 'Skip confirmation')
+    .action(async (member, options) => {
+      await removeMember(member, options);
+    });
+
+  // Invite member
+  team
+    .command('invite <email>')
+    .description('Invite a new team member')
+    .option('-r, --role <role>', `Role (${ROLES.join(', ')})`, 'member')
+    .option('-f, --force', 'Skip confirmation for owner/admin invites')
+    .action(async (email, options) => {
+      await inviteMember(email, options);
+    });
+
+  // Pending invites
+  team
+    .command('invites')
+    .description('List pending invites')
+    .action(async () => {
+      await listInvites();
+    });
+
+  // Invites for the current user
+  const invites = program.command('invites').description('Accept or decline invites to join a team');
+
+  invites
+    .command('accept <inviteId>')
+    .description('Accept an invite')
+    .action(async (inviteId) => {
+      await respondToInvite(inviteId, true);
+    });
+
+  invites
+    .command('decline <inviteId>')
+    .description('Decline an invite')
+    .action(async (inviteId) => {
+      await respondToInvite(inviteId, false);
+    });
+
+  // Shortcuts at root level
+  program
+    .command('members')
+    .description('List team members (shortcut)')
+    .action(async () => {
+      await listMembers();
+    });
+
+  program
+    .command('invite <email>')
+    .description('Invite a new team member (shortcut)')
+    .option('-r, --role <role>', `Role (${ROLES.join(', ')})`, 'member')
+    .option('-f, --force', 'Skip confirmation for owner/admin invites')
+    .action(async (email, options) => {
+      await inviteMember(email, options);
+    });
+}
+
+/**
+ * Exit unless logged in
+ */
+function requireLogin() {
+  if (!config.isConfigured()) {
+    fail('Not logged in. Run `erold login` first.', 'AUTH_REQUIRED');
+  }
+}
+
+/**
+ * Validate a role name
+ */
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    fail(`Invalid role. Must be one of: ${ROLES.join(', ')}`, 'VALIDATION_ERROR');
+  }
+}
+
+/**
+ * Ask for confirmation unless --force
+ * @returns {Promise<boolean>}
+ */
+async function confirm(message, options) {
+  if (options.force) return true;
+
+  const answer = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'proceed',
+      message,
+      default: false,
+    },
+  ]);
+
+  if (!answer.proceed) {
+    output.info('Cancelled');
+  }
+  return answer.proceed;
+}
+
+/**
+ * Resolve a member reference (user ID or email) to a member
+ */
+async function findMember(ref) {
+  if (!ref.includes('@')) {
+    return api.members.get(ref);
+  }
+
+  const members = await api.members.list();
+  const member = (members || []).find(m => m.email?.toLowerCase() === ref.toLowerCase());
+  if (!member) {
+    output.stopSpinner(false);
+    fail(`No member with email ${ref}`, 'NOT_FOUND');
+  }
+  return member;
+}
+
+/**
+ * List team members
+ */
+async function listMembers() {
+  requireLogin();
+
+  output.startSpinner('Fetching members...');
+
+  try {
+    const members = await api.members.list();
+    output.stopSpinner(true);
+
+    if (output.emit(members, { idKey: 'uid' })) return;
+
+    if (!members || members.length === 0) {
+      output.info('No members found');
+      return;
+    }
+
+    output.print('\n' + output.colors.bold('Team Members\n'));
+    output.print(output.table(members, MEMBER_COLUMNS));
+    output.muted(`\n${members.length} member(s)`);
+
+  } catch (err) {
+    output.stopSpinner(false);
+    exitWithError(err);
+  }
+}
+
+/**
+ * Show member details
+ */
+async function showMember(ref) {
+  requireLogin();
+
+  output.startSpinner('Fetching member...');
+
+  try {
+    const member = await findMember(ref);
+    output.stopSpinner(true);
+
+    if (output.emit(member, { idKey: 'uid' })) return;
+
+    output.print('');
+    output.print(output.colors.bold(member.name || member.email));
+    output.print(`  User ID: ${member.uid}`);
+    output.print(`  Email:   ${member.email || '-'}`);
+    output.print(`  Role:    ${output.colors.highlight(member.role)}`);
+    output.print(`  Status:  ${member.status || '-'}`);
+    if (member.joinedAt) {
+      output.print(`  Joined:  ${output.formatDate(member.joinedAt)}`);
+    }
+    if (member.lastActiveAt) {
+      output.print(`  Active:  ${output.formatRelativeTime(member.lastActiveAt)}`);
+    }
+    output.print('');
+  } catch (err) {
+    output.stopSpinner(false);
+    exitWithError(err);
+  }
+}
+
+/**
+ * Change a member's role
+ */
+async function changeRole(ref, role, options) {
+  requireLogin();
+  validateRole(role);
+
+  try {
+    output.startSpinner('Fetching member...');
+    const member = await findMember(ref);
+    output.stopSpinner(true);
+
+    if (member.role === role) {
+      if (!output.emit({ uid: member.uid, role, changed: false }, { idKey: 'uid' })) {
+        output.info(`${member.email || member.uid} is already ${role}`);
+      }
+      return;
+    }
+
+    // Granting owner/admin is sensitive
+    if ((role === 'owner' || role === 'admin')
+      && !(await confirm(`Make ${member.email || member.uid} ${role}?`, options))) {
+      return;
+    }
+
+    output.startSpinner('Updating role...');
+    const updated = await api.members.updateRole(member.uid, role);
+    output.stopSpinner(true, 'Role updated');
+
+    if (output.emit(updated ?? { uid: member.uid, role }, { idKey: 'uid' })) return;
+
+    output.success(`${member.email || member.uid}: ${member.role} → ${role}`);
+  } catch (err) {
+    output.stopSpinner(false);
+    exitWithError(err);
+  }
+}
+
+/**
+ * Remove a member
+ */
+async function removeMember(ref, options) {
+  requireLogin();
+
+  try {
+    output.startSpinner('Fetching member...');
+    const member = await findMember(ref);
+    output.stopSpinner(true);
+
+    if (!(await confirm(`Remove ${member.email || member.uid} from the team? They will lose access immediately.`, options))) {
+      return;
+    }
+
+    output.startSpinner('Removing member...');
+    await api.members.remove(member.uid);
+    output.stopSpinner(true, 'Member removed');
+
+    output.emit({ uid: member.uid, removed: true }, { idKey: 'uid' });
+  } catch (err) {
+    output.stopSpinner(false);
+    exitWithError(err);
+  }
+}
+
+/**
+ * Invite a team member
+ */
+async function inviteMember(email, options) {
+  requireLogin();
+
+  // Validate email
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(email)) {
+    fail('Invalid email address', 'VALIDATION_ERROR');
+  }
+
+  validateRole(options.role);
+
+  // Confirm for sensitive roles
+  if ((options.role === 'owner' || options.role === 'admin')
+    && !(await confirm(`Are you sure you want to invite ${email} as ${options.role}?`, options))) {
+    return;
+  }
+
+  output.startSpinner(`Inviting ${email}...`);
+
+  try {
+    const invite = await api.members.invite(email, options.role);
+    output.stopSpinner(true, 'Invite sent');
+    if (output.emit(invite ?? { email, role: options.role })) return;
+
+    output.success(`Invited ${email} as ${options.role}`);
+    output.muted('They will receive an email with instructions to join.');
+
+  } catch (err) {
+    output.stopSpinner(false);
+    exitWithError(err);
+  }
+}
+
+/**
+ * List pending invites
+ */
+async function listInvites() {
+  requireLogin();
+
+  output.startSpinner('Fetching invites...');
+
+  try {
+    const invites = await api.invites.list();
+    output.stopSpinner(true);
+
+    if (output.emit(invites)) return;
+
+    if (!invites || invites.length === 0) {
+      output.info('No pending invites');
+      return;
+    }
+
+    output.print(output.table(invites, [
+      { key: 'id', header: 'ID', format: v => output.colors.muted(v) },
+      { key: 'email', header: 'Email' },
+      { key: 'role', header: 'Role', format: v => output.colors.highlight(v) },
+      { key: 'invitedBy', header: 'Invited By', format: (v, i) => i.invitedByName || v || '-' },
+      { key: 'createdAt', header: 'Sent', format: v => output.formatRelativeTime(v) },
+    ]));
+    output.muted(`\n${invites.length} pending invite(s)`);
+  } catch (err) {
+    output.stopSpinner(false);
+    exitWithError(err);
+  }
+}
+
+/**
+ * Accept or decline an invite
+ */
+async function respondToInvite(inviteId, accept) {
+  requireLogin();
+
+  output.startSpinner(accept ? 'Accepting invite...' : 'Declining invite...');
+
+  try {
+    const result = accept ? await api.invites.accept(inviteId) : await api.invites.decline(inviteId);
+    output.stopSpinner(true, accept ? 'Invite accepted' : 'Invite declined');
+
+    const details = result && typeof result === 'object' ? result : {};
+    if (output.emit({ ...details, id: inviteId, accepted: accept })) return;
+
+    if (accept) {
+      const tenant = result?.tenantId || result?.tenant?.id;
+      if (tenant) {
+        output.muted(`Switch to the team with: erold switch ${tenant}`);
+      }
+    }
+  } catch (err) {
+    output.stopSpinner(false);
+    exitWithError(err);
+  }
+}
+
+export default { registerTeamCommands };
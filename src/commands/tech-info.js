@@ -7,6 +7,7 @@
 import inquirer from 'inquirer';
 import api from '../lib/api.js';
 import output from '../lib/output.js';
+import { exitWithError, fail } from '../lib/errors.js';
 
 const STACK_CATEGORIES = ['frontend', 'backend', 'database', 'languages', 'tools', 'other'];
 const PROVIDERS = ['vercel', 'aws', 'gcp', 'azure', 'digitalocean', 'heroku', 'netlify', 'railway', 'render', 'fly', 'other'];
@@ -24,7 +25,6 @@ export function registerTechInfoCommands(program) {
     .alias('get')
     .description('Show project tech info')
     .requiredOption('-p, --project <projectId>', 'Project ID')
-    .option('--json', 'Output as JSON')
     .action(async (options) => {
       await showTechInfo(options);
     });
@@ -95,74 +95,71 @@ async function showTechInfo(options) {
 
     output.stopSpinner(true);
 
-    if (options.json) {
-      console.log(JSON.stringify(info, null, 2));
-      return;
-    }
+    if (output.emit(info)) return;
 
-    console.log('');
+    output.print('');
 
     // Tech Stack
-    console.log(output.colors.bold('Tech Stack'));
-    console.log(output.colors.muted('─'.repeat(40)));
+    output.print(output.colors.bold('Tech Stack'));
+    output.print(output.colors.muted('─'.repeat(40)));
     for (const category of STACK_CATEGORIES) {
       const items = info.stack?.[category] || [];
       if (items.length > 0) {
-        console.log(`  ${output.colors.highlight(category.charAt(0).toUpperCase() + category.slice(1))}: ${items.join(', ')}`);
+        output.print(`  ${output.colors.highlight(category.charAt(0).toUpperCase() + category.slice(1))}: ${items.join(', ')}`);
       }
     }
     if (!Object.values(info.stack || {}).some(arr => arr?.length > 0)) {
-      console.log(output.colors.muted('  No stack items configured'));
+      output.print(output.colors.muted('  No stack items configured'));
     }
-    console.log('');
+    output.print('');
 
     // Deployment
-    console.log(output.colors.bold('Deployment'));
-    console.log(output.colors.muted('─'.repeat(40)));
+    output.print(output.colors.bold('Deployment'));
+    output.print(output.colors.muted('─'.repeat(40)));
     if (info.deployment?.provider) {
-      console.log(`  Provider: ${info.deployment.provider}`);
+      output.print(`  Provider: ${info.deployment.provider}`);
     }
     if (info.deployment?.region) {
-      console.log(`  Region: ${info.deployment.region}`);
+      output.print(`  Region: ${info.deployment.region}`);
     }
     if (info.deployment?.urls?.production) {
-      console.log(`  Production: ${output.colors.success(info.deployment.urls.production)}`);
+      output.print(`  Production: ${output.colors.success(info.deployment.urls.production)}`);
     }
     if (info.deployment?.urls?.staging) {
-      console.log(`  Staging: ${output.colors.info(info.deployment.urls.staging)}`);
+      output.print(`  Staging: ${output.colors.primary(info.deployment.urls.staging)}`);
     }
     if (info.deployment?.cicd) {
-      console.log(`  CI/CD: ${info.deployment.cicd}`);
+      output.print(`  CI/CD: ${info.deployment.cicd}`);
     }
     if (info.deployment?.branch?.production || info.deployment?.branch?.staging) {
-      console.log(`  Branches: prod=${info.deployment.branch?.production || 'main'}, staging=${info.deployment.branch?.staging || 'develop'}`);
+      output.print(`  Branches: prod=${info.deployment.branch?.production || 'main'}, staging=${info.deployment.branch?.staging || 'develop'}`);
     }
     if (!info.deployment?.provider && !info.deployment?.urls?.production) {
-      console.log(output.colors.muted('  No deployment info configured'));
+      output.print(output.colors.muted('  No deployment info configured'));
     }
-    console.log('');
+    output.print('');
 
     // Commands
-    console.log(output.colors.bold('Commands'));
-    console.log(output.colors.muted('─'.repeat(40)));
+    output.print(output.colors.bold('Commands'));
+    output.print(output.colors.muted('─'.repeat(40)));
     if (info.commands && info.commands.length > 0) {
       info.commands.forEach((cmd, index) => {
-        console.log(`  [${index}] ${output.colors.highlight(cmd.name)}: ${cmd.command}`);
+        output.print(`  [${index}] ${output.colors.highlight(cmd.name)}: ${cmd.command}`);
         if (cmd.description) {
-          console.log(`      ${output.colors.muted(cmd.description)}`);
+          output.print(`      ${output.colors.muted(cmd.description)}`);
         }
       });
     } else {
-      console.log(output.colors.muted('  No commands configured'));
+      output.print(output.colors.muted('  No commands configured'));
     }
-    console.log('');
+    output.print('');
 
     // Notes
     if (info.notes) {
-      console.log(output.colors.bold('Notes'));
-      console.log(output.colors.muted('─'.repeat(40)));
-      console.log(`  ${info.notes}`);
-      console.log('');
+      output.print(output.colors.bold('Notes'));
+      output.print(output.colors.muted('─'.repeat(40)));
+      output.print(`  ${info.notes}`);
+      output.print('');
     }
 
     if (info.updatedAt) {
@@ -170,8 +167,7 @@ async function showTechInfo(options) {
     }
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -182,18 +178,15 @@ async function manageStack(options) {
   const { project, category, add, remove, set } = options;
 
   if (!category) {
-    output.error(`Category required. Use -c with one of: ${STACK_CATEGORIES.join(', ')}`);
-    process.exit(1);
+    fail(`Category required. Use -c with one of: ${STACK_CATEGORIES.join(', ')}`);
   }
 
   if (!STACK_CATEGORIES.includes(category)) {
-    output.error(`Invalid category. Must be one of: ${STACK_CATEGORIES.join(', ')}`);
-    process.exit(1);
+    fail(`Invalid category. Must be one of: ${STACK_CATEGORIES.join(', ')}`, 'VALIDATION_ERROR');
   }
 
   if (!add && !remove && !set) {
-    output.error('Specify --add, --remove, or --set with items');
-    process.exit(1);
+    fail('Specify --add, --remove, or --set with items');
   }
 
   output.startSpinner('Updating stack...');
@@ -218,11 +211,11 @@ async function manageStack(options) {
     });
 
     output.stopSpinner(true, 'Stack updated');
-    console.log(`\n${output.colors.highlight(category)}: ${items.join(', ') || '(empty)'}`);
+    if (output.emit({ category, items })) return;
+    output.print(`\n${output.colors.highlight(category)}: ${items.join(', ') || '(empty)'}`);
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -235,8 +228,7 @@ async function setDeployment(options) {
   const updates = {};
   if (provider) {
     if (!PROVIDERS.includes(provider)) {
-      output.error(`Invalid provider. Must be one of: ${PROVIDERS.join(', ')}`);
-      process.exit(1);
+      fail(`Invalid provider. Must be one of: ${PROVIDERS.join(', ')}`, 'VALIDATION_ERROR');
     }
     updates.provider = provider;
   }
@@ -254,8 +246,7 @@ async function setDeployment(options) {
   }
 
   if (Object.keys(updates).length === 0) {
-    output.error('No updates provided. Use --provider, --region, --production-url, etc.');
-    process.exit(1);
+    fail('No updates provided. Use --provider, --region, --production-url, etc.');
   }
 
   output.startSpinner('Updating deployment info...');
@@ -264,21 +255,21 @@ async function setDeployment(options) {
     await api.techInfo.update(project, { deployment: updates });
 
     output.stopSpinner(true, 'Deployment info updated');
+    if (output.emit({ deployment: updates })) return;
 
-    console.log('');
+    output.print('');
     Object.entries(updates).forEach(([key, value]) => {
       if (typeof value === 'object') {
         Object.entries(value).forEach(([k, v]) => {
-          console.log(`  ${key}.${k}: ${v}`);
+          output.print(`  ${key}.${k}: ${v}`);
         });
       } else {
-        console.log(`  ${key}: ${value}`);
+        output.print(`  ${key}: ${value}`);
       }
     });
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -294,19 +285,21 @@ async function manageCommands(options) {
     const commands = info.commands || [];
 
     if (list || (!add && remove === undefined)) {
+      if (output.emit(commands)) return;
+
       // List commands
-      console.log('');
-      console.log(output.colors.bold('Commands'));
-      console.log(output.colors.muted('─'.repeat(40)));
+      output.print('');
+      output.print(output.colors.bold('Commands'));
+      output.print(output.colors.muted('─'.repeat(40)));
       if (commands.length > 0) {
         commands.forEach((cmd, index) => {
-          console.log(`  [${index}] ${output.colors.highlight(cmd.name)}: ${cmd.command}`);
+          output.print(`  [${index}] ${output.colors.highlight(cmd.name)}: ${cmd.command}`);
           if (cmd.description) {
-            console.log(`      ${output.colors.muted(cmd.description)}`);
+            output.print(`      ${output.colors.muted(cmd.description)}`);
           }
         });
       } else {
-        console.log(output.colors.muted('  No commands configured'));
+        output.print(output.colors.muted('  No commands configured'));
       }
       return;
     }
@@ -346,15 +339,15 @@ async function manageCommands(options) {
       });
 
       output.stopSpinner(true, 'Command added');
-      console.log(`\n  ${output.colors.highlight(newCommand.name)}: ${newCommand.command}`);
+      if (output.emit(newCommand)) return;
+      output.print(`\n  ${output.colors.highlight(newCommand.name)}: ${newCommand.command}`);
       return;
     }
 
     if (remove !== undefined) {
       const index = parseInt(remove, 10);
       if (isNaN(index) || index < 0 || index >= commands.length) {
-        output.error(`Invalid index. Must be between 0 and ${commands.length - 1}`);
-        process.exit(1);
+        fail(`Invalid index. Must be between 0 and ${commands.length - 1}`, 'VALIDATION_ERROR');
       }
 
       const removed = commands[index];
@@ -366,11 +359,11 @@ async function manageCommands(options) {
       await api.techInfo.update(project, { commands: updatedCommands });
 
       output.stopSpinner(true, 'Command removed');
-      console.log(`\n  Removed: ${removed.name}`);
+      if (output.emit({ removed })) return;
+      output.print(`\n  Removed: ${removed.name}`);
     }
   } catch (err) {
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -404,11 +397,11 @@ async function setNotes(options) {
     await api.techInfo.update(project, { notes });
 
     output.stopSpinner(true, 'Notes updated');
-    console.log(`\n${notes.substring(0, 100)}${notes.length > 100 ? '...' : ''}`);
+    if (output.emit({ notes })) return;
+    output.print(`\n${notes.substring(0, 100)}${notes.length > 100 ? '...' : ''}`);
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -8,9 +8,11 @@
 import inquirer from 'inquirer';
 import api from '../lib/api.js';
 import output from '../lib/output.js';
+import { exitWithError, fail } from '../lib/errors.js';
 import config from '../lib/config.js';
+import { resolveProject } from '../lib/resolve.js';
 
-const CATEGORIES = ['database', 'api', 'cloud', 'service', 'credential', 'other'];
+export const CATEGORIES = ['database', 'api', 'cloud', 'service', 'credential', 'other'];
 const ENVIRONMENTS = ['all', 'production', 'staging', 'development'];
 const SCOPES = ['personal', 'shared'];
 
@@ -26,10 +28,10 @@ export function registerVaultCommands(program) {
     .command('list')
     .alias('ls')
     .description('List vault entries for a project')
-    .requiredOption('-p, --project <projectId>', 'Project ID')
+    .option('-p, --project <projectId>', 'Project ID (defaults to defaultProject)')
     .option('-c, --category <category>', `Filter by category (${CATEGORIES.join(', ')})`)
     .action(async (options) => {
-      await listVault(options);
+      await listVault(await withDefaultProject(options));
     });
 
   // Show vault entry (reveal value)
@@ -37,10 +39,10 @@ export function registerVaultCommands(program) {
     .command('show <entryId>')
     .alias('get')
     .description('Show vault entry and reveal its value')
-    .requiredOption('-p, --project <projectId>', 'Project ID')
+    .option('-p, --project <projectId>', 'Project ID (defaults to defaultProject)')
     .option('--copy', 'Copy value to clipboard')
     .action(async (entryId, options) => {
-      await showVault(entryId, options);
+      await showVault(entryId, await withDefaultProject(options));
     });
 
   // Create vault entry
@@ -48,7 +50,7 @@ export function registerVaultCommands(program) {
     .command('create')
     .alias('new')
     .description('Create a new vault entry')
-    .requiredOption('-p, --project <projectId>', 'Project ID')
+    .option('-p, --project <projectId>', 'Project ID (defaults to defaultProject)')
     .option('-k, --key <key>', 'Secret key (e.g., DATABASE_URL)')
     .option('-v, --value <value>', 'Secret value')
     .option('-s, --scope <scope>', `Scope: personal (only you) or shared (team, admin only)`, 'personal')
@@ -57,7 +59,7 @@ export function registerVaultCommands(program) {
     .option('-d, --description <desc>', 'Description')
     .option('-i, --interactive', 'Interactive mode')
     .action(async (options) => {
-      await createVault(options);
+      await createVault(await withDefaultProject(options));
     });
 
   // Update vault entry
@@ -65,13 +67,13 @@ export function registerVaultCommands(program) {
     .command('update <entryId>')
     .alias('edit')
     .description('Update a vault entry')
-    .requiredOption('-p, --project <projectId>', 'Project ID')
+    .option('-p, --project <projectId>', 'Project ID (defaults to defaultProject)')
     .option('-v, --value <value>', 'New secret value')
     .option('-c, --category <category>', 'New category')
     .option('-d, --description <desc>', 'New description')
     .option('-e, --environment <env>', 'New environment')
     .action(async (entryId, options) => {
-      await updateVault(entryId, options);
+      await updateVault(entryId, await withDefaultProject(options));
     });
 
   // Delete vault entry
@@ -79,13 +81,24 @@ export function registerVaultCommands(program) {
     .command('delete <entryId>')
     .alias('rm')
     .description('Delete a vault entry')
-    .requiredOption('-p, --project <projectId>', 'Project ID')
+    .option('-p, --project <projectId>', 'Project ID (defaults to defaultProject)')
     .option('-f, --force', 'Skip confirmation')
     .action(async (entryId, options) => {
-      await deleteVault(entryId, options);
+      await deleteVault(entryId, await withDefaultProject(options));
     });
 }
 
+/**
+ * Fill in --project from the configured default project
+ */
+async function withDefaultProject(options) {
+  const project = options.project || config.get('defaultProject');
+  if (!project) {
+    fail('No project specified. Use --project <projectId> or set defaultProject in .erold.json.');
+  }
+  return { ...options, project: await resolveProject(project) };
+}
+
 /**
  * List vault entries
  */
@@ -97,15 +110,17 @@ async function listVault(options) {
 
     output.stopSpinner(true);
 
-    if (!entries || entries.length === 0) {
-      output.info('No vault entries found');
-      return;
-    }
-
     // Filter by category if specified
-    let filtered = entries;
+    let filtered = entries || [];
     if (options.category) {
-      filtered = entries.filter(e => e.category === options.category);
+      filtered = filtered.filter(e => e.category === options.category);
+    }
+
+    if (output.emit(filtered)) return;
+
+    if (filtered.length === 0) {
+      output.info('No vault entries found');
+      return;
     }
 
     const tableData = output.table(filtered, [
@@ -117,12 +132,11 @@ async function listVault(options) {
       { key: 'description', header: 'Description', format: (v) => output.truncate(v || '', 25) },
     ]);
 
-    console.log(tableData);
+    output.print(tableData);
     output.muted(`\nShowing ${filtered.length} secret(s)`);
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -137,17 +151,20 @@ async function showVault(entryId, options) {
 
     output.stopSpinner(true);
 
-    console.log('');
-    console.log(output.colors.bold(entry.key));
-    console.log(output.colors.muted(`Category: ${entry.category}`));
-    console.log(output.colors.muted(`Environment: ${entry.environment}`));
+    // Human output below is suppressed for --json/--quiet, --copy still applies
+    output.emit(entry);
+
+    output.print('');
+    output.print(output.colors.bold(entry.key));
+    output.print(output.colors.muted(`Category: ${entry.category}`));
+    output.print(output.colors.muted(`Environment: ${entry.environment}`));
     if (entry.description) {
-      console.log(output.colors.muted(`Description: ${entry.description}`));
+      output.print(output.colors.muted(`Description: ${entry.description}`));
     }
-    console.log('');
-    console.log(output.colors.highlight('Value:'));
-    console.log(entry.value);
-    console.log('');
+    output.print('');
+    output.print(output.colors.highlight('Value:'));
+    output.print(entry.value);
+    output.print('');
 
     if (options.copy) {
       try {
@@ -162,18 +179,17 @@ async function showVault(entryId, options) {
           execSync('xclip -selection clipboard', { input: entry.value });
           output.success('Value copied to clipboard');
         } else {
-          output.warn('Clipboard copy not supported on this platform');
+          output.warning('Clipboard copy not supported on this platform');
         }
       } catch {
-        output.warn('Could not copy to clipboard');
+        output.warning('Could not copy to clipboard');
       }
     }
 
-    output.warn('This access has been logged for security audit.');
+    output.warning('This access has been logged for security audit.');
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -259,14 +275,12 @@ async function createVault(options) {
 
   // Validate scope
   if (!SCOPES.includes(scope)) {
-    output.error(`Invalid scope. Must be one of: ${SCOPES.join(', ')}`);
-    process.exit(1);
+    fail(`Invalid scope. Must be one of: ${SCOPES.join(', ')}`, 'VALIDATION_ERROR');
   }
 
   // Validate category
   if (!CATEGORIES.includes(category)) {
-    output.error(`Invalid category. Must be one of: ${CATEGORIES.join(', ')}`);
-    process.exit(1);
+    fail(`Invalid category. Must be one of: ${CATEGORIES.join(', ')}`, 'VALIDATION_ERROR');
   }
 
   // Format key
@@ -287,18 +301,19 @@ async function createVault(options) {
     const entry = await api.vault.create(project, entryData);
 
     output.stopSpinner(true, 'Secret created');
+    if (output.emit(entry)) return;
+
     output.success(`Created: ${entry.key}`);
 
-    console.log('');
-    console.log(output.colors.bold(entry.key));
-    console.log(output.colors.muted(`Scope: ${entry.scope}`));
-    console.log(output.colors.muted(`Category: ${entry.category}`));
-    console.log(output.colors.muted(`Environment: ${entry.environment}`));
-    console.log(output.colors.muted(`ID: ${entry.id}`));
+    output.print('');
+    output.print(output.colors.bold(entry.key));
+    output.print(output.colors.muted(`Scope: ${entry.scope}`));
+    output.print(output.colors.muted(`Category: ${entry.category}`));
+    output.print(output.colors.muted(`Environment: ${entry.environment}`));
+    output.print(output.colors.muted(`ID: ${entry.id}`));
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -311,16 +326,14 @@ async function updateVault(entryId, options) {
   if (options.value) updates.value = options.value;
   if (options.category) {
     if (!CATEGORIES.includes(options.category)) {
-      output.error(`Invalid category. Must be one of: ${CATEGORIES.join(', ')}`);
-      process.exit(1);
+      fail(`Invalid category. Must be one of: ${CATEGORIES.join(', ')}`, 'VALIDATION_ERROR');
     }
     updates.category = options.category;
   }
   if (options.description !== undefined) updates.description = options.description;
   if (options.environment) {
     if (!ENVIRONMENTS.includes(options.environment)) {
-      output.error(`Invalid environment. Must be one of: ${ENVIRONMENTS.join(', ')}`);
-      process.exit(1);
+      fail(`Invalid environment. Must be one of: ${ENVIRONMENTS.join(', ')}`, 'VALIDATION_ERROR');
     }
     updates.environment = options.environment;
   }
@@ -349,14 +362,14 @@ async function updateVault(entryId, options) {
   try {
     const entry = await api.vault.update(options.project, entryId, updates);
     output.stopSpinner(true, 'Secret updated');
+    if (output.emit(entry)) return;
 
-    console.log('');
-    console.log(output.colors.bold(entry.key));
-    console.log(output.colors.muted(`Updated: ${output.formatDateTime(entry.updatedAt)}`));
+    output.print('');
+    output.print(output.colors.bold(entry.key));
+    output.print(output.colors.muted(`Updated: ${output.formatDateTime(entry.updatedAt)}`));
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -385,10 +398,10 @@ async function deleteVault(entryId, options) {
   try {
     await api.vault.delete(options.project, entryId);
     output.stopSpinner(true, 'Secret deleted');
+    output.emit({ id: entryId, deleted: true });
   } catch (err) {
     output.stopSpinner(false);
-    output.error(err.message);
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -399,7 +412,7 @@ function formatEnv(env) {
   const colors = {
     production: output.colors.error,
     staging: output.colors.warning,
-    development: output.colors.info,
+    development: output.colors.primary,
     all: output.colors.muted,
   };
   return (colors[env] || output.colors.muted)(env);
@@ -410,7 +423,7 @@ function formatEnv(env) {
  */
 function formatScope(scope) {
   if (scope === 'personal') {
-    return output.colors.info('personal');
+    return output.colors.primary('personal');
   } else if (scope === 'shared') {
     return output.colors.warning('shared');
   }
@@ -0,0 +1,201 @@
+/**
+ * View Commands
+ *
+ * Saved `tasks list` invocations: `erold view save <name>` stores the
+ * filters, query, sort and columns given to it, `erold view <name>` runs
+ * them again. Views live in the user config, or with --repo in the
+ * repository's .erold.json to share them with a team.
+ */
+
+import config from '../lib/config.js';
+import output from '../lib/output.js';
+import paging from '../lib/paging.js';
+import { exitWithError, fail } from '../lib/errors.js';
+import { addListOptions, listTasks, validateListOptions } from './tasks.js';
+
+// Subcommand names a view cannot be called
+const RESERVED = ['save', 'list', 'ls', 'delete', 'rm'];
+
+// Options of `view save` that describe the view rather than the list
+const VIEW_OPTIONS = ['repo', 'description'];
+
+/**
+ * Register view commands
+ * @param {Command} program - Commander program
+ */
+export function registerViewCommands(program) {
+  const view = program
+    .command('view')
+    .description('Run a saved task list view, or manage views')
+    .argument('[name]', 'View to run');
+  paging.addPagingOptions(view)
+    .addHelpText('after', `
+Examples:
+  erold view save release-blockers --where "status:blocked priority:>=high" --sort -priority
+  erold view save my-review-queue --where "status:in-review -assignee:me" --repo
+  erold view release-blockers`)
+    .action(async (name, options) => {
+      await runView(name, options);
+    });
+
+  // Save a view
+  const save = view
+    .command('save <name>')
+    .description('Save `tasks list` filters, query, sort and columns as a view')
+    .option('--repo', 'Save to the repository\'s .erold.json to share with the team')
+    .option('-d, --description <text>', 'What the view is for');
+  addListOptions(save)
+    .action(async (name, options, command) => {
+      await saveView(name, options, command);
+    });
+
+  // List views
+  view
+    .command('list')
+    .alias('ls')
+    .description('List saved views')
+    .action(async () => {
+      await listViews();
+    });
+
+  // Delete a view
+  view
+    .command('delete <name>')
+    .alias('rm')
+    .description('Delete a saved view')
+    .option('--repo', 'Delete from the repository\'s .erold.json')
+    .action(async (name, options) => {
+      await deleteView(name, options);
+    });
+}
+
+/**
+ * Turn stored options back into command-line flags
+ * @param {object} options - Stored list options
+ * @returns {string} e.g. --where "status:todo" --sort priority
+ */
+export function describeOptions(options = {}) {
+  return Object.entries(options).map(([key, value]) => {
+    const flag = `--${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+    if (value === true) return flag;
+    return /[\s"]/.test(value) ? `${flag} "${String(value).replace(/"/g, '\\"')}"` : `${flag} ${value}`;
+  }).join(' ');
+}
+
+/**
+ * Run a saved view
+ */
+async function runView(name, options) {
+  if (!name) {
+    await listViews();
+    return;
+  }
+
+  const view = config.getView(name);
+  if (!view) {
+    fail(`Unknown view: ${name}`, 'NOT_FOUND', {
+      hint: 'Run `erold view list` to see saved views',
+    });
+  }
+
+  // Paging flags given now apply on top of the saved options
+  const overrides = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  await listTasks({ limit: '20', ...view.options, ...overrides });
+}
+
+/**
+ * Save a view
+ */
+async function saveView(name, options, command) {
+  if (RESERVED.includes(name)) {
+    fail(`"${name}" cannot be used as a view name`, 'VALIDATION_ERROR');
+  }
+
+  // Only what was typed: defaults stay defaults when the view runs
+  const saved = {};
+  command.options.forEach((option) => {
+    const key = option.attributeName();
+    if (!VIEW_OPTIONS.includes(key) && command.getOptionValueSource(key) === 'cli') {
+      saved[key] = options[key];
+    }
+  });
+
+  if (Object.keys(saved).length === 0) {
+    fail('Nothing to save', 'VALIDATION_ERROR', {
+      hint: 'Add the options to save, e.g. --where "status:blocked" --sort -priority',
+    });
+  }
+
+  let path;
+  try {
+    validateListOptions(saved);
+    path = config.saveView(name, {
+      ...(options.description ? { description: options.description } : {}),
+      options: saved,
+    }, { repo: Boolean(options.repo) });
+  } catch (err) {
+    exitWithError(err);
+  }
+
+  const source = options.repo ? 'repo' : 'user';
+  if (output.emit({ name, source, path, options: saved }, { idKey: 'name' })) return;
+
+  output.success(`Saved view: ${name}`);
+  output.muted(`  ${describeOptions(saved)}`);
+  if (options.repo) {
+    output.muted(`Stored in ${path}. Commit it to share the view.`);
+  }
+  output.muted(`Run it with: erold view ${name}`);
+}
+
+/**
+ * List saved views
+ */
+async function listViews() {
+  const views = config.listViews();
+
+  if (output.emit(views, { idKey: 'name' })) return;
+
+  if (views.length === 0) {
+    output.info('No saved views');
+    output.muted('Save one with: erold view save <name> --where "..."');
+    return;
+  }
+
+  output.print(output.table(views, [
+    { key: 'name', header: 'View', format: (v, row) => (row.shadowed ? output.colors.muted(v) : output.colors.highlight(v)) },
+    { key: 'source', header: 'Source', format: (v, row) => (row.shadowed ? `${v} (hidden by repo)` : v) },
+    { key: 'options', header: 'Options', format: (v) => output.truncate(describeOptions(v), 60) },
+    { key: 'description', header: 'Description', format: (v) => v || '-' },
+  ]));
+}
+
+/**
+ * Delete a saved view
+ */
+async function deleteView(name, options) {
+  const repo = Boolean(options.repo);
+
+  let deleted;
+  try {
+    deleted = config.removeView(name, { repo });
+  } catch (err) {
+    exitWithError(err);
+  }
+
+  if (!deleted) {
+    const elsewhere = config.listViews().some(view => view.name === name);
+    fail(`No ${repo ? 'repository' : 'user'} view named ${name}`, 'NOT_FOUND', {
+      hint: elsewhere ? `It is saved ${repo ? 'in your user config; drop --repo' : 'in .erold.json; add --repo'}` : undefined,
+    });
+  }
+
+  if (output.emit({ name, source: repo ? 'repo' : 'user', deleted: true }, { idKey: 'name' })) return;
+
+  output.success(`Deleted view: ${name}`);
+}
+
+export default {
+  registerViewCommands,
+  describeOptions,
+};
@@ -13,6 +13,8 @@ import { dirname, join } from 'path';
 import { registerAuthCommands } from './commands/auth.js';
 import { registerTaskCommands } from './commands/tasks.js';
 import { registerProjectCommands } from './commands/projects.js';
+import { registerBoardCommands } from './commands/board.js';
+import { registerViewCommands } from './commands/views.js';
 import { registerKnowledgeCommands } from './commands/knowledge.js';
 import { registerVaultCommands } from './commands/vault.js';
 import { registerTechInfoCommands } from './commands/tech-info.js';
@@ -21,16 +23,44 @@ import { registerConfigCommands } from './commands/config.js';
 import { registerGitCommands } from './commands/git.js';
 import { registerShortcutCommands } from './commands/shortcuts.js';
 import { registerInitCommands } from './commands/init.js';
+import { registerProfileCommands } from './commands/profile.js';
+import { registerActivityCommands } from './commands/activity.js';
+import { registerInboxCommands } from './commands/inbox.js';
+import { registerTeamCommands } from './commands/team.js';
+import { registerExportCommands } from './commands/export.js';
+import { registerCacheCommands } from './commands/cache.js';
+import { registerSyncCommands } from './commands/sync.js';
+import { registerDoctorCommands } from './commands/doctor.js';
+import { registerCompletionCommands, complete } from './commands/completion.js';
 
 // Import utils
 import output from './lib/output.js';
-import { ApiError } from './lib/api.js';
+import config from './lib/config.js';
+import cache from './lib/cache.js';
+import api from './lib/api.js';
+import trace from './lib/trace.js';
+import { COMPLETE_COMMAND } from './lib/completion.js';
+import { EXIT_CODES, exitWithError, fail } from './lib/errors.js';
 
 // Get package version
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const pkg = JSON.parse(readFileSync(join(__dirname, '..', 'package.json'), 'utf-8'));
 
+// Commands that never call the API, so never need the API key
+const LOCAL_COMMANDS = ['login', 'logout', 'auth', 'config', 'profile', 'init', 'uninstall', 'completion'];
+
+/**
+ * Get the name of the top-level command a (sub)command belongs to
+ */
+function getTopLevelName(command) {
+  let current = command;
+  while (current.parent && current.parent.parent) {
+    current = current.parent;
+  }
+  return current.name();
+}
+
 /**
  * Create and configure the CLI program
  */
@@ -43,23 +73,115 @@ function createProgram() {
     .version(pkg.version, '-v, --version', 'Output the current version')
     .option('--json', 'Output in JSON format')
     .option('--no-color', 'Disable colored output')
-    .option('--quiet', 'Minimal output');
+    .option('--quiet', 'Minimal output')
+    .option('--profile <name>', 'Use a named profile for this command')
+    .option('--offline', 'Read from the local cache only, never the network')
+    .option('--no-cache', 'Skip cached responses and always fetch')
+    .option('--timeout <seconds>', 'Give up on each API request attempt after this many seconds')
+    .option('--verbose', 'Log each API request (method, URL, status, time) to stderr')
+    .option('--trace', 'Like --verbose, plus request and response headers')
+    .option('--trace-file <path>', 'Write API requests to a HAR file for support tickets');
+
+  // Apply global options before any command runs
+  program.hook('preAction', async (thisCommand, actionCommand) => {
+    const { profile, json, quiet, color, offline, cache: useCache, timeout, verbose, trace: traceHeaders, traceFile } = thisCommand.opts();
+
+    output.configure({
+      json: json || config.get('outputFormat') === 'json',
+      quiet,
+      color: color && config.get('colorOutput') !== false,
+    });
+
+    cache.configure({ enabled: useCache, offline });
+
+    trace.configure({
+      verbose: verbose || Boolean(process.env.DEBUG),
+      trace: traceHeaders,
+      file: traceFile,
+      version: pkg.version,
+    });
+
+    if (timeout !== undefined) {
+      const seconds = Number(timeout);
+      if (!(seconds > 0)) {
+        fail('--timeout must be a number of seconds (more than 0)', 'USAGE_ERROR');
+      }
+      api.configure({ timeout: seconds });
+    }
+
+    if (profile) {
+      // `login` may create the profile it authenticates
+      if (!config.hasProfile(profile) && actionCommand.name() !== 'login') {
+        fail(`Unknown profile: ${profile}`, 'NOT_FOUND', {
+          hint: 'Run `erold profile list` to see available profiles',
+        });
+      }
+      if (!config.isValidProfileName(profile)) {
+        fail('Profile names may only contain letters, numbers, dashes and underscores', 'VALIDATION_ERROR');
+      }
+      config.useProfile(profile);
+    }
+
+    // Keys in the encrypted credential file need the passphrase first, and
+    // without a terminal only EROLD_PASSPHRASE can give it
+    if (!LOCAL_COMMANDS.includes(getTopLevelName(actionCommand)) && config.credentialsLocked()) {
+      if (!process.env.EROLD_PASSPHRASE && !process.stdin.isTTY) {
+        fail('Credentials are encrypted and no passphrase is available', 'AUTH_REQUIRED', {
+          hint: 'Set EROLD_PASSPHRASE to unlock them without a terminal',
+        });
+      }
+      await config.unlockCredentials();
+    }
+  });
+
+  // Global error handler (set before registering so subcommands inherit it)
+  program.exitOverride();
+
+  // Under --json, usage errors are reported as an error envelope instead
+  program.configureOutput({
+    outputError: (str, write) => {
+      if (!output.isJson()) write(str);
+    },
+  });
 
   // Register all command groups
   registerAuthCommands(program);
   registerConfigCommands(program);
+  registerProfileCommands(program);
   registerTaskCommands(program);
   registerProjectCommands(program);
+  registerBoardCommands(program);
+  registerViewCommands(program);
   registerKnowledgeCommands(program);
   registerVaultCommands(program);
   registerTechInfoCommands(program);
   registerContextCommands(program);
+  registerActivityCommands(program);
+  registerInboxCommands(program);
+  registerTeamCommands(program);
+  registerExportCommands(program);
+  registerCacheCommands(program);
+  registerSyncCommands(program);
+  registerDoctorCommands(program);
+  registerCompletionCommands(program);
   registerGitCommands(program);
   registerShortcutCommands(program);
   registerInitCommands(program);
 
-  // Global error handler
-  program.exitOverride();
+  program.addHelpText('after', `
+Exit codes:
+  ${EXIT_CODES.SUCCESS}  Success
+  ${EXIT_CODES.GENERAL}  General error
+  ${EXIT_CODES.USAGE}  Usage error (unknown command, missing argument)
+  ${EXIT_CODES.AUTH}  Not authenticated or not allowed
+  ${EXIT_CODES.NOT_FOUND}  Not found
+  ${EXIT_CODES.VALIDATION}  Validation error
+  ${EXIT_CODES.CONFLICT}  Conflict
+  ${EXIT_CODES.RATE_LIMITED}  Rate limited
+  ${EXIT_CODES.NETWORK}  Network error, timeout or API unavailable
+
+With --json, errors are written to stderr as:
+  {"error": {"code", "message", "statusCode", "details"}}`);
 
   return program;
 }
@@ -71,35 +193,40 @@ function createProgram() {
 export async function run(argv) {
   const program = createProgram();
 
+  // Completion scripts call back in on every TAB; skip option parsing and
+  // the preAction hook so nothing prompts or fails on a half-typed line
+  if (argv[2] === COMPLETE_COMMAND) {
+    await complete(program, argv[3], argv.slice(4));
+    return;
+  }
+
+  // Parse errors happen before the preAction hook configures output
+  output.configure({ json: argv.includes('--json'), quiet: argv.includes('--quiet') });
+
   try {
     await program.parseAsync(argv);
   } catch (err) {
     // Handle Commander.js exit (help, version)
-    if (err.code === 'commander.help' || err.code === 'commander.version') {
+    if (err.code === 'commander.help' || err.code === 'commander.version' || err.code === 'commander.helpDisplayed') {
       process.exit(0);
     }
 
-    // Handle our API errors
-    if (err instanceof ApiError) {
-      output.error(err.message);
-      if (err.details) {
-        output.muted(JSON.stringify(err.details, null, 2));
+    // Commander has already printed usage errors in human mode
+    if (err.code?.startsWith('commander.')) {
+      if (output.isJson()) {
+        err.message = err.message.replace(/^error: /, '');
+        exitWithError(err);
       }
-      process.exit(1);
-    }
-
-    // Handle other errors
-    if (err.code === 'commander.unknownCommand') {
-      output.error(`Unknown command. Run 'erold --help' for available commands.`);
-      process.exit(1);
+      if (err.code === 'commander.unknownCommand') {
+        output.error(`Unknown command. Run 'erold --help' for available commands.`);
+      }
+      process.exit(EXIT_CODES.USAGE);
     }
 
-    // Unexpected error
-    output.error(err.message || 'An unexpected error occurred');
     if (process.env.DEBUG) {
       console.error(err);
     }
-    process.exit(1);
+    exitWithError(err);
   }
 }
 
@@ -2,14 +2,34 @@
  * API Client
  *
  * Handles all HTTP communication with the Erold API.
- * Features: error handling, retries, timeouts, rate limit handling.
+ * Features: error handling, retries, timeouts, rate limit handling,
+ * a local cache for GET requests (see cache.js), and an outbox for
+ * changes made while offline (see outbox.js).
  */
 
+import { randomUUID } from 'crypto';
 import config from './config.js';
-
-const DEFAULT_TIMEOUT = 30000; // 30 seconds
-const MAX_RETRIES = 3;
-const RETRY_DELAY = 1000; // 1 second
+import cache from './cache.js';
+import outbox from './outbox.js';
+import output from './output.js';
+import trace from './trace.js';
+import network from './network.js';
+
+// Defaults for the timeout, retries and deadline settings
+const DEFAULT_TIMEOUT = 30; // Seconds per attempt
+const DEFAULT_RETRIES = 2; // Retries after the first attempt
+const DEFAULT_DEADLINE = 120; // Seconds for all attempts together
+
+const RETRY_DELAY = 500; // First backoff, doubled for each retry
+const MAX_RETRY_DELAY = 10000;
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+const DEFAULT_PAGE_SIZE = 100;
+const REFRESH_TIMEOUT = 5000; // Background refreshes give up quickly
+const TOKEN_REFRESH_MARGIN = 60000; // Refresh login tokens a minute early
+
+// OAuth client ID for login --web
+const CLIENT_ID = 'erold-cli';
+const DEVICE_GRANT = 'urn:ietf:params:oauth:grant-type:device_code';
 
 /**
  * Custom API Error
@@ -23,6 +43,22 @@ export class ApiError extends Error {
   }
 }
 
+// Per-attempt timeout from --timeout, in seconds
+let timeoutOverride = null;
+
+// Retry count for callers that handle failures themselves (completion, watch)
+let retriesOverride = null;
+
+/**
+ * Apply global options
+ * Options not given keep their value; null goes back to the config.
+ * @param {object} options - { timeout } in seconds, { retries }
+ */
+export function configure(options = {}) {
+  if ('timeout' in options) timeoutOverride = options.timeout ?? null;
+  if ('retries' in options) retriesOverride = options.retries ?? null;
+}
+
 /**
  * Sleep helper for retries
  */
@@ -31,105 +67,456 @@ function sleep(ms) {
 }
 
 /**
- * Make an API request with retry logic
- * @param {string} endpoint - API endpoint (without base URL)
- * @param {object} options - Fetch options
- * @returns {Promise<object>} Response data
+ * Resolve the timeout, retries and deadline for a request
+ * @returns {object} { timeout, retries, deadline } (times in ms)
  */
-async function request(endpoint, options = {}) {
-  const { apiKey, apiUrl, tenant } = config.getApiConfig();
+function getLimits(options) {
+  const timeout = options.timeout || (timeoutOverride || config.get('timeout') || DEFAULT_TIMEOUT) * 1000;
+  const retries = options.retries ?? retriesOverride ?? config.get('retries') ?? DEFAULT_RETRIES;
+  // A longer --timeout than the deadline still gets one full attempt
+  const deadline = Math.max((config.get('deadline') || DEFAULT_DEADLINE) * 1000, timeout);
+  return { timeout, retries, deadline };
+}
 
-  if (!apiKey) {
-    throw new ApiError(
-      'Not authenticated. Run `erold login` first.',
-      401
-    );
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Delay in ms
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value) * 1000;
   }
 
-  const url = `${apiUrl}${endpoint}`;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with jitter, so many clients don't retry in lockstep
+ * @param {number} attempt - Retry number, starting at 0
+ * @returns {number} Delay in ms
+ */
+function backoff(attempt) {
+  const delay = Math.min(MAX_RETRY_DELAY, RETRY_DELAY * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+/**
+ * Whether a failed attempt is worth repeating
+ */
+function isRetryable(error) {
+  return error.statusCode === null || RETRY_STATUSES.includes(error.statusCode);
+}
+
+/**
+ * Read a response body as JSON or text
+ */
+async function readBody(response) {
+  const contentType = response.headers.get('content-type');
+  if (contentType && contentType.includes('application/json')) {
+    return response.json();
+  }
+  return response.text();
+}
+
+/**
+ * Build the error for an attempt that ran out of time
+ */
+function timeoutError(ms) {
+  const error = new ApiError(`Request timed out after ${Math.round(ms / 1000)}s`, 408);
+  error.hint = 'Allow more time with --timeout <seconds> or `erold config set timeout <seconds>`';
+  return error;
+}
+
+/**
+ * Build the error for a request that got no response
+ */
+function networkError(err) {
+  const { message, hint } = network.describeFailure(err);
+  const error = new ApiError(`Network error: ${message}`, null);
+  if (hint) error.hint = hint;
+  return error;
+}
+
+/**
+ * Build the error for a failed response
+ */
+function responseError(response, data, retryAfter) {
+  if (response.status === 429) {
+    const seconds = Math.ceil((retryAfter ?? 60000) / 1000);
+    return new ApiError(`Rate limited. Try again in ${seconds} seconds.`, 429);
+  }
+
+  // OAuth endpoints report { error: 'code', error_description }
+  const oauthError = typeof data?.error === 'string' ? data.error : null;
+  const message = data?.error?.message || data?.error_description || data?.message || `HTTP ${response.status}`;
+  return new ApiError(message, response.status, data?.error?.details ?? (oauthError ? { error: oauthError } : undefined));
+}
+
+/**
+ * Unwrap a { success, data } response body
+ */
+function unwrap(body) {
+  return body?.data !== undefined ? body.data : body;
+}
+
+/**
+ * Send a request with retry logic
+ * Each attempt has its own timeout. Network failures, timeouts, 429 and
+ * 5xx responses are retried with backoff (or after Retry-After on 429
+ * and 503) until the retries or the overall deadline run out.
+ * @param {string} endpoint - API endpoint (without base URL)
+ * @param {object} options - Fetch options, plus `timeout` (ms), `retries`
+ *   and `auth: false` for endpoints that don't take credentials
+ * @returns {Promise<object>} Response body
+ */
+async function send(endpoint, options = {}) {
+  const account = config.getApiConfig();
+  const url = `${account.apiUrl}${endpoint}`;
 
   const headers = {
     'Content-Type': 'application/json',
-    'X-API-Key': apiKey,
+    ...(options.auth === false ? {} : await getAuthHeaders(account)),
     'User-Agent': '@erold/cli/1.0.0',
     ...options.headers,
   };
 
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), options.timeout || DEFAULT_TIMEOUT);
+  const { timeout, retries, deadline } = getLimits(options);
+  const giveUpAt = Date.now() + deadline;
 
-  const fetchOptions = {
-    ...options,
-    headers,
-    signal: controller.signal,
-  };
+  // A bad caFile fails here rather than on every attempt
+  network.getDispatcher(url);
 
-  let lastError;
+  for (let attempt = 0; ; attempt++) {
+    const attemptTimeout = Math.min(timeout, giveUpAt - Date.now());
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), attemptTimeout);
 
-  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-    try {
-      const response = await fetch(url, fetchOptions);
+    const startedAt = Date.now();
+    let response;
+    let data;
+    let error;
 
-      clearTimeout(timeout);
+    try {
+      response = await network.request(url, { ...options, headers, signal: controller.signal });
+      data = await readBody(response);
+    } catch (err) {
+      response = null;
+      error = err.name === 'AbortError' ? timeoutError(attemptTimeout) : networkError(err);
+    } finally {
+      clearTimeout(timer);
+    }
 
-      // Parse response
-      let data;
-      const contentType = response.headers.get('content-type');
-      if (contentType && contentType.includes('application/json')) {
-        data = await response.json();
-      } else {
-        data = await response.text();
+    trace.record({
+      method: options.method || 'GET',
+      url,
+      requestHeaders: headers,
+      bodySize: options.body?.length ?? 0,
+      startedAt,
+      duration: Date.now() - startedAt,
+      status: response?.status,
+      statusText: response?.statusText,
+      responseHeaders: response?.headers,
+      attempt: attempt + 1,
+      attempts: retries + 1,
+      error: error?.message,
+    });
+
+    let retryAfter = null;
+
+    if (response) {
+      // An expired or revoked login token: refresh it once and try again
+      if (response.status === 401 && !account.apiKey && account.token && options.auth !== false && !options.refreshed) {
+        await refreshSession(account.token);
+        return send(endpoint, { ...options, refreshed: true });
       }
 
-      // Handle rate limiting
-      if (response.status === 429) {
-        const retryAfter = response.headers.get('retry-after') || 60;
-        throw new ApiError(
-          `Rate limited. Try again in ${retryAfter} seconds.`,
-          429
-        );
+      if (response.ok) {
+        return data;
       }
 
-      // Handle errors
-      if (!response.ok) {
-        const message = data?.error?.message || data?.message || `HTTP ${response.status}`;
-        throw new ApiError(message, response.status, data?.error?.details);
+      if (response.status === 429 || response.status === 503) {
+        retryAfter = parseRetryAfter(response.headers.get('retry-after'));
       }
+      error = responseError(response, data, retryAfter);
+    }
+
+    if (!isRetryable(error) || attempt >= retries) {
+      throw error;
+    }
 
-      // Return data (unwrap if wrapped in { success, data })
-      return data?.data !== undefined ? data.data : data;
-    } catch (error) {
-      clearTimeout(timeout);
-      lastError = error;
+    // Give up now rather than wait past the deadline
+    const delay = retryAfter ?? backoff(attempt);
+    if (Date.now() + delay >= giveUpAt) {
+      throw error;
+    }
 
-      // Don't retry on client errors (4xx) except 429
-      if (error instanceof ApiError && error.statusCode >= 400 && error.statusCode < 500 && error.statusCode !== 429) {
-        throw error;
-      }
+    trace.note(`Retrying in ${(delay / 1000).toFixed(1)}s`);
+    await sleep(delay);
+  }
+}
 
-      // Don't retry on abort
-      if (error.name === 'AbortError') {
-        throw new ApiError('Request timed out', 408);
-      }
+// ============================================
+// Login Tokens
+// ============================================
 
-      // Last attempt, throw error
-      if (attempt === MAX_RETRIES) {
-        break;
-      }
+let pendingRefresh = null;
 
-      // Wait before retrying (exponential backoff)
-      await sleep(RETRY_DELAY * attempt);
+/**
+ * Get the credential headers for a request
+ * API keys are sent as X-API-Key, login tokens (login --web) as a bearer
+ * token, refreshed first when about to expire.
+ */
+async function getAuthHeaders(account) {
+  if (account.apiKey) {
+    return { 'X-API-Key': account.apiKey };
+  }
+
+  if (account.token) {
+    const expiresAt = account.token.expiresAt ? new Date(account.token.expiresAt).getTime() : null;
+    const token = expiresAt && expiresAt - TOKEN_REFRESH_MARGIN <= Date.now()
+      ? await refreshSession(account.token)
+      : account.token;
+    return { Authorization: `Bearer ${token.accessToken}` };
+  }
+
+  throw new ApiError('Not authenticated. Run `erold login` first.', 401);
+}
+
+/**
+ * Convert an OAuth token response into a stored login token
+ * @param {object} body - { access_token, refresh_token, expires_in, scope }
+ * @param {object} previous - Token being refreshed (keeps its refresh token
+ *   if the server does not rotate it)
+ * @returns {object} { accessToken, refreshToken, expiresAt, scope }
+ */
+export function parseToken(body, previous = {}) {
+  const data = unwrap(body);
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || previous.refreshToken || null,
+    expiresAt: data.expires_in ? new Date(Date.now() + data.expires_in * 1000).toISOString() : null,
+    scope: data.scope || previous.scope || null,
+  };
+}
+
+/**
+ * Refresh the active profile's login token and store the new one
+ * Concurrent requests share one refresh.
+ */
+async function refreshSession(token) {
+  const expired = new ApiError('Session expired. Run `erold login --web` to log in again.', 401);
+  if (!token.refreshToken) {
+    throw expired;
+  }
+
+  if (!pendingRefresh) {
+    pendingRefresh = auth.refresh(token.refreshToken)
+      .then(async (body) => {
+        const next = parseToken(body, token);
+        await config.storeToken(config.getActiveProfile(), next);
+        return next;
+      })
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+
+  try {
+    return await pendingRefresh;
+  } catch (error) {
+    if (error instanceof ApiError && (error.statusCode === 400 || error.statusCode === 401)) {
+      throw expired;
     }
+    throw error;
   }
+}
 
-  if (lastError instanceof ApiError) {
-    throw lastError;
+// ============================================
+// Cache
+// ============================================
+
+// Endpoints with a background refresh in flight
+const refreshing = new Map();
+let warnedStale = false;
+
+/**
+ * Check whether an error means the API could not be reached
+ */
+function isUnreachable(error) {
+  return error instanceof ApiError
+    && (error.statusCode === null || error.statusCode === 408 || error.statusCode >= 500);
+}
+
+/**
+ * Refresh a cached response without blocking the caller
+ */
+function refresh(endpoint, account, options) {
+  if (refreshing.has(endpoint)) return;
+
+  const pending = send(endpoint, { ...options, retries: 0, timeout: REFRESH_TIMEOUT })
+    .then(data => cache.write(endpoint, account, data))
+    .catch(() => {
+      // Keep serving the stale copy; the next read will try again
+    })
+    .finally(() => refreshing.delete(endpoint));
+
+  refreshing.set(endpoint, pending);
+}
+
+/**
+ * GET with the local cache
+ * Fresh entries (younger than cacheTtl) are served as-is. Stale entries
+ * within cacheMaxStale are served while a refresh runs in the background.
+ * Anything older is fetched, falling back to the cached copy when the API
+ * is unreachable. With --offline only the cache is used.
+ */
+async function cachedGet(endpoint, options) {
+  if (!cache.isCacheable(endpoint)) {
+    return send(endpoint, options);
+  }
+
+  const account = config.getApiConfig();
+  if (!account.apiKey && !account.token) {
+    return send(endpoint, options);
   }
 
-  throw new ApiError(
-    lastError?.message || 'Request failed after retries',
-    lastError?.statusCode || 500
-  );
+  const cached = cache.isEnabled() || cache.isOffline() ? cache.read(endpoint, account) : null;
+
+  if (cache.isOffline()) {
+    if (!cached) {
+      throw new ApiError(`Not available offline: ${endpoint.split('?')[0]} has not been cached yet`, null);
+    }
+    trace.note(`GET ${endpoint} from cache (offline, ${Math.round(cached.age)}s old)`);
+    return cached.data;
+  }
+
+  const ttl = config.get('cacheTtl');
+  const maxStale = config.get('cacheMaxStale');
+
+  if (cached && cached.age < ttl) {
+    trace.note(`GET ${endpoint} from cache (${Math.round(cached.age)}s old)`);
+    return cached.data;
+  }
+
+  if (cached && cached.age < ttl + maxStale) {
+    trace.note(`GET ${endpoint} from cache (${Math.round(cached.age)}s old, refreshing)`);
+    refresh(endpoint, account, options);
+    return cached.data;
+  }
+
+  try {
+    const data = await send(endpoint, options);
+    cache.write(endpoint, account, data);
+    return data;
+  } catch (error) {
+    if (!cached || !isUnreachable(error)) {
+      throw error;
+    }
+    if (!warnedStale) {
+      warnedStale = true;
+      output.warning(`API unreachable, showing cached data from ${output.formatRelativeTime(cached.storedAt)}`);
+    }
+    return cached.data;
+  }
+}
+
+// ============================================
+// Outbox
+// ============================================
+
+/**
+ * Save a change to the outbox instead of sending it
+ * @returns {object} { queued, outboxId, method, endpoint }
+ */
+function enqueue(endpoint, options) {
+  const { profile, apiUrl } = config.getApiConfig();
+  const entry = outbox.add({
+    method: options.method,
+    endpoint,
+    body: options.body ? JSON.parse(options.body) : null,
+    profile,
+    apiUrl,
+    idempotencyKey: options.headers['Idempotency-Key'],
+  });
+
+  return { queued: true, outboxId: entry.id, method: entry.method, endpoint };
+}
+
+/**
+ * Send a change
+ * Every change carries an Idempotency-Key, the same for all retries and a
+ * later replay from the outbox, so the API applies it only once.
+ * Changes marked `queue` are saved to the outbox when the API cannot be
+ * reached (or with --offline) rather than failing.
+ */
+async function mutate(endpoint, request) {
+  const options = {
+    ...request,
+    headers: { 'Idempotency-Key': randomUUID(), ...request.headers },
+  };
+
+  if (options.queue && cache.isOffline()) {
+    return enqueue(endpoint, options);
+  }
+
+  try {
+    const data = await send(endpoint, options);
+    cache.invalidate(endpoint);
+    return data;
+  } catch (error) {
+    // Safe to send again later even if a timed out attempt was applied:
+    // the replay reuses the Idempotency-Key
+    if (options.queue && error instanceof ApiError && (error.statusCode === null || error.statusCode === 408)) {
+      return enqueue(endpoint, options);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Replay an outbox entry
+ * @param {object} entry - Outbox entry
+ * @returns {Promise<object>} Response data
+ */
+export async function replay(entry) {
+  const data = await send(entry.endpoint, {
+    method: entry.method,
+    body: entry.body ? JSON.stringify(entry.body) : undefined,
+    headers: { 'Idempotency-Key': entry.idempotencyKey || randomUUID() },
+  });
+  cache.invalidate(entry.endpoint);
+  return unwrap(data);
+}
+
+/**
+ * Make an API request
+ * GET requests go through the local cache; successful changes invalidate
+ * the cached responses they may affect.
+ * @param {string} endpoint - API endpoint (without base URL)
+ * @param {object} options - Fetch options, plus `envelope` and `queue`
+ * @returns {Promise<object>} Response data
+ */
+async function request(endpoint, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+
+  let data;
+  if (method === 'GET') {
+    data = await cachedGet(endpoint, options);
+  } else {
+    data = await mutate(endpoint, { ...options, method });
+  }
+
+  // Paginated callers need the pagination metadata alongside the data
+  if (options.envelope) {
+    return data;
+  }
+
+  return unwrap(data);
 }
 
 // ============================================
@@ -139,7 +526,7 @@ async function request(endpoint, options = {}) {
 /**
  * GET request
  */
-export async function get(endpoint, params = {}) {
+export async function get(endpoint, params = {}, options = {}) {
   const searchParams = new URLSearchParams();
   Object.entries(params).forEach(([key, value]) => {
     if (value !== undefined && value !== null && value !== '') {
@@ -150,14 +537,15 @@ export async function get(endpoint, params = {}) {
   const queryString = searchParams.toString();
   const url = queryString ? `${endpoint}?${queryString}` : endpoint;
 
-  return request(url, { method: 'GET' });
+  return request(url, { ...options, method: 'GET' });
 }
 
 /**
  * POST request
  */
-export async function post(endpoint, data = {}) {
+export async function post(endpoint, data = {}, options = {}) {
   return request(endpoint, {
+    ...options,
     method: 'POST',
     body: JSON.stringify(data),
   });
@@ -166,8 +554,9 @@ export async function post(endpoint, data = {}) {
 /**
  * PATCH request
  */
-export async function patch(endpoint, data = {}) {
+export async function patch(endpoint, data = {}, options = {}) {
   return request(endpoint, {
+    ...options,
     method: 'PATCH',
     body: JSON.stringify(data),
   });
@@ -176,8 +565,95 @@ export async function patch(endpoint, data = {}) {
 /**
  * DELETE request
  */
-export async function del(endpoint) {
-  return request(endpoint, { method: 'DELETE' });
+export async function del(endpoint, options = {}) {
+  return request(endpoint, { ...options, method: 'DELETE' });
+}
+
+// ============================================
+// Pagination
+// ============================================
+
+/**
+ * Normalize a list response into a page
+ * Accepts bare arrays, { data: [...] } and { items: [...] } bodies with
+ * pagination metadata under `pagination` or `meta`.
+ * @param {object|Array} body - Response body
+ * @returns {object} { items, nextCursor, hasMore, total }
+ */
+export function parsePage(body) {
+  let items = [];
+  if (Array.isArray(body)) {
+    items = body;
+  } else if (Array.isArray(body?.data)) {
+    items = body.data;
+  } else if (Array.isArray(body?.items)) {
+    items = body.items;
+  } else if (Array.isArray(body?.data?.items)) {
+    items = body.data.items;
+  }
+
+  const meta = body?.pagination || body?.meta || body?.data?.pagination || {};
+  const nextCursor = meta.nextCursor ?? meta.next_cursor ?? body?.nextCursor ?? null;
+
+  return {
+    items,
+    nextCursor,
+    hasMore: meta.hasMore ?? meta.has_more ?? (nextCursor ? true : null),
+    total: meta.total ?? null,
+  };
+}
+
+/**
+ * Fetch a single page of a list endpoint
+ * @param {string} endpoint - API endpoint
+ * @param {object} params - Query parameters
+ * @returns {Promise<object>} { items, nextCursor, hasMore, total }
+ */
+export async function getPage(endpoint, params = {}) {
+  return parsePage(await get(endpoint, params, { envelope: true }));
+}
+
+/**
+ * Iterate over every page of a list endpoint
+ * Follows `nextCursor` when the API returns one, and falls back to
+ * `offset` when it only reports `hasMore` or `total`.
+ * @param {string} endpoint - API endpoint
+ * @param {object} params - Query parameters
+ * @param {object} options - { pageSize, cursor }
+ * @yields {object} { items, nextCursor, hasMore, total }
+ */
+export async function* paginate(endpoint, params = {}, options = {}) {
+  const pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+  let cursor = options.cursor || null;
+  let offset = 0;
+
+  while (true) {
+    const pageParams = { ...params, limit: pageSize };
+    if (cursor) {
+      pageParams.cursor = cursor;
+    } else if (offset > 0) {
+      pageParams.offset = offset;
+    }
+
+    const page = await getPage(endpoint, pageParams);
+    yield page;
+
+    offset += page.items.length;
+    if (page.items.length === 0) return;
+
+    if (page.nextCursor) {
+      // Guard against an API that keeps returning the same cursor
+      if (page.nextCursor === cursor) return;
+      cursor = page.nextCursor;
+      continue;
+    }
+
+    // Cursor-based lists end when no next cursor is returned
+    if (cursor) return;
+
+    const hasMore = page.hasMore ?? (page.total !== null && offset < page.total);
+    if (!hasMore) return;
+  }
 }
 
 // ============================================
@@ -202,6 +678,19 @@ function getTenantPath() {
 // High-Level API Methods
 // ============================================
 
+// --- Auth (device authorization for login --web) ---
+const authPost = (endpoint, data) => send(endpoint, {
+  method: 'POST',
+  auth: false,
+  body: JSON.stringify({ client_id: CLIENT_ID, ...data }),
+}).then(unwrap);
+
+export const auth = {
+  deviceCode: (scope) => authPost('/auth/device/code', { scope }),
+  deviceToken: (deviceCode) => authPost('/auth/device/token', { grant_type: DEVICE_GRANT, device_code: deviceCode }),
+  refresh: (refreshToken) => authPost('/auth/token', { grant_type: 'refresh_token', refresh_token: refreshToken }),
+};
+
 // --- User ---
 export const user = {
   me: () => get('/me'),
@@ -211,43 +700,53 @@ export const user = {
 };
 
 // --- Tasks ---
+// Task workflow changes are kept in the outbox when offline
+const QUEUE = { queue: true };
+
 export const tasks = {
   list: (params = {}) => get(`${getTenantPath()}/tasks`, params),
+  listPages: (params = {}, options = {}) => paginate(`${getTenantPath()}/tasks`, params, options),
   search: (query, params = {}) => get(`${getTenantPath()}/tasks/search`, { q: query, ...params }),
+  searchPages: (query, params = {}, options = {}) => paginate(`${getTenantPath()}/tasks/search`, { q: query, ...params }, options),
   mine: (params = {}) => get(`${getTenantPath()}/tasks/mine`, params),
+  minePages: (params = {}, options = {}) => paginate(`${getTenantPath()}/tasks/mine`, params, options),
   blocked: () => get(`${getTenantPath()}/tasks/blocked`),
   get: (id) => get(`${getTenantPath()}/tasks/${id}`),
   create: (projectId, data) => post(`${getTenantPath()}/projects/${projectId}/tasks`, data),
-  update: (id, data) => patch(`${getTenantPath()}/tasks/${id}`, data),
+  update: (id, data) => patch(`${getTenantPath()}/tasks/${id}`, data, QUEUE),
   delete: (id) => del(`${getTenantPath()}/tasks/${id}`),
   bulk: (taskIds, updates) => post(`${getTenantPath()}/tasks/bulk`, { taskIds, updates }),
 
   // Actions
-  start: (id) => post(`${getTenantPath()}/tasks/${id}/start`),
-  complete: (id, summary) => post(`${getTenantPath()}/tasks/${id}/complete`, { summary }),
-  block: (id, reason) => post(`${getTenantPath()}/tasks/${id}/block`, { reason }),
-  progress: (id, percent, notes) => post(`${getTenantPath()}/tasks/${id}/progress`, { percent, notes }),
-  logTime: (id, hours, notes) => post(`${getTenantPath()}/tasks/${id}/log`, { hours, notes }),
+  start: (id) => post(`${getTenantPath()}/tasks/${id}/start`, {}, QUEUE),
+  complete: (id, summary) => post(`${getTenantPath()}/tasks/${id}/complete`, { summary }, QUEUE),
+  block: (id, reason) => post(`${getTenantPath()}/tasks/${id}/block`, { reason }, QUEUE),
+  progress: (id, percent, notes) => post(`${getTenantPath()}/tasks/${id}/progress`, { percent, notes }, QUEUE),
+  // loggedAt keeps time logged offline on the day it was worked
+  logTime: (id, hours, notes) => post(`${getTenantPath()}/tasks/${id}/log`, { hours, notes, loggedAt: new Date().toISOString() }, QUEUE),
 
   // Comments
   comments: (id) => get(`${getTenantPath()}/tasks/${id}/comments`),
-  addComment: (id, content) => post(`${getTenantPath()}/tasks/${id}/comments`, { content }),
+  addComment: (id, content) => post(`${getTenantPath()}/tasks/${id}/comments`, { content }, QUEUE),
 };
 
 // --- Projects ---
 export const projects = {
   list: (params = {}) => get(`${getTenantPath()}/projects`, params),
+  listPages: (params = {}, options = {}) => paginate(`${getTenantPath()}/projects`, params, options),
   get: (id) => get(`${getTenantPath()}/projects/${id}`),
   create: (data) => post(`${getTenantPath()}/projects`, data),
   update: (id, data) => patch(`${getTenantPath()}/projects/${id}`, data),
   delete: (id) => del(`${getTenantPath()}/projects/${id}`),
   stats: (id) => get(`${getTenantPath()}/projects/${id}/stats`),
   tasks: (id, params = {}) => get(`${getTenantPath()}/projects/${id}/tasks`, params),
+  tasksPages: (id, params = {}, options = {}) => paginate(`${getTenantPath()}/projects/${id}/tasks`, params, options),
 };
 
 // --- Knowledge ---
 export const knowledge = {
   list: (params = {}) => get(`${getTenantPath()}/knowledge`, params),
+  listPages: (params = {}, options = {}) => paginate(`${getTenantPath()}/knowledge`, params, options),
   get: (id) => get(`${getTenantPath()}/knowledge/${id}`),
   getByCategory: (category) => get(`${getTenantPath()}/knowledge/category/${category}`),
   create: (data) => post(`${getTenantPath()}/knowledge`, data),
@@ -298,14 +797,15 @@ export const invites = {
 // --- Activity ---
 export const activity = {
   list: (params = {}) => get(`${getTenantPath()}/activity`, params),
+  listPages: (params = {}, options = {}) => paginate(`${getTenantPath()}/activity`, params, options),
   forTask: (taskId) => get(`${getTenantPath()}/tasks/${taskId}/activity`),
 };
 
 // --- Export ---
 export const exportData = {
-  tasks: (format = 'json') => get(`${getTenantPath()}/export/tasks`, { format }),
-  projects: (format = 'json') => get(`${getTenantPath()}/export/projects`, { format }),
-  activity: (format = 'json') => get(`${getTenantPath()}/export/activity`, { format }),
+  tasks: (format = 'json', params = {}) => get(`${getTenantPath()}/export/tasks`, { ...params, format }),
+  projects: (format = 'json', params = {}) => get(`${getTenantPath()}/export/projects`, { ...params, format }),
+  activity: (format = 'json', params = {}) => get(`${getTenantPath()}/export/activity`, { ...params, format }),
 };
 
 // --- Tenants ---
@@ -315,10 +815,18 @@ export const tenants = {
 };
 
 export default {
+  configure,
+  parseRetryAfter,
   get,
   post,
   patch,
   del,
+  parsePage,
+  getPage,
+  paginate,
+  replay,
+  parseToken,
+  auth,
   user,
   tasks,
   projects,
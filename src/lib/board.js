@@ -0,0 +1,407 @@
+/**
+ * Task Board
+ *
+ * State, key handling and rendering for the full-screen kanban shown by
+ * `erold board`. Nothing here touches the terminal or the API: keys go in,
+ * effects (move, open, refresh, quit) come out, and render() returns the
+ * screen as a string. The command wires those to stdin/stdout and api.js.
+ */
+
+import output, { statusColors } from './output.js';
+
+// Columns, in workflow order (the task statuses in output.statusColors)
+export const STATUSES = ['backlog', 'analysis', 'todo', 'in-progress', 'in-review', 'bug', 'blocked', 'done'];
+
+// Columns narrower than this scroll sideways instead
+const MIN_COLUMN_WIDTH = 18;
+
+// Width of the detail pane when there is room for it
+const DETAIL_WIDTH = 44;
+
+export const KEYS = [
+  ['←→ / h l', 'Select column'],
+  ['↑↓ / j k', 'Select task'],
+  ['< > / H L', 'Move task to the previous / next column'],
+  ['1-8', 'Move task to column 1-8'],
+  ['enter', 'Open / close task details'],
+  ['p', 'Filter by project (cycles)'],
+  ['a', 'Filter by assignee (cycles)'],
+  ['c', 'Clear filters'],
+  ['r', 'Refresh'],
+  ['?', 'Show / hide keys'],
+  ['q / esc', 'Close details, or quit'],
+];
+
+/**
+ * Map underscore statuses (in_progress) to the column names
+ * @param {string} status - Task status
+ * @returns {string}
+ */
+export function normalizeStatus(status) {
+  return (status || 'todo').replace(/_/g, '-');
+}
+
+/**
+ * Create the board state
+ * @param {object[]} tasks - Tasks
+ * @param {object} options - { projects: project ID to name, filters: { project, assignee } }
+ * @returns {object} Board state
+ */
+export function createBoard(tasks, { projects = {}, filters = {} } = {}) {
+  return {
+    tasks,
+    projects,
+    filters: { project: filters.project || null, assignee: filters.assignee || null },
+    column: 0,
+    rows: {},
+    detail: null,
+    details: {},
+    help: false,
+    message: '',
+  };
+}
+
+/**
+ * Replace the tasks (after a refresh), keeping the selection where possible
+ * @param {object} state - Board state
+ * @param {object[]} tasks - Tasks
+ */
+export function setTasks(state, tasks) {
+  state.tasks = tasks;
+  state.details = {};
+  if (state.detail && !tasks.some(t => t.id === state.detail)) {
+    state.detail = null;
+  }
+}
+
+function matchesFilters(state, task) {
+  const { project, assignee } = state.filters;
+  if (project && task.projectId !== project) return false;
+  if (assignee && (task.assignedTo || null) !== assignee) return false;
+  return true;
+}
+
+/**
+ * Group the filtered tasks into columns
+ * @param {object} state - Board state
+ * @returns {object[]} { status, tasks }
+ */
+export function getColumns(state) {
+  const visible = state.tasks.filter(task => matchesFilters(state, task));
+  return STATUSES.map(status => ({
+    status,
+    tasks: visible.filter(task => normalizeStatus(task.status) === status),
+  }));
+}
+
+function clampRow(state, columns) {
+  const { status, tasks } = columns[state.column];
+  const row = state.rows[status] || 0;
+  state.rows[status] = Math.max(0, Math.min(row, tasks.length - 1));
+  return state.rows[status];
+}
+
+/**
+ * Get the selected task
+ * @param {object} state - Board state
+ * @returns {object|null}
+ */
+export function getSelected(state) {
+  const columns = getColumns(state);
+  const row = clampRow(state, columns);
+  return columns[state.column].tasks[row] || null;
+}
+
+/**
+ * Move a task to another column
+ * @param {object} state - Board state
+ * @param {string} taskId - Task ID
+ * @param {string} status - New status
+ * @returns {string|null} Previous status, to undo a failed update
+ */
+export function moveTask(state, taskId, status) {
+  const task = state.tasks.find(t => t.id === taskId);
+  if (!task) return null;
+
+  const previous = task.status;
+  task.status = status;
+
+  // Keep the moved task selected
+  const column = STATUSES.indexOf(normalizeStatus(status));
+  if (column >= 0) {
+    state.column = column;
+    state.rows[STATUSES[column]] = getColumns(state)[column].tasks.findIndex(t => t.id === taskId);
+  }
+  return previous;
+}
+
+/**
+ * Step a filter through its values: off, then each value on the board
+ */
+function cycleFilter(state, name, field) {
+  const values = [...new Set(state.tasks.map(t => t[field]).filter(Boolean))].sort();
+  const options = [null, ...values];
+  state.filters[name] = options[(options.indexOf(state.filters[name]) + 1) % options.length];
+  state.message = `Showing ${name}: ${describeFilter(state, name)}`;
+}
+
+function describeFilter(state, name) {
+  const value = state.filters[name];
+  if (!value) return 'all';
+  return name === 'project' ? state.projects[value] || value.substring(0, 8) : value;
+}
+
+/**
+ * Apply a key press
+ * @param {object} state - Board state (updated in place)
+ * @param {object} key - readline keypress { name, sequence, shift, ctrl }
+ * @returns {object|null} Effect for the command to carry out:
+ *   { type: 'quit' | 'refresh' } or { type: 'move' | 'open', task, status }
+ */
+export function handleKey(state, key = {}) {
+  const name = key.name || key.sequence;
+  state.message = '';
+
+  if (key.ctrl && name === 'c') return { type: 'quit' };
+
+  if (state.help) {
+    state.help = false;
+    return null;
+  }
+
+  if (name === 'q' || name === 'escape') {
+    if (state.detail) {
+      state.detail = null;
+      return null;
+    }
+    return { type: 'quit' };
+  }
+
+  const columns = getColumns(state);
+  const selected = getSelected(state);
+  const status = STATUSES[state.column];
+  const moveBy = (step) => {
+    const target = state.column + step;
+    if (!selected || target < 0 || target >= STATUSES.length) return null;
+    return { type: 'move', task: selected, status: STATUSES[target] };
+  };
+
+  switch (name) {
+    case 'left':
+    case 'h':
+      if (key.shift) return moveBy(-1);
+      state.column = Math.max(0, state.column - 1);
+      break;
+    case 'right':
+    case 'l':
+      if (key.shift) return moveBy(1);
+      state.column = Math.min(STATUSES.length - 1, state.column + 1);
+      break;
+    case '<':
+      return moveBy(-1);
+    case '>':
+      return moveBy(1);
+    case 'up':
+    case 'k':
+      state.rows[status] = Math.max(0, (state.rows[status] || 0) - 1);
+      break;
+    case 'down':
+    case 'j':
+      state.rows[status] = Math.min(columns[state.column].tasks.length - 1, (state.rows[status] || 0) + 1);
+      break;
+    case 'return':
+    case 'enter':
+      if (state.detail) {
+        state.detail = null;
+        return null;
+      }
+      if (!selected) return null;
+      state.detail = selected.id;
+      return { type: 'open', task: selected };
+    case 'p':
+      cycleFilter(state, 'project', 'projectId');
+      break;
+    case 'a':
+      cycleFilter(state, 'assignee', 'assignedTo');
+      break;
+    case 'c':
+      state.filters = { project: null, assignee: null };
+      state.message = 'Filters cleared';
+      break;
+    case 'r':
+      return { type: 'refresh' };
+    case '?':
+      state.help = true;
+      break;
+    default:
+      if (/^[1-8]$/.test(name || '') && selected) {
+        const target = STATUSES[Number(name) - 1];
+        if (normalizeStatus(selected.status) !== target) {
+          return { type: 'move', task: selected, status: target };
+        }
+      }
+  }
+
+  // An open detail pane follows the selection
+  const current = getSelected(state);
+  if (state.detail && current && current.id !== state.detail) {
+    state.detail = current.id;
+    return { type: 'open', task: current };
+  }
+  return null;
+}
+
+// ============================================
+// Rendering
+// ============================================
+
+/**
+ * Cut or pad plain text to an exact width
+ */
+function fit(text, width) {
+  const value = String(text ?? '').replace(/[\r\n\t]+/g, ' ');
+  if (width <= 0) return '';
+  return value.length > width ? value.substring(0, width - 1) + '…' : value.padEnd(width);
+}
+
+/**
+ * Wrap plain text to lines of at most `width` characters
+ */
+function wrap(text, width) {
+  const lines = [];
+  String(text || '').split('\n').forEach((paragraph) => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+      if (line && line.length + word.length + 1 > width) {
+        lines.push(line);
+        line = '';
+      }
+      line = line ? `${line} ${word}` : word.substring(0, width);
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+function colorFor(status) {
+  return statusColors[status] || (s => s);
+}
+
+/**
+ * Lines of the detail pane, as plain text with a color function each
+ */
+function detailLines(state, width) {
+  const id = state.detail;
+  const task = { ...state.tasks.find(t => t.id === id), ...state.details[id] };
+  const muted = output.colors.muted;
+  const lines = [
+    [task.title || '', output.colors.bold],
+    [task.id, muted],
+    ['', null],
+    [`Status:   ${normalizeStatus(task.status)}`, colorFor(normalizeStatus(task.status))],
+    [`Priority: ${task.priority || '-'}`, null],
+    [`Assignee: ${task.assignedTo || '-'}`, null],
+    [`Project:  ${state.projects[task.projectId] || task.projectName || task.projectId || '-'}`, null],
+  ];
+
+  if (task.dueDate) lines.push([`Due:      ${new Date(task.dueDate).toLocaleDateString()}`, null]);
+  if (task.progress !== undefined) lines.push([`Progress: ${task.progress}%`, null]);
+  if (task.tags && task.tags.length > 0) lines.push([`Tags:     ${task.tags.join(', ')}`, null]);
+
+  if (task.description) {
+    lines.push(['', null]);
+    wrap(task.description, width).forEach(line => lines.push([line, null]));
+  } else if (!state.details[id]) {
+    lines.push(['', null], ['Loading...', muted]);
+  }
+
+  return lines;
+}
+
+function helpLines() {
+  return [
+    ['Keys', output.colors.bold],
+    ['', null],
+    ...KEYS.map(([keys, action]) => [`${keys.padEnd(12)} ${action}`, null]),
+    ['', null],
+    ['Press any key to close', output.colors.muted],
+  ];
+}
+
+/**
+ * Render the board
+ * @param {object} state - Board state
+ * @param {object} size - { width, height } of the terminal
+ * @returns {string} Screen contents, one line per terminal row
+ */
+export function render(state, { width = 80, height = 24 } = {}) {
+  const columns = getColumns(state);
+  const selectedRow = clampRow(state, columns);
+
+  const pane = state.help || state.detail;
+  const paneWidth = pane ? Math.min(DETAIL_WIDTH, Math.floor(width / 2)) : 0;
+  const boardWidth = width - (pane ? paneWidth + 1 : 0);
+
+  // Show as many columns as fit, scrolled to keep the selected one in view
+  const visibleCount = Math.max(1, Math.min(STATUSES.length, Math.floor(boardWidth / MIN_COLUMN_WIDTH)));
+  const first = Math.min(Math.max(0, state.column - visibleCount + 1), STATUSES.length - visibleCount);
+  const shown = columns.slice(first, first + visibleCount);
+  const columnWidth = Math.floor(boardWidth / visibleCount);
+  const cardWidth = columnWidth - 1;
+
+  const bodyHeight = Math.max(1, height - 4);
+  const rows = [];
+
+  rows.push(shown.map(({ status, tasks }, i) => {
+    const index = first + i;
+    const text = fit(` ${index + 1} ${status} (${tasks.length})`, cardWidth);
+    const styled = colorFor(status)(text);
+    return (index === state.column ? output.colors.bold(styled) : styled) + ' ';
+  }).join(''));
+  rows.push(output.colors.muted('─'.repeat(Math.max(0, boardWidth))));
+
+  for (let line = 0; line < bodyHeight; line++) {
+    rows.push(shown.map(({ status, tasks }, i) => {
+      const index = first + i;
+      const row = index === state.column ? selectedRow : (state.rows[status] || 0);
+      const offset = Math.max(0, row - bodyHeight + 1);
+      const task = tasks[line + offset];
+      if (!task) return ' '.repeat(columnWidth);
+
+      const marker = ['urgent', 'critical'].includes(task.priority) ? '!' : ' ';
+      const text = fit(`${marker}${task.title || task.id}`, cardWidth);
+      const selected = index === state.column && line + offset === selectedRow;
+      return (selected ? output.colors.highlight.inverse(text) : text) + ' ';
+    }).join(''));
+  }
+
+  if (pane) {
+    const lines = state.help ? helpLines() : detailLines(state, paneWidth - 2);
+    for (let i = 0; i < rows.length; i++) {
+      const [text, color] = lines[i] || ['', null];
+      const cell = fit(` ${text}`, paneWidth);
+      rows[i] = `${rows[i]}${output.colors.muted('│')}${color ? color(cell) : cell}`;
+    }
+  }
+
+  const selected = getSelected(state);
+  const filters = `project: ${describeFilter(state, 'project')}  assignee: ${describeFilter(state, 'assignee')}`;
+  const status = state.message || (selected ? `${selected.id.substring(0, 8)}  ${selected.title || ''}` : 'No tasks in this column');
+  rows.push(output.colors.muted('─'.repeat(Math.max(0, width))));
+  rows.push(`${fit(status, Math.max(0, width - filters.length - 9))}${output.colors.muted(`${filters}  ? keys`)}`);
+
+  return rows.join('\n');
+}
+
+export default {
+  STATUSES,
+  KEYS,
+  normalizeStatus,
+  createBoard,
+  setTasks,
+  getColumns,
+  getSelected,
+  moveTask,
+  handleKey,
+  render,
+};
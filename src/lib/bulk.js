@@ -0,0 +1,149 @@
+/**
+ * Bulk Task Changes
+ *
+ * Works out what `erold tasks bulk` will change on each task and packs the
+ * changes into as few `tasks.bulk` requests as possible. Tag changes depend
+ * on each task's current tags, so tasks are grouped by the update they need.
+ */
+
+// Task IDs per bulk request
+export const BATCH_SIZE = 100;
+
+// Tasks fetched at once when selected by ID
+export const FETCH_CONCURRENCY = 8;
+
+/**
+ * Split text into task IDs (one per line, or separated by commas or spaces)
+ * @param {string} text - Input, e.g. `erold tasks list --quiet` output
+ * @returns {string[]} Unique IDs in input order
+ */
+export function parseIds(text) {
+  const ids = (text || '').split(/[\s,]+/).filter(Boolean);
+  return [...new Set(ids)];
+}
+
+/**
+ * Read task IDs from a stream
+ * @param {Readable} stream - Usually process.stdin
+ * @returns {Promise<string[]>}
+ */
+export async function readIds(stream) {
+  let text = '';
+  stream.setEncoding('utf-8');
+  for await (const chunk of stream) {
+    text += chunk;
+  }
+  return parseIds(text);
+}
+
+/**
+ * Map items through an async function, a few at a time
+ * @param {Array} items - Items
+ * @param {function} fn - (item, index) => Promise
+ * @param {number} limit - Calls in flight at once
+ * @returns {Promise<Array>} Results in item order
+ */
+export async function mapLimit(items, fn, limit = FETCH_CONCURRENCY) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Work out the update for one task
+ * @param {object} task - Current task
+ * @param {object} changes - { status, priority, assignedTo, addTags, removeTags }
+ * @returns {object} Fields that differ from the task (empty when nothing changes)
+ */
+export function planUpdate(task, changes) {
+  const update = {};
+
+  ['status', 'priority', 'assignedTo'].forEach((field) => {
+    if (changes[field] !== undefined && (task[field] ?? null) !== changes[field]) {
+      update[field] = changes[field];
+    }
+  });
+
+  if (changes.addTags?.length || changes.removeTags?.length) {
+    const current = task.tags || [];
+    const tags = current
+      .filter(tag => !changes.removeTags?.includes(tag))
+      .concat((changes.addTags || []).filter(tag => !current.includes(tag)));
+
+    const same = tags.length === current.length && tags.every(tag => current.includes(tag));
+    if (!same) update.tags = [...new Set(tags)];
+  }
+
+  return update;
+}
+
+/**
+ * Describe an update against the task's current values
+ * @param {object} task - Current task
+ * @param {object} update - From planUpdate
+ * @returns {string} e.g. "status todo → done, +tag sprint-9"
+ */
+export function describeUpdate(task, update) {
+  const parts = [];
+
+  ['status', 'priority', 'assignedTo'].forEach((field) => {
+    if (field in update) {
+      const label = field === 'assignedTo' ? 'assignee' : field;
+      parts.push(`${label} ${task[field] || '-'} → ${update[field] || '-'}`);
+    }
+  });
+
+  if (update.tags) {
+    const current = task.tags || [];
+    update.tags.filter(tag => !current.includes(tag)).forEach(tag => parts.push(`+tag ${tag}`));
+    current.filter(tag => !update.tags.includes(tag)).forEach(tag => parts.push(`-tag ${tag}`));
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * Group planned updates into bulk requests
+ * @param {object[]} plan - { id, update } per task
+ * @param {number} size - Task IDs per request
+ * @returns {object[]} { taskIds, updates } per request
+ */
+export function batch(plan, size = BATCH_SIZE) {
+  const groups = new Map();
+
+  plan.forEach(({ id, update }) => {
+    if (Object.keys(update).length === 0) return;
+
+    const key = JSON.stringify(update);
+    if (!groups.has(key)) groups.set(key, { updates: update, taskIds: [] });
+    groups.get(key).taskIds.push(id);
+  });
+
+  const requests = [];
+  groups.forEach(({ updates, taskIds }) => {
+    for (let i = 0; i < taskIds.length; i += size) {
+      requests.push({ taskIds: taskIds.slice(i, i + size), updates });
+    }
+  });
+  return requests;
+}
+
+export default {
+  BATCH_SIZE,
+  FETCH_CONCURRENCY,
+  parseIds,
+  readIds,
+  mapLimit,
+  planUpdate,
+  describeUpdate,
+  batch,
+};
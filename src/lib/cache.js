@@ -0,0 +1,194 @@
+/**
+ * Response Cache
+ *
+ * Stores GET responses under ~/.erold/cache/<tenant>/, keyed by account
+ * and endpoint, so commands and git hooks can answer without waiting on
+ * the network. api.js decides when entries are fresh, stale or unusable.
+ */
+
+import { createHash } from 'crypto';
+import { join } from 'path';
+import {
+  existsSync, mkdirSync, readFileSync, writeFileSync, renameSync, rmSync, readdirSync, statSync,
+} from 'fs';
+import config from './config.js';
+
+// Scope for endpoints that don't belong to a tenant (/me, /tenants, ...)
+const USER_SCOPE = '_user';
+
+// Endpoints never cached: exports are too large, and vault entries and
+// invites hold secrets that must not sit in plain files under ~/.erold
+const UNCACHEABLE = [/\/export\//, /\/vault(\/|\?|$)/, /\/invites(\/|\?|$)/];
+
+const state = {
+  enabled: true,
+  offline: false,
+  dir: null,
+};
+
+/**
+ * Configure the cache from the global flags
+ * @param {object} options - { enabled, offline, dir }
+ */
+export function configure({ enabled = true, offline = false, dir = null } = {}) {
+  state.enabled = enabled !== false;
+  state.offline = Boolean(offline) || ['1', 'true'].includes(process.env.EROLD_OFFLINE);
+  state.dir = dir;
+}
+
+/**
+ * Whether reads must come from the cache only (--offline)
+ * @returns {boolean}
+ */
+export function isOffline() {
+  return state.offline;
+}
+
+/**
+ * Whether cached reads are allowed (false with --no-cache)
+ * @returns {boolean}
+ */
+export function isEnabled() {
+  return state.enabled;
+}
+
+/**
+ * Get the cache directory
+ * @returns {string}
+ */
+export function getCacheDir() {
+  return state.dir || join(config.getConfigDir(), 'cache');
+}
+
+/**
+ * Check whether an endpoint may be cached
+ * @param {string} endpoint - Endpoint with query string
+ * @returns {boolean}
+ */
+export function isCacheable(endpoint) {
+  return !UNCACHEABLE.some(pattern => pattern.test(endpoint));
+}
+
+/**
+ * Get the scope (tenant) an endpoint belongs to
+ * @param {string} endpoint - Endpoint with query string
+ * @returns {string}
+ */
+export function getScope(endpoint) {
+  const match = endpoint.match(/^\/tenants\/([^/?]+)\//);
+  return match ? match[1].replace(/[^a-zA-Z0-9_-]/g, '_') : USER_SCOPE;
+}
+
+/**
+ * Build the file path for an entry
+ * The key covers the API URL and credential so accounts never share
+ * entries. Login tokens rotate, so those are keyed by profile instead.
+ */
+function entryPath(endpoint, account) {
+  const identity = account.apiKey || `token:${account.profile}`;
+  const key = createHash('sha256')
+    .update(`${account.apiUrl}\n${identity}\n${endpoint}`)
+    .digest('hex')
+    .substring(0, 32);
+  return join(getCacheDir(), getScope(endpoint), `${key}.json`);
+}
+
+/**
+ * Read a cached response
+ * @param {string} endpoint - Endpoint with query string
+ * @param {object} account - { apiUrl, apiKey, profile }
+ * @returns {object|null} { data, storedAt, age } with age in seconds
+ */
+export function read(endpoint, account) {
+  const path = entryPath(endpoint, account);
+  if (!existsSync(path)) return null;
+
+  try {
+    const entry = JSON.parse(readFileSync(path, 'utf-8'));
+    return {
+      data: entry.data,
+      storedAt: entry.storedAt,
+      age: Math.max(0, (Date.now() - new Date(entry.storedAt).getTime()) / 1000),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store a response
+ * @param {string} endpoint - Endpoint with query string
+ * @param {object} account - { apiUrl, apiKey, profile }
+ * @param {any} data - Response body
+ */
+export function write(endpoint, account, data) {
+  const path = entryPath(endpoint, account);
+  const dir = join(getCacheDir(), getScope(endpoint));
+
+  try {
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true, mode: 0o700 });
+    }
+    // Write then rename, so concurrent readers never see half an entry
+    const tmp = `${path}.${process.pid}.tmp`;
+    writeFileSync(tmp, JSON.stringify({ endpoint, storedAt: new Date().toISOString(), data }), { mode: 0o600 });
+    renameSync(tmp, path);
+  } catch {
+    // The cache is best effort
+  }
+}
+
+/**
+ * Drop cached responses after a change
+ * Clears the tenant the endpoint belongs to, plus user-level entries
+ * (notifications, tenant list) that mutations may affect.
+ * @param {string} endpoint - Mutated endpoint
+ */
+export function invalidate(endpoint) {
+  [getScope(endpoint), USER_SCOPE].forEach((scope) => {
+    rmSync(join(getCacheDir(), scope), { recursive: true, force: true });
+  });
+}
+
+/**
+ * Remove every cached response
+ */
+export function clear() {
+  rmSync(getCacheDir(), { recursive: true, force: true });
+}
+
+/**
+ * Summarize the cache
+ * @returns {object} { dir, entries, bytes, scopes: { <scope>: entries } }
+ */
+export function stats() {
+  const dir = getCacheDir();
+  const result = { dir, entries: 0, bytes: 0, scopes: {} };
+  if (!existsSync(dir)) return result;
+
+  readdirSync(dir).forEach((scope) => {
+    const scopeDir = join(dir, scope);
+    const files = readdirSync(scopeDir).filter(f => f.endsWith('.json'));
+    result.scopes[scope] = files.length;
+    result.entries += files.length;
+    files.forEach((f) => {
+      result.bytes += statSync(join(scopeDir, f)).size;
+    });
+  });
+
+  return result;
+}
+
+export default {
+  configure,
+  isOffline,
+  isEnabled,
+  getCacheDir,
+  isCacheable,
+  getScope,
+  read,
+  write,
+  invalidate,
+  clear,
+  stats,
+};
@@ -0,0 +1,318 @@
+/**
+ * Shell Completion
+ *
+ * Works out what can be typed next from the registered Commander
+ * commands, and keeps a short-lived cache of dynamic values (task IDs,
+ * projects, vault entries) so pressing TAB stays fast.
+ */
+
+import { dirname, join } from 'path';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import config from './config.js';
+
+export const SHELLS = ['bash', 'zsh', 'fish'];
+
+// Hidden command the generated scripts call back into
+export const COMPLETE_COMMAND = '__complete';
+
+// Dynamic values are reused for this long (seconds)
+const CACHE_TTL = 120;
+
+// ============================================
+// Context
+// ============================================
+
+/**
+ * Find an option by flag on a command or the root program
+ */
+function findOption(command, program, flag) {
+  const name = flag.split('=')[0];
+  const match = o => o.long === name || o.short === name;
+  return command.options.find(match) || program.options.find(match) || null;
+}
+
+function findSubcommand(command, word) {
+  return command.commands.find(c => c.name() === word || c.aliases().includes(word)) || null;
+}
+
+/**
+ * Work out where the cursor is in a command line
+ * @param {Command} program - Root program
+ * @param {string[]} words - Words after the program name; the last one is
+ *   the word being completed (possibly empty)
+ * @returns {object} { command, path, current, option, argument, used }
+ */
+export function parseContext(program, words) {
+  const current = words.length > 0 ? words[words.length - 1] : '';
+  let command = program;
+  const path = [];
+  const used = [];
+  let positionals = 0;
+  let pending = null;
+
+  for (const word of words.slice(0, -1)) {
+    if (pending) {
+      pending = null;
+      continue;
+    }
+
+    if (word.startsWith('-')) {
+      const option = findOption(command, program, word);
+      if (option) {
+        used.push(option.long);
+        if ((option.required || option.optional) && !word.includes('=')) {
+          pending = option;
+        }
+      }
+      continue;
+    }
+
+    const sub = positionals === 0 ? findSubcommand(command, word) : null;
+    if (sub) {
+      command = sub;
+      path.push(sub.name());
+    } else {
+      positionals++;
+    }
+  }
+
+  const args = command.registeredArguments;
+  let argument = null;
+  if (!pending && !current.startsWith('-') && args.length > 0) {
+    const last = args[args.length - 1];
+    argument = args[positionals] || (last.variadic ? last : null);
+  }
+
+  return { command, path, current, option: pending, argument, used };
+}
+
+/**
+ * List what can be typed at the cursor from the command definitions
+ * @param {Command} program - Root program
+ * @param {object} context - From parseContext
+ * @returns {object[]} { value, description }
+ */
+export function getStaticCandidates(program, context) {
+  const { command, current, option, argument, used } = context;
+
+  if (option) {
+    return (option.argChoices || []).map(value => ({ value, description: '' }));
+  }
+
+  if (current.startsWith('-')) {
+    const options = command === program ? program.options : [...command.options, ...program.options];
+    return options
+      .filter(o => !o.hidden && o.long && !used.includes(o.long))
+      .map(o => ({ value: o.long, description: o.description }))
+      .concat(used.includes('--help') ? [] : [{ value: '--help', description: 'Display help for command' }]);
+  }
+
+  if (!argument) {
+    return command.commands
+      .filter(c => !c._hidden)
+      .map(c => ({ value: c.name(), description: c.description() }));
+  }
+
+  return (argument?.argChoices || []).map(value => ({ value, description: '' }));
+}
+
+/**
+ * Get the kind of dynamic value expected at the cursor
+ * @param {object} context - From parseContext
+ * @returns {string|null} task, project, vaultEntry, knowledgeCategory,
+ *   vaultCategory or null
+ */
+export function getValueKind(context) {
+  const { option, argument, path } = context;
+  const group = path[0];
+
+  if (option) {
+    if (option.long === '--task') return 'task';
+    if (option.long === '--project' || option.long === '--default-project') return 'project';
+    if (option.long === '--category') return group === 'vault' ? 'vaultCategory' : group === 'knowledge' ? 'knowledgeCategory' : null;
+    return null;
+  }
+
+  if (!argument) return null;
+
+  switch (argument.name()) {
+    case 'taskId':
+      return 'task';
+    case 'projectId':
+      return 'project';
+    case 'entryId':
+      return 'vaultEntry';
+    case 'category':
+      return group === 'knowledge' ? 'knowledgeCategory' : null;
+    case 'id':
+      return { tasks: 'task', projects: 'project' }[group] || null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the value of an option already typed on the line (e.g. --project)
+ * @param {string[]} words - Words after the program name
+ * @param {string[]} flags - Option flags, e.g. ['-p', '--project']
+ * @returns {string|null}
+ */
+export function getTypedOption(words, flags) {
+  for (let i = 0; i < words.length - 1; i++) {
+    const [flag, inline] = words[i].split('=');
+    if (flags.includes(flag)) {
+      return inline ?? (i + 1 < words.length - 1 ? words[i + 1] : null);
+    }
+  }
+  return null;
+}
+
+// ============================================
+// Cache
+// ============================================
+
+let cachePath = null;
+
+/**
+ * Get the completion cache file path
+ * @returns {string}
+ */
+export function getCachePath() {
+  return cachePath || join(config.getConfigDir(), 'completion.json');
+}
+
+/**
+ * Use a different cache file (tests)
+ * @param {string|null} file - Path, or null for the default
+ */
+export function setCachePath(file) {
+  cachePath = file;
+}
+
+function readCache() {
+  try {
+    return JSON.parse(readFileSync(getCachePath(), 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Get cached values
+ * @param {string} key - Cache key (account and kind)
+ * @param {number} now - Current time in ms
+ * @returns {object[]|null} Values, or null when missing or expired
+ */
+export function getCached(key, now = Date.now()) {
+  const entry = readCache()[key];
+  if (!entry || now - entry.storedAt > CACHE_TTL * 1000) return null;
+  return entry.items;
+}
+
+/**
+ * Store values (expired entries are dropped on the way)
+ * @param {string} key - Cache key
+ * @param {object[]} items - { value, description }
+ */
+export function setCached(key, items) {
+  const now = Date.now();
+  const data = Object.fromEntries(
+    Object.entries(readCache()).filter(([, entry]) => now - entry.storedAt <= CACHE_TTL * 1000)
+  );
+  data[key] = { storedAt: now, items };
+
+  const file = getCachePath();
+  if (!existsSync(dirname(file))) {
+    mkdirSync(dirname(file), { recursive: true, mode: 0o700 });
+  }
+  const tmp = `${file}.${process.pid}.tmp`;
+  writeFileSync(tmp, JSON.stringify(data), { mode: 0o600 });
+  renameSync(tmp, file);
+}
+
+// ============================================
+// Output
+// ============================================
+
+/**
+ * Format candidates for a shell, keeping those that match the typed prefix
+ * @param {object[]} candidates - { value, description }
+ * @param {string} current - Word being completed
+ * @param {string} shell - bash, zsh or fish
+ * @returns {string} One candidate per line
+ */
+export function formatCandidates(candidates, current, shell) {
+  const seen = new Set();
+  return candidates
+    .filter(({ value }) => value.startsWith(current) && !seen.has(value) && seen.add(value))
+    .map(({ value, description }) => {
+      const text = (description || '').replace(/\s+/g, ' ').trim();
+      if (shell === 'zsh') return text ? `${value.replace(/:/g, '\\:')}:${text}` : value.replace(/:/g, '\\:');
+      if (shell === 'fish') return text ? `${value}\t${text}` : value;
+      return value;
+    })
+    .join('\n');
+}
+
+/**
+ * Generate the completion script for a shell
+ * @param {string} shell - bash, zsh or fish
+ * @param {string} name - Program name
+ * @returns {string}
+ */
+export function getScript(shell, name) {
+  const fn = `_${name.replace(/[^a-zA-Z0-9]/g, '_')}_completion`;
+
+  if (shell === 'bash') {
+    return `# ${name} completion for bash
+# Install: ${name} completion bash >> ~/.bashrc
+${fn}() {
+  local IFS=$'\\n'
+  COMPREPLY=($(${name} ${COMPLETE_COMMAND} bash "\${COMP_WORDS[@]:1:COMP_CWORD}" 2>/dev/null))
+}
+complete -o default -F ${fn} ${name}
+`;
+  }
+
+  if (shell === 'zsh') {
+    return `#compdef ${name}
+# ${name} completion for zsh
+# Install: ${name} completion zsh > "\${fpath[1]}/_${name}"
+${fn}() {
+  local -a candidates
+  candidates=("\${(@f)$(${name} ${COMPLETE_COMMAND} zsh "\${(@)words[2,CURRENT]}" 2>/dev/null)}")
+  candidates=(\${candidates:#})
+  if (( \${#candidates} )); then
+    _describe '${name}' candidates
+  else
+    _files
+  fi
+}
+compdef ${fn} ${name}
+`;
+  }
+
+  return `# ${name} completion for fish
+# Install: ${name} completion fish > ~/.config/fish/completions/${name}.fish
+function ${fn}
+    set -l words (commandline -opc) (commandline -ct)
+    ${name} ${COMPLETE_COMMAND} fish $words[2..-1] 2>/dev/null
+end
+complete -c ${name} -f -a '(${fn})'
+`;
+}
+
+export default {
+  SHELLS,
+  COMPLETE_COMMAND,
+  parseContext,
+  getStaticCandidates,
+  getValueKind,
+  getTypedOption,
+  getCachePath,
+  setCachePath,
+  getCached,
+  setCached,
+  formatCandidates,
+  getScript,
+};
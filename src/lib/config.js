@@ -3,12 +3,24 @@
  *
  * Handles CLI configuration stored in ~/.erold/config.json
  * Uses the 'conf' package for cross-platform config storage.
+ *
+ * Values are resolved in layers (first match wins):
+ * 1. Environment variables (EROLD_<KEY>)
+ * 2. The nearest .erold.json in the repository
+ * 3. The active profile in ~/.erold (credentials, API URL, tenant)
+ * 4. The user config in ~/.erold
+ *
+ * The top-level credentials form the implicit "default" profile;
+ * named profiles live under `profiles.<name>`. API keys are kept in the
+ * credential store (see credentials.js) unless plain text is chosen.
  */
 
 import Conf from 'conf';
 import { homedir } from 'os';
-import { join } from 'path';
-import { existsSync, mkdirSync } from 'fs';
+import { join, dirname, resolve } from 'path';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import git from './git.js';
+import credentials from './credentials.js';
 
 // Ensure config directory exists
 const configDir = join(homedir(), '.erold');
@@ -43,8 +55,74 @@ const schema = {
     type: 'boolean',
     default: true,
   },
+  cacheTtl: {
+    type: 'number',
+    minimum: 0,
+    default: 30,
+  },
+  cacheMaxStale: {
+    type: 'number',
+    minimum: 0,
+    default: 300,
+  },
+  timeout: {
+    type: 'number',
+    minimum: 1,
+    default: 30,
+  },
+  retries: {
+    type: 'number',
+    minimum: 0,
+    default: 2,
+  },
+  deadline: {
+    type: 'number',
+    minimum: 1,
+    default: 120,
+  },
+  proxy: {
+    type: 'string',
+    default: '',
+  },
+  caFile: {
+    type: 'string',
+    default: '',
+  },
+  insecure: {
+    type: 'boolean',
+    default: false,
+  },
+  credentialStore: {
+    type: 'string',
+    enum: credentials.STORES,
+    default: 'auto',
+  },
+  activeProfile: {
+    type: 'string',
+    default: 'default',
+  },
+  profiles: {
+    type: 'object',
+    default: {},
+  },
 };
 
+// Name of the implicit profile backed by the top-level keys
+export const DEFAULT_PROFILE = 'default';
+
+// Keys each profile keeps separately
+export const PROFILE_KEYS = ['apiKey', 'apiUrl', 'tenant', 'defaultProject'];
+
+// Where API keys may be stored (see credentials.js)
+export const CREDENTIAL_STORES = credentials.STORES;
+
+// Repo-level config file written by `erold init`
+export const PROJECT_CONFIG_FILE = '.erold.json';
+
+// Keys a repo-level config may override. Credentials, and anything deciding
+// where they are sent (apiUrl, profile), never come from the repo.
+const PROJECT_KEYS = ['tenant', 'defaultProject', 'outputFormat'];
+
 // Initialize config store
 const config = new Conf({
   projectName: 'erold',
@@ -53,6 +131,136 @@ const config = new Conf({
   schema,
 });
 
+// Project config lookups, cached per start directory
+const projectConfigCache = new Map();
+
+// Profile selected for this process (--profile flag)
+let profileOverride = null;
+
+// Profiles switching to a login token in this process (login --web)
+const tokenLogins = new Set();
+
+/**
+ * Find the nearest .erold.json, walking up from a directory.
+ * Inside a git repository the search stops at the repository root.
+ * @param {string} startDir - Directory to start from
+ * @returns {object|null} { path, values } or null if none found
+ */
+export function findProjectConfig(startDir = process.cwd()) {
+  if (projectConfigCache.has(startDir)) {
+    return projectConfigCache.get(startDir);
+  }
+
+  const repoRoot = git.isGitRepo() ? git.getRepoRoot() : null;
+  let found = null;
+  let dir = resolve(startDir);
+
+  while (!found) {
+    const candidate = join(dir, PROJECT_CONFIG_FILE);
+    if (existsSync(candidate)) {
+      found = { path: candidate, values: readProjectConfig(candidate) };
+      break;
+    }
+
+    const parent = dirname(dir);
+    if (parent === dir || (repoRoot && dir === resolve(repoRoot))) {
+      break;
+    }
+    dir = parent;
+  }
+
+  projectConfigCache.set(startDir, found);
+  return found;
+}
+
+/**
+ * Read a .erold.json file, ignoring keys it may not override
+ * @param {string} path - File path
+ * @returns {object} Allowed values
+ */
+function readProjectConfig(path) {
+  try {
+    const raw = JSON.parse(readFileSync(path, 'utf-8'));
+    const values = {};
+    PROJECT_KEYS.forEach((key) => {
+      if (raw[key] !== undefined && raw[key] !== null && raw[key] !== '') {
+        values[key] = raw[key];
+      }
+    });
+    return values;
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Get the environment variable name for a key
+ * @param {string} key - Configuration key
+ * @returns {string} e.g. EROLD_API_KEY
+ */
+export function getEnvName(key) {
+  return `EROLD_${key.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}`;
+}
+
+/**
+ * Get a value from the environment (EROLD_API_KEY, or legacy EROLD_APIKEY)
+ * @param {string} key - Configuration key
+ * @returns {string|undefined}
+ */
+function getEnvValue(key) {
+  return process.env[getEnvName(key)] || process.env[`EROLD_${key.toUpperCase()}`] || undefined;
+}
+
+/**
+ * Convert a string (env var or command argument) to the key's schema type
+ * @param {string} key - Configuration key
+ * @param {any} value - Raw value
+ * @returns {any} Typed value (unchanged if it cannot be converted)
+ */
+export function coerceValue(key, value) {
+  if (typeof value !== 'string') return value;
+
+  const type = schema[key]?.type;
+  if (type === 'number') {
+    const n = Number(value);
+    return value.trim() === '' || isNaN(n) ? value : n;
+  }
+  if (type === 'boolean') {
+    return !['false', '0', 'no', 'off', ''].includes(value.trim().toLowerCase());
+  }
+  return value;
+}
+
+/**
+ * Get the layer a configuration value is resolved from
+ * @param {string} key - Configuration key
+ * @returns {string} 'env', 'project', 'profile', 'user' or 'default'
+ */
+export function getSource(key) {
+  if (getEnvValue(key)) {
+    return 'env';
+  }
+
+  const project = findProjectConfig();
+  if (project && project.values[key] !== undefined) {
+    return 'project';
+  }
+
+  if (key === 'apiKey' && !getPlainApiKey(getActiveProfile())) {
+    return credentials.getLocation(getActiveProfile()) || 'default';
+  }
+
+  if (isProfileScoped(key)) {
+    return getProfileValue(key) !== undefined ? 'profile' : 'default';
+  }
+
+  const value = config.get(key);
+  if (value === undefined || value === '' || (schema[key] && value === schema[key].default)) {
+    return 'default';
+  }
+  return 'user';
+}
+
 /**
  * Get a configuration value
  * @param {string} key - Configuration key
@@ -60,19 +268,498 @@ const config = new Conf({
  */
 export function get(key) {
   // Check environment variables first (for CI/CD)
-  const envKey = `EROLD_${key.toUpperCase()}`;
-  if (process.env[envKey]) {
-    return process.env[envKey];
+  const envValue = getEnvValue(key);
+  if (envValue) {
+    return coerceValue(key, envValue);
   }
+
+  // Then the repo-level .erold.json
+  const project = findProjectConfig();
+  if (project && project.values[key] !== undefined) {
+    return project.values[key];
+  }
+
+  if (key === 'apiKey') {
+    return getApiKey(getActiveProfile());
+  }
+
+  // Named profiles keep their own credentials, never the default profile's
+  if (isProfileScoped(key)) {
+    const value = getProfileValue(key);
+    return value !== undefined ? value : schema[key].default;
+  }
+
   return config.get(key);
 }
 
+// ============================================
+// Credentials
+// ============================================
+
+/**
+ * Get the config.json path of a profile's credential field
+ */
+function credentialPath(profile, field) {
+  return profile === DEFAULT_PROFILE ? field : `profiles.${profile}.${field}`;
+}
+
+/**
+ * Get the credential store account for a profile's login token (login --web)
+ */
+function tokenAccount(profile) {
+  return `${profile}:token`;
+}
+
+/**
+ * Get a profile's API key stored in plain text in config.json
+ * @param {string} profile - Profile name
+ * @returns {string|undefined}
+ */
+function getPlainApiKey(profile) {
+  return config.get(credentialPath(profile, 'apiKey')) || undefined;
+}
+
+/**
+ * Get a profile's API key from wherever it is kept
+ * A key entered in this process wins over stored ones.
+ * @param {string} profile - Profile name
+ * @returns {string} API key or ''
+ */
+function getApiKey(profile) {
+  if (tokenLogins.has(profile)) return '';
+  return credentials.recall(profile) || getPlainApiKey(profile) || credentials.lookup(profile) || '';
+}
+
+/**
+ * Get a profile's login token from wherever it is kept
+ * @param {string} profile - Profile name
+ * @returns {object|null} { accessToken, refreshToken, expiresAt, scope }
+ */
+export function getToken(profile = getActiveProfile()) {
+  const account = tokenAccount(profile);
+  const raw = credentials.recall(account) || config.get(credentialPath(profile, 'token')) || credentials.lookup(account);
+  if (!raw) return null;
+
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store a secret in the configured credential store
+ * @returns {Promise<string>} Store used: keyring, file or plaintext
+ */
+async function storeSecret(account, path, value) {
+  const store = credentials.resolveStore(config.get('credentialStore'));
+
+  if (store === 'plaintext') {
+    credentials.remove(account);
+    config.set(path, value);
+    return store;
+  }
+
+  await credentials.save(account, value, store);
+  config.delete(path);
+  return store;
+}
+
+/**
+ * Remove a secret from config.json and the credential store
+ */
+function removeSecret(account, path) {
+  config.delete(path);
+  credentials.remove(account);
+}
+
+/**
+ * Store a profile's API key in the configured credential store
+ * Replaces any login token, so each profile has one credential.
+ * @param {string} profile - Profile name
+ * @param {string} apiKey - API key
+ * @returns {Promise<string>} Store used: keyring, file or plaintext
+ */
+export async function storeApiKey(profile, apiKey) {
+  const store = await storeSecret(profile, credentialPath(profile, 'apiKey'), apiKey);
+  removeSecret(tokenAccount(profile), credentialPath(profile, 'token'));
+  return store;
+}
+
+/**
+ * Store a profile's login token in the configured credential store
+ * Replaces any API key, so each profile has one credential.
+ * @param {string} profile - Profile name
+ * @param {object} token - { accessToken, refreshToken, expiresAt, scope }
+ * @returns {Promise<string>} Store used: keyring, file or plaintext
+ */
+export async function storeToken(profile, token) {
+  const store = await storeSecret(tokenAccount(profile), credentialPath(profile, 'token'), JSON.stringify(token));
+  removeSecret(profile, credentialPath(profile, 'apiKey'));
+  return store;
+}
+
+/**
+ * Use a login token for this process without storing it
+ * Any stored API key for the profile is ignored from here on.
+ * @param {string} profile - Profile name
+ * @param {object} token - Login token
+ */
+export function useToken(profile, token) {
+  tokenLogins.add(profile);
+  credentials.remember(tokenAccount(profile), JSON.stringify(token));
+}
+
+/**
+ * Find where a profile's credential is stored
+ * @param {string} profile - Profile name
+ * @returns {object|null} { type: 'apiKey'|'token', store: 'plaintext'|'keyring'|'file' }
+ */
+export function getCredentialLocation(profile) {
+  if (getPlainApiKey(profile)) return { type: 'apiKey', store: 'plaintext' };
+  if (config.get(credentialPath(profile, 'token'))) return { type: 'token', store: 'plaintext' };
+
+  const keyStore = credentials.getLocation(profile);
+  if (keyStore) return { type: 'apiKey', store: keyStore };
+
+  const tokenStore = credentials.getLocation(tokenAccount(profile));
+  return tokenStore ? { type: 'token', store: tokenStore } : null;
+}
+
+/**
+ * Remove a profile's credentials from config.json and the credential store
+ * @param {string} profile - Profile name
+ */
+function removeCredentials(profile) {
+  removeSecret(profile, credentialPath(profile, 'apiKey'));
+  removeSecret(tokenAccount(profile), credentialPath(profile, 'token'));
+}
+
+/**
+ * Check whether the encrypted credential file must be unlocked first
+ * @returns {boolean}
+ */
+export function credentialsLocked() {
+  const profile = getActiveProfile();
+  if (getEnvValue('apiKey') || getPlainApiKey(profile) || config.get(credentialPath(profile, 'token'))) {
+    return false;
+  }
+  return credentials.needsUnlock(profile) || credentials.needsUnlock(tokenAccount(profile));
+}
+
+/**
+ * Unlock the encrypted credential file (prompts for the passphrase)
+ */
+export async function unlockCredentials() {
+  await credentials.unlock();
+}
+
+/**
+ * Move credentials stored in plain text into a credential store
+ * @param {string} setting - auto, keyring or file
+ * @returns {Promise<object[]>} [{ profile, type, store }] for each credential moved
+ */
+export async function migrateApiKeys(setting = 'auto') {
+  const store = credentials.resolveStore(setting);
+  const names = [DEFAULT_PROFILE, ...Object.keys(config.get('profiles') || {})];
+  const moved = [];
+
+  for (const name of names) {
+    const secrets = [
+      { type: 'apiKey', account: name, path: credentialPath(name, 'apiKey') },
+      { type: 'token', account: tokenAccount(name), path: credentialPath(name, 'token') },
+    ];
+
+    for (const { type, account, path } of secrets) {
+      const value = config.get(path);
+      if (!value) continue;
+
+      await credentials.save(account, value, store);
+      config.delete(path);
+      moved.push({ profile: name, type, store });
+    }
+  }
+
+  // New credentials should follow the ones just moved
+  if (config.get('credentialStore') === 'plaintext') {
+    config.set('credentialStore', setting);
+  }
+
+  return moved;
+}
+
+// ============================================
+// Profiles
+// ============================================
+
+/**
+ * Check if a key is stored per named profile
+ * @param {string} key - Configuration key
+ * @returns {boolean}
+ */
+function isProfileScoped(key) {
+  return PROFILE_KEYS.includes(key) && getActiveProfile() !== DEFAULT_PROFILE;
+}
+
+/**
+ * Get a value from the active named profile
+ * @param {string} key - Configuration key
+ * @returns {any} Value or undefined
+ */
+function getProfileValue(key) {
+  const value = config.get(`profiles.${getActiveProfile()}.${key}`);
+  return value === '' || value === null ? undefined : value;
+}
+
+/**
+ * Get the name of the active profile
+ *
+ * Resolution: --profile flag, EROLD_PROFILE, stored activeProfile.
+ * @returns {string} Profile name
+ */
+export function getActiveProfile() {
+  if (profileOverride) {
+    return profileOverride;
+  }
+  if (process.env.EROLD_PROFILE) {
+    return process.env.EROLD_PROFILE;
+  }
+  return config.get('activeProfile') || DEFAULT_PROFILE;
+}
+
+/**
+ * Use a profile for the rest of this process without persisting it
+ * @param {string|null} name - Profile name
+ */
+export function useProfile(name) {
+  profileOverride = name || null;
+}
+
+/**
+ * Persist the active profile
+ * @param {string} name - Profile name
+ */
+export function setActiveProfile(name) {
+  if (!hasProfile(name)) {
+    throw new Error(`Unknown profile: ${name}`);
+  }
+  config.set('activeProfile', name);
+}
+
+/**
+ * Check if a profile exists
+ * @param {string} name - Profile name
+ * @returns {boolean}
+ */
+export function hasProfile(name) {
+  return name === DEFAULT_PROFILE || config.get(`profiles.${name}`) !== undefined;
+}
+
+/**
+ * Validate a profile name (used as a dot-path segment in the store)
+ * @param {string} name - Profile name
+ * @returns {boolean}
+ */
+export function isValidProfileName(name) {
+  return /^[a-zA-Z0-9_-]+$/.test(name || '');
+}
+
+/**
+ * Get a profile's stored values
+ * @param {string} name - Profile name
+ * @returns {object|null} Profile values or null if it doesn't exist
+ */
+export function getProfile(name) {
+  const stored = name === DEFAULT_PROFILE ? {} : config.get(`profiles.${name}`);
+  if (!stored) return null;
+
+  const profile = { ...stored };
+  if (name === DEFAULT_PROFILE) {
+    PROFILE_KEYS.forEach((key) => {
+      profile[key] = config.get(key);
+    });
+  }
+  delete profile.token;
+  profile.apiKey = getApiKey(name);
+  return profile;
+}
+
+/**
+ * List all profiles, including the implicit default profile
+ * @returns {object[]} [{ name, active, apiUrl, tenant, hasKey }]
+ */
+export function listProfiles() {
+  const active = getActiveProfile();
+  const names = [DEFAULT_PROFILE, ...Object.keys(config.get('profiles') || {})];
+
+  return names.map((name) => {
+    const profile = getProfile(name);
+    return {
+      name,
+      active: name === active,
+      apiUrl: profile.apiUrl || schema.apiUrl.default,
+      tenant: profile.tenant || '',
+      defaultProject: profile.defaultProject || '',
+      hasKey: Boolean(profile.apiKey) || getCredentialLocation(name) !== null,
+    };
+  });
+}
+
+/**
+ * Create or update a named profile
+ * @param {string} name - Profile name
+ * @param {object} values - Profile values (apiKey, apiUrl, tenant, defaultProject)
+ */
+export function saveProfile(name, values = {}) {
+  if (!isValidProfileName(name)) {
+    throw new Error('Profile names may only contain letters, numbers, dashes and underscores');
+  }
+
+  const target = name === DEFAULT_PROFILE ? '' : `profiles.${name}.`;
+  if (name !== DEFAULT_PROFILE && !hasProfile(name)) {
+    config.set(`profiles.${name}`, {});
+  }
+
+  PROFILE_KEYS.forEach((key) => {
+    if (values[key] !== undefined) {
+      config.set(`${target}${key}`, values[key]);
+    }
+  });
+}
+
+/**
+ * Delete a named profile
+ * @param {string} name - Profile name
+ */
+export function removeProfile(name) {
+  if (name === DEFAULT_PROFILE) {
+    throw new Error('The default profile cannot be removed');
+  }
+  removeCredentials(name);
+  config.delete(`profiles.${name}`);
+  if (config.get('activeProfile') === name) {
+    config.set('activeProfile', DEFAULT_PROFILE);
+  }
+}
+
+// ============================================
+// Saved views
+// ============================================
+
+/**
+ * Read the views in a .erold.json
+ * @param {string} path - File path
+ * @returns {object} View name to view
+ */
+function readProjectViews(path) {
+  try {
+    const views = JSON.parse(readFileSync(path, 'utf-8')).views;
+    return views && typeof views === 'object' ? views : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Get the .erold.json that repo views are saved to
+ * The nearest existing one, or a new one at the repository root.
+ * @returns {string} File path
+ */
+function getProjectViewsPath() {
+  const project = findProjectConfig();
+  if (project) return project.path;
+
+  const root = git.isGitRepo() ? git.getRepoRoot() : null;
+  return join(root || process.cwd(), PROJECT_CONFIG_FILE);
+}
+
+/**
+ * List saved views from the user config and the repo's .erold.json
+ * A repo view hides a user view of the same name, as with other settings.
+ * @returns {object[]} [{ name, source, description, options, shadowed }]
+ */
+export function listViews() {
+  const project = findProjectConfig();
+  const repo = project ? readProjectViews(project.path) : {};
+  const user = config.get('views') || {};
+
+  const views = Object.entries(repo).map(([name, view]) => ({ name, source: 'repo', ...view }));
+  Object.entries(user).forEach(([name, view]) => {
+    views.push({ name, source: 'user', ...view, shadowed: name in repo });
+  });
+
+  return views.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a saved view
+ * @param {string} name - View name
+ * @returns {object|null} { name, source, description, options }
+ */
+export function getView(name) {
+  return listViews().find(view => view.name === name && !view.shadowed) || null;
+}
+
+/**
+ * Save a view
+ * @param {string} name - View name (letters, numbers, dashes, underscores)
+ * @param {object} view - { description, options }
+ * @param {object} where - { repo } save to .erold.json instead of the user config
+ * @returns {string} File the view was saved to
+ */
+export function saveView(name, view, { repo = false } = {}) {
+  if (!isValidProfileName(name)) {
+    throw new Error('View names may only contain letters, numbers, dashes and underscores');
+  }
+
+  if (!repo) {
+    config.set(`views.${name}`, view);
+    return config.path;
+  }
+
+  const path = getProjectViewsPath();
+  let data = {};
+  if (existsSync(path)) {
+    data = JSON.parse(readFileSync(path, 'utf-8'));
+  }
+  data.views = { ...data.views, [name]: view };
+  writeFileSync(path, JSON.stringify(data, null, 2));
+  projectConfigCache.clear();
+  return path;
+}
+
+/**
+ * Delete a saved view
+ * @param {string} name - View name
+ * @param {object} where - { repo } delete from .erold.json instead of the user config
+ * @returns {boolean} Whether a view was deleted
+ */
+export function removeView(name, { repo = false } = {}) {
+  if (!repo) {
+    if (config.get(`views.${name}`) === undefined) return false;
+    config.delete(`views.${name}`);
+    return true;
+  }
+
+  const project = findProjectConfig();
+  if (!project || !(name in readProjectViews(project.path))) return false;
+
+  const data = JSON.parse(readFileSync(project.path, 'utf-8'));
+  delete data.views[name];
+  writeFileSync(project.path, JSON.stringify(data, null, 2));
+  return true;
+}
+
 /**
  * Set a configuration value
  * @param {string} key - Configuration key
  * @param {any} value - Configuration value
  */
 export function set(key, value) {
+  if (isProfileScoped(key)) {
+    config.set(`profiles.${getActiveProfile()}.${key}`, value);
+    return;
+  }
   config.set(key, value);
 }
 
@@ -81,6 +768,10 @@ export function set(key, value) {
  * @param {string} key - Configuration key
  */
 export function remove(key) {
+  if (isProfileScoped(key)) {
+    config.delete(`profiles.${getActiveProfile()}.${key}`);
+    return;
+  }
   config.delete(key);
 }
 
@@ -89,13 +780,27 @@ export function remove(key) {
  * @returns {object} All configuration
  */
 export function getAll() {
-  return {
-    ...config.store,
-    // Override with env vars
-    apiKey: get('apiKey'),
-    apiUrl: get('apiUrl'),
-    tenant: get('tenant'),
-  };
+  const all = { ...config.store };
+  Object.keys(schema).forEach((key) => {
+    all[key] = get(key);
+  });
+
+  // Other profiles' credentials are never part of the effective config
+  delete all.token;
+  delete all.profiles;
+  delete all.activeProfile;
+  delete all.views;
+  all.profile = getActiveProfile();
+
+  return all;
+}
+
+/**
+ * Get values stored in the user config only (no env or repo overrides)
+ * @returns {object} User configuration
+ */
+export function getUserConfig() {
+  return { ...config.store };
 }
 
 /**
@@ -106,12 +811,12 @@ export function clear() {
 }
 
 /**
- * Check if API key is configured
+ * Check if an API key or login token is configured
  * @returns {boolean}
  */
 export function isConfigured() {
   const apiKey = get('apiKey');
-  return apiKey && apiKey.startsWith('erold_');
+  return Boolean(apiKey && apiKey.startsWith('erold_')) || getToken() !== null;
 }
 
 /**
@@ -119,8 +824,12 @@ export function isConfigured() {
  * @returns {object} API configuration
  */
 export function getApiConfig() {
+  const apiKey = get('apiKey');
   return {
-    apiKey: get('apiKey'),
+    profile: getActiveProfile(),
+    apiKey,
+    // An API key (e.g. EROLD_API_KEY) takes precedence over a login token
+    token: apiKey ? null : getToken(),
     apiUrl: get('apiUrl'),
     tenant: get('tenant'),
   };
@@ -130,19 +839,40 @@ export function getApiConfig() {
  * Save API key and tenant
  * @param {string} apiKey - API key
  * @param {string} tenant - Tenant ID/slug
+ * @returns {Promise<string>} Store the key was saved to
+ */
+export async function saveCredentials(apiKey, tenant) {
+  const profile = getActiveProfile();
+  const store = await storeApiKey(profile, apiKey);
+  // A profile exists once it has credentials, with or without a tenant
+  saveProfile(profile);
+  if (tenant) {
+    set('tenant', tenant);
+  }
+  return store;
+}
+
+/**
+ * Save a login token and tenant
+ * @param {object} token - Login token
+ * @param {string} tenant - Tenant ID/slug
+ * @returns {Promise<string>} Store the token was saved to
  */
-export function saveCredentials(apiKey, tenant) {
-  set('apiKey', apiKey);
+export async function saveToken(token, tenant) {
+  const profile = getActiveProfile();
+  const store = await storeToken(profile, token);
+  saveProfile(profile);
   if (tenant) {
     set('tenant', tenant);
   }
+  return store;
 }
 
 /**
  * Clear credentials
  */
 export function clearCredentials() {
-  remove('apiKey');
+  removeCredentials(getActiveProfile());
   remove('tenant');
 }
 
@@ -154,15 +884,63 @@ export function getConfigPath() {
   return config.path;
 }
 
+/**
+ * Get the directory for local state (~/.erold)
+ * @returns {string}
+ */
+export function getConfigDir() {
+  return configDir;
+}
+
+/**
+ * Get the path of the repo-level config in effect
+ * @returns {string|null} .erold.json path or null
+ */
+export function getProjectConfigPath() {
+  const project = findProjectConfig();
+  return project ? project.path : null;
+}
+
 export default {
   get,
   set,
   remove,
   getAll,
+  getSource,
+  getEnvName,
+  coerceValue,
+  getUserConfig,
+  findProjectConfig,
   clear,
   isConfigured,
   getApiConfig,
   saveCredentials,
   clearCredentials,
+  storeApiKey,
+  storeToken,
+  saveToken,
+  getToken,
+  useToken,
+  getCredentialLocation,
+  credentialsLocked,
+  unlockCredentials,
+  migrateApiKeys,
   getConfigPath,
+  getConfigDir,
+  getProjectConfigPath,
+  DEFAULT_PROFILE,
+  CREDENTIAL_STORES,
+  getActiveProfile,
+  useProfile,
+  setActiveProfile,
+  hasProfile,
+  isValidProfileName,
+  getProfile,
+  listProfiles,
+  saveProfile,
+  removeProfile,
+  listViews,
+  getView,
+  saveView,
+  removeView,
 };
@@ -0,0 +1,391 @@
+/**
+ * Credential Store
+ *
+ * Keeps API keys out of config.json. Keys go to the system keyring
+ * (Secret Service via `secret-tool` on Linux) when one is available, and
+ * otherwise to ~/.erold/credentials.enc, encrypted with a passphrase.
+ * Plain text in config.json is only used when explicitly chosen with
+ * `erold config set credentialStore plaintext`.
+ */
+
+import { spawnSync } from 'child_process';
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+import { homedir } from 'os';
+import { join } from 'path';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import inquirer from 'inquirer';
+
+// Values for the credentialStore setting
+export const STORES = ['auto', 'keyring', 'file', 'plaintext'];
+
+// Keyring attributes identifying our secrets
+const KEYRING_SERVICE = 'erold-cli';
+
+// scrypt cost parameters (~32 MB, ~100ms)
+const KDF = { N: 2 ** 15, r: 8, p: 1 };
+const KDF_MAXMEM = 64 * 1024 * 1024;
+
+let dir = join(homedir(), '.erold');
+let keyringAvailable = null;
+
+// Keys known to this process: unlocked, looked up or just entered
+const remembered = new Map();
+
+// Keyring lookups made by this process, including misses (null)
+const keyringLookups = new Map();
+
+// Derived key for credentials.enc once the passphrase has been entered
+let fileKey = null;
+
+/**
+ * Create an error carrying an error code (see errors.js)
+ */
+function credentialError(message, code = 'AUTH_REQUIRED') {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Use a different directory for credentials.enc (tests)
+ * @param {string} path - Directory
+ */
+export function setDir(path) {
+  dir = path;
+  fileKey = null;
+  remembered.clear();
+  keyringLookups.clear();
+}
+
+/**
+ * Get the encrypted credentials file path
+ * @returns {string}
+ */
+export function getCredentialsPath() {
+  return join(dir, 'credentials.enc');
+}
+
+// ============================================
+// Keyring (Secret Service)
+// ============================================
+
+/**
+ * Run secret-tool
+ * @returns {object|null} spawnSync result, or null if it could not run
+ */
+function secretTool(args, input) {
+  const result = spawnSync('secret-tool', args, {
+    input,
+    encoding: 'utf-8',
+    timeout: 5000,
+    stdio: ['pipe', 'pipe', 'pipe'],
+  });
+  return result.error ? null : result;
+}
+
+/**
+ * Check whether the system keyring can be used
+ * @returns {boolean}
+ */
+export function isKeyringAvailable() {
+  if (keyringAvailable === null) {
+    // secret-tool talks to the keyring over the session bus. A lookup of
+    // nothing exits 1 quietly; anything on stderr means the keyring failed.
+    const probe = process.platform === 'linux' && process.env.DBUS_SESSION_BUS_ADDRESS
+      ? secretTool(['lookup', 'service', KEYRING_SERVICE, 'account', '__probe__'])
+      : null;
+    keyringAvailable = Boolean(probe)
+      && (probe.status === 0 || (probe.status === 1 && !probe.stderr.trim()));
+  }
+  return keyringAvailable;
+}
+
+function keyringGet(profile) {
+  if (!isKeyringAvailable()) return null;
+
+  // Each lookup is a process spawn; ask once per profile
+  if (!keyringLookups.has(profile)) {
+    const result = secretTool(['lookup', 'service', KEYRING_SERVICE, 'account', profile]);
+    const value = result?.status === 0 ? result.stdout.trim() : '';
+    keyringLookups.set(profile, value || null);
+  }
+  return keyringLookups.get(profile);
+}
+
+function keyringSet(profile, apiKey) {
+  const result = secretTool(
+    ['store', '--label', `Erold CLI (${profile})`, 'service', KEYRING_SERVICE, 'account', profile],
+    apiKey
+  );
+  if (!result || result.status !== 0) {
+    throw credentialError('Could not save the API key to the system keyring', 'GENERAL_ERROR');
+  }
+  keyringLookups.set(profile, apiKey);
+}
+
+function keyringDelete(profile) {
+  if (isKeyringAvailable()) {
+    secretTool(['clear', 'service', KEYRING_SERVICE, 'account', profile]);
+    keyringLookups.set(profile, null);
+  }
+}
+
+// ============================================
+// Encrypted file
+// ============================================
+
+function readFile() {
+  const path = getCredentialsPath();
+  if (!existsSync(path)) return null;
+
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch {
+    throw credentialError(`${path} is damaged. Remove it and log in again.`, 'GENERAL_ERROR');
+  }
+}
+
+function writeFile(data) {
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true, mode: 0o700 });
+  }
+  const path = getCredentialsPath();
+  const tmp = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+  renameSync(tmp, path);
+}
+
+function deriveKey(passphrase, salt, kdf = KDF) {
+  return scryptSync(passphrase, Buffer.from(salt, 'base64'), 32, {
+    N: kdf.N, r: kdf.r, p: kdf.p, maxmem: KDF_MAXMEM,
+  });
+}
+
+function encrypt(key, text) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(text, 'utf-8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+function decrypt(key, entry) {
+  const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(entry.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf-8');
+}
+
+/**
+ * Get the passphrase from EROLD_PASSPHRASE or a prompt
+ */
+async function askPassphrase(create) {
+  if (process.env.EROLD_PASSPHRASE) {
+    return process.env.EROLD_PASSPHRASE;
+  }
+
+  if (!process.stdin.isTTY) {
+    throw Object.assign(credentialError('Credentials are encrypted and no passphrase is available'), {
+      hint: 'Set EROLD_PASSPHRASE, or run the command in a terminal',
+    });
+  }
+
+  const questions = [
+    {
+      type: 'password',
+      name: 'passphrase',
+      mask: '*',
+      message: create ? 'New passphrase for stored credentials:' : 'Passphrase for stored credentials:',
+      validate: input => (create && input.length < 8 ? 'Use at least 8 characters' : true),
+    },
+  ];
+  if (create) {
+    questions.push({
+      type: 'password',
+      name: 'confirm',
+      mask: '*',
+      message: 'Repeat passphrase:',
+      validate: (input, answers) => (input === answers.passphrase ? true : 'Passphrases do not match'),
+    });
+  }
+
+  const answers = await inquirer.prompt(questions);
+  return answers.passphrase;
+}
+
+/**
+ * Check whether credentials.enc holds a key for a profile
+ * @param {string} profile - Profile name
+ * @returns {boolean}
+ */
+function fileHas(profile) {
+  return Boolean(readFile()?.entries?.[profile]);
+}
+
+/**
+ * Check whether the encrypted file must be unlocked to get a profile's key
+ * @param {string} profile - Profile name
+ * @returns {boolean}
+ */
+export function needsUnlock(profile) {
+  return !remembered.has(profile) && !fileKey && fileHas(profile);
+}
+
+/**
+ * Unlock credentials.enc, prompting for the passphrase if needed
+ */
+export async function unlock() {
+  if (fileKey) return;
+
+  const file = readFile();
+  if (!file || Object.keys(file.entries || {}).length === 0) return;
+
+  const passphrase = await askPassphrase(false);
+  const key = deriveKey(passphrase, file.salt, file.kdf);
+
+  try {
+    Object.entries(file.entries).forEach(([profile, entry]) => {
+      remembered.set(profile, decrypt(key, entry));
+    });
+  } catch {
+    remembered.clear();
+    throw credentialError('Wrong passphrase for stored credentials');
+  }
+
+  fileKey = key;
+}
+
+async function fileSet(profile, apiKey) {
+  let file = readFile();
+
+  if (!file || Object.keys(file.entries || {}).length === 0) {
+    // First key: start a new file with a new passphrase
+    const salt = randomBytes(16).toString('base64');
+    fileKey = deriveKey(await askPassphrase(true), salt);
+    file = { version: 1, kdf: { name: 'scrypt', ...KDF }, salt, entries: {} };
+  } else {
+    await unlock();
+  }
+
+  file.entries[profile] = encrypt(fileKey, apiKey);
+  writeFile(file);
+}
+
+function fileDelete(profile) {
+  const file = readFile();
+  if (file?.entries?.[profile]) {
+    delete file.entries[profile];
+    writeFile(file);
+  }
+}
+
+// ============================================
+// Store
+// ============================================
+
+/**
+ * Resolve the credentialStore setting to the store to write to
+ * @param {string} setting - auto, keyring, file or plaintext
+ * @returns {string} keyring, file or plaintext
+ */
+export function resolveStore(setting = 'auto') {
+  if (setting === 'keyring' && !isKeyringAvailable()) {
+    throw Object.assign(credentialError('The system keyring is not available', 'VALIDATION_ERROR'), {
+      hint: 'Install libsecret-tools (secret-tool) and run inside a desktop session, or use --to file',
+    });
+  }
+  if (setting === 'auto') {
+    return isKeyringAvailable() ? 'keyring' : 'file';
+  }
+  return setting;
+}
+
+/**
+ * Find where a profile's key is stored
+ * @param {string} profile - Profile name
+ * @returns {string|null} keyring, file or null
+ */
+export function getLocation(profile) {
+  if (fileHas(profile)) return 'file';
+  if (keyringGet(profile)) return 'keyring';
+  return null;
+}
+
+/**
+ * Get a profile's key without prompting
+ * Keys in the encrypted file are only returned once unlocked.
+ * @param {string} profile - Profile name
+ * @returns {string|null}
+ */
+export function lookup(profile) {
+  if (remembered.has(profile)) {
+    return remembered.get(profile);
+  }
+
+  const value = keyringGet(profile);
+  if (value) {
+    remembered.set(profile, value);
+  }
+  return value;
+}
+
+/**
+ * Use a key for this process without storing it (e.g. while verifying a login)
+ * @param {string} profile - Profile name
+ * @param {string} apiKey - API key
+ */
+export function remember(profile, apiKey) {
+  remembered.set(profile, apiKey);
+}
+
+/**
+ * Get a key only if it is known to this process
+ * @param {string} profile - Profile name
+ * @returns {string|undefined}
+ */
+export function recall(profile) {
+  return remembered.get(profile);
+}
+
+/**
+ * Store a profile's key
+ * @param {string} profile - Profile name
+ * @param {string} apiKey - API key
+ * @param {string} store - keyring or file
+ */
+export async function save(profile, apiKey, store) {
+  if (store === 'keyring') {
+    keyringSet(profile, apiKey);
+    fileDelete(profile);
+  } else {
+    await fileSet(profile, apiKey);
+    keyringDelete(profile);
+  }
+  remembered.set(profile, apiKey);
+}
+
+/**
+ * Remove a profile's key from every store
+ * @param {string} profile - Profile name
+ */
+export function remove(profile) {
+  keyringDelete(profile);
+  fileDelete(profile);
+  remembered.delete(profile);
+}
+
+export default {
+  STORES,
+  setDir,
+  getCredentialsPath,
+  isKeyringAvailable,
+  needsUnlock,
+  unlock,
+  resolveStore,
+  getLocation,
+  lookup,
+  remember,
+  recall,
+  save,
+  remove,
+};
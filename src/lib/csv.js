@@ -0,0 +1,70 @@
+/**
+ * CSV Helpers
+ *
+ * Converts records to RFC 4180 CSV. Nested values are flattened so rows
+ * load cleanly into spreadsheets and warehouses.
+ */
+
+/**
+ * Convert a value to a CSV cell
+ * Arrays are joined with ";", objects are JSON encoded.
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+export function toCell(value) {
+  if (value === undefined || value === null) return '';
+
+  let str;
+  if (Array.isArray(value)) {
+    str = value.map(v => (typeof v === 'object' && v !== null ? JSON.stringify(v) : String(v))).join(';');
+  } else if (typeof value === 'object') {
+    str = JSON.stringify(value);
+  } else {
+    str = String(value);
+  }
+
+  if (/[",\r\n]/.test(str) || str !== str.trim()) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * Build a CSV line
+ * @param {object} record - Record
+ * @param {string[]} columns - Keys to include, in order
+ * @returns {string} Line, without trailing newline
+ */
+export function toCsvRow(record, columns) {
+  return columns.map(key => toCell(record?.[key])).join(',');
+}
+
+/**
+ * Collect the keys of a set of records, in first-seen order
+ * @param {object[]} records - Records
+ * @returns {string[]}
+ */
+export function collectColumns(records) {
+  const keys = new Set();
+  records.forEach(record => Object.keys(record || {}).forEach(key => keys.add(key)));
+  return [...keys];
+}
+
+/**
+ * Convert records to a CSV document with a header row
+ * @param {object[]} records - Records
+ * @param {string[]} columns - Keys to include (defaults to every key seen)
+ * @returns {string}
+ */
+export function toCsv(records, columns = collectColumns(records)) {
+  const lines = [columns.map(toCell).join(',')];
+  records.forEach(record => lines.push(toCsvRow(record, columns)));
+  return lines.join('\r\n') + '\r\n';
+}
+
+export default {
+  toCell,
+  toCsvRow,
+  collectColumns,
+  toCsv,
+};
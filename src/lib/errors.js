@@ -0,0 +1,175 @@
+/**
+ * Error Handling
+ *
+ * Gives every failure a stable error code and a documented exit code,
+ * so scripts can tell "task not found" apart from "API is down"
+ * without parsing messages.
+ *
+ * Exit codes:
+ *   0  success
+ *   1  general error
+ *   2  usage error (unknown command, missing argument, bad option)
+ *   3  authentication or permission error (401, 403)
+ *   4  not found (404)
+ *   5  validation error (400, 422)
+ *   6  conflict (409, 412)
+ *   7  rate limited (429)
+ *   8  network error, timeout or server unavailable (408, 5xx)
+ */
+
+import output from './output.js';
+import { ApiError } from './api.js';
+
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  GENERAL: 1,
+  USAGE: 2,
+  AUTH: 3,
+  NOT_FOUND: 4,
+  VALIDATION: 5,
+  CONFLICT: 6,
+  RATE_LIMITED: 7,
+  NETWORK: 8,
+};
+
+/**
+ * Stable error codes and the exit code each one maps to
+ */
+export const ERROR_CODES = {
+  GENERAL_ERROR: EXIT_CODES.GENERAL,
+  USAGE_ERROR: EXIT_CODES.USAGE,
+  AUTH_REQUIRED: EXIT_CODES.AUTH,
+  FORBIDDEN: EXIT_CODES.AUTH,
+  NOT_FOUND: EXIT_CODES.NOT_FOUND,
+  VALIDATION_ERROR: EXIT_CODES.VALIDATION,
+  CONFLICT: EXIT_CODES.CONFLICT,
+  RATE_LIMITED: EXIT_CODES.RATE_LIMITED,
+  TIMEOUT: EXIT_CODES.NETWORK,
+  NETWORK_ERROR: EXIT_CODES.NETWORK,
+  SERVER_ERROR: EXIT_CODES.NETWORK,
+};
+
+/**
+ * Error raised by the CLI itself (bad input, missing setup, ...)
+ */
+export class CliError extends Error {
+  constructor(message, code = 'GENERAL_ERROR', { details = null, hint = null } = {}) {
+    super(message);
+    this.name = 'CliError';
+    this.code = code;
+    this.details = details;
+    this.hint = hint;
+  }
+}
+
+/**
+ * Map an HTTP status code to an error code
+ * @param {number} statusCode - HTTP status (empty for network failures)
+ * @returns {string} Error code
+ */
+export function codeForStatus(statusCode) {
+  if (!statusCode) return 'NETWORK_ERROR';
+  if (statusCode === 401) return 'AUTH_REQUIRED';
+  if (statusCode === 403) return 'FORBIDDEN';
+  if (statusCode === 404) return 'NOT_FOUND';
+  if (statusCode === 408) return 'TIMEOUT';
+  if (statusCode === 409 || statusCode === 412) return 'CONFLICT';
+  if (statusCode === 429) return 'RATE_LIMITED';
+  if (statusCode === 400 || statusCode === 422) return 'VALIDATION_ERROR';
+  if (statusCode >= 500) return 'SERVER_ERROR';
+  return 'GENERAL_ERROR';
+}
+
+/**
+ * Get the stable error code for any error
+ * @param {Error} err - Error
+ * @returns {string} Error code
+ */
+export function getErrorCode(err) {
+  if (err?.code && ERROR_CODES[err.code] !== undefined) {
+    return err.code;
+  }
+  if (typeof err?.code === 'string' && err.code.startsWith('commander.')) {
+    return 'USAGE_ERROR';
+  }
+  if (err instanceof ApiError) {
+    return codeForStatus(err.statusCode);
+  }
+  return 'GENERAL_ERROR';
+}
+
+/**
+ * Get the process exit code for any error
+ * @param {Error} err - Error
+ * @returns {number} Exit code
+ */
+export function getExitCode(err) {
+  return ERROR_CODES[getErrorCode(err)];
+}
+
+/**
+ * Build the JSON error envelope
+ * @param {Error} err - Error
+ * @returns {object} { error: { code, message, statusCode, details } }
+ */
+export function toEnvelope(err) {
+  return {
+    error: {
+      code: getErrorCode(err),
+      message: err?.message || 'An unexpected error occurred',
+      statusCode: err?.statusCode ?? null,
+      details: err?.details ?? null,
+    },
+  };
+}
+
+/**
+ * Print an error (as text, or as a JSON envelope on stderr under --json)
+ * @param {Error} err - Error
+ */
+export function printError(err) {
+  if (output.isJson()) {
+    console.error(JSON.stringify(toEnvelope(err), null, 2));
+    return;
+  }
+
+  output.error(err?.message || 'An unexpected error occurred');
+  if (err?.details) {
+    output.muted(JSON.stringify(err.details, null, 2));
+  }
+  if (err?.hint) {
+    output.muted(err.hint);
+  }
+}
+
+/**
+ * Print an error and exit with its exit code
+ * @param {Error} err - Error
+ */
+export function exitWithError(err) {
+  printError(err);
+  process.exit(getExitCode(err));
+}
+
+/**
+ * Fail with a CLI error
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @param {object} options - { details, hint }
+ */
+export function fail(message, code = 'GENERAL_ERROR', options = {}) {
+  exitWithError(new CliError(message, code, options));
+}
+
+export default {
+  EXIT_CODES,
+  ERROR_CODES,
+  CliError,
+  codeForStatus,
+  getErrorCode,
+  getExitCode,
+  toEnvelope,
+  printError,
+  exitWithError,
+  fail,
+};
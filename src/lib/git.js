@@ -43,6 +43,18 @@ export function getRepoRoot() {
   }
 }
 
+/**
+ * Get the git directory (.git, or the worktree's git dir)
+ * @returns {string|null}
+ */
+export function getGitDir() {
+  try {
+    return execSync('git rev-parse --git-dir', { encoding: 'utf-8' }).trim();
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Extract task ID from branch name
  *
@@ -58,8 +70,9 @@ export function getRepoRoot() {
 export function extractTaskIdFromBranch(branch) {
   if (!branch) return null;
 
-  // Pattern: task-123, TASK-123, task/123
+  // Pattern: task-<id>, task-123, TASK-123, task/123
   const patterns = [
+    /task[-/]((?=[a-z0-9]*\d)(?=[a-z0-9]*[a-z])[a-z0-9]{8,})(?=[-_/]|$)/i, // task-abc12345 (ID or prefix)
     /task[-/](\d+)/i,           // task-123, task/123
     /([A-Z]+-\d+)/,             // JIRA-style: TASK-123
     /(\d+)[-_]/,                // 123-description
@@ -210,6 +223,7 @@ export default {
   isGitRepo,
   getCurrentBranch,
   getRepoRoot,
+  getGitDir,
   extractTaskIdFromBranch,
   getTaskIdFromBranch,
   getCurrentCommit,
@@ -0,0 +1,197 @@
+/**
+ * Network Settings
+ *
+ * Proxy and TLS configuration for API requests. The proxy comes from the
+ * `proxy` setting or the standard HTTPS_PROXY / HTTP_PROXY variables, with
+ * hosts in NO_PROXY going direct. `caFile` adds a root certificate (e.g.
+ * a corporate intercepting proxy's) and `insecure` turns off certificate
+ * checks for local testing.
+ */
+
+import { readFileSync } from 'fs';
+import { rootCertificates } from 'tls';
+import { Agent, ProxyAgent } from 'undici';
+import config from './config.js';
+import output from './output.js';
+
+// Dispatchers by proxy URL ('' for direct), created on first use
+const dispatchers = new Map();
+
+let warnedInsecure = false;
+
+/**
+ * Read an environment variable in either case (HTTPS_PROXY or https_proxy)
+ */
+function env(name) {
+  return process.env[name] || process.env[name.toLowerCase()] || '';
+}
+
+/**
+ * Get the proxy and TLS settings in effect
+ * @returns {object} { proxy, proxySource, noProxy, caFile, insecure }
+ */
+export function getSettings() {
+  const configured = config.get('proxy');
+  const envProxy = env('HTTPS_PROXY') || env('HTTP_PROXY');
+
+  return {
+    proxy: configured || envProxy || null,
+    proxySource: configured ? 'config' : envProxy ? 'env' : null,
+    noProxy: env('NO_PROXY'),
+    caFile: config.get('caFile') || null,
+    insecure: config.get('insecure') === true,
+  };
+}
+
+/**
+ * Hide the password in a proxy URL
+ * @param {string} url - Proxy URL
+ * @returns {string}
+ */
+export function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.password) parsed.password = '***';
+    return parsed.toString().replace(/\/$/, '');
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Check whether a URL should bypass the proxy (NO_PROXY rules)
+ * Entries are host names (matching subdomains too), optionally with a
+ * port or a leading dot, or `*` for everything.
+ * @param {string} url - Request URL
+ * @param {string} noProxy - Comma-separated NO_PROXY list
+ * @returns {boolean}
+ */
+export function isBypassed(url, noProxy) {
+  if (!noProxy) return false;
+
+  const { hostname, port, protocol } = new URL(url);
+  const effectivePort = port || (protocol === 'https:' ? '443' : '80');
+
+  return noProxy.split(/[\s,]+/).filter(Boolean).some((entry) => {
+    if (entry === '*') return true;
+
+    const [host, entryPort] = entry.replace(/^\*?\./, '').split(':');
+    if (entryPort && entryPort !== effectivePort) return false;
+    return hostname === host || hostname.endsWith(`.${host}`);
+  });
+}
+
+/**
+ * Get the proxy to use for a URL
+ * @param {string} url - Request URL
+ * @returns {string|null} Proxy URL
+ */
+export function getProxyFor(url) {
+  const { proxy, noProxy } = getSettings();
+  return proxy && !isBypassed(url, noProxy) ? proxy : null;
+}
+
+/**
+ * Build the TLS options for the API connection
+ * @returns {object|null} Options, or null for Node's defaults
+ */
+function getTlsOptions({ caFile, insecure }) {
+  if (!caFile && !insecure) return null;
+
+  const tls = {};
+
+  if (caFile) {
+    let ca;
+    try {
+      ca = readFileSync(caFile, 'utf-8');
+    } catch (err) {
+      throw Object.assign(new Error(`Cannot read caFile ${caFile}: ${err.message}`), {
+        code: 'VALIDATION_ERROR',
+        hint: 'Fix the path with `erold config set caFile <path>`',
+      });
+    }
+    // Add to the default roots rather than replace them
+    tls.ca = [...rootCertificates, ca];
+  }
+
+  if (insecure) {
+    if (!warnedInsecure) {
+      warnedInsecure = true;
+      output.warning('TLS certificate checks are disabled (insecure). Use this for local testing only.');
+    }
+    tls.rejectUnauthorized = false;
+  }
+
+  return tls;
+}
+
+/**
+ * Get the undici dispatcher for a URL
+ * @param {string} url - Request URL
+ * @returns {object|null} Dispatcher, or null to use fetch's default
+ */
+export function getDispatcher(url) {
+  const settings = getSettings();
+  const proxy = getProxyFor(url);
+  const key = proxy || '';
+
+  if (!dispatchers.has(key)) {
+    const tls = getTlsOptions(settings);
+    let dispatcher = null;
+
+    if (proxy) {
+      dispatcher = new ProxyAgent({ uri: proxy, ...(tls ? { requestTls: tls, proxyTls: tls } : {}) });
+    } else if (tls) {
+      dispatcher = new Agent({ connect: tls });
+    }
+    dispatchers.set(key, dispatcher);
+  }
+
+  return dispatchers.get(key);
+}
+
+/**
+ * fetch() through the configured proxy and TLS settings
+ * @param {string} url - Request URL
+ * @param {object} options - fetch options
+ * @returns {Promise<Response>}
+ */
+export function request(url, options = {}) {
+  const dispatcher = getDispatcher(url);
+  return fetch(url, dispatcher ? { ...options, dispatcher } : options);
+}
+
+/**
+ * Describe a failed connection, with a hint for common proxy and TLS problems
+ * @param {Error} err - fetch error
+ * @returns {object} { message, hint }
+ */
+export function describeFailure(err) {
+  const cause = err.cause || err;
+  const code = cause.code || '';
+  const message = cause.message && cause !== err ? `${err.message} (${cause.message})` : err.message;
+
+  if (/CERT|SELF_SIGNED|UNABLE_TO_VERIFY|UNABLE_TO_GET_ISSUER/.test(code)) {
+    return {
+      message,
+      hint: 'The certificate is not trusted. Behind an intercepting proxy? Run `erold config set caFile <path-to-ca.pem>`',
+    };
+  }
+  if (['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'].includes(code) && getSettings().proxy) {
+    return { message, hint: 'Check the proxy address in HTTPS_PROXY or `erold config get proxy`' };
+  }
+  if (code === 'UND_ERR_PROXY' || /proxy/i.test(cause.message || '')) {
+    return { message, hint: 'The proxy refused the connection. Check `erold config get proxy` and HTTPS_PROXY' };
+  }
+  return { message, hint: null };
+}
+
+export default {
+  getSettings,
+  redactUrl,
+  isBypassed,
+  getProxyFor,
+  getDispatcher,
+  request,
+  describeFailure,
+};
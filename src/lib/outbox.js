@@ -0,0 +1,150 @@
+/**
+ * Outbox
+ *
+ * Durable queue for changes made while the API is unreachable. Entries
+ * are stored in ~/.erold/outbox.json and replayed in order by `erold sync`.
+ */
+
+import { randomBytes } from 'crypto';
+import { dirname, join } from 'path';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import config from './config.js';
+import { CliError } from './errors.js';
+
+export const STATUS = {
+  PENDING: 'pending',
+  CONFLICT: 'conflict',
+};
+
+let path = null;
+
+/**
+ * Get the outbox file path
+ * @returns {string}
+ */
+export function getOutboxPath() {
+  return path || join(config.getConfigDir(), 'outbox.json');
+}
+
+/**
+ * Use a different outbox file (tests)
+ * @param {string|null} file - Path, or null for the default
+ */
+export function setOutboxPath(file) {
+  path = file;
+}
+
+/**
+ * Read all entries, oldest first
+ * @returns {object[]}
+ * @throws {CliError} When the file cannot be read, so queued changes are
+ *   never replaced by an empty outbox
+ */
+export function list() {
+  const file = getOutboxPath();
+  if (!existsSync(file)) return [];
+
+  let data;
+  try {
+    data = JSON.parse(readFileSync(file, 'utf-8'));
+  } catch {
+    data = null;
+  }
+  if (!Array.isArray(data?.entries)) {
+    throw new CliError(`${file} is damaged`, 'GENERAL_ERROR', {
+      hint: 'It may hold changes that were never sent. Repair the JSON, or move the file aside to start a new outbox',
+    });
+  }
+  return data.entries;
+}
+
+/**
+ * Replace all entries
+ * Written to a temporary file first so a crash never truncates the queue.
+ */
+function save(entries) {
+  const file = getOutboxPath();
+  const dir = dirname(file);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true, mode: 0o700 });
+  }
+
+  const tmp = `${file}.${process.pid}.tmp`;
+  writeFileSync(tmp, JSON.stringify({ entries }, null, 2), { mode: 0o600 });
+  renameSync(tmp, file);
+}
+
+/**
+ * Queue a change
+ * @param {object} change - { method, endpoint, body, profile, apiUrl, idempotencyKey }
+ * @returns {object} The stored entry
+ */
+export function add(change) {
+  const entry = {
+    id: randomBytes(4).toString('hex'),
+    method: change.method,
+    endpoint: change.endpoint,
+    body: change.body ?? null,
+    profile: change.profile,
+    apiUrl: change.apiUrl,
+    idempotencyKey: change.idempotencyKey ?? null,
+    queuedAt: new Date().toISOString(),
+    status: STATUS.PENDING,
+    attempts: 0,
+    lastError: null,
+  };
+
+  save([...list(), entry]);
+  return entry;
+}
+
+/**
+ * Update an entry
+ * @param {string} id - Entry ID
+ * @param {object} changes - Fields to set
+ * @returns {object|null} The updated entry
+ */
+export function update(id, changes) {
+  let updated = null;
+  const entries = list().map((entry) => {
+    if (entry.id !== id) return entry;
+    updated = { ...entry, ...changes };
+    return updated;
+  });
+
+  if (updated) save(entries);
+  return updated;
+}
+
+/**
+ * Remove an entry
+ * @param {string} id - Entry ID
+ * @returns {boolean} Whether it existed
+ */
+export function remove(id) {
+  const entries = list();
+  const remaining = entries.filter(entry => entry.id !== id);
+  if (remaining.length === entries.length) return false;
+
+  save(remaining);
+  return true;
+}
+
+/**
+ * Count pending entries
+ * @returns {number}
+ */
+export function pendingCount() {
+  return list().filter(entry => entry.status === STATUS.PENDING).length;
+}
+
+export default {
+  STATUS,
+  getOutboxPath,
+  setOutboxPath,
+  list,
+  add,
+  update,
+  remove,
+  pendingCount,
+};
@@ -2,14 +2,131 @@
  * Output Formatting
  *
  * Handles CLI output formatting: tables, JSON, colors, spinners.
+ *
+ * Every command writes through this module so the global --json, --quiet
+ * and --no-color flags apply everywhere:
+ * - json:  exactly one JSON document on stdout, no spinners or messages
+ * - quiet: only IDs on stdout, no spinners or messages
  */
 
 import chalk from 'chalk';
 import Table from 'cli-table3';
 import boxen from 'boxen';
 import ora from 'ora';
+import { stripVTControlCharacters } from 'util';
 import config from './config.js';
 
+// ============================================
+// Output Mode
+// ============================================
+
+const mode = {
+  json: false,
+  quiet: false,
+};
+
+/**
+ * Configure the output mode from the global flags
+ * @param {object} options - { json, quiet, color }
+ */
+export function configure({ json = false, quiet = false, color = true } = {}) {
+  mode.json = Boolean(json);
+  mode.quiet = Boolean(quiet) && !mode.json;
+
+  if (color === false) {
+    chalk.level = 0;
+  }
+}
+
+/**
+ * Check if output is a single JSON document
+ * @returns {boolean}
+ */
+export function isJson() {
+  return mode.json;
+}
+
+/**
+ * Check if output is limited to IDs
+ * @returns {boolean}
+ */
+export function isQuiet() {
+  return mode.quiet;
+}
+
+/**
+ * Check if output is meant for scripts (--json or --quiet)
+ * @returns {boolean}
+ */
+export function isMachine() {
+  return mode.json || mode.quiet;
+}
+
+/**
+ * Print human-readable output (suppressed for --json and --quiet)
+ * @param {...any} args - console.log arguments
+ */
+export function print(...args) {
+  if (!isMachine()) {
+    console.log(...args);
+  }
+}
+
+/**
+ * Write a command's result for scripts.
+ *
+ * With --json prints the data as one JSON document, with --quiet prints
+ * only IDs. Returns true when the result was written, so commands can
+ * return before rendering human-readable output.
+ *
+ * @param {any} data - Command result
+ * @param {object} options - { idKey } field holding the ID (default 'id')
+ * @returns {boolean} Whether the result was written
+ */
+export function emit(data, { idKey = 'id' } = {}) {
+  if (mode.json) {
+    console.log(JSON.stringify(data ?? null, null, 2));
+    return true;
+  }
+
+  if (mode.quiet) {
+    const items = Array.isArray(data) ? data : [data];
+    items.forEach((item) => {
+      const id = item ? item[idKey] ?? item.id : undefined;
+      if (id !== undefined && id !== null) {
+        console.log(id);
+      }
+    });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Emit one item of a stream: a compact JSON line in --json mode
+ * (newline-delimited JSON), its ID in --quiet mode.
+ * @param {*} item - Item to emit
+ * @param {object} options - { idKey }
+ * @returns {boolean} True when handled (caller should skip human output)
+ */
+export function emitLine(item, { idKey = 'id' } = {}) {
+  if (mode.json) {
+    console.log(JSON.stringify(item ?? null));
+    return true;
+  }
+
+  if (mode.quiet) {
+    const id = item ? item[idKey] ?? item.id : undefined;
+    if (id !== undefined && id !== null) {
+      console.log(id);
+    }
+    return true;
+  }
+
+  return false;
+}
+
 // ============================================
 // Colors & Styling
 // ============================================
@@ -24,11 +141,12 @@ export const colors = {
   bold: chalk.bold,
 };
 
+// Colored icons are getters so --no-color applies after import
 export const icons = {
-  success: chalk.green('✓'),
-  error: chalk.red('✗'),
-  warning: chalk.yellow('⚠'),
-  info: chalk.blue('ℹ'),
+  get success() { return chalk.green('✓'); },
+  get error() { return chalk.red('✗'); },
+  get warning() { return chalk.yellow('⚠'); },
+  get info() { return chalk.blue('ℹ'); },
   task: '📋',
   project: '📁',
   user: '👤',
@@ -36,6 +154,7 @@ export const icons = {
   check: '✅',
   blocked: '🚫',
   progress: '📊',
+  comment: '💬',
 };
 
 // ============================================
@@ -92,6 +211,9 @@ export function priorityBadge(priority) {
 let spinner = null;
 
 export function startSpinner(text) {
+  if (isMachine()) {
+    return null;
+  }
   spinner = ora({ text, color: 'blue' }).start();
   return spinner;
 }
@@ -113,15 +235,36 @@ export function updateSpinner(text) {
   }
 }
 
+/**
+ * Report a change that was saved to the outbox instead of sent
+ * Stops the spinner and prints how to sync. Returns true when the result
+ * was queued, so commands can skip their normal output.
+ * @param {object} result - API result
+ * @returns {boolean}
+ */
+export function queued(result) {
+  if (!result?.queued) return false;
+
+  stopSpinner(true, 'Saved to outbox');
+  if (!emit(result, { idKey: 'outboxId' })) {
+    warning('Change saved to the outbox. Run `erold sync` when back online.');
+  }
+  return true;
+}
+
 // ============================================
 // Tables
 // ============================================
 
 export function table(data, columns, options = {}) {
-  if (config.get('outputFormat') === 'json') {
+  if (mode.json || config.get('outputFormat') === 'json') {
     return JSON.stringify(data, null, 2);
   }
 
+  if (mode.quiet) {
+    return data.map(row => row.id).filter(id => id !== undefined).join('\n');
+  }
+
   if (config.get('outputFormat') === 'minimal') {
     return data.map(row => columns.map(col => row[col.key]).join('\t')).join('\n');
   }
@@ -150,12 +293,69 @@ export function table(data, columns, options = {}) {
   return tbl.toString();
 }
 
+/**
+ * Create a table that prints rows as they arrive
+ * Used for paginated lists that are too large to buffer. Column widths
+ * are fixed from the first batch of rows (or `col.width`).
+ * @param {Array} columns - Column definitions, as for table()
+ * @returns {object} { write(rows), end() } - end() returns the row count
+ */
+export function createTableStream(columns) {
+  let widths = null;
+  let count = 0;
+
+  const cell = (col, row) => {
+    const value = row[col.key];
+    return String(col.format ? col.format(value, row) : value ?? '');
+  };
+  const visibleLength = (str) => stripVTControlCharacters(str).length;
+  const pad = (str, width) => str + ' '.repeat(Math.max(0, width - visibleLength(str)));
+  const line = (cells) => cells.map((c, i) => pad(c, widths[i])).join('  ').trimEnd();
+
+  return {
+    write(rows) {
+      if (!rows || rows.length === 0) return;
+      count += rows.length;
+
+      if (mode.json) return;
+
+      if (mode.quiet) {
+        rows.forEach((row) => {
+          if (row.id !== undefined && row.id !== null) console.log(row.id);
+        });
+        return;
+      }
+
+      if (config.get('outputFormat') === 'minimal') {
+        rows.forEach((row) => console.log(columns.map(col => row[col.key]).join('\t')));
+        return;
+      }
+
+      const cells = rows.map(row => columns.map(col => cell(col, row)));
+
+      if (!widths) {
+        widths = columns.map((col, i) => col.width || Math.max(
+          visibleLength(col.header),
+          ...cells.map(c => visibleLength(c[i]))
+        ));
+        console.log(line(columns.map(col => colors.bold(col.header))));
+      }
+
+      cells.forEach((c) => console.log(line(c)));
+    },
+
+    end() {
+      return count;
+    },
+  };
+}
+
 // ============================================
 // Messages
 // ============================================
 
 export function success(message) {
-  console.log(`${icons.success} ${colors.success(message)}`);
+  print(`${icons.success} ${colors.success(message)}`);
 }
 
 export function error(message, details = null) {
@@ -166,15 +366,20 @@ export function error(message, details = null) {
 }
 
 export function warning(message) {
+  // Keep stdout clean for scripts, but don't hide warnings
+  if (isMachine()) {
+    console.error(`${icons.warning} ${colors.warning(message)}`);
+    return;
+  }
   console.log(`${icons.warning} ${colors.warning(message)}`);
 }
 
 export function info(message) {
-  console.log(`${icons.info} ${colors.primary(message)}`);
+  print(`${icons.info} ${colors.primary(message)}`);
 }
 
 export function muted(message) {
-  console.log(colors.muted(message));
+  print(colors.muted(message));
 }
 
 // ============================================
@@ -221,6 +426,117 @@ export function taskCard(task) {
   return box(lines.join('\n'), `Task: ${task.id}`, task.status === 'blocked' ? 'error' : 'info');
 }
 
+function activityIcon(type) {
+  if (type.includes('comment')) return icons.comment;
+  if (type.includes('progress')) return icons.progress;
+  if (type.includes('time') || type.includes('log')) return icons.clock;
+  if (type.includes('complete')) return icons.check;
+  if (type.includes('block')) return icons.blocked;
+  return icons.task;
+}
+
+/**
+ * Describe an activity event in a few words
+ * @param {object} event - Activity event
+ * @returns {string}
+ */
+export function describeActivity(event) {
+  const type = event.type || '';
+  const data = event.data || {};
+
+  if (type.includes('status') && data.from && data.to) {
+    return `moved ${statusBadge(data.from)} → ${statusBadge(data.to)}`;
+  }
+  if (type.includes('comment') && (data.content || data.text)) {
+    return `commented: "${truncate(data.content || data.text, 60)}"`;
+  }
+  if (type.includes('progress') && data.percent !== undefined) {
+    return `updated progress to ${data.percent}%`;
+  }
+  if ((type.includes('time') || type.includes('log')) && data.hours !== undefined) {
+    return `logged ${data.hours}h`;
+  }
+
+  return event.description || type.replace(/[_.]/g, ' ');
+}
+
+/**
+ * Render an activity event as a single timeline line
+ * @param {object} event - Activity event
+ * @param {object} options - { entity: show the entity the event is about }
+ * @returns {string}
+ */
+export function activityLine(event, { entity = true } = {}) {
+  const time = event.createdAt
+    ? new Date(event.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : '--:--';
+  const actor = event.actorName || event.actorEmail || event.userId || 'Someone';
+
+  let line = `${colors.muted(time)}  ${activityIcon(event.type || '')} ${colors.highlight(actor)} ${describeActivity(event)}`;
+
+  if (entity && (event.entityTitle || event.entityId)) {
+    const label = event.entityTitle ? truncate(event.entityTitle, 40) : event.entityId.substring(0, 8);
+    line += colors.muted(` (${event.entityType ? event.entityType + ' ' : ''}${label})`);
+  }
+
+  return line;
+}
+
+/**
+ * Render activity events as a timeline grouped by day (oldest first)
+ * @param {Array} events - Activity events
+ * @param {object} options - { entity, after: date of the event printed before these }
+ * @returns {string}
+ */
+export function timeline(events, { entity = true, after = null } = {}) {
+  const sorted = [...events].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  let day = after ? new Date(after).toDateString() : null;
+  const lines = [];
+
+  sorted.forEach((event) => {
+    const eventDay = new Date(event.createdAt).toDateString();
+    if (eventDay !== day) {
+      if (day !== null || lines.length > 0) lines.push('');
+      lines.push(colors.bold(new Date(event.createdAt).toLocaleDateString([], {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+      })));
+      day = eventDay;
+    }
+    lines.push(`  ${activityLine(event, { entity })}`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Render full task details: the task card plus tags, progress and time
+ * @param {object} task - Task
+ * @returns {string}
+ */
+export function taskDetails(task) {
+  const lines = [taskCard(task)];
+
+  if (task.tags && task.tags.length > 0) {
+    lines.push(`Tags: ${task.tags.join(', ')}`);
+  }
+
+  if (task.progress !== undefined) {
+    lines.push(`Progress: ${task.progress}%`);
+  }
+
+  if (task.timeEstimate) {
+    lines.push(`Estimate: ${task.timeEstimate}h`);
+  }
+
+  if (task.timeLogged) {
+    lines.push(`Logged: ${task.timeLogged}h`);
+  }
+
+  return lines.join('\n');
+}
+
 // ============================================
 // JSON Output
 // ============================================
@@ -266,6 +582,13 @@ export function truncate(str, length = 50) {
 }
 
 export default {
+  configure,
+  isJson,
+  isQuiet,
+  isMachine,
+  print,
+  emit,
+  emitLine,
   colors,
   icons,
   statusBadge,
@@ -273,7 +596,9 @@ export default {
   startSpinner,
   stopSpinner,
   updateSpinner,
+  queued,
   table,
+  createTableStream,
   success,
   error,
   warning,
@@ -281,6 +606,10 @@ export default {
   muted,
   box,
   taskCard,
+  taskDetails,
+  describeActivity,
+  activityLine,
+  timeline,
   json,
   formatDate,
   formatDateTime,
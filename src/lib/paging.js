@@ -0,0 +1,141 @@
+/**
+ * Paging
+ *
+ * Shared handling of --all, --page, --cursor and --page-size for list
+ * commands built on the paginating iterators in api.js.
+ */
+
+import output from './output.js';
+import { fail } from './errors.js';
+
+const ALL_PAGE_SIZE = 100;
+
+const EMPTY_PAGE = { items: [], nextCursor: null, hasMore: false, total: null };
+
+/**
+ * Add paging options to a list command
+ * @param {Command} command - Commander command
+ * @returns {Command} The command, for chaining
+ */
+export function addPagingOptions(command) {
+  return command
+    .option('--page-size <n>', 'Results per request')
+    .option('--page <n>', 'Show a specific page (starting at 1)')
+    .option('--cursor <cursor>', 'Show the page starting at a cursor')
+    .option('--all', 'Fetch every page, streaming results as they arrive');
+}
+
+/**
+ * Parse an optional positive integer option
+ */
+function parseCount(value, flag) {
+  if (value === undefined || value === null) return null;
+
+  const n = parseInt(value, 10);
+  if (isNaN(n) || n < 1) {
+    fail(`${flag} must be a positive number`, 'VALIDATION_ERROR');
+  }
+  return n;
+}
+
+/**
+ * Resolve paging options from command options
+ * Without --all or --page-size, one page holds --limit results.
+ * @param {object} options - Command options
+ * @returns {object} { pageSize, cursor, page, all }
+ */
+export function getPagingOptions(options) {
+  if (options.all && (options.page || options.cursor)) {
+    fail('--all cannot be combined with --page or --cursor', 'USAGE_ERROR');
+  }
+  if (options.page && options.cursor) {
+    fail('--page and --cursor cannot be combined', 'USAGE_ERROR');
+  }
+
+  const pageSize = parseCount(options.pageSize, '--page-size')
+    || (options.all ? ALL_PAGE_SIZE : parseCount(options.limit, '--limit'));
+
+  return {
+    pageSize,
+    cursor: options.cursor || null,
+    page: parseCount(options.page, '--page') || 1,
+    all: Boolean(options.all),
+  };
+}
+
+/**
+ * Fetch the n-th page from a page iterator
+ * @param {AsyncIterable} pages - Page iterator from api.js
+ * @param {number} pageNumber - Page number (starting at 1)
+ * @returns {Promise<object>} { items, nextCursor, hasMore, total }
+ */
+export async function fetchPage(pages, pageNumber = 1) {
+  let n = 0;
+  for await (const page of pages) {
+    n++;
+    if (n === pageNumber) return page;
+  }
+  return EMPTY_PAGE;
+}
+
+/**
+ * Stream every page as table rows
+ * JSON output is still a single document, emitted once all pages are in.
+ * @param {AsyncIterable} pages - Page iterator from api.js
+ * @param {Array} columns - Column definitions, as for output.table()
+ * @param {object} options - { spinnerText }
+ * @returns {Promise<number>} Number of rows
+ */
+export async function streamPages(pages, columns, { spinnerText = 'Fetching...' } = {}) {
+  const stream = output.createTableStream(columns);
+  const items = [];
+
+  output.startSpinner(spinnerText);
+  let first = true;
+
+  for await (const page of pages) {
+    if (first) {
+      output.stopSpinner(true);
+      first = false;
+    }
+    if (output.isJson()) {
+      items.push(...page.items);
+    }
+    stream.write(page.items);
+  }
+
+  if (first) {
+    output.stopSpinner(true);
+  }
+
+  if (output.isJson()) {
+    output.emit(items);
+  }
+
+  return stream.end();
+}
+
+/**
+ * Print a summary line and how to get the next page
+ * @param {object} page - Page shown
+ * @param {object} paging - Paging options from getPagingOptions()
+ * @param {string} noun - What is being listed, e.g. 'task(s)'
+ */
+export function printPageSummary(page, paging, noun) {
+  const of = page.total !== null ? ` of ${page.total}` : '';
+  output.muted(`\nShowing ${page.items.length}${of} ${noun}`);
+
+  if (page.nextCursor) {
+    output.muted(`Next page: --cursor ${page.nextCursor} (or --all for everything)`);
+  } else if (page.hasMore) {
+    output.muted(`Next page: --page ${paging.page + 1} (or --all for everything)`);
+  }
+}
+
+export default {
+  addPagingOptions,
+  getPagingOptions,
+  fetchPage,
+  streamPages,
+  printPageSummary,
+};
@@ -0,0 +1,368 @@
+/**
+ * Task Queries
+ *
+ * Parses `--where` expressions for task lists:
+ *
+ *   status:todo,in-progress priority:>=high due:<7d -tag:wontfix
+ *
+ * Terms are `field:value` and all have to match. Commas give alternatives,
+ * a leading `-` negates a term, and ordered fields (priority, progress,
+ * dates) take <, <=, >, >= or a `from..to` range. Terms the API can filter
+ * on are sent as query parameters; the rest are applied to each page.
+ */
+
+import { CliError } from './errors.js';
+
+export const PRIORITIES = ['low', 'medium', 'high', 'urgent', 'critical'];
+
+// Workflow order, used when sorting by status
+const STATUS_ORDER = ['backlog', 'analysis', 'todo', 'in-progress', 'in-review', 'bug', 'blocked', 'done'];
+
+// Query field to task field
+const FIELDS = {
+  status: { key: 'status', type: 'status' },
+  priority: { key: 'priority', type: 'priority' },
+  assignee: { key: 'assignedTo', type: 'person' },
+  tag: { key: 'tags', type: 'tag' },
+  due: { key: 'dueDate', type: 'date' },
+  created: { key: 'createdAt', type: 'date' },
+  updated: { key: 'updatedAt', type: 'date' },
+  progress: { key: 'progress', type: 'number' },
+  project: { key: 'projectId', type: 'project' },
+};
+
+const ALIASES = { tags: 'tag', assigned: 'assignee', assignedTo: 'assignee', projectId: 'project' };
+
+// Query field to API parameter, for terms the server can filter on
+const PARAMS = { status: 'status', priority: 'priority', assignee: 'assignee', project: 'projectId' };
+
+const ORDERED = ['priority', 'date', 'number'];
+
+const SORT_FIELDS = ['priority', 'status', 'due', 'created', 'updated', 'progress', 'title'];
+
+const TERM = /^(-?)([A-Za-z]+):(<=|>=|<|>|=)?(.*)$/;
+const DURATION = /^([+-]?\d+)([hdw])$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const HOUR = 60 * 60 * 1000;
+const UNITS = { h: HOUR, d: 24 * HOUR, w: 7 * 24 * HOUR };
+
+export const SYNTAX_HINT = 'Use field:value terms, e.g. status:todo,in-progress priority:>=high due:<7d -tag:wontfix\n'
+  + `Fields: ${Object.keys(FIELDS).join(', ')}`;
+
+function invalid(message) {
+  return new CliError(message, 'VALIDATION_ERROR', { hint: SYNTAX_HINT });
+}
+
+/**
+ * Normalize a status (the API uses both in_progress and in-progress)
+ */
+function normalizeStatus(status) {
+  return (status || '').toLowerCase().replace(/_/g, '-');
+}
+
+function startOfDay(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Parse a date value into the span it covers
+ * Days (dates, today, 7d, -2w) cover the whole day; hours and now are instants.
+ * @returns {object} { start, end, day } in milliseconds
+ */
+function parseDate(value, now) {
+  if (value === 'now') return { start: now, end: now };
+  if (value === 'today') value = '0d';
+
+  let day;
+  const duration = value.match(DURATION);
+  if (duration) {
+    const time = now + parseInt(duration[1], 10) * UNITS[duration[2]];
+    if (duration[2] === 'h') return { start: time, end: time };
+    day = startOfDay(time);
+  } else if (DATE.test(value)) {
+    day = new Date(`${value}T00:00:00`).getTime();
+  }
+
+  if (day === undefined || isNaN(day)) {
+    throw invalid(`Invalid date "${value}". Use YYYY-MM-DD, today, now, or an offset like 7d, -2w, 12h`);
+  }
+
+  const next = new Date(day);
+  next.setDate(next.getDate() + 1);
+  return { start: day, end: next.getTime(), day: true };
+}
+
+/**
+ * Parse one value of an ordered field
+ * @returns {object} { start, end }: a single point for numbers and priorities
+ */
+function parseOrdered(type, value, now) {
+  if (type === 'date') return parseDate(value, now);
+
+  const n = type === 'priority' ? PRIORITIES.indexOf(value.toLowerCase()) : Number(value);
+  if (type === 'priority' && n === -1) {
+    throw invalid(`Invalid priority "${value}". Use one of: ${PRIORITIES.join(', ')}`);
+  }
+  if (type === 'number' && (value === '' || isNaN(n))) {
+    throw invalid(`Invalid number "${value}"`);
+  }
+  return { start: n, end: n };
+}
+
+/**
+ * Split an expression into words, keeping "quoted values" together
+ */
+function tokenize(expr) {
+  const words = [];
+  const pattern = /(?:[^\s"]+|"[^"]*")+/g;
+  let match;
+  while ((match = pattern.exec(expr)) !== null) {
+    words.push(match[0].replace(/"/g, ''));
+  }
+  return words;
+}
+
+/**
+ * Parse a query expression
+ * @param {string} expr - e.g. "status:todo,in-progress -tag:wontfix"
+ * @param {object} options - { now } time that relative dates count from
+ * @returns {object[]} Terms: { field, negate, op, values }, plus `raw`, the
+ *   values as typed, where matching uses normalized or parsed values
+ * @throws {CliError} On unknown fields or invalid values
+ */
+export function parse(expr, { now = Date.now() } = {}) {
+  return tokenize(expr || '').map((word) => {
+    const match = word.match(TERM);
+    if (!match) {
+      throw invalid(`Cannot read "${word}" in the query`);
+    }
+
+    const [, minus, name, op = '', raw] = match;
+    const field = ALIASES[name] || name.toLowerCase();
+    const definition = FIELDS[field];
+    if (!definition) {
+      throw invalid(`Unknown field "${name}"`);
+    }
+    if (raw === '') {
+      throw invalid(`Missing value for ${field}`);
+    }
+
+    const term = { field, negate: minus === '-', op: op || '=', values: raw.split(',').filter(Boolean) };
+    const ordered = ORDERED.includes(definition.type);
+
+    if (!ordered && term.op !== '=') {
+      throw invalid(`${field} does not support ${op}`);
+    }
+    if (ordered && (term.op !== '=' || raw.includes('..')) && term.values.length > 1) {
+      throw invalid(`${field} takes one value with ${op || '..'}`);
+    }
+
+    if (ordered) {
+      term.raw = term.values;
+      term.values = term.values.map((value) => {
+        if (value === 'none') return null;
+        if (value.includes('..')) {
+          if (term.op !== '=') throw invalid(`${field} cannot combine ${op} with a range`);
+          const [from, to] = value.split('..');
+          return {
+            range: true,
+            from: from ? parseOrdered(definition.type, from, now) : null,
+            to: to ? parseOrdered(definition.type, to, now) : null,
+          };
+        }
+        return parseOrdered(definition.type, value, now);
+      });
+    } else if (definition.type === 'status') {
+      term.raw = term.values;
+      term.values = term.values.map(normalizeStatus);
+    }
+
+    return term;
+  });
+}
+
+// ============================================
+// Matching
+// ============================================
+
+function toNumber(type, value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (type === 'priority') {
+    const rank = PRIORITIES.indexOf(String(value).toLowerCase());
+    return rank === -1 ? null : rank;
+  }
+  if (type === 'date') {
+    const time = new Date(value).getTime();
+    return isNaN(time) ? null : time;
+  }
+  return Number(value);
+}
+
+// Whole days end where the next one starts; points include their end
+const atLeast = (x, v) => x >= v.start;
+const atMost = (x, v) => (v.day ? x < v.end : x <= v.end);
+
+function compare(op, x, value) {
+  if (value.range) {
+    return (!value.from || atLeast(x, value.from)) && (!value.to || atMost(x, value.to));
+  }
+  switch (op) {
+    case '<': return x < value.start;
+    case '<=': return atMost(x, value);
+    case '>': return !atMost(x, value);
+    case '>=': return atLeast(x, value);
+    default: return atLeast(x, value) && atMost(x, value);
+  }
+}
+
+function matchesValue(type, op, actual, value, context) {
+  switch (type) {
+    case 'status':
+      return normalizeStatus(actual) === value;
+    case 'tag': {
+      const tags = (actual || []).map(tag => String(tag).toLowerCase());
+      return value === 'none' ? tags.length === 0 : tags.includes(value.toLowerCase());
+    }
+    case 'person': {
+      if (value === 'none') return !actual;
+      const wanted = value === 'me' ? context.me || [] : [value];
+      return Boolean(actual) && wanted.some(person => String(person).toLowerCase() === String(actual).toLowerCase());
+    }
+    case 'project':
+      return actual === value;
+    default: {
+      const x = toNumber(type, actual);
+      if (value === null) return x === null;
+      return x !== null && compare(op, x, value);
+    }
+  }
+}
+
+/**
+ * Check whether a task matches every term
+ * @param {object} task - Task
+ * @param {object[]} terms - From parse()
+ * @param {object} context - { me: IDs and emails that `me` stands for }
+ * @returns {boolean}
+ */
+export function matches(task, terms, context = {}) {
+  return terms.every((term) => {
+    const { key, type } = FIELDS[term.field];
+    const hit = term.values.some(value => matchesValue(type, term.op, task[key], value, context));
+    return term.negate ? !hit : hit;
+  });
+}
+
+/**
+ * Split terms into API parameters and terms to apply locally
+ * Only single, positive, exact values can go to the API, as they were typed.
+ * @param {object[]} terms - From parse()
+ * @returns {object} { params, local }
+ */
+export function split(terms) {
+  const params = {};
+  const local = [];
+
+  terms.forEach((term) => {
+    const param = PARAMS[term.field];
+    const [value] = term.values;
+    const typed = term.raw ? term.raw[0] : value;
+    const exact = term.values.length === 1 && value !== null && !value.range;
+    const pushable = param && !term.negate && term.op === '=' && exact
+      && typeof typed === 'string' && !['me', 'none'].includes(typed) && !(param in params);
+
+    if (pushable) {
+      params[param] = typed;
+    } else {
+      local.push(term);
+    }
+  });
+
+  return { params, local };
+}
+
+/**
+ * Filter the pages of a page iterator
+ * @param {AsyncIterable} pages - Page iterator from api.js
+ * @param {object[]} terms - Terms to apply
+ * @param {object} context - As for matches()
+ */
+export async function* filterPages(pages, terms, context = {}) {
+  for await (const page of pages) {
+    yield { ...page, items: page.items.filter(task => matches(task, terms, context)) };
+  }
+}
+
+// ============================================
+// Sorting
+// ============================================
+
+/**
+ * Parse a --sort value
+ * @param {string} spec - Comma-separated fields, `-` before a field for descending
+ * @returns {object[]} { field, descending }
+ */
+export function parseSort(spec) {
+  return spec.split(',').filter(Boolean).map((part) => {
+    const descending = part.startsWith('-');
+    const field = part.replace(/^-/, '').toLowerCase();
+    if (!SORT_FIELDS.includes(field)) {
+      throw new CliError(`Cannot sort by "${field}"`, 'VALIDATION_ERROR', {
+        hint: `Sort by: ${SORT_FIELDS.join(', ')}`,
+      });
+    }
+    return { field, descending };
+  });
+}
+
+function sortValue(task, field) {
+  switch (field) {
+    case 'status': {
+      const rank = STATUS_ORDER.indexOf(normalizeStatus(task.status));
+      return rank === -1 ? null : rank;
+    }
+    case 'title':
+      return task.title ? task.title.toLowerCase() : null;
+    default: {
+      const { key, type } = FIELDS[field];
+      return toNumber(type, task[key]);
+    }
+  }
+}
+
+/**
+ * Sort tasks (missing values last)
+ * @param {object[]} tasks - Tasks
+ * @param {object[]} sort - From parseSort()
+ * @param {object} options - { reverse }
+ * @returns {object[]} New sorted array
+ */
+export function sortTasks(tasks, sort, { reverse = false } = {}) {
+  const sorted = [...tasks].sort((a, b) => {
+    for (const { field, descending } of sort) {
+      const x = sortValue(a, field);
+      const y = sortValue(b, field);
+      if (x === y) continue;
+      if (x === null) return 1;
+      if (y === null) return -1;
+      const order = x < y ? -1 : 1;
+      return descending ? -order : order;
+    }
+    return 0;
+  });
+  return reverse ? sorted.reverse() : sorted;
+}
+
+export default {
+  PRIORITIES,
+  SYNTAX_HINT,
+  parse,
+  matches,
+  split,
+  filterPages,
+  parseSort,
+  sortTasks,
+};
@@ -0,0 +1,384 @@
+/**
+ * Reference Resolution
+ *
+ * Turns what people type into full task and project IDs. Accepted:
+ *
+ *   abc12345        unique ID prefix (the 8 characters tables show)
+ *   WEB-123, 123    task number in a project (by key or slug, or defaultProject)
+ *   web             project slug or key
+ *   @current        task linked to the current git branch
+ *   @last           task most recently used from this CLI
+ *
+ * Full IDs are passed through without a lookup.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import { dirname, join } from 'path';
+import inquirer from 'inquirer';
+import api from './api.js';
+import config from './config.js';
+import git from './git.js';
+import output from './output.js';
+import { CliError, exitWithError } from './errors.js';
+
+// IDs are at least this many letters and digits; anything shorter is looked up
+const FULL_ID = /^[A-Za-z0-9]{20,}$/;
+
+// Project-scoped task number: 123 or WEB-123
+const TASK_KEY = /^(?:([A-Za-z][A-Za-z0-9_]*)-)?(\d+)$/;
+
+const PAGE_SIZE = 100;
+
+// Pages of each task list read for an ID prefix before giving up
+const MAX_PREFIX_PAGES = 5;
+
+// Prefixes at least this long (what tables show) are trusted to be unique
+// even when not every task could be checked
+const SHORT_ID_LENGTH = 8;
+
+// Matches shown when a prefix is ambiguous and no prompt is possible
+const MAX_LISTED = 10;
+
+let recentPath = null;
+
+// ============================================
+// Recent task (@last)
+// ============================================
+
+/**
+ * Get the file that remembers the last task
+ * @returns {string}
+ */
+export function getRecentPath() {
+  return recentPath || join(config.getConfigDir(), 'recent.json');
+}
+
+/**
+ * Use a different file for the last task (tests)
+ * @param {string|null} file - Path, or null for the default
+ */
+export function setRecentPath(file) {
+  recentPath = file;
+}
+
+function recentKey() {
+  return `${config.getActiveProfile()}:${config.get('tenant') || ''}`;
+}
+
+function readRecent() {
+  try {
+    return JSON.parse(readFileSync(getRecentPath(), 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Get the task most recently used with this profile and tenant
+ * @returns {string|null} Task ID
+ */
+export function getLastTask() {
+  return readRecent()[recentKey()]?.task || null;
+}
+
+/**
+ * Remember a task for @last
+ * @param {string} taskId - Full task ID
+ */
+export function rememberTask(taskId) {
+  if (!taskId) return;
+
+  const data = readRecent();
+  data[recentKey()] = { task: taskId, usedAt: new Date().toISOString() };
+
+  try {
+    const file = getRecentPath();
+    if (!existsSync(dirname(file))) {
+      mkdirSync(dirname(file), { recursive: true, mode: 0o700 });
+    }
+    const tmp = `${file}.${process.pid}.tmp`;
+    writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+    renameSync(tmp, file);
+  } catch {
+    // @last is a convenience; never fail a command over it
+  }
+}
+
+// ============================================
+// Lookup
+// ============================================
+
+/**
+ * Collect items from a page iterator, stopping early when `stop` returns true
+ * or after `maxPages` pages
+ * @returns {Promise<object>} { items, complete } where complete is false when
+ *   pages were left unread because of maxPages
+ */
+async function collect(pages, filter, stop = () => false, { maxPages = Infinity } = {}) {
+  const items = [];
+  let read = 0;
+  for await (const page of pages) {
+    items.push(...page.items.filter(filter));
+    if (stop(items)) break;
+    if (++read >= maxPages && page.hasMore) {
+      return { items, complete: false };
+    }
+  }
+  return { items, complete: true };
+}
+
+/**
+ * Check whether a reference is a full ID (no lookup needed)
+ * @param {string} ref - Reference
+ * @returns {boolean}
+ */
+export function isFullId(ref) {
+  return FULL_ID.test(ref);
+}
+
+/**
+ * Parse a task number reference
+ * @param {string} ref - Reference, e.g. 123 or WEB-123
+ * @returns {object|null} { project, number }
+ */
+export function parseTaskKey(ref) {
+  const match = ref.match(TASK_KEY);
+  if (!match) return null;
+  return { project: match[1] || null, number: parseInt(match[2], 10) };
+}
+
+/**
+ * Fetch an item directly by what was typed
+ * @returns {Promise<object|null>} The item, or null when there is none by that ID
+ */
+async function fetchDirect(fetch) {
+  try {
+    return await fetch();
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+function canPrompt({ pick = true } = {}) {
+  return pick && process.stdin.isTTY && !output.isMachine();
+}
+
+/**
+ * Pick one of several matches, or fail when no prompt is possible
+ * @param {string} noun - task or project
+ * @param {string} ref - What was typed
+ * @param {object[]} matches - Matching items
+ * @param {function} label - Item to display text
+ * @param {object} options - { pick }
+ * @returns {Promise<object>} Chosen item
+ */
+async function choose(noun, ref, matches, label, options = {}) {
+  if (canPrompt(options)) {
+    const { id } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'id',
+        message: `"${ref}" matches ${matches.length} ${noun}s. Which one?`,
+        choices: matches.map(item => ({ name: label(item), value: item.id })),
+      },
+    ]);
+    return matches.find(item => item.id === id);
+  }
+
+  throw new CliError(`"${ref}" matches more than one ${noun}`, 'VALIDATION_ERROR', {
+    hint: `Use more characters of the ID:\n${matches.slice(0, MAX_LISTED).map(label).join('\n')}`,
+  });
+}
+
+function taskLabel(task) {
+  return `${task.id.substring(0, 8)}  ${task.title || ''}`;
+}
+
+function projectLabel(project) {
+  return `${project.id.substring(0, 8)}  ${project.name || ''}${project.slug ? ` (${project.slug})` : ''}`;
+}
+
+/**
+ * Find a project by ID, ID prefix, slug or key
+ * @param {string} ref - Project reference
+ * @param {object} options - { pick } (false never prompts)
+ * @returns {Promise<string>} Full project ID
+ */
+export async function findProject(ref, options = {}) {
+  if (!ref) {
+    throw new CliError('No project specified', 'USAGE_ERROR');
+  }
+  if (isFullId(ref)) return ref;
+
+  const direct = await fetchDirect(() => api.projects.get(encodeURIComponent(ref)));
+  if (direct?.id) return direct.id;
+
+  // An ID, slug or key match ends the search; so do two prefix matches when
+  // there is no prompt to choose between them
+  const lower = ref.toLowerCase();
+  const byName = p => p.id === ref || p.slug?.toLowerCase() === lower || p.key?.toLowerCase() === lower;
+  const prefix = p => p.id.startsWith(ref);
+  const prompting = canPrompt(options);
+
+  const { items: matches } = await collect(
+    api.projects.listPages({}, { pageSize: PAGE_SIZE }),
+    p => byName(p) || prefix(p),
+    items => items.some(byName) || (!prompting && items.length > 1)
+  );
+
+  const exact = matches.find(byName);
+  if (exact) return exact.id;
+
+  if (matches.length === 1) return matches[0].id;
+  if (matches.length > 1) return (await choose('project', ref, matches, projectLabel, options)).id;
+
+  throw new CliError(`Project not found: ${ref}`, 'NOT_FOUND', {
+    hint: 'Use a project ID, ID prefix or slug. Run `erold projects list` to see projects',
+  });
+}
+
+/**
+ * Find a task by its number in a project
+ * @returns {Promise<string|null>} Task ID
+ */
+async function findTaskByNumber({ project, number }) {
+  const projectRef = project || config.get('defaultProject');
+  if (!projectRef) return null;
+
+  let projectId;
+  try {
+    projectId = await findProject(projectRef, { pick: false });
+  } catch (err) {
+    // WEB-123 where WEB is not a project: not a task number after all
+    if (err.code === 'NOT_FOUND' && project) return null;
+    throw err;
+  }
+
+  const { items: [task] } = await collect(
+    api.projects.tasksPages(projectId, { number }, { pageSize: PAGE_SIZE }),
+    t => t.number === number,
+    found => found.length > 0
+  );
+  return task ? task.id : null;
+}
+
+/**
+ * Find a task by ID, ID prefix, number, @current or @last
+ * @param {string} ref - Task reference
+ * @param {object} options - { pick } (false never prompts)
+ * @returns {Promise<string>} Full task ID
+ */
+export async function findTask(ref, options = {}) {
+  if (!ref) {
+    throw new CliError('No task specified', 'USAGE_ERROR');
+  }
+
+  if (ref === '@last') {
+    const last = getLastTask();
+    if (!last) {
+      throw new CliError('No recent task to use for @last', 'NOT_FOUND', {
+        hint: 'Run a task command with a task ID first',
+      });
+    }
+    return last;
+  }
+
+  if (ref === '@current') {
+    const fromBranch = git.isGitRepo() ? git.getTaskIdFromBranch() : null;
+    if (!fromBranch) {
+      throw new CliError('Could not detect a task from the branch name', 'USAGE_ERROR', {
+        hint: 'Pass a task ID, or work from a branch like feature/task-<id>-description',
+      });
+    }
+    return findTask(fromBranch, options);
+  }
+
+  if (isFullId(ref)) return ref;
+
+  const key = parseTaskKey(ref);
+  if (key) {
+    const id = await findTaskByNumber(key);
+    if (id) return id;
+    if (key.project) {
+      throw new CliError(`Task not found: ${ref}`, 'NOT_FOUND');
+    }
+  }
+
+  const direct = await fetchDirect(() => api.tasks.get(encodeURIComponent(ref)));
+  if (direct?.id) return direct.id;
+
+  // Your own tasks first, then the rest of the tenant, a few pages of each.
+  // Without a prompt, two matches are enough to know the prefix is ambiguous.
+  const prompting = canPrompt(options);
+  const enough = found => !prompting && found.length > 1;
+  const prefix = t => t.id.startsWith(ref);
+  const limit = { maxPages: MAX_PREFIX_PAGES };
+
+  const mine = await collect(api.tasks.minePages({}, { pageSize: PAGE_SIZE }), prefix, enough, limit);
+  const others = enough(mine.items) ? { items: [], complete: true } : await collect(
+    api.tasks.listPages({}, { pageSize: PAGE_SIZE }),
+    t => prefix(t) && !mine.items.some(m => m.id === t.id),
+    found => enough(mine.items.concat(found)),
+    limit
+  );
+  const matches = mine.items.concat(others.items);
+  const complete = mine.complete && others.complete;
+
+  if (matches.length === 1 && (complete || ref.length >= SHORT_ID_LENGTH)) return matches[0].id;
+  if (matches.length > 1) return (await choose('task', ref, matches, taskLabel, options)).id;
+
+  if (!complete) {
+    throw new CliError(`Could not find a single task for "${ref}" in the first ${MAX_PREFIX_PAGES * PAGE_SIZE} tasks`, 'NOT_FOUND', {
+      hint: `Use more characters of the ID (at least ${SHORT_ID_LENGTH}), the full ID, or a task number like PROJECT-123`,
+    });
+  }
+
+  throw new CliError(`Task not found: ${ref}`, 'NOT_FOUND', {
+    hint: key && !config.get('defaultProject')
+      ? 'For task numbers, use PROJECT-123 or set defaultProject'
+      : 'Use a task ID or ID prefix. Run `erold tasks list` to see tasks',
+  });
+}
+
+/**
+ * Resolve a task reference for a command, exiting on failure
+ * The task is remembered for @last.
+ * @param {string} ref - Task reference
+ * @returns {Promise<string>} Full task ID
+ */
+export async function resolveTask(ref) {
+  try {
+    const taskId = await findTask(ref);
+    rememberTask(taskId);
+    return taskId;
+  } catch (err) {
+    exitWithError(err);
+  }
+}
+
+/**
+ * Resolve a project reference for a command, exiting on failure
+ * @param {string} ref - Project reference
+ * @returns {Promise<string>} Full project ID
+ */
+export async function resolveProject(ref) {
+  try {
+    return await findProject(ref);
+  } catch (err) {
+    exitWithError(err);
+  }
+}
+
+export default {
+  getRecentPath,
+  setRecentPath,
+  getLastTask,
+  rememberTask,
+  isFullId,
+  parseTaskKey,
+  findProject,
+  findTask,
+  resolveTask,
+  resolveProject,
+};
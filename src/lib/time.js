@@ -0,0 +1,65 @@
+/**
+ * Time Helpers
+ *
+ * Parses human-friendly durations ("30m", "2d", "1w") and time bounds
+ * used by filters like --since and --until.
+ */
+
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a duration like "90s", "30m", "2h", "2d" or "1w"
+ * @param {string} value - Duration string
+ * @returns {number|null} Milliseconds, or null if not a duration
+ */
+export function parseDuration(value) {
+  if (value === undefined || value === null) return null;
+
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([smhdw])$/);
+  if (!match) return null;
+
+  return Math.round(parseFloat(match[1]) * UNITS[match[2]]);
+}
+
+/**
+ * Parse a point in time
+ * Accepts durations relative to now ("2d" means two days ago), "now",
+ * "today", "yesterday" and anything Date can parse (e.g. 2024-05-01).
+ * @param {string} value - Time bound
+ * @param {Date} now - Reference time
+ * @returns {Date|null} Date, or null if it cannot be parsed
+ */
+export function parseTimeBound(value, now = new Date()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const str = String(value).trim().toLowerCase();
+
+  const duration = parseDuration(str);
+  if (duration !== null) {
+    return new Date(now.getTime() - duration);
+  }
+
+  if (str === 'now') {
+    return new Date(now.getTime());
+  }
+
+  if (str === 'today' || str === 'yesterday') {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    if (str === 'yesterday') day.setDate(day.getDate() - 1);
+    return day;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+export default {
+  parseDuration,
+  parseTimeBound,
+};
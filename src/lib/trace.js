@@ -0,0 +1,191 @@
+/**
+ * Request Tracing
+ *
+ * `--verbose` prints one line per API request attempt to stderr (method,
+ * URL, status, latency, attempt number and, for writes, the Idempotency-Key),
+ * `--trace` adds the request and response headers, and `--trace-file` writes
+ * every attempt to a HAR-like JSON file to attach to support tickets.
+ * Credentials are always redacted and bodies are never recorded.
+ */
+
+import { writeFileSync } from 'fs';
+import output from './output.js';
+
+// Headers whose values never leave the process
+const SECRET_HEADERS = ['x-api-key', 'authorization', 'cookie', 'set-cookie'];
+
+const LEVEL = {
+  OFF: 0,
+  VERBOSE: 1,
+  TRACE: 2,
+};
+
+const state = {
+  level: LEVEL.OFF,
+  file: null,
+  version: null,
+  entries: [],
+};
+
+let exitHandlerAdded = false;
+
+/**
+ * Apply the global tracing options
+ * @param {object} options - { verbose, trace, file, version }
+ */
+export function configure({ verbose = false, trace = false, file = null, version = null } = {}) {
+  state.level = trace ? LEVEL.TRACE : verbose ? LEVEL.VERBOSE : LEVEL.OFF;
+  state.file = file;
+  state.version = version;
+  state.entries = [];
+
+  // Commands end with process.exit, so write the file on the way out
+  if (file && !exitHandlerAdded) {
+    exitHandlerAdded = true;
+    process.on('exit', writeTraceFile);
+  }
+}
+
+/**
+ * Whether requests are being traced at all
+ * @returns {boolean}
+ */
+export function isEnabled() {
+  return state.level > LEVEL.OFF || Boolean(state.file);
+}
+
+/**
+ * Redact credential headers
+ * @param {object|Headers} headers - Plain object or fetch Headers
+ * @returns {object} Header name to (redacted) value
+ */
+export function redactHeaders(headers = {}) {
+  const entries = headers instanceof Headers ? [...headers] : Object.entries(headers);
+
+  return Object.fromEntries(entries.map(([name, value]) => {
+    if (!SECRET_HEADERS.includes(name.toLowerCase())) {
+      return [name, value];
+    }
+    // Keep the kind of credential, which support needs to know
+    if (/^bearer /i.test(value)) return [name, 'Bearer [redacted]'];
+    if (value.startsWith('erold_')) return [name, 'erold_[redacted]'];
+    return [name, '[redacted]'];
+  }));
+}
+
+function log(message) {
+  console.error(output.colors.muted(message));
+}
+
+function idempotencyKey(headers) {
+  const name = Object.keys(headers).find(header => header.toLowerCase() === 'idempotency-key');
+  return name ? headers[name] : null;
+}
+
+function toList(headers) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * Record one request attempt
+ * @param {object} attempt - { method, url, requestHeaders, bodySize, startedAt,
+ *   duration, status, statusText, responseHeaders, attempt, attempts, error }
+ */
+export function record(attempt) {
+  if (!isEnabled()) return;
+
+  const requestHeaders = redactHeaders(attempt.requestHeaders);
+  const responseHeaders = attempt.responseHeaders ? redactHeaders(attempt.responseHeaders) : {};
+
+  if (state.level >= LEVEL.VERBOSE) {
+    const result = attempt.error
+      ? output.colors.error(attempt.error)
+      : `${attempt.status} ${attempt.statusText || ''}`.trim();
+    // A write's key is what support needs to find it on the server
+    const key = attempt.method !== 'GET' && idempotencyKey(requestHeaders);
+    log(`${attempt.method} ${attempt.url} ${result} ${attempt.duration}ms (attempt ${attempt.attempt}/${attempt.attempts}${key ? `, Idempotency-Key ${key}` : ''})`);
+  }
+
+  if (state.level >= LEVEL.TRACE) {
+    Object.entries(requestHeaders).forEach(([name, value]) => log(`  > ${name}: ${value}`));
+    Object.entries(responseHeaders).forEach(([name, value]) => log(`  < ${name}: ${value}`));
+  }
+
+  if (state.file) {
+    const url = new URL(attempt.url);
+    state.entries.push({
+      startedDateTime: new Date(attempt.startedAt).toISOString(),
+      time: attempt.duration,
+      request: {
+        method: attempt.method,
+        url: attempt.url,
+        httpVersion: 'HTTP/1.1',
+        headers: toList(requestHeaders),
+        queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+        headersSize: -1,
+        bodySize: attempt.bodySize ?? 0,
+      },
+      response: {
+        status: attempt.status ?? 0,
+        statusText: attempt.statusText || '',
+        httpVersion: 'HTTP/1.1',
+        headers: toList(responseHeaders),
+        content: { size: -1, mimeType: responseHeaders['content-type'] || '' },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: -1,
+      },
+      cache: {},
+      timings: { send: 0, wait: attempt.duration, receive: 0 },
+      _attempt: attempt.attempt,
+      _attempts: attempt.attempts,
+      _error: attempt.error || null,
+    });
+  }
+}
+
+/**
+ * Print a note about request handling (retry waits, cache hits)
+ * @param {string} message - Note
+ */
+export function note(message) {
+  if (state.level >= LEVEL.VERBOSE) {
+    log(`  ${message}`);
+  }
+}
+
+/**
+ * Build the HAR document for the recorded attempts
+ * @returns {object} { log: { version, creator, entries } }
+ */
+export function toHar() {
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: '@erold/cli', version: state.version || 'unknown' },
+      entries: state.entries,
+    },
+  };
+}
+
+/**
+ * Write the --trace-file
+ */
+function writeTraceFile() {
+  if (!state.file) return;
+
+  try {
+    writeFileSync(state.file, JSON.stringify(toHar(), null, 2) + '\n', { mode: 0o600 });
+  } catch (err) {
+    console.error(`Could not write trace file ${state.file}: ${err.message}`);
+  }
+}
+
+export default {
+  configure,
+  isEnabled,
+  redactHeaders,
+  record,
+  note,
+  toHar,
+};
@@ -0,0 +1,188 @@
+/**
+ * Watch Mode
+ *
+ * Re-runs a view on an interval and redraws it in place, marking tasks
+ * that changed since the last refresh (moved, new comments, progress).
+ * Rate limiting (429) doubles the wait each time, up to five minutes.
+ * With --json each refresh is written as one JSON line.
+ */
+
+import api from './api.js';
+import cache from './cache.js';
+import output from './output.js';
+import { exitWithError, fail } from './errors.js';
+
+export const DEFAULT_INTERVAL = 10; // seconds
+const MIN_INTERVAL = 2;
+const MAX_BACKOFF = 300;
+
+// Home the cursor and clear the screen
+const CLEAR = '\x1b[H\x1b[2J';
+
+/**
+ * Parse the value of --watch [interval]
+ * @param {string|boolean} value - Seconds, or true when given without a value
+ * @returns {number} Interval in seconds
+ */
+export function parseInterval(value) {
+  if (value === true || value === undefined) return DEFAULT_INTERVAL;
+
+  const seconds = Number(value);
+  if (!(seconds >= MIN_INTERVAL)) {
+    fail(`--watch interval must be a number of seconds (at least ${MIN_INTERVAL})`, 'USAGE_ERROR');
+  }
+  return seconds;
+}
+
+function commentCount(task) {
+  return task.commentCount ?? task.comments?.length ?? null;
+}
+
+/**
+ * Compare two snapshots of tasks
+ * @param {object[]|null} previous - Tasks from the last refresh (null on the first)
+ * @param {object[]} current - Tasks now
+ * @returns {Map} Task ID to { isNew, status, progress, comments }, each a
+ *   { from, to } pair when that field changed
+ */
+export function diffTasks(previous, current) {
+  const changes = new Map();
+  if (!previous) return changes;
+
+  const before = new Map(previous.map(task => [task.id, task]));
+
+  current.forEach((task) => {
+    const old = before.get(task.id);
+    if (!old) {
+      changes.set(task.id, { isNew: true });
+      return;
+    }
+
+    const change = {};
+    if (old.status !== task.status) change.status = { from: old.status, to: task.status };
+    if ((old.progress ?? 0) !== (task.progress ?? 0)) change.progress = { from: old.progress ?? 0, to: task.progress ?? 0 };
+    if ((commentCount(task) ?? 0) > (commentCount(old) ?? 0)) change.comments = { from: commentCount(old) ?? 0, to: commentCount(task) };
+
+    if (Object.keys(change).length > 0) {
+      changes.set(task.id, change);
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Describe a change in a few words
+ * @param {object} change - From diffTasks
+ * @returns {string}
+ */
+export function describeChange(change) {
+  if (change.isNew) return 'new';
+
+  const parts = [];
+  if (change.status) parts.push(`→ ${change.status.to}`);
+  if (change.progress) parts.push(`${change.progress.from}% → ${change.progress.to}%`);
+  if (change.comments) {
+    const added = change.comments.to - change.comments.from;
+    parts.push(`+${added} comment${added === 1 ? '' : 's'}`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Mark a task line that changed since the last refresh
+ * @param {string} line - Rendered line
+ * @param {object|undefined} change - From diffTasks
+ * @returns {string}
+ */
+export function highlight(line, change) {
+  if (!change) return line;
+
+  const color = change.status?.to === 'blocked' ? output.colors.error : output.colors.warning;
+  return `${color(output.colors.bold(line))} ${color(`(${describeChange(change)})`)}`;
+}
+
+/**
+ * Delay before the next refresh
+ * @param {number} interval - Interval in seconds
+ * @param {number} rateLimited - Refreshes in a row that hit a 429
+ * @returns {number} Seconds
+ */
+export function nextDelay(interval, rateLimited) {
+  if (rateLimited === 0) return interval;
+  return Math.min(MAX_BACKOFF, interval * 2 ** rateLimited);
+}
+
+function sleep(seconds) {
+  return new Promise(resolve => setTimeout(resolve, seconds * 1000));
+}
+
+/**
+ * Refresh a view until interrupted
+ * @param {object} view - { interval (seconds), load: () => data,
+ *   tasks: data => tasks to compare, render: (data, changes) => void }
+ * @returns {Promise<never>} Runs until Ctrl+C
+ */
+export async function run({ interval, load, tasks, render }) {
+  process.on('SIGINT', () => {
+    if (!output.isMachine()) output.print('');
+    process.exit(0);
+  });
+
+  // Every refresh has to reach the API, and a failed one waits for the next
+  // refresh rather than retrying, so only the backoff here applies
+  cache.configure({ enabled: false });
+  api.configure({ retries: 0 });
+
+  let previous = null;
+  let data = null;
+  let rateLimited = 0;
+
+  while (true) {
+    let problem = null;
+
+    try {
+      data = await load();
+      rateLimited = 0;
+    } catch (err) {
+      // Keep watching through transient failures, stop on auth errors
+      if (err.statusCode === 401 || err.statusCode === 403 || !data) {
+        exitWithError(err);
+      }
+      if (err.statusCode === 429) rateLimited++;
+      problem = err.message;
+    }
+
+    const delay = nextDelay(interval, rateLimited);
+    const current = tasks(data);
+    const changes = problem ? new Map() : diffTasks(previous, current);
+
+    if (output.isMachine()) {
+      if (!problem) {
+        const changed = [...changes].map(([id, change]) => ({ id, ...change }));
+        if (output.isJson()) output.emitLine({ ...data, changes: changed });
+        else changed.forEach(change => output.emitLine(change));
+      }
+    } else {
+      process.stdout.write(CLEAR);
+      const time = new Date().toLocaleTimeString();
+      output.muted(problem
+        ? `Every ${interval}s · Refresh failed at ${time}: ${problem} · Next try in ${delay}s · Ctrl+C to stop`
+        : `Every ${interval}s · Updated ${time} · Ctrl+C to stop`);
+      render(data, changes);
+    }
+
+    if (!problem) previous = current;
+    await sleep(delay);
+  }
+}
+
+export default {
+  DEFAULT_INTERVAL,
+  parseInterval,
+  diffTasks,
+  describeChange,
+  highlight,
+  nextDelay,
+  run,
+};
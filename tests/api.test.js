@@ -9,21 +9,52 @@ import { ApiError } from '../src/lib/api.js';
 const mockFetch = vi.fn();
 global.fetch = mockFetch;
 
-// Mock config
+// Mock config; tests switch to a login token by clearing apiKey
+const mockAccount = vi.hoisted(() => ({ apiKey: 'erold_test_key', token: null }));
+const mockConfig = vi.hoisted(() => ({
+  storeToken: vi.fn(async (profile, token) => {
+    mockAccount.token = token;
+    return 'keyring';
+  }),
+}));
 vi.mock('../src/lib/config.js', () => ({
   default: {
     getApiConfig: () => ({
-      apiKey: 'erold_test_key',
+      apiKey: mockAccount.apiKey,
+      token: mockAccount.token,
       apiUrl: 'https://api.test.com',
       tenant: 'test-tenant',
+      profile: 'default',
     }),
+    getActiveProfile: () => 'default',
+    storeToken: mockConfig.storeToken,
     get: (key) => {
       if (key === 'tenant') return 'test-tenant';
+      if (key === 'cacheTtl') return 30;
+      if (key === 'cacheMaxStale') return 300;
       return null;
     },
   },
 }));
 
+// Mock the cache so tests never touch ~/.erold
+const mockCache = vi.hoisted(() => ({
+  configure: vi.fn(),
+  isOffline: vi.fn(() => false),
+  isEnabled: vi.fn(() => true),
+  isCacheable: vi.fn(() => true),
+  read: vi.fn(() => null),
+  write: vi.fn(),
+  invalidate: vi.fn(),
+}));
+vi.mock('../src/lib/cache.js', () => ({ default: mockCache }));
+
+// Mock the outbox for the same reason
+const mockOutbox = vi.hoisted(() => ({
+  add: vi.fn(change => ({ id: 'ob1', ...change })),
+}));
+vi.mock('../src/lib/outbox.js', () => ({ default: mockOutbox }));
+
 // Import after mocking
 const api = await import('../src/lib/api.js');
 
@@ -31,6 +62,9 @@ describe('API Client', () => {
   beforeEach(() => {
     vi.clearAllMocks();
     mockFetch.mockReset();
+    mockCache.isOffline.mockReturnValue(false);
+    mockCache.isEnabled.mockReturnValue(true);
+    mockCache.read.mockReturnValue(null);
   });
 
   describe('ApiError', () => {
@@ -169,13 +203,14 @@ describe('API Client', () => {
     });
 
     it('handles rate limiting (429)', async () => {
-      // Mock all 3 retries with 429
+      vi.useFakeTimers();
+      // Mock all 3 attempts with 429
       const rateLimit429 = {
         ok: false,
         status: 429,
         headers: new Headers({
           'content-type': 'application/json',
-          'retry-after': '60',
+          'retry-after': '30',
         }),
         json: async () => ({}),
       };
@@ -184,14 +219,142 @@ describe('API Client', () => {
         .mockResolvedValueOnce(rateLimit429)
         .mockResolvedValueOnce(rateLimit429);
 
-      try {
-        await api.get('/test');
-        expect.fail('Should have thrown');
-      } catch (error) {
-        expect(error).toBeInstanceOf(ApiError);
-        expect(error.statusCode).toBe(429);
-        expect(error.message).toContain('Rate limited');
-      }
+      const pending = api.get('/test').catch(e => e);
+      await vi.runAllTimersAsync();
+      const error = await pending;
+      vi.useRealTimers();
+
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error.statusCode).toBe(429);
+      expect(error.message).toContain('Rate limited');
+      expect(mockFetch).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('Retries', () => {
+    const response = (status, headers = {}) => ({
+      ok: status < 400,
+      status,
+      headers: new Headers({ 'content-type': 'application/json', ...headers }),
+      json: async () => ({ data: { status } }),
+    });
+
+    // A fetch that never answers, only rejects when aborted
+    const hang = (url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    });
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      mockCache.isEnabled.mockReturnValue(false);
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      api.configure({ timeout: null });
+    });
+
+    it('gives every attempt its own timeout', async () => {
+      mockFetch.mockImplementation(hang);
+
+      const pending = api.get('/slow').catch(e => e);
+      await vi.runAllTimersAsync();
+      const error = await pending;
+
+      expect(mockFetch).toHaveBeenCalledTimes(3);
+      const signals = mockFetch.mock.calls.map(([, options]) => options.signal);
+      expect(new Set(signals).size).toBe(3);
+      expect(signals.every(signal => signal.aborted)).toBe(true);
+      expect(error.statusCode).toBe(408);
+      expect(error.message).toBe('Request timed out after 30s');
+    });
+
+    it('keeps --timeout when only retries are configured', async () => {
+      api.configure({ timeout: 5 });
+      api.configure({ retries: 0 });
+      mockFetch.mockImplementation(hang);
+
+      const pending = api.get('/slow').catch(e => e);
+      await vi.runAllTimersAsync();
+      const error = await pending;
+
+      api.configure({ retries: null });
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+      expect(error.message).toBe('Request timed out after 5s');
+    });
+
+    it('uses the --timeout value for each attempt', async () => {
+      api.configure({ timeout: 5 });
+      mockFetch.mockImplementationOnce(hang).mockResolvedValueOnce(response(200));
+
+      const pending = api.get('/slow');
+      await vi.advanceTimersByTimeAsync(4999);
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+
+      await vi.runAllTimersAsync();
+      expect(await pending).toEqual({ status: 200 });
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('waits for Retry-After on 503', async () => {
+      mockFetch
+        .mockResolvedValueOnce(response(503, { 'retry-after': '7' }))
+        .mockResolvedValueOnce(response(200));
+
+      const pending = api.get('/busy');
+      await vi.advanceTimersByTimeAsync(6999);
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(1);
+      expect(await pending).toEqual({ status: 200 });
+    });
+
+    it('gives up when Retry-After is past the deadline', async () => {
+      mockFetch.mockResolvedValueOnce(response(429, { 'retry-after': '600' }));
+
+      await expect(api.get('/busy')).rejects.toThrow('Rate limited. Try again in 600 seconds.');
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('sends the same Idempotency-Key on every attempt of a change', async () => {
+      mockFetch
+        .mockResolvedValueOnce(response(502))
+        .mockResolvedValueOnce(response(201));
+
+      const pending = api.post('/tenants/t1/tasks', { title: 'Once' });
+      await vi.runAllTimersAsync();
+      await pending;
+
+      const keys = mockFetch.mock.calls.map(([, options]) => options.headers['Idempotency-Key']);
+      expect(keys[0]).toBeDefined();
+      expect(keys[1]).toBe(keys[0]);
+    });
+
+    it('uses a new Idempotency-Key for each change', async () => {
+      mockFetch.mockResolvedValue(response(200));
+
+      await api.patch('/tenants/t1/tasks/a', { title: 'A' });
+      await api.patch('/tenants/t1/tasks/a', { title: 'A' });
+      await api.get('/tenants/t1/tasks/a');
+
+      const keys = mockFetch.mock.calls.map(([, options]) => options.headers['Idempotency-Key']);
+      expect(keys[0]).not.toBe(keys[1]);
+      expect(keys[2]).toBeUndefined();
+    });
+
+    it('does not retry client errors', async () => {
+      mockFetch.mockResolvedValueOnce(response(422));
+
+      await expect(api.get('/bad')).rejects.toThrow(ApiError);
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('parses Retry-After as seconds or an HTTP date', () => {
+      const now = Date.parse('2026-01-01T00:00:00Z');
+      expect(api.parseRetryAfter('120', now)).toBe(120000);
+      expect(api.parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT', now)).toBe(30000);
+      expect(api.parseRetryAfter('soon', now)).toBeNull();
+      expect(api.parseRetryAfter(null, now)).toBeNull();
     });
   });
 
@@ -285,4 +448,340 @@ describe('API Client', () => {
       );
     });
   });
+
+  describe('Pagination', () => {
+    const page = (body) => ({
+      ok: true,
+      headers: new Headers({ 'content-type': 'application/json' }),
+      json: async () => body,
+    });
+
+    const collect = async (pages) => {
+      const result = [];
+      for await (const p of pages) result.push(p);
+      return result;
+    };
+
+    it('parsePage reads items and cursor metadata', () => {
+      expect(api.parsePage({ data: [{ id: 1 }], pagination: { nextCursor: 'c2', total: 5 } })).toEqual({
+        items: [{ id: 1 }],
+        nextCursor: 'c2',
+        hasMore: true,
+        total: 5,
+      });
+    });
+
+    it('parsePage accepts bare arrays', () => {
+      expect(api.parsePage([{ id: 1 }])).toEqual({
+        items: [{ id: 1 }],
+        nextCursor: null,
+        hasMore: null,
+        total: null,
+      });
+    });
+
+    it('follows next-page cursors', async () => {
+      mockFetch
+        .mockResolvedValueOnce(page({ data: [{ id: 1 }, { id: 2 }], pagination: { nextCursor: 'c2' } }))
+        .mockResolvedValueOnce(page({ data: [{ id: 3 }], pagination: { nextCursor: null, hasMore: false } }));
+
+      const pages = await collect(api.paginate('/items', { status: 'todo' }, { pageSize: 2 }));
+
+      expect(pages.flatMap(p => p.items)).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+      expect(mockFetch.mock.calls[0][0]).toBe('https://api.test.com/items?status=todo&limit=2');
+      expect(mockFetch.mock.calls[1][0]).toBe('https://api.test.com/items?status=todo&limit=2&cursor=c2');
+    });
+
+    it('falls back to offsets when only a total is reported', async () => {
+      mockFetch
+        .mockResolvedValueOnce(page({ data: [{ id: 1 }, { id: 2 }], meta: { total: 3 } }))
+        .mockResolvedValueOnce(page({ data: [{ id: 3 }], meta: { total: 3 } }));
+
+      const pages = await collect(api.paginate('/items', {}, { pageSize: 2 }));
+
+      expect(pages).toHaveLength(2);
+      expect(mockFetch.mock.calls[1][0]).toBe('https://api.test.com/items?limit=2&offset=2');
+    });
+
+    it('stops after one page when the API does not paginate', async () => {
+      mockFetch.mockResolvedValueOnce(page({ data: [{ id: 1 }, { id: 2 }] }));
+
+      const pages = await collect(api.paginate('/items', {}, { pageSize: 2 }));
+
+      expect(pages).toHaveLength(1);
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('starts from a given cursor', async () => {
+      mockFetch.mockResolvedValueOnce(page({ data: [{ id: 9 }], pagination: { hasMore: false } }));
+
+      await collect(api.paginate('/items', {}, { pageSize: 5, cursor: 'abc' }));
+
+      expect(mockFetch.mock.calls[0][0]).toBe('https://api.test.com/items?limit=5&cursor=abc');
+    });
+  });
+
+  describe('Cache', () => {
+    const ok = body => ({
+      ok: true,
+      headers: new Headers({ 'content-type': 'application/json' }),
+      json: async () => body,
+    });
+
+    const timeout = () => Object.assign(new Error('aborted'), { name: 'AbortError' });
+
+    it('serves fresh entries without a request', async () => {
+      mockCache.read.mockReturnValue({ data: { data: { id: 'cached' } }, storedAt: new Date().toISOString(), age: 5 });
+
+      const result = await api.get('/test');
+
+      expect(result).toEqual({ id: 'cached' });
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    it('serves stale entries and refreshes in the background', async () => {
+      mockCache.read.mockReturnValue({ data: { data: { id: 'stale' } }, storedAt: new Date().toISOString(), age: 60 });
+      mockFetch.mockResolvedValueOnce(ok({ data: { id: 'fresh' } }));
+
+      const result = await api.get('/stale');
+      expect(result).toEqual({ id: 'stale' });
+
+      await vi.waitFor(() => expect(mockCache.write).toHaveBeenCalledWith('/stale', expect.anything(), { data: { id: 'fresh' } }));
+    });
+
+    it('fetches and stores expired entries', async () => {
+      mockCache.read.mockReturnValue({ data: { data: { id: 'old' } }, storedAt: new Date().toISOString(), age: 1000 });
+      mockFetch.mockResolvedValueOnce(ok({ data: { id: 'new' } }));
+
+      const result = await api.get('/test');
+
+      expect(result).toEqual({ id: 'new' });
+      expect(mockCache.write).toHaveBeenCalledWith('/test', expect.anything(), { data: { id: 'new' } });
+    });
+
+    it('falls back to the cached copy when the API is unreachable', async () => {
+      vi.useFakeTimers();
+      mockCache.read.mockReturnValue({ data: { data: { id: 'old' } }, storedAt: new Date().toISOString(), age: 1000 });
+      mockFetch.mockRejectedValue(timeout());
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      const pending = api.get('/test');
+      await vi.runAllTimersAsync();
+      const result = await pending;
+      vi.useRealTimers();
+
+      expect(result).toEqual({ id: 'old' });
+      log.mockRestore();
+    });
+
+    it('does not hide client errors behind the cache', async () => {
+      mockCache.read.mockReturnValue({ data: { data: { id: 'old' } }, storedAt: new Date().toISOString(), age: 1000 });
+      mockFetch.mockResolvedValueOnce({
+        ok: false,
+        status: 404,
+        headers: new Headers({ 'content-type': 'application/json' }),
+        json: async () => ({ error: { message: 'Not found' } }),
+      });
+
+      await expect(api.get('/test')).rejects.toThrow('Not found');
+    });
+
+    it('reads only from the cache when offline', async () => {
+      mockCache.isOffline.mockReturnValue(true);
+
+      await expect(api.get('/test')).rejects.toThrow('Not available offline');
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    it('skips cached reads with --no-cache', async () => {
+      mockCache.isEnabled.mockReturnValue(false);
+      mockFetch.mockResolvedValueOnce(ok({ data: { id: 'new' } }));
+
+      await api.get('/test');
+
+      expect(mockCache.read).not.toHaveBeenCalled();
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('invalidates cached responses after a change', async () => {
+      mockFetch.mockResolvedValueOnce(ok({ data: { id: '1' } }));
+
+      await api.post('/tenants/t1/tasks', { title: 'x' });
+
+      expect(mockCache.invalidate).toHaveBeenCalledWith('/tenants/t1/tasks');
+    });
+  });
+
+  describe('Outbox', () => {
+    const networkError = () => new TypeError('fetch failed');
+
+    it('queues task changes when the API is unreachable', async () => {
+      vi.useFakeTimers();
+      mockFetch.mockRejectedValue(networkError());
+
+      const pending = api.tasks.logTime('t1', 2, 'plane');
+      await vi.runAllTimersAsync();
+      const result = await pending;
+      vi.useRealTimers();
+
+      expect(result).toEqual({ queued: true, outboxId: 'ob1', method: 'POST', endpoint: '/tenants/test-tenant/tasks/t1/log' });
+      expect(mockOutbox.add).toHaveBeenCalledWith(expect.objectContaining({
+        method: 'POST',
+        body: expect.objectContaining({ hours: 2, notes: 'plane', loggedAt: expect.any(String) }),
+        profile: 'default',
+        apiUrl: 'https://api.test.com',
+      }));
+    });
+
+    it('queues without a request when offline', async () => {
+      mockCache.isOffline.mockReturnValue(true);
+
+      const result = await api.tasks.addComment('t1', 'hello');
+
+      expect(result.queued).toBe(true);
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    it('does not queue rejected changes', async () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: false,
+        status: 404,
+        headers: new Headers({ 'content-type': 'application/json' }),
+        json: async () => ({ error: { message: 'Task not found' } }),
+      });
+
+      await expect(api.tasks.progress('gone', 50)).rejects.toThrow('Task not found');
+      expect(mockOutbox.add).not.toHaveBeenCalled();
+    });
+
+    it('does not queue changes that are not marked for it', async () => {
+      vi.useFakeTimers();
+      mockFetch.mockRejectedValue(networkError());
+
+      const pending = expect(api.post('/tenants/t1/projects', {})).rejects.toThrow(ApiError);
+      await vi.runAllTimersAsync();
+      await pending;
+      vi.useRealTimers();
+
+      expect(mockOutbox.add).not.toHaveBeenCalled();
+    });
+
+    it('stores the Idempotency-Key with a queued change', async () => {
+      mockCache.isOffline.mockReturnValue(true);
+
+      await api.tasks.addComment('t1', 'hello');
+
+      expect(mockOutbox.add).toHaveBeenCalledWith(expect.objectContaining({
+        idempotencyKey: expect.stringMatching(/^[0-9a-f-]{36}$/),
+      }));
+    });
+
+    it('replays with the Idempotency-Key of the original change', async () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        headers: new Headers({ 'content-type': 'application/json' }),
+        json: async () => ({ data: {} }),
+      });
+
+      await api.replay({ method: 'POST', endpoint: '/tenants/t1/tasks/t1/log', body: { hours: 1 }, idempotencyKey: 'key-1' });
+
+      expect(mockFetch.mock.calls[0][1].headers['Idempotency-Key']).toBe('key-1');
+    });
+
+    it('replays an entry', async () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        headers: new Headers({ 'content-type': 'application/json' }),
+        json: async () => ({ data: { id: 'c1' } }),
+      });
+
+      const result = await api.replay({ method: 'POST', endpoint: '/tenants/t1/tasks/t1/comments', body: { content: 'hi' } });
+
+      expect(result).toEqual({ id: 'c1' });
+      expect(mockFetch).toHaveBeenCalledWith(
+        'https://api.test.com/tenants/t1/tasks/t1/comments',
+        expect.objectContaining({ method: 'POST', body: JSON.stringify({ content: 'hi' }) })
+      );
+      expect(mockCache.invalidate).toHaveBeenCalledWith('/tenants/t1/tasks/t1/comments');
+    });
+  });
+
+  describe('Login tokens', () => {
+    const jsonResponse = (status, body) => ({
+      ok: status < 400,
+      status,
+      headers: new Headers({ 'content-type': 'application/json' }),
+      json: async () => body,
+    });
+    const inOneHour = () => new Date(Date.now() + 3600 * 1000).toISOString();
+
+    beforeEach(() => {
+      mockAccount.apiKey = '';
+      mockAccount.token = { accessToken: 'at_1', refreshToken: 'rt_1', expiresAt: inOneHour() };
+      mockCache.isEnabled.mockReturnValue(false);
+    });
+
+    afterEach(() => {
+      mockAccount.apiKey = 'erold_test_key';
+      mockAccount.token = null;
+    });
+
+    it('sends the token as a bearer token', async () => {
+      mockFetch.mockResolvedValueOnce(jsonResponse(200, { data: {} }));
+
+      await api.get('/me');
+
+      const { headers } = mockFetch.mock.calls[0][1];
+      expect(headers.Authorization).toBe('Bearer at_1');
+      expect(headers['X-API-Key']).toBeUndefined();
+    });
+
+    it('refreshes a token that is about to expire', async () => {
+      mockAccount.token.expiresAt = new Date(Date.now() + 10 * 1000).toISOString();
+      mockFetch
+        .mockResolvedValueOnce(jsonResponse(200, { access_token: 'at_2', expires_in: 3600 }))
+        .mockResolvedValueOnce(jsonResponse(200, { data: {} }));
+
+      await api.get('/me');
+
+      expect(mockFetch.mock.calls[0][0]).toBe('https://api.test.com/auth/token');
+      expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toMatchObject({ grant_type: 'refresh_token', refresh_token: 'rt_1' });
+      expect(mockConfig.storeToken).toHaveBeenCalledWith('default', expect.objectContaining({
+        accessToken: 'at_2',
+        refreshToken: 'rt_1',
+      }));
+      expect(mockFetch.mock.calls[1][1].headers.Authorization).toBe('Bearer at_2');
+    });
+
+    it('refreshes once and retries when the token is rejected', async () => {
+      mockFetch
+        .mockResolvedValueOnce(jsonResponse(401, { error: { message: 'Token expired' } }))
+        .mockResolvedValueOnce(jsonResponse(200, { access_token: 'at_2', refresh_token: 'rt_2', expires_in: 3600 }))
+        .mockResolvedValueOnce(jsonResponse(200, { data: { id: 'u1' } }));
+
+      const result = await api.get('/me');
+
+      expect(result).toEqual({ id: 'u1' });
+      expect(mockFetch).toHaveBeenCalledTimes(3);
+      expect(mockFetch.mock.calls[2][1].headers.Authorization).toBe('Bearer at_2');
+    });
+
+    it('asks to log in again when the refresh token is rejected', async () => {
+      mockFetch
+        .mockResolvedValueOnce(jsonResponse(401, { error: { message: 'Token expired' } }))
+        .mockResolvedValueOnce(jsonResponse(400, { error: 'invalid_grant' }));
+
+      await expect(api.get('/me')).rejects.toThrow('Session expired');
+      expect(mockConfig.storeToken).not.toHaveBeenCalled();
+    });
+
+    it('reports OAuth error codes from device login polling', async () => {
+      mockFetch.mockResolvedValueOnce(jsonResponse(400, { error: 'authorization_pending', error_description: 'Waiting' }));
+
+      const err = await api.auth.deviceToken('dc_1').catch(e => e);
+
+      expect(err.details).toEqual({ error: 'authorization_pending' });
+      expect(mockFetch.mock.calls[0][1].headers.Authorization).toBeUndefined();
+    });
+  });
 });
@@ -0,0 +1,93 @@
+/**
+ * Task Board Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import board from '../src/lib/board.js';
+
+const makeTasks = () => [
+  { id: 'task1xxxxxxxxxxxxxxxx', title: 'Write docs', status: 'todo', projectId: 'p1', assignedTo: 'ann@x.io' },
+  { id: 'task2xxxxxxxxxxxxxxxx', title: 'Fix login', status: 'todo', projectId: 'p2', assignedTo: 'bob@x.io' },
+  { id: 'task3xxxxxxxxxxxxxxxx', title: 'Ship it', status: 'in_progress', projectId: 'p1', assignedTo: null },
+];
+
+describe('Task Board', () => {
+  let state;
+
+  beforeEach(() => {
+    state = board.createBoard(makeTasks(), { projects: { p1: 'Web', p2: 'API' } });
+  });
+
+  it('groups tasks into status columns, accepting underscore statuses', () => {
+    const columns = board.getColumns(state);
+    expect(columns.map(c => c.status)).toEqual(board.STATUSES);
+    expect(columns.find(c => c.status === 'todo').tasks).toHaveLength(2);
+    expect(columns.find(c => c.status === 'in-progress').tasks[0].id).toBe('task3xxxxxxxxxxxxxxxx');
+  });
+
+  it('navigates between columns and rows', () => {
+    board.handleKey(state, { name: 'right' });
+    board.handleKey(state, { name: 'right' });
+    expect(board.getSelected(state).id).toBe('task1xxxxxxxxxxxxxxxx');
+
+    board.handleKey(state, { name: 'j' });
+    expect(board.getSelected(state).id).toBe('task2xxxxxxxxxxxxxxxx');
+
+    board.handleKey(state, { name: 'down' });
+    expect(board.getSelected(state).id).toBe('task2xxxxxxxxxxxxxxxx');
+  });
+
+  it('returns move effects for the selected task', () => {
+    state.column = board.STATUSES.indexOf('todo');
+
+    expect(board.handleKey(state, { sequence: '>' })).toMatchObject({ type: 'move', status: 'in-progress' });
+    expect(board.handleKey(state, { name: 'h', shift: true })).toMatchObject({ type: 'move', status: 'analysis' });
+    expect(board.handleKey(state, { name: '8' })).toMatchObject({ type: 'move', status: 'done' });
+    expect(board.handleKey(state, { name: '3' })).toBeNull();
+  });
+
+  it('moves a task and keeps it selected, and can undo', () => {
+    const previous = board.moveTask(state, 'task2xxxxxxxxxxxxxxxx', 'blocked');
+    expect(previous).toBe('todo');
+    expect(board.STATUSES[state.column]).toBe('blocked');
+    expect(board.getSelected(state).id).toBe('task2xxxxxxxxxxxxxxxx');
+
+    board.moveTask(state, 'task2xxxxxxxxxxxxxxxx', previous);
+    expect(board.getColumns(state).find(c => c.status === 'todo').tasks).toHaveLength(2);
+  });
+
+  it('cycles project and assignee filters', () => {
+    board.handleKey(state, { name: 'p' });
+    expect(state.filters.project).toBe('p1');
+    expect(board.getColumns(state).find(c => c.status === 'todo').tasks).toHaveLength(1);
+
+    board.handleKey(state, { name: 'a' });
+    expect(state.filters.assignee).toBe('ann@x.io');
+
+    board.handleKey(state, { name: 'c' });
+    expect(state.filters).toEqual({ project: null, assignee: null });
+  });
+
+  it('opens and closes the detail pane, and quits', () => {
+    state.column = board.STATUSES.indexOf('todo');
+    expect(board.handleKey(state, { name: 'return' })).toMatchObject({ type: 'open' });
+    expect(state.detail).toBe('task1xxxxxxxxxxxxxxxx');
+
+    expect(board.handleKey(state, { name: 'escape' })).toBeNull();
+    expect(state.detail).toBeNull();
+    expect(board.handleKey(state, { name: 'q' })).toEqual({ type: 'quit' });
+  });
+
+  it('renders a screen that fits the terminal', () => {
+    state.column = board.STATUSES.indexOf('todo');
+    board.handleKey(state, { name: 'return' });
+
+    const lines = board.render(state, { width: 90, height: 16 }).split('\n');
+    const plain = lines.map(line => line.replace(/\x1b\[[0-9;]*m/g, ''));
+
+    expect(lines).toHaveLength(16);
+    plain.forEach(line => expect(line.length).toBeLessThanOrEqual(90));
+    expect(plain.join('\n')).toContain('Write docs');
+    expect(plain.join('\n')).toContain('Project:  Web');
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Bulk Task Change Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Readable } from 'stream';
+import bulk from '../src/lib/bulk.js';
+
+describe('Bulk Task Changes', () => {
+  describe('parseIds', () => {
+    it('accepts lines, commas and spaces, dropping duplicates', () => {
+      expect(bulk.parseIds('a1\nb2\r\n\nc3, a1 d4')).toEqual(['a1', 'b2', 'c3', 'd4']);
+      expect(bulk.parseIds('')).toEqual([]);
+    });
+
+    it('reads IDs from a stream', async () => {
+      const ids = await bulk.readIds(Readable.from(['task1\nta', 'sk2\n']));
+      expect(ids).toEqual(['task1', 'task2']);
+    });
+  });
+
+  describe('planUpdate', () => {
+    const task = { id: 't1', status: 'todo', priority: 'high', assignedTo: null, tags: ['sprint-8', 'ui'] };
+
+    it('keeps only fields that change', () => {
+      expect(bulk.planUpdate(task, { status: 'done', priority: 'high' })).toEqual({ status: 'done' });
+      expect(bulk.planUpdate(task, { assignedTo: null })).toEqual({});
+    });
+
+    it('adds and removes tags against the current ones', () => {
+      const update = bulk.planUpdate(task, { addTags: ['sprint-9', 'ui'], removeTags: ['sprint-8'] });
+      expect(update).toEqual({ tags: ['ui', 'sprint-9'] });
+      expect(bulk.describeUpdate(task, update)).toBe('+tag sprint-9, -tag sprint-8');
+      expect(bulk.planUpdate(task, { addTags: ['ui'], removeTags: ['missing'] })).toEqual({});
+    });
+
+    it('describes field changes', () => {
+      expect(bulk.describeUpdate(task, { status: 'done', assignedTo: 'u1' })).toBe('status todo → done, assignee - → u1');
+    });
+  });
+
+  describe('mapLimit', () => {
+    it('keeps item order and never runs more than the limit at once', async () => {
+      let running = 0;
+      let most = 0;
+      const results = await bulk.mapLimit([30, 10, 20, 5, 15], async (ms, index) => {
+        running++;
+        most = Math.max(most, running);
+        await new Promise(resolve => setTimeout(resolve, ms));
+        running--;
+        return index;
+      }, 2);
+
+      expect(results).toEqual([0, 1, 2, 3, 4]);
+      expect(most).toBe(2);
+    });
+  });
+
+  describe('batch', () => {
+    it('groups tasks needing the same update and splits large groups', () => {
+      const plan = [
+        { id: 'a', update: { status: 'done' } },
+        { id: 'b', update: { status: 'done', tags: ['x'] } },
+        { id: 'c', update: { status: 'done' } },
+        { id: 'd', update: {} },
+        { id: 'e', update: { status: 'done' } },
+      ];
+
+      expect(bulk.batch(plan, 2)).toEqual([
+        { taskIds: ['a', 'c'], updates: { status: 'done' } },
+        { taskIds: ['e'], updates: { status: 'done' } },
+        { taskIds: ['b'], updates: { status: 'done', tags: ['x'] } },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Response Cache Tests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import cache from '../src/lib/cache.js';
+
+const account = { apiUrl: 'https://api.test.com', apiKey: 'erold_test_key' };
+
+describe('Response Cache', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'erold-cache-'));
+    cache.configure({ dir });
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads back what was written', () => {
+    cache.write('/tenants/t1/tasks?limit=10', account, { data: [{ id: 1 }] });
+
+    const entry = cache.read('/tenants/t1/tasks?limit=10', account);
+    expect(entry.data).toEqual({ data: [{ id: 1 }] });
+    expect(entry.age).toBeLessThan(5);
+  });
+
+  it('misses for other endpoints and other accounts', () => {
+    cache.write('/tenants/t1/tasks', account, []);
+
+    expect(cache.read('/tenants/t1/tasks?limit=10', account)).toBeNull();
+    expect(cache.read('/tenants/t1/tasks', { ...account, apiKey: 'erold_other' })).toBeNull();
+  });
+
+  it('scopes entries by tenant', () => {
+    expect(cache.getScope('/tenants/t1/tasks/abc')).toBe('t1');
+    expect(cache.getScope('/me/notifications')).toBe('_user');
+  });
+
+  it('invalidates the tenant and user entries after a change', () => {
+    cache.write('/tenants/t1/tasks', account, []);
+    cache.write('/tenants/t2/tasks', account, []);
+    cache.write('/me', account, {});
+
+    cache.invalidate('/tenants/t1/tasks/abc');
+
+    expect(cache.read('/tenants/t1/tasks', account)).toBeNull();
+    expect(cache.read('/me', account)).toBeNull();
+    expect(cache.read('/tenants/t2/tasks', account)).not.toBeNull();
+  });
+
+  it('reports and clears entries', () => {
+    cache.write('/tenants/t1/tasks', account, []);
+    cache.write('/me', account, {});
+
+    const stats = cache.stats();
+    expect(stats.entries).toBe(2);
+    expect(stats.scopes).toEqual({ t1: 1, _user: 1 });
+
+    cache.clear();
+    expect(cache.stats().entries).toBe(0);
+  });
+
+  it('never caches exports', () => {
+    expect(cache.isCacheable('/tenants/t1/export/tasks?format=csv')).toBe(false);
+    expect(cache.isCacheable('/tenants/t1/tasks')).toBe(true);
+  });
+
+  it('never caches vault entries or invites', () => {
+    expect(cache.isCacheable('/tenants/t1/projects/p1/vault')).toBe(false);
+    expect(cache.isCacheable('/tenants/t1/projects/p1/vault/v1')).toBe(false);
+    expect(cache.isCacheable('/tenants/t1/invites')).toBe(false);
+    expect(cache.isCacheable('/tenants/t1/projects/vaulted')).toBe(true);
+  });
+
+  it('writes nothing to the cache dir for vault get', async () => {
+    vi.stubEnv('EROLD_API_KEY', 'erold_test_key');
+    vi.stubEnv('EROLD_API_URL', 'https://api.test.com');
+    vi.stubEnv('EROLD_TENANT', 't1');
+    const fetch = vi.spyOn(global, 'fetch').mockResolvedValue(new Response(
+      JSON.stringify({ data: { id: 'v1', key: 'DB_PASSWORD', value: 'hunter2' } }),
+      { headers: { 'content-type': 'application/json' } }
+    ));
+
+    try {
+      const api = (await import('../src/lib/api.js')).default;
+      const entry = await api.vault.get('p1', 'v1');
+
+      expect(entry.value).toBe('hunter2');
+      expect(fetch).toHaveBeenCalled();
+      expect(readdirSync(dir, { recursive: true })).toEqual([]);
+    } finally {
+      vi.restoreAllMocks();
+      vi.unstubAllEnvs();
+    }
+  });
+
+  it('applies the global flags', () => {
+    cache.configure({ dir, enabled: false, offline: true });
+    expect(cache.isEnabled()).toBe(false);
+    expect(cache.isOffline()).toBe(true);
+  });
+});
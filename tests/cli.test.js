@@ -3,7 +3,15 @@
  */
 
 import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 import { createProgram } from '../src/index.js';
+import config from '../src/lib/config.js';
+import output from '../src/lib/output.js';
+import api from '../src/lib/api.js';
+import { listTasks } from '../src/commands/tasks.js';
+import { getHookStatus } from '../src/commands/init.js';
 
 describe('CLI', () => {
   let program;
@@ -36,6 +44,26 @@ describe('CLI', () => {
       const quietOption = program.options.find(o => o.long === '--quiet');
       expect(quietOption).toBeDefined();
     });
+
+    it('has profile option', () => {
+      const profileOption = program.options.find(o => o.long === '--profile');
+      expect(profileOption).toBeDefined();
+    });
+
+    it('has offline and no-cache options', () => {
+      const flags = program.options.map(o => o.long);
+      expect(flags).toEqual(expect.arrayContaining(['--offline', '--no-cache']));
+    });
+
+    it('has timeout option', () => {
+      const option = program.options.find(o => o.long === '--timeout');
+      expect(option).toBeDefined();
+    });
+
+    it('has tracing options', () => {
+      const flags = program.options.map(o => o.long);
+      expect(flags).toEqual(expect.arrayContaining(['--verbose', '--trace', '--trace-file']));
+    });
   });
 
   describe('Commands', () => {
@@ -44,6 +72,61 @@ describe('CLI', () => {
       expect(cmd).toBeDefined();
     });
 
+    it('has browser login option', () => {
+      const cmd = program.commands.find(c => c.name() === 'login');
+      const flags = cmd.options.map(o => o.long);
+      expect(flags).toEqual(expect.arrayContaining(['--web', '--no-browser']));
+    });
+
+    it('has doctor command', () => {
+      const cmd = program.commands.find(c => c.name() === 'doctor');
+      expect(cmd).toBeDefined();
+    });
+
+    it('has board command', () => {
+      const cmd = program.commands.find(c => c.name() === 'board');
+      expect(cmd).toBeDefined();
+    });
+
+    it('board --quiet prints task IDs instead of nothing', async () => {
+      const get = config.get;
+      vi.spyOn(config, 'get').mockImplementation(key => (key === 'defaultProject' ? null : get(key)));
+      vi.spyOn(config, 'credentialsLocked').mockReturnValue(false);
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.spyOn(api.projects, 'list').mockResolvedValue([]);
+      vi.spyOn(api.tasks, 'listPages').mockImplementation(async function* pages() {
+        yield { items: [{ id: 'task2xxxxxxxxxxxxxxxx', status: 'done' }, { id: 'task1xxxxxxxxxxxxxxxx', status: 'todo' }] };
+      });
+
+      try {
+        await program.parseAsync(['node', 'erold', '--quiet', 'board']);
+        expect(log.mock.calls.map(([line]) => line)).toEqual(['task1xxxxxxxxxxxxxxxx', 'task2xxxxxxxxxxxxxxxx']);
+      } finally {
+        output.configure();
+        vi.restoreAllMocks();
+      }
+    });
+
+    it('has --watch on status and dashboard', () => {
+      ['status', 'dashboard'].forEach((name) => {
+        const cmd = program.commands.find(c => c.name() === name);
+        expect(cmd.options.find(o => o.long === '--watch')).toBeDefined();
+      });
+    });
+
+    it('has view command with save, list and delete', () => {
+      const view = program.commands.find(c => c.name() === 'view');
+      expect(view).toBeDefined();
+      expect(view.commands.map(c => c.name())).toEqual(['save', 'list', 'delete']);
+      const save = view.commands.find(c => c.name() === 'save');
+      expect(save.options.find(o => o.long === '--columns')).toBeDefined();
+    });
+
+    it('has completion command', () => {
+      const cmd = program.commands.find(c => c.name() === 'completion');
+      expect(cmd).toBeDefined();
+    });
+
     it('has logout command', () => {
       const cmd = program.commands.find(c => c.name() === 'logout');
       expect(cmd).toBeDefined();
@@ -136,6 +219,40 @@ describe('CLI', () => {
       expect(list.alias()).toBe('ls');
     });
 
+    it('tasks list has query and sort options', () => {
+      const tasks = program.commands.find(c => c.name() === 'tasks');
+      const list = tasks.commands.find(c => c.name() === 'list');
+      ['--where', '--sort', '--reverse'].forEach((flag) => {
+        expect(list.options.find(o => o.long === flag)).toBeDefined();
+      });
+    });
+
+    it('tasks list --priority filters on the API and still pages', async () => {
+      const get = config.get;
+      vi.spyOn(config, 'get').mockImplementation(key => (key === 'defaultProject' ? null : get(key)));
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => {});
+      const listPages = vi.spyOn(api.tasks, 'listPages').mockImplementation(async function* pages() {
+        yield { items: [{ id: 'task1xxxxxxxxxxxxxxxx', title: 'One', priority: 'high' }] };
+        yield { items: [{ id: 'task2xxxxxxxxxxxxxxxx', title: 'Two', priority: 'high' }] };
+      });
+
+      try {
+        await listTasks({ priority: 'high', page: '2', limit: '1' });
+        expect(exitSpy).not.toHaveBeenCalled();
+        expect(listPages.mock.calls[0][0]).toEqual({ priority: 'high' });
+        expect(console.log.mock.calls.flat().join('\n')).toContain('task2xxx');
+      } finally {
+        vi.restoreAllMocks();
+      }
+    });
+
+    it('tasks list says that sorting reads every task', () => {
+      const tasks = program.commands.find(c => c.name() === 'tasks');
+      const list = tasks.commands.find(c => c.name() === 'list');
+      expect(list.options.find(o => o.long === '--sort').description).toContain('reads every matching task');
+    });
+
     it('tasks has create subcommand', () => {
       const tasks = program.commands.find(c => c.name() === 'tasks');
       const create = tasks.commands.find(c => c.name() === 'create');
@@ -195,6 +312,32 @@ describe('CLI', () => {
       expect(del).toBeDefined();
       expect(del.alias()).toBe('rm');
     });
+
+    it('tasks has bulk subcommand', () => {
+      const tasks = program.commands.find(c => c.name() === 'tasks');
+      const bulk = tasks.commands.find(c => c.name() === 'bulk');
+      expect(bulk).toBeDefined();
+      expect(bulk.options.find(o => o.long === '--dry-run')).toBeDefined();
+    });
+
+    it('tasks bulk does not wait on stdin unless asked to with --ids -', async () => {
+      vi.spyOn(config, 'credentialsLocked').mockReturnValue(false);
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const exitSpy = vi.spyOn(process, 'exit').mockImplementation((code) => {
+        throw new Error(`exit ${code}`);
+      });
+      const isTTY = process.stdin.isTTY;
+      process.stdin.isTTY = false;
+
+      try {
+        await expect(program.parseAsync(['node', 'erold', 'tasks', 'bulk', '--status', 'done'])).rejects.toThrow('exit');
+        expect(exitSpy).toHaveBeenNthCalledWith(1, 2);
+      } finally {
+        process.stdin.isTTY = isTTY;
+        vi.restoreAllMocks();
+      }
+    });
   });
 
   describe('Projects Subcommands', () => {
@@ -302,6 +445,141 @@ describe('CLI', () => {
     });
   });
 
+  describe('Profile Subcommands', () => {
+    it('has profile command', () => {
+      const cmd = program.commands.find(c => c.name() === 'profile');
+      expect(cmd).toBeDefined();
+    });
+
+    it('profile has list, add, use, show and remove subcommands', () => {
+      const profile = program.commands.find(c => c.name() === 'profile');
+      ['list', 'add', 'use', 'show', 'remove'].forEach((name) => {
+        expect(profile.commands.find(c => c.name() === name)).toBeDefined();
+      });
+    });
+  });
+
+  describe('Paging Options', () => {
+    const sub = (group, name) => program.commands.find(c => c.name() === group).commands.find(c => c.name() === name);
+
+    it('list commands have --all, --page, --cursor and --page-size', () => {
+      [
+        sub('tasks', 'list'),
+        sub('tasks', 'search'),
+        sub('projects', 'list'),
+        sub('projects', 'tasks'),
+        sub('knowledge', 'list'),
+      ].forEach((cmd) => {
+        const flags = cmd.options.map(o => o.long);
+        expect(flags).toEqual(expect.arrayContaining(['--all', '--page', '--cursor', '--page-size']));
+      });
+    });
+  });
+
+  describe('Activity Commands', () => {
+    it('has activity command with filters and follow mode', () => {
+      const cmd = program.commands.find(c => c.name() === 'activity');
+      const flags = cmd.options.map(o => o.long);
+      expect(flags).toEqual(expect.arrayContaining(['--project', '--user', '--type', '--since', '--until', '--follow']));
+    });
+
+    it('tasks has history subcommand', () => {
+      const tasks = program.commands.find(c => c.name() === 'tasks');
+      expect(tasks.commands.find(c => c.name() === 'history')).toBeDefined();
+    });
+  });
+
+  describe('Inbox Commands', () => {
+    it('has inbox command with read subcommand', () => {
+      const inbox = program.commands.find(c => c.name() === 'inbox');
+      expect(inbox).toBeDefined();
+      expect(inbox.commands.find(c => c.name() === 'read')).toBeDefined();
+    });
+
+    it('inbox has all and interactive options', () => {
+      const inbox = program.commands.find(c => c.name() === 'inbox');
+      const flags = inbox.options.map(o => o.long);
+      expect(flags).toEqual(expect.arrayContaining(['--all', '--interactive']));
+    });
+  });
+
+  describe('Team Commands', () => {
+    it('team has list, show, role, remove, invite and invites subcommands', () => {
+      const team = program.commands.find(c => c.name() === 'team');
+      ['list', 'show', 'role', 'remove', 'invite', 'invites'].forEach((name) => {
+        expect(team.commands.find(c => c.name() === name)).toBeDefined();
+      });
+    });
+
+    it('invites has accept and decline subcommands', () => {
+      const invites = program.commands.find(c => c.name() === 'invites');
+      expect(invites.commands.find(c => c.name() === 'accept')).toBeDefined();
+      expect(invites.commands.find(c => c.name() === 'decline')).toBeDefined();
+    });
+
+    it('keeps members and invite shortcuts', () => {
+      expect(program.commands.find(c => c.name() === 'members')).toBeDefined();
+      expect(program.commands.find(c => c.name() === 'invite')).toBeDefined();
+    });
+  });
+
+  describe('Export Command', () => {
+    it('has export command with format, out and filter options', () => {
+      const cmd = program.commands.find(c => c.name() === 'export');
+      const flags = cmd.options.map(o => o.long);
+      expect(flags).toEqual(expect.arrayContaining(['--format', '--out', '--project', '--status', '--since', '--until']));
+    });
+  });
+
+  describe('Auth Commands', () => {
+    it('has auth status and migrate subcommands', () => {
+      const cmd = program.commands.find(c => c.name() === 'auth');
+      const names = cmd.commands.map(c => c.name());
+      expect(names).toEqual(expect.arrayContaining(['status', 'migrate']));
+      const migrate = cmd.commands.find(c => c.name() === 'migrate');
+      expect(migrate.options.map(o => o.long)).toContain('--to');
+    });
+
+    it('fails with an auth error instead of prompting for a passphrase without a terminal', async () => {
+      vi.spyOn(config, 'credentialsLocked').mockReturnValue(true);
+      const unlock = vi.spyOn(config, 'unlockCredentials').mockResolvedValue();
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.spyOn(process, 'exit').mockImplementation((code) => {
+        throw new Error(`exit ${code}`);
+      });
+      vi.stubEnv('EROLD_PASSPHRASE', '');
+      const isTTY = process.stdin.isTTY;
+      process.stdin.isTTY = false;
+
+      try {
+        await expect(program.parseAsync(['node', 'erold', 'tasks', 'list'])).rejects.toThrow('exit 3');
+        expect(unlock).not.toHaveBeenCalled();
+        expect([...errorSpy.mock.calls, ...logSpy.mock.calls].flat().join('\n')).toContain('EROLD_PASSPHRASE');
+      } finally {
+        process.stdin.isTTY = isTTY;
+        vi.unstubAllEnvs();
+        vi.restoreAllMocks();
+      }
+    });
+  });
+
+  describe('Cache Commands', () => {
+    it('has cache status, clear and warm subcommands', () => {
+      const cmd = program.commands.find(c => c.name() === 'cache');
+      const names = cmd.commands.map(c => c.name());
+      expect(names).toEqual(expect.arrayContaining(['status', 'clear', 'warm']));
+    });
+  });
+
+  describe('Sync Command', () => {
+    it('has sync command with status, retry and discard options', () => {
+      const cmd = program.commands.find(c => c.name() === 'sync');
+      const flags = cmd.options.map(o => o.long);
+      expect(flags).toEqual(expect.arrayContaining(['--status', '--retry', '--discard']));
+    });
+  });
+
   describe('Knowledge Subcommands', () => {
     it('knowledge has list subcommand', () => {
       const knowledge = program.commands.find(c => c.name() === 'knowledge');
@@ -357,6 +635,17 @@ describe('CLI', () => {
       const option = cmd.options.find(o => o.long === '--force');
       expect(option).toBeDefined();
     });
+
+    it('reports installed, outdated and foreign hooks', () => {
+      const dir = mkdtempSync(join(tmpdir(), 'erold-hooks-'));
+      writeFileSync(join(dir, 'post-commit'), '#!/bin/sh\n# Erold: old version\n');
+      writeFileSync(join(dir, 'pre-push'), '#!/bin/sh\nnpm test\n');
+
+      const states = Object.fromEntries(getHookStatus(dir).map(h => [h.name, h.state]));
+      rmSync(dir, { recursive: true, force: true });
+
+      expect(states).toMatchObject({ 'post-commit': 'outdated', 'pre-push': 'other', 'post-checkout': 'missing' });
+    });
   });
 
   describe('AI Workflow Commands', () => {
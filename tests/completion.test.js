@@ -0,0 +1,124 @@
+/**
+ * Shell Completion Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createProgram } from '../src/index.js';
+import completion from '../src/lib/completion.js';
+
+const values = list => list.map(c => c.value);
+
+describe('Shell Completion', () => {
+  let program;
+
+  beforeEach(() => {
+    program = createProgram();
+  });
+
+  describe('parseContext', () => {
+    it('follows subcommands and aliases', () => {
+      const context = completion.parseContext(program, ['tasks', 'show', '']);
+      expect(context.path).toEqual(['tasks', 'show']);
+      expect(context.argument.name()).toBe('taskId');
+    });
+
+    it('skips option values', () => {
+      const context = completion.parseContext(program, ['--profile', 'tasks', 'tasks', 'list', '']);
+      expect(context.path).toEqual(['tasks', 'list']);
+      expect(context.used).toContain('--profile');
+    });
+
+    it('detects a pending option value', () => {
+      const context = completion.parseContext(program, ['tasks', 'list', '--project', 'we']);
+      expect(context.option.long).toBe('--project');
+      expect(context.current).toBe('we');
+    });
+  });
+
+  describe('getStaticCandidates', () => {
+    it('lists top-level commands without hidden ones', () => {
+      const context = completion.parseContext(program, ['']);
+      const candidates = values(completion.getStaticCandidates(program, context));
+      expect(candidates).toContain('tasks');
+      expect(candidates).toContain('completion');
+    });
+
+    it('lists command and global options, leaving out used ones', () => {
+      const context = completion.parseContext(program, ['tasks', 'list', '--json', '--']);
+      const candidates = values(completion.getStaticCandidates(program, context));
+      expect(candidates).toContain('--project');
+      expect(candidates).toContain('--profile');
+      expect(candidates).not.toContain('--json');
+    });
+  });
+
+  describe('getValueKind', () => {
+    const kindOf = words => completion.getValueKind(completion.parseContext(program, words));
+
+    it('maps arguments and options to value kinds', () => {
+      expect(kindOf(['tasks', 'show', ''])).toBe('task');
+      expect(kindOf(['tasks', 'list', '--project', ''])).toBe('project');
+      expect(kindOf(['knowledge', 'list', '--category', ''])).toBe('knowledgeCategory');
+      expect(kindOf(['vault', 'create', '--category', ''])).toBe('vaultCategory');
+      expect(kindOf(['vault', 'show', ''])).toBe('vaultEntry');
+      expect(kindOf(['tasks', 'list', ''])).toBeNull();
+    });
+  });
+
+  describe('getTypedOption', () => {
+    it('reads an option value from the line', () => {
+      expect(completion.getTypedOption(['vault', 'show', '-p', 'p1', ''], ['-p', '--project'])).toBe('p1');
+      expect(completion.getTypedOption(['vault', 'show', '--project=p2', ''], ['-p', '--project'])).toBe('p2');
+      expect(completion.getTypedOption(['vault', 'show', ''], ['-p', '--project'])).toBeNull();
+    });
+  });
+
+  describe('formatCandidates', () => {
+    const candidates = [
+      { value: 'task1', description: 'Fix login' },
+      { value: 'task2', description: 'Add: export' },
+      { value: 'other', description: '' },
+    ];
+
+    it('filters by prefix and formats per shell', () => {
+      expect(completion.formatCandidates(candidates, 'task', 'bash')).toBe('task1\ntask2');
+      expect(completion.formatCandidates(candidates, 'task', 'zsh')).toBe('task1:Fix login\ntask2:Add: export');
+      expect(completion.formatCandidates(candidates, '', 'fish')).toBe('task1\tFix login\ntask2\tAdd: export\nother');
+    });
+  });
+
+  describe('cache', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'erold-completion-'));
+      completion.setCachePath(join(dir, 'completion.json'));
+    });
+
+    afterEach(() => {
+      completion.setCachePath(null);
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('returns stored values until they expire', () => {
+      const items = [{ value: 'p1', description: 'Web' }];
+      completion.setCached('default:t1:project', items);
+
+      expect(completion.getCached('default:t1:project')).toEqual(items);
+      expect(completion.getCached('default:t1:task')).toBeNull();
+      expect(completion.getCached('default:t1:project', Date.now() + 10 * 60 * 1000)).toBeNull();
+    });
+  });
+
+  describe('getScript', () => {
+    it('calls back into the CLI for each shell', () => {
+      completion.SHELLS.forEach((shell) => {
+        expect(completion.getScript(shell, 'erold')).toContain('erold __complete');
+      });
+      expect(completion.getScript('zsh', 'erold')).toMatch(/^#compdef erold/);
+    });
+  });
+});
@@ -0,0 +1,362 @@
+/**
+ * Configuration Tests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// In-memory replacement for the user config store (with dot-notation keys)
+vi.mock('conf', () => ({
+  default: class {
+    constructor({ schema }) {
+      this.store = {};
+      Object.entries(schema).forEach(([key, def]) => {
+        this.store[key] = structuredClone(def.default);
+      });
+      this.path = '/tmp/erold-test/config.json';
+    }
+    get(key) {
+      return key.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), this.store);
+    }
+    set(key, value) {
+      const parts = key.split('.');
+      const last = parts.pop();
+      const target = parts.reduce((obj, part) => (obj[part] ??= {}), this.store);
+      target[last] = value;
+    }
+    delete(key) {
+      const parts = key.split('.');
+      const last = parts.pop();
+      const target = parts.reduce((obj, part) => (obj == null ? undefined : obj[part]), this.store);
+      if (target) delete target[last];
+    }
+    clear() { this.store = {}; }
+  },
+}));
+
+vi.mock('../src/lib/git.js', () => ({
+  default: {
+    isGitRepo: vi.fn(() => false),
+    getRepoRoot: vi.fn(() => null),
+  },
+}));
+
+const config = await import('../src/lib/config.js');
+const git = (await import('../src/lib/git.js')).default;
+const credentials = (await import('../src/lib/credentials.js')).default;
+
+describe('Config', () => {
+  let root;
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), 'erold-config-'));
+    git.isGitRepo.mockReturnValue(false);
+    git.getRepoRoot.mockReturnValue(null);
+    delete process.env.EROLD_TENANT;
+    config.useProfile(null);
+  });
+
+  afterEach(() => {
+    rmSync(root, { recursive: true, force: true });
+    delete process.env.EROLD_TENANT;
+    delete process.env.EROLD_PROFILE;
+  });
+
+  describe('findProjectConfig', () => {
+    it('finds .erold.json in a parent directory', () => {
+      const nested = join(root, 'packages', 'web');
+      mkdirSync(nested, { recursive: true });
+      writeFileSync(join(root, '.erold.json'), JSON.stringify({ tenant: 'acme', defaultProject: 'proj-1' }));
+
+      const found = config.findProjectConfig(nested);
+      expect(found.path).toBe(join(root, '.erold.json'));
+      expect(found.values).toEqual({ tenant: 'acme', defaultProject: 'proj-1' });
+    });
+
+    it('prefers the nearest file', () => {
+      const nested = join(root, 'packages', 'api');
+      mkdirSync(nested, { recursive: true });
+      writeFileSync(join(root, '.erold.json'), JSON.stringify({ defaultProject: 'root' }));
+      writeFileSync(join(nested, '.erold.json'), JSON.stringify({ defaultProject: 'api' }));
+
+      expect(config.findProjectConfig(nested).values.defaultProject).toBe('api');
+    });
+
+    it('stops at the git repository root', () => {
+      const repo = join(root, 'repo');
+      const nested = join(repo, 'src');
+      mkdirSync(nested, { recursive: true });
+      writeFileSync(join(root, '.erold.json'), JSON.stringify({ tenant: 'outside' }));
+      git.isGitRepo.mockReturnValue(true);
+      git.getRepoRoot.mockReturnValue(repo);
+
+      expect(config.findProjectConfig(nested)).toBeNull();
+    });
+
+    it('never reads credentials from the repo', () => {
+      const dir = join(root, 'creds');
+      mkdirSync(dir);
+      writeFileSync(join(dir, '.erold.json'), JSON.stringify({ apiKey: 'erold_leaked', tenant: 'acme' }));
+
+      expect(config.findProjectConfig(dir).values).toEqual({ tenant: 'acme' });
+    });
+
+    it('never lets the repo choose where credentials are sent', () => {
+      vi.spyOn(process, 'cwd').mockReturnValue(root);
+      config.set('apiKey', 'erold_secretkey');
+      config.set('apiUrl', 'https://api.erold.dev/api/v1');
+      writeFileSync(join(root, '.erold.json'), JSON.stringify({
+        apiUrl: 'http://127.0.0.1:4567/evil',
+        profile: 'attacker',
+        tenant: 'acme',
+      }));
+
+      const api = config.getApiConfig();
+      expect(api.apiUrl).toBe('https://api.erold.dev/api/v1');
+      expect(api.profile).toBe('default');
+      expect(api.tenant).toBe('acme');
+      expect(config.getSource('apiUrl')).not.toBe('project');
+      vi.restoreAllMocks();
+    });
+
+    it('ignores invalid JSON', () => {
+      const dir = join(root, 'broken');
+      mkdirSync(dir);
+      writeFileSync(join(dir, '.erold.json'), '{ not json');
+
+      expect(config.findProjectConfig(dir).values).toEqual({});
+    });
+  });
+
+  describe('get / getSource', () => {
+    it('falls back to user config and defaults', () => {
+      config.set('tenant', 'user-tenant');
+      expect(config.get('tenant')).toBe('user-tenant');
+      expect(config.getSource('tenant')).toBe('user');
+      expect(config.getSource('outputFormat')).toBe('default');
+    });
+
+    it('reads snake-case env vars such as EROLD_API_KEY', () => {
+      process.env.EROLD_API_KEY = 'erold_from_env';
+      expect(config.get('apiKey')).toBe('erold_from_env');
+      expect(config.getEnvName('defaultProject')).toBe('EROLD_DEFAULT_PROJECT');
+      delete process.env.EROLD_API_KEY;
+    });
+
+    it('env vars take precedence', () => {
+      config.set('tenant', 'user-tenant');
+      process.env.EROLD_TENANT = 'env-tenant';
+      expect(config.get('tenant')).toBe('env-tenant');
+      expect(config.getSource('tenant')).toBe('env');
+    });
+  });
+
+  describe('profiles', () => {
+    beforeEach(() => {
+      config.set('apiKey', 'erold_default');
+      config.set('tenant', 'default-tenant');
+      config.saveProfile('client', {
+        apiKey: 'erold_client',
+        apiUrl: 'https://client.example.com/api',
+        tenant: 'client-tenant',
+      });
+    });
+
+    afterEach(() => {
+      config.removeProfile('client');
+    });
+
+    it('lists the implicit default profile and named profiles', () => {
+      const names = config.listProfiles().map((p) => p.name);
+      expect(names).toEqual(['default', 'client']);
+    });
+
+    it('resolves API config through the active profile', () => {
+      config.useProfile('client');
+      expect(config.getApiConfig()).toEqual({
+        profile: 'client',
+        apiKey: 'erold_client',
+        token: null,
+        apiUrl: 'https://client.example.com/api',
+        tenant: 'client-tenant',
+      });
+      expect(config.getSource('apiKey')).toBe('profile');
+    });
+
+    it('does not fall back to default profile credentials', () => {
+      config.saveProfile('empty', {});
+      config.useProfile('empty');
+      expect(config.get('apiKey')).toBe('');
+      config.removeProfile('empty');
+    });
+
+    it('writes profile-scoped keys to the active profile', () => {
+      config.useProfile('client');
+      config.set('tenant', 'other-tenant');
+      config.useProfile(null);
+
+      expect(config.get('tenant')).toBe('default-tenant');
+      expect(config.getProfile('client').tenant).toBe('other-tenant');
+    });
+
+    it('honors EROLD_PROFILE', () => {
+      process.env.EROLD_PROFILE = 'client';
+      expect(config.getActiveProfile()).toBe('client');
+      expect(config.get('apiKey')).toBe('erold_client');
+    });
+
+    it('persists the active profile', () => {
+      config.setActiveProfile('client');
+      expect(config.getActiveProfile()).toBe('client');
+      config.removeProfile('client');
+      expect(config.getActiveProfile()).toBe('default');
+    });
+
+    it('rejects unknown profiles and invalid names', () => {
+      expect(() => config.setActiveProfile('missing')).toThrow('Unknown profile');
+      expect(() => config.saveProfile('bad.name', {})).toThrow();
+      expect(() => config.removeProfile('default')).toThrow();
+    });
+  });
+
+  describe('views', () => {
+    beforeEach(() => {
+      vi.spyOn(process, 'cwd').mockReturnValue(root);
+      config.remove('views');
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('saves user views and lists them by name', () => {
+      config.saveView('queue', { options: { where: 'status:in-review' } });
+      config.saveView('blockers', { description: 'Release', options: { status: 'blocked' } });
+
+      expect(config.listViews().map(v => [v.name, v.source])).toEqual([['blockers', 'user'], ['queue', 'user']]);
+      expect(config.getView('queue').options).toEqual({ where: 'status:in-review' });
+      expect(() => config.saveView('bad.name', { options: {} })).toThrow();
+    });
+
+    it('saves repo views to .erold.json, keeping its settings', () => {
+      writeFileSync(join(root, '.erold.json'), JSON.stringify({ tenant: 'acme' }));
+      config.saveView('queue', { options: { where: 'status:todo' } });
+
+      const path = config.saveView('queue', { options: { where: 'status:blocked' } }, { repo: true });
+      expect(path).toBe(join(root, '.erold.json'));
+      expect(JSON.parse(readFileSync(path, 'utf-8')).tenant).toBe('acme');
+
+      // The repo view wins, as repo settings do
+      expect(config.getView('queue')).toMatchObject({ source: 'repo', options: { where: 'status:blocked' } });
+      expect(config.listViews().find(v => v.source === 'user').shadowed).toBe(true);
+    });
+
+    it('deletes views from the chosen place only', () => {
+      config.saveView('queue', { options: { mine: true } }, { repo: true });
+
+      expect(config.removeView('queue')).toBe(false);
+      expect(config.removeView('queue', { repo: true })).toBe(true);
+      expect(config.listViews()).toEqual([]);
+    });
+  });
+
+  describe('credentials', () => {
+    beforeEach(() => {
+      credentials.setDir(root);
+      process.env.EROLD_PASSPHRASE = 'correct horse battery';
+      config.set('credentialStore', 'file');
+    });
+
+    afterEach(() => {
+      config.remove('apiKey');
+      config.set('credentialStore', 'auto');
+      delete process.env.EROLD_PASSPHRASE;
+      credentials.setDir(join(tmpdir(), 'erold-none'));
+    });
+
+    it('keeps stored keys out of config.json', async () => {
+      const store = await config.saveCredentials('erold_secret', 'acme');
+
+      expect(store).toBe('file');
+      expect(config.getUserConfig().apiKey).toBeUndefined();
+      expect(config.get('apiKey')).toBe('erold_secret');
+      expect(config.getSource('apiKey')).toBe('file');
+    });
+
+    it('needs the passphrase in a new process', async () => {
+      await config.saveCredentials('erold_secret');
+      credentials.setDir(root);
+
+      expect(config.get('apiKey')).toBe('');
+      expect(config.credentialsLocked()).toBe(true);
+
+      await config.unlockCredentials();
+      expect(config.get('apiKey')).toBe('erold_secret');
+    });
+
+    it('rejects a wrong passphrase', async () => {
+      await config.saveCredentials('erold_secret');
+      credentials.setDir(root);
+      process.env.EROLD_PASSPHRASE = 'wrong';
+
+      await expect(config.unlockCredentials()).rejects.toThrow('Wrong passphrase');
+    });
+
+    it('stores keys in plain text only when chosen', async () => {
+      config.set('credentialStore', 'plaintext');
+      await config.saveCredentials('erold_plain');
+
+      expect(config.getUserConfig().apiKey).toBe('erold_plain');
+    });
+
+    it('migrates plain text keys', async () => {
+      config.set('apiKey', 'erold_old');
+      config.saveProfile('client', { apiKey: 'erold_client' });
+
+      const moved = await config.migrateApiKeys('file');
+
+      expect(moved).toEqual([
+        { profile: 'default', type: 'apiKey', store: 'file' },
+        { profile: 'client', type: 'apiKey', store: 'file' },
+      ]);
+      expect(config.getUserConfig().apiKey).toBeUndefined();
+      expect(config.getProfile('client').apiKey).toBe('erold_client');
+      config.removeProfile('client');
+    });
+
+    it('keeps one credential per profile', async () => {
+      await config.saveCredentials('erold_secret');
+      await config.saveToken({ accessToken: 'at', refreshToken: 'rt', expiresAt: null });
+
+      expect(config.get('apiKey')).toBe('');
+      expect(config.getApiConfig().token).toEqual({ accessToken: 'at', refreshToken: 'rt', expiresAt: null });
+      expect(config.isConfigured()).toBe(true);
+      expect(config.getCredentialLocation('default')).toEqual({ type: 'token', store: 'file' });
+    });
+
+    it('creates a new profile on login without a tenant', async () => {
+      config.useProfile('fresh');
+      await config.saveCredentials('erold_fresh');
+      expect(config.hasProfile('fresh')).toBe(true);
+      expect(config.get('apiKey')).toBe('erold_fresh');
+      config.removeProfile('fresh');
+
+      config.useProfile('fresh-web');
+      await config.saveToken({ accessToken: 'at', refreshToken: 'rt', expiresAt: null });
+      expect(config.hasProfile('fresh-web')).toBe(true);
+      config.removeProfile('fresh-web');
+      config.useProfile(null);
+    });
+
+    it('clears stored keys on logout', async () => {
+      await config.saveCredentials('erold_secret');
+      config.clearCredentials();
+
+      credentials.setDir(root);
+      expect(config.credentialsLocked()).toBe(false);
+      expect(config.get('apiKey')).toBe('');
+    });
+  });
+});
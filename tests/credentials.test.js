@@ -0,0 +1,52 @@
+/**
+ * Credential Store Tests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const spawnSync = vi.hoisted(() => vi.fn());
+
+vi.mock('child_process', () => ({ spawnSync }));
+
+const notFound = { status: 1, stdout: '', stderr: '' };
+
+describe('Credential Store', () => {
+  let credentials;
+
+  beforeEach(async () => {
+    vi.resetModules();
+    spawnSync.mockReset();
+    vi.stubEnv('DBUS_SESSION_BUS_ADDRESS', 'unix:path=/run/user/1000/bus');
+    credentials = (await import('../src/lib/credentials.js')).default;
+    credentials.setDir(join(tmpdir(), 'erold-credentials-none'));
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  describe('keyring', () => {
+    it.runIf(process.platform === 'linux')('is available when a lookup finds nothing cleanly', () => {
+      spawnSync.mockReturnValue(notFound);
+      expect(credentials.isKeyringAvailable()).toBe(true);
+    });
+
+    it('is not available when the lookup reports an error', () => {
+      spawnSync.mockReturnValue({ status: 1, stdout: '', stderr: 'Cannot autolaunch D-Bus without X11 $DISPLAY\n' });
+      expect(credentials.isKeyringAvailable()).toBe(false);
+    });
+
+    it.runIf(process.platform === 'linux')('looks up a missing key once per process', () => {
+      spawnSync.mockReturnValue(notFound);
+
+      expect(credentials.lookup('default')).toBeNull();
+      expect(credentials.lookup('default')).toBeNull();
+      expect(credentials.getLocation('default')).toBeNull();
+
+      // One probe, one lookup
+      expect(spawnSync).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * CSV Helper Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { toCell, toCsvRow, collectColumns, toCsv } from '../src/lib/csv.js';
+
+describe('CSV Helpers', () => {
+  describe('toCell', () => {
+    it('leaves plain values unquoted', () => {
+      expect(toCell('hello')).toBe('hello');
+      expect(toCell(42)).toBe('42');
+      expect(toCell(false)).toBe('false');
+    });
+
+    it('renders missing values as empty cells', () => {
+      expect(toCell(null)).toBe('');
+      expect(toCell(undefined)).toBe('');
+    });
+
+    it('quotes commas, quotes, newlines and surrounding spaces', () => {
+      expect(toCell('a,b')).toBe('"a,b"');
+      expect(toCell('say "hi"')).toBe('"say ""hi"""');
+      expect(toCell('line1\nline2')).toBe('"line1\nline2"');
+      expect(toCell(' padded')).toBe('" padded"');
+    });
+
+    it('flattens arrays and objects', () => {
+      expect(toCell(['a', 'b'])).toBe('a;b');
+      expect(toCell({ from: 'todo' })).toBe('"{""from"":""todo""}"');
+    });
+  });
+
+  describe('toCsvRow', () => {
+    it('follows the column order and fills gaps', () => {
+      expect(toCsvRow({ b: 2, a: 1 }, ['a', 'c', 'b'])).toBe('1,,2');
+    });
+  });
+
+  describe('collectColumns', () => {
+    it('collects keys in first-seen order', () => {
+      expect(collectColumns([{ id: 1, title: 'x' }, { id: 2, status: 'todo' }])).toEqual(['id', 'title', 'status']);
+    });
+  });
+
+  describe('toCsv', () => {
+    it('writes a header row and CRLF line endings', () => {
+      expect(toCsv([{ id: 1, title: 'A, B' }])).toBe('id,title\r\n1,"A, B"\r\n');
+    });
+
+    it('writes only the header for no records', () => {
+      expect(toCsv([], ['id'])).toBe('id\r\n');
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Error Handling Tests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+// Mock config so the API client never touches the user's store
+vi.mock('../src/lib/config.js', () => ({
+  default: {
+    getApiConfig: () => ({}),
+    get: () => null,
+  },
+}));
+
+const { ApiError } = await import('../src/lib/api.js');
+const errors = await import('../src/lib/errors.js');
+const output = await import('../src/lib/output.js');
+
+const { EXIT_CODES, CliError } = errors;
+
+describe('Error Handling', () => {
+  let errorSpy;
+  let exitSpy;
+
+  beforeEach(() => {
+    errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    output.configure({});
+    vi.restoreAllMocks();
+  });
+
+  describe('getExitCode', () => {
+    it.each([
+      [401, EXIT_CODES.AUTH],
+      [403, EXIT_CODES.AUTH],
+      [404, EXIT_CODES.NOT_FOUND],
+      [400, EXIT_CODES.VALIDATION],
+      [422, EXIT_CODES.VALIDATION],
+      [409, EXIT_CODES.CONFLICT],
+      [429, EXIT_CODES.RATE_LIMITED],
+      [408, EXIT_CODES.NETWORK],
+      [503, EXIT_CODES.NETWORK],
+      [null, EXIT_CODES.NETWORK],
+    ])('maps HTTP %s to exit code %s', (status, code) => {
+      expect(errors.getExitCode(new ApiError('failed', status))).toBe(code);
+    });
+
+    it('uses distinct exit codes per category', () => {
+      const codes = Object.values(EXIT_CODES);
+      expect(new Set(codes).size).toBe(codes.length);
+    });
+
+    it('maps commander errors to usage errors', () => {
+      const err = Object.assign(new Error('unknown option'), { code: 'commander.unknownOption' });
+      expect(errors.getErrorCode(err)).toBe('USAGE_ERROR');
+      expect(errors.getExitCode(err)).toBe(EXIT_CODES.USAGE);
+    });
+
+    it('uses the code of CLI errors', () => {
+      expect(errors.getExitCode(new CliError('Not logged in', 'AUTH_REQUIRED'))).toBe(EXIT_CODES.AUTH);
+    });
+
+    it('treats unknown errors as general errors', () => {
+      expect(errors.getExitCode(new Error('boom'))).toBe(EXIT_CODES.GENERAL);
+      expect(errors.getExitCode(Object.assign(new Error('x'), { code: 'ENOENT' }))).toBe(EXIT_CODES.GENERAL);
+    });
+  });
+
+  describe('toEnvelope', () => {
+    it('builds a stable error shape', () => {
+      const err = new ApiError('Task not found', 404, { id: 'abc' });
+      expect(errors.toEnvelope(err)).toEqual({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Task not found',
+          statusCode: 404,
+          details: { id: 'abc' },
+        },
+      });
+    });
+
+    it('fills missing fields with null', () => {
+      expect(errors.toEnvelope(new Error('boom')).error).toEqual({
+        code: 'GENERAL_ERROR',
+        message: 'boom',
+        statusCode: null,
+        details: null,
+      });
+    });
+  });
+
+  describe('exitWithError', () => {
+    it('prints the JSON envelope to stderr in JSON mode', () => {
+      output.configure({ json: true });
+      errors.exitWithError(new ApiError('Rate limited', 429));
+
+      const printed = JSON.parse(errorSpy.mock.calls[0][0]);
+      expect(printed.error.code).toBe('RATE_LIMITED');
+      expect(exitSpy).toHaveBeenCalledWith(EXIT_CODES.RATE_LIMITED);
+    });
+
+    it('prints the message in human mode', () => {
+      errors.exitWithError(new ApiError('Task not found', 404));
+
+      expect(errorSpy.mock.calls[0][0]).toContain('Task not found');
+      expect(exitSpy).toHaveBeenCalledWith(EXIT_CODES.NOT_FOUND);
+    });
+  });
+
+  describe('fail', () => {
+    it('exits with the code of the given error category', () => {
+      errors.fail('Invalid category', 'VALIDATION_ERROR');
+      expect(exitSpy).toHaveBeenCalledWith(EXIT_CODES.VALIDATION);
+    });
+  });
+});
@@ -53,6 +53,11 @@ describe('Git Integration', () => {
       expect(git.extractTaskIdFromBranch('task/123')).toBe('123');
     });
 
+    it('extracts task IDs and ID prefixes', () => {
+      expect(git.extractTaskIdFromBranch('feature/task-abc12345-fix-login')).toBe('abc12345');
+      expect(git.extractTaskIdFromBranch('feature/task-description-of-work')).toBeNull();
+    });
+
     it('extracts JIRA-style task ID', () => {
       expect(git.extractTaskIdFromBranch('feature/PROJ-456-something')).toBe('PROJ-456');
     });
@@ -0,0 +1,68 @@
+/**
+ * Outbox Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import outbox from '../src/lib/outbox.js';
+
+const change = (endpoint, body = {}) => ({
+  method: 'POST',
+  endpoint,
+  body,
+  profile: 'default',
+  apiUrl: 'https://api.test.com',
+});
+
+describe('Outbox', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'erold-outbox-'));
+    outbox.setOutboxPath(join(dir, 'outbox.json'));
+  });
+
+  afterEach(() => {
+    outbox.setOutboxPath(null);
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('refuses to replace a damaged outbox', () => {
+    const file = join(dir, 'outbox.json');
+    writeFileSync(file, '{"entries": [{"id": "a1"');
+
+    expect(() => outbox.list()).toThrow(`${file} is damaged`);
+    expect(() => outbox.add(change('/tenants/t1/tasks/a/log'))).toThrow('is damaged');
+    expect(readFileSync(file, 'utf-8')).toBe('{"entries": [{"id": "a1"');
+  });
+
+  it('starts empty', () => {
+    expect(outbox.list()).toEqual([]);
+    expect(outbox.pendingCount()).toBe(0);
+  });
+
+  it('keeps changes in the order they were made', () => {
+    outbox.add(change('/tenants/t1/tasks/a/log', { hours: 2 }));
+    outbox.add(change('/tenants/t1/tasks/a/comments', { content: 'hi' }));
+
+    const entries = outbox.list();
+    expect(entries.map(e => e.endpoint)).toEqual(['/tenants/t1/tasks/a/log', '/tenants/t1/tasks/a/comments']);
+    expect(entries[0]).toMatchObject({ status: 'pending', attempts: 0, body: { hours: 2 } });
+    expect(entries[0].queuedAt).toBeDefined();
+  });
+
+  it('marks and removes entries', () => {
+    const first = outbox.add(change('/tenants/t1/tasks/a/log'));
+    const second = outbox.add(change('/tenants/t1/tasks/b/log'));
+
+    outbox.update(first.id, { status: outbox.STATUS.CONFLICT, lastError: 'Task not found' });
+    expect(outbox.pendingCount()).toBe(1);
+
+    expect(outbox.remove(second.id)).toBe(true);
+    expect(outbox.remove(second.id)).toBe(false);
+    expect(outbox.list()).toHaveLength(1);
+    expect(outbox.list()[0].lastError).toBe('Task not found');
+  });
+});
@@ -2,7 +2,7 @@
  * Output Formatting Tests
  */
 
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import * as output from '../src/lib/output.js';
 
 // Mock console methods
@@ -268,4 +268,118 @@ describe('Output Formatting', () => {
       expect(error).toBeDefined();
     });
   });
+
+  describe('output mode', () => {
+    afterEach(() => {
+      output.configure({});
+    });
+
+    it('prints human output by default', () => {
+      output.print('hello');
+      expect(consoleSpy.log).toHaveBeenCalledWith('hello');
+      expect(output.emit([{ id: 'task-1' }])).toBe(false);
+    });
+
+    it('emits a single JSON document in json mode', () => {
+      output.configure({ json: true });
+      expect(output.emit([{ id: 'task-1' }])).toBe(true);
+      expect(consoleSpy.log).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(consoleSpy.log.mock.calls[0][0])).toEqual([{ id: 'task-1' }]);
+    });
+
+    it('suppresses messages, prints and spinners in json mode', () => {
+      output.configure({ json: true });
+      output.print('hidden');
+      output.success('hidden');
+      output.info('hidden');
+      output.muted('hidden');
+      expect(output.startSpinner('Loading...')).toBeNull();
+      expect(consoleSpy.log).not.toHaveBeenCalled();
+    });
+
+    it('sends warnings to stderr in machine modes', () => {
+      output.configure({ quiet: true });
+      output.warning('careful');
+      expect(consoleSpy.log).not.toHaveBeenCalled();
+      expect(consoleSpy.error).toHaveBeenCalled();
+    });
+
+    it('prints only IDs in quiet mode', () => {
+      output.configure({ quiet: true });
+      expect(output.emit([{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }])).toBe(true);
+      expect(consoleSpy.log.mock.calls).toEqual([['a'], ['b']]);
+    });
+
+    it('supports a custom ID key in quiet mode', () => {
+      output.configure({ quiet: true });
+      output.emit([{ uid: 'u1' }, { name: 'no-id' }], { idKey: 'uid' });
+      expect(consoleSpy.log.mock.calls).toEqual([['u1']]);
+    });
+
+    it('json wins over quiet', () => {
+      output.configure({ json: true, quiet: true });
+      expect(output.isJson()).toBe(true);
+      expect(output.isQuiet()).toBe(false);
+    });
+
+    it('table returns JSON in json mode', () => {
+      output.configure({ json: true });
+      const result = output.table([{ id: '1' }], [{ key: 'id', header: 'ID' }]);
+      expect(JSON.parse(result)).toEqual([{ id: '1' }]);
+    });
+  });
+
+  describe('createTableStream', () => {
+    afterEach(() => {
+      output.configure({});
+    });
+
+    it('prints the header once and keeps column widths across batches', () => {
+      output.configure({ color: false });
+      const stream = output.createTableStream([
+        { key: 'id', header: 'ID' },
+        { key: 'title', header: 'Title' },
+      ]);
+
+      stream.write([{ id: 'a1', title: 'First' }]);
+      stream.write([{ id: 'b2', title: 'Second' }]);
+
+      expect(consoleSpy.log.mock.calls.map(c => c[0])).toEqual([
+        'ID  Title',
+        'a1  First',
+        'b2  Second',
+      ]);
+      expect(stream.end()).toBe(2);
+    });
+
+    it('streams IDs in quiet mode', () => {
+      output.configure({ quiet: true });
+      const stream = output.createTableStream([{ key: 'id', header: 'ID' }]);
+      stream.write([{ id: 'a' }, { id: 'b' }]);
+      expect(consoleSpy.log.mock.calls).toEqual([['a'], ['b']]);
+    });
+  });
+
+  describe('activity', () => {
+    it('describes status changes', () => {
+      const text = output.describeActivity({ type: 'status_changed', data: { from: 'todo', to: 'done' } });
+      expect(text).toContain('todo');
+      expect(text).toContain('done');
+    });
+
+    it('falls back to the description, then the type', () => {
+      expect(output.describeActivity({ type: 'task_created', description: 'created Task 1' })).toBe('created Task 1');
+      expect(output.describeActivity({ type: 'task_created' })).toBe('task created');
+    });
+
+    it('groups the timeline by day, oldest first', () => {
+      const lines = output.timeline([
+        { id: 'b', type: 'x', description: 'second', createdAt: '2024-05-02T12:00:00' },
+        { id: 'a', type: 'x', description: 'first', createdAt: '2024-05-01T12:00:00' },
+      ]).split('\n');
+
+      expect(lines.findIndex(l => l.includes('first'))).toBeLessThan(lines.findIndex(l => l.includes('second')));
+      expect(lines.filter(l => l && !l.startsWith('  '))).toHaveLength(2);
+    });
+  });
 });
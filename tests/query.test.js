@@ -0,0 +1,97 @@
+/**
+ * Task Query Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import query from '../src/lib/query.js';
+
+const NOW = new Date('2026-03-10T12:00:00').getTime();
+const DAY = 24 * 60 * 60 * 1000;
+
+const tasks = [
+  { id: 'a', title: 'Alpha', status: 'todo', priority: 'high', tags: ['ui'], progress: 0, assignedTo: 'ann@x.io', dueDate: new Date(NOW + 2 * DAY).toISOString() },
+  { id: 'b', title: 'beta', status: 'in_progress', priority: 'urgent', tags: ['wontfix'], progress: 50, assignedTo: null },
+  { id: 'c', title: 'Gamma', status: 'done', priority: 'low', tags: [], progress: 100, assignedTo: 'bob@x.io', dueDate: new Date(NOW - 3 * DAY).toISOString() },
+];
+
+const select = (expr, context) => {
+  const terms = query.parse(expr, { now: NOW });
+  return tasks.filter(task => query.matches(task, terms, context)).map(task => task.id);
+};
+
+describe('Task Queries', () => {
+  describe('parse and match', () => {
+    it('matches any of several values and normalizes statuses', () => {
+      expect(select('status:todo,in-progress')).toEqual(['a', 'b']);
+    });
+
+    it('negates terms and matches tags', () => {
+      expect(select('-tag:wontfix')).toEqual(['a', 'c']);
+      expect(select('tag:none')).toEqual(['c']);
+    });
+
+    it('compares priorities and progress', () => {
+      expect(select('priority:>=high')).toEqual(['a', 'b']);
+      expect(select('progress:<50')).toEqual(['a']);
+      expect(select('progress:0..50')).toEqual(['a', 'b']);
+    });
+
+    it('compares dates against relative offsets and days', () => {
+      expect(select('due:<7d')).toEqual(['a', 'c']);
+      expect(select('due:>today')).toEqual(['a']);
+      expect(select('due:2026-03-07')).toEqual(['c']);
+      expect(select('due:none')).toEqual(['b']);
+    });
+
+    it('matches me and unassigned', () => {
+      expect(select('assignee:me,none', { me: ['u1', 'bob@x.io'] })).toEqual(['b', 'c']);
+    });
+
+    it('combines terms with and', () => {
+      expect(select('status:todo,done -priority:low due:<0d')).toEqual([]);
+      expect(select('status:todo,done -priority:low')).toEqual(['a']);
+    });
+
+    it('rejects unknown fields and bad values', () => {
+      expect(() => query.parse('colour:red')).toThrow('Unknown field');
+      expect(() => query.parse('priority:>=huge')).toThrow('Invalid priority');
+      expect(() => query.parse('due:soon')).toThrow('Invalid date');
+      expect(() => query.parse('status:>todo')).toThrow('does not support');
+      expect(() => query.parse('todo')).toThrow('Cannot read');
+    });
+  });
+
+  describe('split', () => {
+    it('sends single exact values to the API and keeps the rest local', () => {
+      const { params, local } = query.split(query.parse('status:todo priority:>=high -tag:x assignee:me project:p1'));
+      expect(params).toEqual({ status: 'todo', projectId: 'p1' });
+      expect(local.map(term => term.field)).toEqual(['priority', 'tag', 'assignee']);
+    });
+
+    it('sends an exact priority to the API and keeps comparisons local', () => {
+      expect(query.split(query.parse('priority:high'))).toEqual({ params: { priority: 'high' }, local: [] });
+      expect(query.split(query.parse('priority:>=high')).params).toEqual({});
+      expect(query.split(query.parse('priority:low..high')).params).toEqual({});
+      expect(query.split(query.parse('priority:none')).params).toEqual({});
+    });
+
+    it('sends statuses as typed and matches them normalized', () => {
+      const terms = query.parse('status:in_progress');
+      expect(query.split(terms).params).toEqual({ status: 'in_progress' });
+      expect(query.matches({ status: 'in-progress' }, terms)).toBe(true);
+    });
+  });
+
+  describe('sortTasks', () => {
+    it('sorts by fields with missing values last', () => {
+      const sort = query.parseSort('-priority');
+      expect(query.sortTasks(tasks, sort).map(t => t.id)).toEqual(['b', 'a', 'c']);
+      expect(query.sortTasks(tasks, query.parseSort('due')).map(t => t.id)).toEqual(['c', 'a', 'b']);
+      expect(query.sortTasks(tasks, query.parseSort('title'), { reverse: true }).map(t => t.id)).toEqual(['c', 'b', 'a']);
+    });
+
+    it('rejects unknown sort fields', () => {
+      expect(() => query.parseSort('colour')).toThrow('Cannot sort by');
+    });
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Reference Resolution Tests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const state = vi.hoisted(() => ({
+  settings: { tenant: 't1', defaultProject: null },
+  mine: [],
+  all: [],
+  projects: [],
+  projectTasks: [],
+  branchTask: null,
+  pagesRead: 0,
+  lookups: [],
+}));
+
+// One item per page, to see where lookups stop
+const pagesOf = items => (async function* pages() {
+  for (let i = 0; i < items.length; i++) {
+    state.pagesRead++;
+    yield { items: [items[i]], nextCursor: null, hasMore: i < items.length - 1, total: items.length };
+  }
+})();
+
+const byId = (items, ref) => {
+  state.lookups.push(ref);
+  const item = items.find(i => i.id === ref);
+  if (item) return Promise.resolve(item);
+  return Promise.reject(Object.assign(new Error('Not found'), { statusCode: 404 }));
+};
+
+vi.mock('../src/lib/api.js', () => ({
+  default: {
+    tasks: {
+      get: ref => byId([...state.mine, ...state.all], ref),
+      minePages: () => pagesOf(state.mine),
+      listPages: () => pagesOf(state.all),
+    },
+    projects: {
+      get: ref => byId(state.projects, ref),
+      listPages: () => pagesOf(state.projects),
+      tasksPages: () => pagesOf(state.projectTasks),
+    },
+  },
+}));
+
+vi.mock('../src/lib/config.js', () => ({
+  default: {
+    get: key => state.settings[key],
+    getActiveProfile: () => 'default',
+    getConfigDir: () => tmpdir(),
+  },
+}));
+
+vi.mock('../src/lib/git.js', () => ({
+  default: {
+    isGitRepo: () => true,
+    getTaskIdFromBranch: () => state.branchTask,
+  },
+}));
+
+const resolve = await import('../src/lib/resolve.js');
+
+const FULL_ID = 'a1b2c3d4e5f6g7h8i9j0k1';
+
+describe('Reference Resolution', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'erold-resolve-'));
+    resolve.setRecentPath(join(dir, 'recent.json'));
+    state.settings.defaultProject = null;
+    state.mine = [];
+    state.all = [];
+    state.projects = [];
+    state.projectTasks = [];
+    state.branchTask = null;
+    state.pagesRead = 0;
+    state.lookups = [];
+  });
+
+  afterEach(() => {
+    resolve.setRecentPath(null);
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('parseTaskKey', () => {
+    it('parses plain and project-scoped numbers', () => {
+      expect(resolve.parseTaskKey('123')).toEqual({ project: null, number: 123 });
+      expect(resolve.parseTaskKey('WEB-45')).toEqual({ project: 'WEB', number: 45 });
+      expect(resolve.parseTaskKey('abc12345')).toBeNull();
+    });
+  });
+
+  describe('findTask', () => {
+    it('passes full IDs through without a lookup', async () => {
+      expect(await resolve.findTask(FULL_ID)).toBe(FULL_ID);
+    });
+
+    it('resolves a unique prefix from my tasks', async () => {
+      state.mine = [{ id: 'abc12345zzzzzzzzzzzz', title: 'Mine' }];
+      state.all = [{ id: 'abc12345zzzzzzzzzzzz', title: 'Mine' }, { id: 'def12345yyyyyyyyyyyy', title: 'Other' }];
+      expect(await resolve.findTask('abc1')).toBe('abc12345zzzzzzzzzzzz');
+    });
+
+    it('falls back to all tasks', async () => {
+      state.all = [{ id: 'abc12345yyyyyyyyyyyy', title: 'Other' }];
+      expect(await resolve.findTask('abc12345')).toBe('abc12345yyyyyyyyyyyy');
+    });
+
+    it('uses a direct lookup when the reference is an ID', async () => {
+      state.all = [{ id: 'shortid1', title: 'Short' }];
+      expect(await resolve.findTask('shortid1')).toBe('shortid1');
+      expect(state.pagesRead).toBe(0);
+    });
+
+    it('finds a prefix that is ambiguous across my tasks and the tenant', async () => {
+      state.mine = [{ id: 'abc12345zzzzzzzzzzzz', title: 'Mine' }];
+      state.all = [
+        { id: 'abc12345zzzzzzzzzzzz', title: 'Mine' },
+        { id: 'abc99999yyyyyyyyyyyy', title: 'Other' },
+      ];
+      await expect(resolve.findTask('abc', { pick: false })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(await resolve.findTask('abc1', { pick: false })).toBe('abc12345zzzzzzzzzzzz');
+    });
+
+    it('stops reading once two matches are found and it cannot prompt', async () => {
+      state.all = [
+        { id: 'abc1xxxxxxxxxxxxxxxx' },
+        { id: 'abc2xxxxxxxxxxxxxxxx' },
+        { id: 'abc3xxxxxxxxxxxxxxxx' },
+        { id: 'abc4xxxxxxxxxxxxxxxx' },
+      ];
+      await expect(resolve.findTask('abc', { pick: false })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(state.pagesRead).toBe(2);
+    });
+
+    it('reads only a few pages of a large tenant for a prefix', async () => {
+      state.all = Array.from({ length: 8 }, (_, i) => ({ id: `zzz${i}xxxxxxxxxxxxxxxxx` }));
+      state.all.push({ id: 'abc12345yyyyyyyyyyyy' });
+
+      await expect(resolve.findTask('abc1', { pick: false })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+      expect(state.pagesRead).toBe(5);
+
+      state.all.unshift({ id: 'abc12345yyyyyyyyyyyy' });
+      await expect(resolve.findTask('abc1', { pick: false })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+      expect(await resolve.findTask('abc12345', { pick: false })).toBe('abc12345yyyyyyyyyyyy');
+    });
+
+    it('encodes the reference in the direct lookup', async () => {
+      await expect(resolve.findTask('a/b')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+      expect(state.lookups).toEqual(['a%2Fb']);
+    });
+
+    it('fails on an ambiguous prefix when it cannot prompt', async () => {
+      state.all = [
+        { id: 'abc12345yyyyyyyyyyyy', title: 'One' },
+        { id: 'abc99999yyyyyyyyyyyy', title: 'Two' },
+      ];
+      await expect(resolve.findTask('abc', { pick: false })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+
+    it('fails when nothing matches', async () => {
+      await expect(resolve.findTask('zzz')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    });
+
+    it('resolves task numbers by project slug or defaultProject', async () => {
+      state.projects = [{ id: 'proj1xxxxxxxxxxxxxxxxx', slug: 'web', name: 'Web' }];
+      state.projectTasks = [{ id: 'task7xxxxxxxxxxxxxxxx', number: 7 }];
+
+      expect(await resolve.findTask('WEB-7')).toBe('task7xxxxxxxxxxxxxxxx');
+
+      state.settings.defaultProject = 'web';
+      expect(await resolve.findTask('7')).toBe('task7xxxxxxxxxxxxxxxx');
+    });
+
+    it('treats an unknown project key as not found', async () => {
+      await expect(resolve.findTask('JIRA-12')).rejects.toMatchObject({ code: 'NOT_FOUND', message: 'Task not found: JIRA-12' });
+    });
+
+    it('resolves @current from the branch', async () => {
+      state.branchTask = 'abc12345';
+      state.mine = [{ id: 'abc12345zzzzzzzzzzzz' }];
+      expect(await resolve.findTask('@current')).toBe('abc12345zzzzzzzzzzzz');
+
+      state.branchTask = null;
+      await expect(resolve.findTask('@current')).rejects.toMatchObject({ code: 'USAGE_ERROR' });
+    });
+
+    it('resolves @last to the remembered task', async () => {
+      await expect(resolve.findTask('@last')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+
+      resolve.rememberTask(FULL_ID);
+      expect(await resolve.findTask('@last')).toBe(FULL_ID);
+    });
+  });
+
+  describe('findProject', () => {
+    it('resolves slugs, keys and prefixes', async () => {
+      state.projects = [
+        { id: 'proj1xxxxxxxxxxxxxxxxx', slug: 'web', key: 'WEB' },
+        { id: 'proj2xxxxxxxxxxxxxxxxx', slug: 'api' },
+      ];
+      expect(await resolve.findProject('web')).toBe('proj1xxxxxxxxxxxxxxxxx');
+      expect(await resolve.findProject('Web')).toBe('proj1xxxxxxxxxxxxxxxxx');
+      expect(await resolve.findProject('proj2')).toBe('proj2xxxxxxxxxxxxxxxxx');
+      await expect(resolve.findProject('proj', { pick: false })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(resolve.findProject('mobile')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    });
+
+    it('stops reading at a slug match', async () => {
+      state.projects = [
+        { id: 'proj1xxxxxxxxxxxxxxxxx', slug: 'web' },
+        { id: 'proj2xxxxxxxxxxxxxxxxx', slug: 'api' },
+        { id: 'proj3xxxxxxxxxxxxxxxxx', slug: 'docs' },
+      ];
+      expect(await resolve.findProject('api')).toBe('proj2xxxxxxxxxxxxxxxxx');
+      expect(state.pagesRead).toBe(2);
+    });
+  });
+});
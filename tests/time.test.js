@@ -0,0 +1,52 @@
+/**
+ * Time Helper Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseDuration, parseTimeBound } from '../src/lib/time.js';
+
+describe('Time Helpers', () => {
+  describe('parseDuration', () => {
+    it('parses each unit', () => {
+      expect(parseDuration('90s')).toBe(90 * 1000);
+      expect(parseDuration('30m')).toBe(30 * 60 * 1000);
+      expect(parseDuration('2h')).toBe(2 * 60 * 60 * 1000);
+      expect(parseDuration('2d')).toBe(2 * 24 * 60 * 60 * 1000);
+      expect(parseDuration('1w')).toBe(7 * 24 * 60 * 60 * 1000);
+    });
+
+    it('accepts decimals, spaces and upper case', () => {
+      expect(parseDuration('1.5h')).toBe(90 * 60 * 1000);
+      expect(parseDuration(' 2 D ')).toBe(2 * 24 * 60 * 60 * 1000);
+    });
+
+    it('returns null for anything else', () => {
+      expect(parseDuration('2024-05-01')).toBeNull();
+      expect(parseDuration('2y')).toBeNull();
+      expect(parseDuration('')).toBeNull();
+      expect(parseDuration(undefined)).toBeNull();
+    });
+  });
+
+  describe('parseTimeBound', () => {
+    const now = new Date(2024, 4, 10, 15, 30);
+
+    it('treats durations as time ago', () => {
+      expect(parseTimeBound('2d', now)).toEqual(new Date(2024, 4, 8, 15, 30));
+    });
+
+    it('understands today and yesterday as midnight', () => {
+      expect(parseTimeBound('today', now)).toEqual(new Date(2024, 4, 10));
+      expect(parseTimeBound('yesterday', now)).toEqual(new Date(2024, 4, 9));
+    });
+
+    it('parses dates', () => {
+      expect(parseTimeBound('2024-05-01T00:00:00Z', now)).toEqual(new Date('2024-05-01T00:00:00Z'));
+    });
+
+    it('returns null for empty or invalid values', () => {
+      expect(parseTimeBound(undefined, now)).toBeNull();
+      expect(parseTimeBound('not a date', now)).toBeNull();
+    });
+  });
+});
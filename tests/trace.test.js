@@ -0,0 +1,101 @@
+/**
+ * Request Tracing Tests
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import trace from '../src/lib/trace.js';
+
+const attempt = (overrides = {}) => ({
+  method: 'GET',
+  url: 'https://api.test.com/tenants/t1/tasks?limit=10',
+  requestHeaders: { 'X-API-Key': 'erold_secret_key', 'Idempotency-Key': 'k1' },
+  startedAt: Date.parse('2026-01-01T00:00:00Z'),
+  duration: 42,
+  status: 200,
+  statusText: 'OK',
+  responseHeaders: new Headers({ 'content-type': 'application/json' }),
+  attempt: 1,
+  attempts: 3,
+  ...overrides,
+});
+
+describe('Request Tracing', () => {
+  afterEach(() => {
+    trace.configure();
+    vi.restoreAllMocks();
+  });
+
+  it('redacts credentials but keeps their kind', () => {
+    expect(trace.redactHeaders({
+      'X-API-Key': 'erold_secret_key',
+      Authorization: 'Bearer at_secret',
+      'Content-Type': 'application/json',
+    })).toEqual({
+      'X-API-Key': 'erold_[redacted]',
+      Authorization: 'Bearer [redacted]',
+      'Content-Type': 'application/json',
+    });
+  });
+
+  it('does nothing when disabled', () => {
+    const log = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    trace.record(attempt());
+
+    expect(trace.isEnabled()).toBe(false);
+    expect(log).not.toHaveBeenCalled();
+  });
+
+  it('logs one line per attempt with --verbose', () => {
+    const log = vi.spyOn(console, 'error').mockImplementation(() => {});
+    trace.configure({ verbose: true });
+
+    trace.record(attempt({ status: 503, statusText: 'Service Unavailable' }));
+
+    expect(log).toHaveBeenCalledTimes(1);
+    expect(log.mock.calls[0][0]).toContain('GET https://api.test.com/tenants/t1/tasks?limit=10 503 Service Unavailable 42ms (attempt 1/3)');
+  });
+
+  it('shows the Idempotency-Key of writes with --verbose', () => {
+    const log = vi.spyOn(console, 'error').mockImplementation(() => {});
+    trace.configure({ verbose: true });
+
+    trace.record(attempt({ method: 'POST', url: 'https://api.test.com/tenants/t1/tasks' }));
+
+    expect(log.mock.calls[0][0]).toContain('POST https://api.test.com/tenants/t1/tasks 200 OK 42ms (attempt 1/3, Idempotency-Key k1)');
+  });
+
+  it('adds redacted headers with --trace', () => {
+    const log = vi.spyOn(console, 'error').mockImplementation(() => {});
+    trace.configure({ trace: true });
+
+    trace.record(attempt());
+
+    const lines = log.mock.calls.map(([line]) => line).join('\n');
+    expect(lines).toContain('> X-API-Key: erold_[redacted]');
+    expect(lines).toContain('< content-type: application/json');
+    expect(lines).not.toContain('erold_secret_key');
+  });
+
+  it('collects HAR entries for --trace-file', () => {
+    trace.configure({ file: '/dev/null', version: '1.2.3' });
+
+    trace.record(attempt());
+    trace.record(attempt({ status: undefined, statusText: undefined, responseHeaders: undefined, attempt: 2, error: 'Request timed out after 30s' }));
+
+    const har = trace.toHar();
+    expect(har.log.creator).toEqual({ name: '@erold/cli', version: '1.2.3' });
+    expect(har.log.entries).toHaveLength(2);
+    expect(har.log.entries[0]).toMatchObject({
+      startedDateTime: '2026-01-01T00:00:00.000Z',
+      time: 42,
+      request: {
+        method: 'GET',
+        queryString: [{ name: 'limit', value: '10' }],
+        headers: [{ name: 'X-API-Key', value: 'erold_[redacted]' }, { name: 'Idempotency-Key', value: 'k1' }],
+      },
+      response: { status: 200, content: { mimeType: 'application/json' } },
+    });
+    expect(har.log.entries[1]).toMatchObject({ response: { status: 0 }, _attempt: 2, _error: 'Request timed out after 30s' });
+  });
+});
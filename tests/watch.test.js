@@ -0,0 +1,67 @@
+/**
+ * Watch Mode Tests
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import watch from '../src/lib/watch.js';
+
+describe('Watch Mode', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('parseInterval', () => {
+    it('uses the default when no value is given', () => {
+      expect(watch.parseInterval(true)).toBe(watch.DEFAULT_INTERVAL);
+      expect(watch.parseInterval('30')).toBe(30);
+    });
+
+    it('rejects intervals that are not numbers or too short', () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => {});
+
+      watch.parseInterval('soon');
+      watch.parseInterval('0.5');
+      expect(exitSpy).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('diffTasks', () => {
+    const before = [
+      { id: 'a', status: 'in_progress', progress: 20, commentCount: 1 },
+      { id: 'b', status: 'todo', comments: [] },
+    ];
+
+    it('highlights nothing on the first refresh', () => {
+      expect(watch.diffTasks(null, before).size).toBe(0);
+    });
+
+    it('finds status, progress and comment changes and new tasks', () => {
+      const after = [
+        { id: 'a', status: 'in_progress', progress: 60, commentCount: 3 },
+        { id: 'b', status: 'blocked', comments: [] },
+        { id: 'c', status: 'todo' },
+      ];
+      const changes = watch.diffTasks(before, after);
+
+      expect(changes.get('a')).toEqual({ progress: { from: 20, to: 60 }, comments: { from: 1, to: 3 } });
+      expect(changes.get('b')).toEqual({ status: { from: 'todo', to: 'blocked' } });
+      expect(changes.get('c')).toEqual({ isNew: true });
+      expect(watch.describeChange(changes.get('a'))).toBe('20% → 60%, +2 comments');
+      expect(watch.describeChange(changes.get('b'))).toBe('→ blocked');
+    });
+
+    it('ignores tasks that did not change', () => {
+      expect(watch.diffTasks(before, before.map(t => ({ ...t }))).size).toBe(0);
+    });
+  });
+
+  describe('nextDelay', () => {
+    it('backs off exponentially after rate limiting, up to a cap', () => {
+      expect(watch.nextDelay(10, 0)).toBe(10);
+      expect(watch.nextDelay(10, 1)).toBe(20);
+      expect(watch.nextDelay(10, 3)).toBe(80);
+      expect(watch.nextDelay(10, 10)).toBe(300);
+    });
+  });
+});